@@ -1,6 +1,6 @@
 
 
-const { useState, useEffect, useMemo } = React;
+const { useState, useEffect, useMemo, useRef } = React;
 
 // ================================================
 // Configuration Constants
@@ -8,41 +8,444 @@ const { useState, useEffect, useMemo } = React;
 
 const CONFIG = {
     API_BASE_URL: 'http://localhost:3000/api',
-    REFRESH_INTERVAL: 3000, // Refresh every 3 seconds for real-time updates
+    STATS_REFRESH_DELAY: 1000, // ms to batch statistics refreshes after live events
+    STREAM_RETRY_DELAY: 5000, // ms before reopening a live stream the server closed
     ANIMATION_DELAY_INCREMENT: 50, // ms between card animations
+    PAGE_SIZE: 25, // Alerts fetched per page
+    TOKEN_STORAGE_KEY: 'cloudguard.token', // localStorage key for the login token
+};
+
+// Sort options offered by GET /api/alerts
+const SORT_OPTIONS = [
+    { value: '-createdAt', label: 'Newest first' },
+    { value: 'createdAt', label: 'Oldest first' },
+    { value: '-severity', label: 'Severity (High first)' },
+    { value: '-riskScore', label: 'Risk score (highest first)' },
+    { value: '-updatedAt', label: 'Recently updated' }
+];
+
+// Sort keys → alert fields, for placing live updates in the list
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    severity: 'severityRank',
+    riskScore: 'riskScore'
+};
+
+// Alert events sent by GET /api/alerts/stream
+const STREAM_EVENTS = ['alert.created', 'alert.updated', 'alert.excluded', 'alert.deleted'];
+
+// ================================================
+// Helpers
+// ================================================
+
+/**
+ * Format timestamp for display
+ */
+const formatTimestamp = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+};
+
+/**
+ * Format a duration in milliseconds as "2d 3h", "4h 12m" or "35m"
+ */
+const formatDuration = (milliseconds) => {
+    const minutes = Math.max(1, Math.round(Math.abs(milliseconds) / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    return `${minutes}m`;
+};
+
+/**
+ * Risk score band for styling: critical (90+), high (75+), medium (50+) or low
+ */
+const riskLevel = (score) => {
+    if (score >= 90) return 'critical';
+    if (score >= 75) return 'high';
+    if (score >= 50) return 'medium';
+    return 'low';
+};
+
+// Labels for the risk factors stored with each alert
+const RISK_FACTOR_LABELS = {
+    severity: 'Severity',
+    cvss: 'CVSS',
+    assetCriticality: 'Asset criticality',
+    exposure: 'Internet exposure',
+    age: 'Age',
+    occurrences: 'Occurrences'
+};
+
+/**
+ * Tooltip listing each risk factor as a percentage
+ */
+const describeRiskFactors = (factors) => {
+    if (!factors) return undefined;
+    return Object.entries(RISK_FACTOR_LABELS)
+        .filter(([key]) => factors[key] !== null && factors[key] !== undefined)
+        .map(([key, label]) => `${label}: ${Math.round(factors[key] * 100)}%`)
+        .join('\n');
+};
+
+/**
+ * Compare alerts in the order the server sorts them (ties broken by id)
+ */
+const alertComparator = (sort) => {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = SORT_FIELDS[sort.replace(/^-/, '')];
+    return (a, b) => {
+        const x = a[field];
+        const y = b[field];
+        if (x === y) return direction * a.id.localeCompare(b.id);
+        return direction * (x < y ? -1 : 1);
+    };
+};
+
+/**
+ * Alert ID from a "#alert=<id>" link (used by chat notifications)
+ */
+const alertIdFromHash = () => {
+    const match = window.location.hash.match(/^#alert=(.+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Call the backend API with the stored login token
+ * A 401 response clears the token and signals the App to show the login form
+ */
+const apiFetch = async (path, options = {}) => {
+    const token = localStorage.getItem(CONFIG.TOKEN_STORAGE_KEY);
+    const headers = { ...(options.headers || {}) };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}${path}`, { ...options, headers });
+
+    if (response.status === 401) {
+        localStorage.removeItem(CONFIG.TOKEN_STORAGE_KEY);
+        window.dispatchEvent(new Event('cloudguard:unauthorized'));
+    }
+
+    return response;
+};
+
+// ================================================
+// Markdown Rendering
+// ================================================
+
+// Inline markdown tokens: `code`, **bold**, *italic* / _italic_, [text](url), @mention
+const INLINE_MARKDOWN_PATTERN = /(`[^`]+`)|\*\*([^*]+)\*\*|\*([^*]+)\*|\b_([^_]+)_\b|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|(^|[^\w@])@([A-Za-z0-9][\w.-]*[A-Za-z0-9_]|[A-Za-z0-9])/g;
+
+/**
+ * Render one line of inline markdown as React nodes
+ * Builds elements rather than HTML, so comment text can never inject markup
+ */
+const renderInlineMarkdown = (text, keyPrefix) => {
+    const nodes = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_MARKDOWN_PATTERN)) {
+        const [whole, code, bold, italic, underscored, linkText, linkUrl, mentionLead, mention] = match;
+        const key = `${keyPrefix}-${match.index}`;
+        nodes.push(text.slice(lastIndex, match.index));
+
+        if (code) {
+            nodes.push(<code key={key}>{code.slice(1, -1)}</code>);
+        } else if (bold) {
+            nodes.push(<strong key={key}>{bold}</strong>);
+        } else if (italic || underscored) {
+            nodes.push(<em key={key}>{italic || underscored}</em>);
+        } else if (linkText) {
+            nodes.push(<a key={key} href={linkUrl} target="_blank" rel="noopener noreferrer">{linkText}</a>);
+        } else {
+            nodes.push(mentionLead, <span key={key} className="mention">@{mention}</span>);
+        }
+        lastIndex = match.index + whole.length;
+    }
+
+    nodes.push(text.slice(lastIndex));
+    return nodes;
+};
+
+/**
+ * Render markdown (paragraphs, lists, fenced code, inline styles) as React nodes
+ */
+const renderMarkdown = (text) => {
+    const blocks = [];
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.startsWith('```')) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith('```')) {
+                code.push(lines[i++]);
+            }
+            i++;
+            blocks.push(<pre key={blocks.length} className="markdown-code"><code>{code.join('\n')}</code></pre>);
+        } else if (/^\s*[-*] /.test(line)) {
+            const items = [];
+            while (i < lines.length && /^\s*[-*] /.test(lines[i])) {
+                items.push(lines[i++].replace(/^\s*[-*] /, ''));
+            }
+            blocks.push(
+                <ul key={blocks.length}>
+                    {items.map((item, n) => <li key={n}>{renderInlineMarkdown(item, `${blocks.length}-${n}`)}</li>)}
+                </ul>
+            );
+        } else if (line.trim() === '') {
+            i++;
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && !lines[i].startsWith('```') && !/^\s*[-*] /.test(lines[i])) {
+                paragraph.push(lines[i++]);
+            }
+            const key = blocks.length;
+            blocks.push(
+                <p key={key}>
+                    {paragraph.map((text, n) => (
+                        <React.Fragment key={n}>
+                            {n > 0 && <br />}
+                            {renderInlineMarkdown(text, `${key}-${n}`)}
+                        </React.Fragment>
+                    ))}
+                </p>
+            );
+        }
+    }
+
+    return blocks;
+};
+
+// ================================================
+// App Component (authentication)
+// ================================================
+
+/**
+ * Resolves the current user, showing the login form until there is one
+ */
+const App = () => {
+    const [user, setUser] = useState(null);
+    const [checking, setChecking] = useState(true);
+
+    /**
+     * Ask the backend who we are (works without a token when auth is disabled)
+     */
+    const fetchCurrentUser = async () => {
+        try {
+            const response = await apiFetch('/auth/me');
+            setUser(response.ok ? await response.json() : null);
+        } catch (err) {
+            console.error('❌ Error checking authentication:', err);
+            setUser(null);
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchCurrentUser();
+
+        const handleUnauthorized = () => setUser(null);
+        window.addEventListener('cloudguard:unauthorized', handleUnauthorized);
+        return () => window.removeEventListener('cloudguard:unauthorized', handleUnauthorized);
+    }, []);
+
+    const handleLogin = (token) => {
+        localStorage.setItem(CONFIG.TOKEN_STORAGE_KEY, token);
+        fetchCurrentUser();
+    };
+
+    const handleLogout = () => {
+        localStorage.removeItem(CONFIG.TOKEN_STORAGE_KEY);
+        setUser(null);
+    };
+
+    if (checking) {
+        return (
+            <div className="dashboard-container">
+                <LoadingState />
+            </div>
+        );
+    }
+
+    if (!user) {
+        return <LoginForm onLogin={handleLogin} />;
+    }
+
+    return <Dashboard user={user} onLogout={handleLogout} />;
+};
+
+// ================================================
+// Login Form Component
+// ================================================
+
+const LoginForm = ({ onLogin }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+
+        try {
+            const response = await apiFetch('/auth/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ username, password })
+            });
+            const body = await response.json();
+
+            if (!response.ok) {
+                throw new Error(body.error || 'Login failed');
+            }
+
+            onLogin(body.token);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="dashboard-container">
+            <form className="login-card" onSubmit={handleSubmit} aria-label="Sign in">
+                <h1 className="header-title">
+                    <span role="img" aria-label="Shield">🛡️</span>
+                    CloudGuard
+                </h1>
+                <p className="header-subtitle">Sign in to the Alert Management System</p>
+
+                <div className="filter-group">
+                    <label htmlFor="login-username" className="filter-label">Username</label>
+                    <input
+                        id="login-username"
+                        className="filter-input"
+                        autoComplete="username"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        required
+                    />
+                </div>
+
+                <div className="filter-group">
+                    <label htmlFor="login-password" className="filter-label">Password</label>
+                    <input
+                        id="login-password"
+                        type="password"
+                        className="filter-input"
+                        autoComplete="current-password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                    />
+                </div>
+
+                {error && <p className="login-error" role="alert">{error}</p>}
+
+                <button type="submit" className="btn btn-primary" disabled={submitting}>
+                    {submitting ? 'Signing in...' : 'Sign In'}
+                </button>
+            </form>
+        </div>
+    );
 };
 
 // ================================================
 // Main Dashboard Component
 // ================================================
 
-const Dashboard = () => {
+const Dashboard = ({ user, onLogout }) => {
     // ============================================
     // State Management
     // ============================================
     
     const [alerts, setAlerts] = useState([]);
+    const [totalMatching, setTotalMatching] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [summary, setSummary] = useState(null);
+    const [dailySeries, setDailySeries] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [error, setError] = useState(null);
     const [lastFetchTime, setLastFetchTime] = useState(null);
+    const [live, setLive] = useState(false);
+    const [streamKey, setStreamKey] = useState(0);
+    const [workflow, setWorkflow] = useState(null);
+    const [selectedAlertId, setSelectedAlertId] = useState(alertIdFromHash);
+    const [view, setView] = useState('alerts');
+    const [selectedIncidentId, setSelectedIncidentId] = useState(null);
+    const [checkedIds, setCheckedIds] = useState([]);
+    const [bulkResult, setBulkResult] = useState(null);
+
+    // Viewers can look but not change alert status
+    const canUpdateStatus = user.role === 'analyst' || user.role === 'admin';
+    const [sort, setSort] = useState('-createdAt');
     const [filters, setFilters] = useState({
         severity: 'all',
         status: 'all',
         category: 'all',
-        search: ''
+        search: '',
+        mine: false,
+        breached: false,
+        minRisk: 'all'
     });
 
+    // Number of alerts currently loaded, so auto-refresh keeps the scrolled-in pages
+    const loadedCountRef = useRef(0);
+    // Latest list and cursor for live event handlers (which outlive a render)
+    const alertsRef = useRef([]);
+    const nextCursorRef = useRef(null);
+    const statsTimerRef = useRef(null);
+
     // ============================================
     // Data Fetching
     // ============================================
-    
+
+    /**
+     * Build the GET /api/alerts query string for the current filters and sort
+     * Filtering happens server-side so it covers every alert, not just loaded pages
+     */
+    const buildAlertsQuery = (page) => {
+        const params = new URLSearchParams({ sort, ...page });
+        ['severity', 'status', 'category'].forEach(key => {
+            if (filters[key] !== 'all') params.set(key, filters[key]);
+        });
+        if (filters.search) params.set('search', filters.search);
+        if (filters.mine) params.set('assignee', user.username);
+        if (filters.breached) params.set('slaStatus', 'breached');
+        if (filters.minRisk !== 'all') params.set('minRiskScore', filters.minRisk);
+        return params.toString();
+    };
+
     /**
      * Fetch alerts from the backend API
      * This gets REAL alerts created by AlertManager
+     * Re-fetches every page loaded so far in one request
      */
     const fetchAlerts = async () => {
         try {
-            const response = await fetch(`${CONFIG.API_BASE_URL}/alerts`);
+            const limit = Math.max(CONFIG.PAGE_SIZE, loadedCountRef.current);
+            const response = await apiFetch(`/alerts?${buildAlertsQuery({ limit })}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -50,14 +453,14 @@ const Dashboard = () => {
             
             const data = await response.json();
             
-            // Ensure data is an array
-            const alertsArray = Array.isArray(data) ? data : [];
-            
-            setAlerts(alertsArray);
+            setAlerts(data.alerts);
+            setTotalMatching(data.total);
+            setNextCursor(data.nextCursor);
+            loadedCountRef.current = data.alerts.length;
             setError(null);
             setLastFetchTime(new Date());
             
-            console.log(`✅ Fetched ${alertsArray.length} alerts from backend`);
+            console.log(`✅ Fetched ${data.alerts.length} of ${data.total} alerts from backend`);
         } catch (err) {
             console.error('❌ Error fetching alerts from backend:', err);
             setError(err.message);
@@ -69,84 +472,250 @@ const Dashboard = () => {
         }
     };
 
+    /**
+     * Fetch the next page of alerts and append it (infinite scroll)
+     */
+    const loadMoreAlerts = async () => {
+        if (!nextCursor || loadingMore) return;
+
+        setLoadingMore(true);
+        try {
+            const query = buildAlertsQuery({ limit: CONFIG.PAGE_SIZE, cursor: nextCursor });
+            const response = await apiFetch(`/alerts?${query}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            setAlerts(prev => {
+                const merged = [...prev, ...data.alerts.filter(a => !prev.some(p => p.id === a.id))];
+                loadedCountRef.current = merged.length;
+                return merged;
+            });
+            setTotalMatching(data.total);
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            console.error('❌ Error loading more alerts:', err);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    /**
+     * Fetch overall statistics (counts across all alerts, not just loaded pages)
+     */
+    const fetchStatistics = async () => {
+        try {
+            const response = await apiFetch(`/alerts/stats/summary`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            setSummary(await response.json());
+        } catch (err) {
+            console.error('❌ Error fetching statistics from backend:', err);
+        }
+    };
+
+    /**
+     * Fetch daily created/resolved counts for yesterday and today (stat card trends)
+     */
+    const fetchTrends = async () => {
+        try {
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+            const response = await apiFetch(`/alerts/stats/timeseries?interval=day&since=${since}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            setDailySeries(data.buckets);
+        } catch (err) {
+            console.error('❌ Error fetching trends from backend:', err);
+        }
+    };
+
+    /**
+     * Fetch the lifecycle workflow (states and allowed transitions)
+     * AlertCard renders its actions from this instead of a hardcoded table
+     */
+    const fetchWorkflow = async () => {
+        try {
+            const response = await apiFetch(`/alerts/workflow`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            setWorkflow(await response.json());
+        } catch (err) {
+            console.error('❌ Error fetching workflow from backend:', err);
+        }
+    };
+
     // ============================================
     // Effects
     // ============================================
     
     /**
-     * Initial data load and periodic refresh
-     * This ensures we always have the latest alerts from the backend
+     * Initial load of the workflow definition
      */
     useEffect(() => {
         console.log('🚀 Dashboard initialized - connecting to backend...');
+        fetchWorkflow();
+    }, []);
+
+    /**
+     * Open the alert named in the URL when a "#alert=<id>" link is followed
+     */
+    useEffect(() => {
+        const handleHashChange = () => setSelectedAlertId(alertIdFromHash());
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    useEffect(() => {
+        alertsRef.current = alerts;
+        nextCursorRef.current = nextCursor;
+    }, [alerts, nextCursor]);
+
+    /**
+     * Refresh statistics shortly after live events, once per burst
+     */
+    const scheduleStatsRefresh = () => {
+        if (statsTimerRef.current) return;
+        statsTimerRef.current = setTimeout(() => {
+            statsTimerRef.current = null;
+            fetchStatistics();
+            fetchTrends();
+            setLastFetchTime(new Date());
+        }, CONFIG.STATS_REFRESH_DELAY);
+    };
+
+    /**
+     * Apply one live event to the loaded list instead of reloading it
+     * Alerts that sort after the last loaded one are left for infinite scroll
+     */
+    const applyStreamEvent = (type, alert) => {
+        const current = alertsRef.current;
+        const present = current.some(a => a.id === alert.id);
+        const compare = alertComparator(sort);
+        let next = current;
+
+        if (type === 'alert.deleted' || type === 'alert.excluded') {
+            if (present) {
+                next = current.filter(a => a.id !== alert.id);
+                setTotalMatching(total => Math.max(0, total - 1));
+            }
+        } else if (present) {
+            next = current.map(a => a.id === alert.id ? alert : a).sort(compare);
+        } else {
+            // Created, or changed so that it now matches the filters
+            setTotalMatching(total => total + 1);
+            const last = current[current.length - 1];
+            if (!nextCursorRef.current || !last || compare(alert, last) < 0) {
+                next = [...current, alert].sort(compare);
+            }
+        }
+
+        if (next !== current) {
+            alertsRef.current = next;
+            loadedCountRef.current = next.length;
+            setAlerts(next);
+        }
+        scheduleStatsRefresh();
+    };
+
+    /**
+     * Data load, then live updates over Server-Sent Events
+     * Restarts from the first page whenever filters or sort change; the
+     * browser reconnects by itself and resumes after the last event received
+     */
+    useEffect(() => {
+        loadedCountRef.current = 0;
         fetchAlerts();
-        
-        // Set up auto-refresh to get new alerts automatically
-        const interval = setInterval(() => {
-            console.log('🔄 Auto-refreshing alerts from backend...');
+        fetchStatistics();
+        fetchTrends();
+
+        const params = new URLSearchParams(buildAlertsQuery({}));
+        const token = localStorage.getItem(CONFIG.TOKEN_STORAGE_KEY);
+        if (token) params.set('access_token', token);
+
+        const source = new EventSource(`${CONFIG.API_BASE_URL}/alerts/stream?${params}`);
+        let retryTimer = null;
+
+        source.onopen = () => setLive(true);
+        source.onerror = () => {
+            setLive(false);
+            if (source.readyState === EventSource.CLOSED) {
+                // Refused (e.g. expired login): an API call surfaces a 401, then retry later
+                fetchAlerts();
+                retryTimer = setTimeout(() => setStreamKey(key => key + 1), CONFIG.STREAM_RETRY_DELAY);
+            }
+        };
+        STREAM_EVENTS.forEach(type => {
+            source.addEventListener(type, (e) => applyStreamEvent(type, JSON.parse(e.data)));
+        });
+        // The server no longer has the events we missed: reload
+        source.addEventListener('reset', () => {
             fetchAlerts();
-        }, CONFIG.REFRESH_INTERVAL);
-        
-        return () => clearInterval(interval);
-    }, []);
+            scheduleStatsRefresh();
+        });
+
+        return () => {
+            source.close();
+            clearTimeout(retryTimer);
+            setLive(false);
+        };
+    }, [filters, sort, streamKey]);
 
     // ============================================
     // Computed Values
     // ============================================
     
     /**
-     * Filter alerts based on current filter criteria
+     * Statistics for stat cards, from GET /api/alerts/stats/summary
      */
-    const filteredAlerts = useMemo(() => {
-        return alerts.filter(alert => {
-            // Severity filter
-            const matchesSeverity = filters.severity === 'all' || 
-                alert.severity.toLowerCase() === filters.severity.toLowerCase();
-            
-            // Status filter (handle "In-Progress" case)
-            const normalizedStatus = alert.status.toLowerCase().replace(/-/g, '');
-            const matchesStatus = filters.status === 'all' || 
-                normalizedStatus === filters.status.toLowerCase().replace(/-/g, '');
-            
-            // Category filter
-            const matchesCategory = filters.category === 'all' || 
-                alert.category.toLowerCase() === filters.category.toLowerCase();
-            
-            // Search filter (searches in description and ID)
-            const searchLower = filters.search.toLowerCase();
-            const matchesSearch = !filters.search || 
-                alert.description.toLowerCase().includes(searchLower) ||
-                alert.id.toLowerCase().includes(searchLower);
-
-            return matchesSeverity && matchesStatus && matchesCategory && matchesSearch;
-        });
-    }, [alerts, filters]);
+    const statistics = useMemo(() => {
+        return {
+            new: summary ? summary.new : 0,
+            acknowledged: summary ? summary.acknowledged : 0,
+            inProgress: summary ? summary.inProgress : 0,
+            resolved: summary ? summary.resolved : 0,
+            total: summary ? summary.total : 0
+        };
+    }, [summary]);
 
     /**
-     * Calculate statistics for stat cards
+     * Today vs yesterday deltas for created and resolved alerts
      */
-    const statistics = useMemo(() => {
+    const trends = useMemo(() => {
+        if (dailySeries.length < 2) return null;
+
+        const [yesterday, today] = dailySeries.slice(-2);
         return {
-            new: alerts.filter(a => a.status === 'New').length,
-            acknowledged: alerts.filter(a => a.status === 'Acknowledged').length,
-            inProgress: alerts.filter(a => a.status === 'In-Progress').length,
-            resolved: alerts.filter(a => a.status === 'Resolved').length,
-            total: alerts.length
+            created: today.created - yesterday.created,
+            resolved: today.resolved - yesterday.resolved
         };
-    }, [alerts]);
+    }, [dailySeries]);
 
     /**
-     * Calculate category counts for display
+     * Category counts for display
      */
     const categoryCounts = useMemo(() => {
+        const byCategory = summary ? summary.byCategory : {};
         return {
-            CVE: alerts.filter(a => a.category === 'CVE').length,
-            S3: alerts.filter(a => a.category === 'S3').length,
-            IAM: alerts.filter(a => a.category === 'IAM').length,
-            Network: alerts.filter(a => a.category === 'Network').length,
-            Activity: alerts.filter(a => a.category === 'Activity').length
+            CVE: byCategory.cve || 0,
+            S3: byCategory.s3 || 0,
+            IAM: byCategory.iam || 0,
+            Network: byCategory.network || 0,
+            Activity: byCategory.activity || 0
         };
-    }, [alerts]);
+    }, [summary]);
 
     // ============================================
     // Event Handlers
@@ -160,37 +729,107 @@ const Dashboard = () => {
             ...prev,
             [filterType]: value
         }));
+        setCheckedIds([]);
     };
 
     /**
-     * Handle alert status update
-     * Calls AlertManager.updateAlertStatus()
+     * Tick or untick an alert for a bulk action
+     */
+    const handleToggleChecked = (alertId) => {
+        setCheckedIds(prev => prev.includes(alertId)
+            ? prev.filter(id => id !== alertId)
+            : [...prev, alertId]);
+    };
+
+    /**
+     * Apply one action to every ticked alert via POST /api/alerts/bulk
+     * Alerts that failed stay ticked so they can be retried
      */
-    const handleStatusUpdate = async (alertId, newStatus) => {
+    const handleBulkAction = async (action, params = {}) => {
         try {
-            const response = await fetch(`${CONFIG.API_BASE_URL}/alerts/${alertId}/status`, {
-                method: 'PUT',
+            const response = await apiFetch('/alerts/bulk', {
+                method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ status: newStatus })
+                body: JSON.stringify({ action, alertIds: checkedIds, ...params })
             });
 
+            const body = await response.json().catch(() => ({}));
             if (!response.ok) {
-                throw new Error('Failed to update alert status');
+                throw new Error(body.error || 'Bulk action failed');
             }
 
-            // Optimistic UI update
-            setAlerts(prev => prev.map(alert =>
-                alert.id === alertId 
-                    ? { ...alert, status: newStatus } 
-                    : alert
-            ));
+            setBulkResult(body);
+            setCheckedIds(body.results.filter(result => !result.ok).map(result => result.alertId));
+            fetchAlerts();
+            fetchStatistics();
+
+            console.log(`✅ Bulk ${action} ${body.batchId}: ${body.succeeded}/${body.total} succeeded`);
+        } catch (err) {
+            console.error('❌ Error running bulk action:', err);
+            alert(`Bulk action failed: ${err.message}`);
+        }
+    };
+
+    /**
+     * Handle alert status update
+     * Calls AlertManager.updateAlertStatus()
+     */
+    const handleStatusUpdate = async (alertId, newStatus, reason) => {
+        try {
+            const response = await apiFetch(`/alerts/${alertId}/status`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ status: newStatus, reason })
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || 'Failed to update alert status');
+            }
+
+            // Optimistic UI update
+            setAlerts(prev => prev.map(alert =>
+                alert.id === alertId 
+                    ? { ...alert, status: newStatus, statusReason: reason || null } 
+                    : alert
+            ));
 
             console.log(`✅ Alert ${alertId} status updated to ${newStatus}`);
         } catch (err) {
             console.error('❌ Error updating status:', err);
-            alert('Failed to update alert status. Please try again.');
+            alert(`Failed to update alert status: ${err.message}`);
+        }
+    };
+
+    /**
+     * Handle alert assignment
+     * Calls AlertManager.assignAlert()
+     */
+    const handleAssign = async (alertId, assignee) => {
+        try {
+            const response = await apiFetch(`/alerts/${alertId}/assignee`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ assignee })
+            });
+
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || 'Failed to assign alert');
+            }
+
+            setAlerts(prev => prev.map(alert => alert.id === alertId ? body : alert));
+
+            console.log(`✅ Alert ${alertId} assigned to ${assignee}`);
+        } catch (err) {
+            console.error('❌ Error assigning alert:', err);
+            alert(`Failed to assign alert: ${err.message}`);
         }
     };
 
@@ -200,6 +839,8 @@ const Dashboard = () => {
     const handleManualRefresh = () => {
         setLoading(true);
         fetchAlerts();
+        fetchStatistics();
+        fetchTrends();
     };
 
     // ============================================
@@ -212,27 +853,102 @@ const Dashboard = () => {
                 onRefresh={handleManualRefresh}
                 loading={loading}
                 lastFetchTime={lastFetchTime}
-                totalAlerts={alerts.length}
+                live={live}
+                totalAlerts={statistics.total}
+                user={user}
+                onLogout={onLogout}
             />
             
-            <StatsGrid statistics={statistics} />
+            <StatsGrid statistics={statistics} trends={trends} />
             
             <CategoryBreakdown categoryCounts={categoryCounts} />
+
+            <div className="view-tabs" role="tablist" aria-label="View">
+                {[['alerts', '🚨 Alerts'], ['incidents', '🧩 Incidents']].map(([value, label]) => (
+                    <button
+                        key={value}
+                        role="tab"
+                        aria-selected={view === value}
+                        className={`view-tab ${view === value ? 'active' : ''}`}
+                        onClick={() => setView(value)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {view === 'incidents' && (
+                <IncidentsSection onSelect={setSelectedIncidentId} refreshKey={lastFetchTime} />
+            )}
             
-            {alerts.length > 0 && (
+            {view === 'alerts' && statistics.total > 0 && (
                 <FiltersSection 
                     filters={filters} 
+                    statuses={workflow ? workflow.states.map(state => state.name) : []}
                     onFilterChange={handleFilterChange} 
                 />
             )}
             
-            <AlertsSection
-                alerts={filteredAlerts}
-                totalAlerts={alerts.length}
+            {view === 'alerts' && canUpdateStatus && (checkedIds.length > 0 || bulkResult) && (
+                <BulkActionBar
+                    checkedCount={checkedIds.length}
+                    statuses={workflow ? workflow.states.map(state => state.name) : []}
+                    canDelete={user.role === 'admin'}
+                    currentUser={user.username}
+                    result={bulkResult}
+                    onAction={handleBulkAction}
+                    onSelectAll={() => setCheckedIds(alerts.map(alert => alert.id))}
+                    onClear={() => setCheckedIds([])}
+                    onDismissResult={() => setBulkResult(null)}
+                />
+            )}
+
+            {view === 'alerts' && <AlertsSection
+                alerts={alerts}
+                totalMatching={totalMatching}
+                totalAlerts={statistics.total}
                 loading={loading}
+                loadingMore={loadingMore}
                 error={error}
+                workflow={canUpdateStatus ? workflow : null}
+                sort={sort}
+                hasMore={nextCursor !== null}
+                onSortChange={setSort}
+                onLoadMore={loadMoreAlerts}
                 onStatusUpdate={handleStatusUpdate}
-            />
+                onAssign={canUpdateStatus ? (alertId) => handleAssign(alertId, user.username) : null}
+                currentUser={user.username}
+                onSelect={setSelectedAlertId}
+                onSelectIncident={setSelectedIncidentId}
+                checkedIds={canUpdateStatus ? checkedIds : null}
+                onToggleChecked={handleToggleChecked}
+            />}
+
+            {selectedIncidentId && (
+                <IncidentDetail
+                    incidentId={selectedIncidentId}
+                    canUpdate={canUpdateStatus}
+                    onSelectAlert={(alertId) => {
+                        setSelectedIncidentId(null);
+                        setSelectedAlertId(alertId);
+                    }}
+                    onClose={() => setSelectedIncidentId(null)}
+                />
+            )}
+
+            {selectedAlertId && (
+                <AlertDetail
+                    alertId={selectedAlertId}
+                    refreshKey={(alerts.find(a => a.id === selectedAlertId) || {}).updatedAt}
+                    user={user}
+                    onClose={() => {
+                        setSelectedAlertId(null);
+                        if (alertIdFromHash()) {
+                            history.replaceState(null, '', window.location.pathname + window.location.search);
+                        }
+                    }}
+                />
+            )}
         </div>
     );
 };
@@ -241,7 +957,7 @@ const Dashboard = () => {
 // Header Component
 // ================================================
 
-const Header = ({ onRefresh, loading, lastFetchTime, totalAlerts }) => (
+const Header = ({ onRefresh, loading, lastFetchTime, live, totalAlerts, user, onLogout }) => (
     <header className="dashboard-header">
         <div className="header-content">
             <div className="header-title-section">
@@ -254,8 +970,8 @@ const Header = ({ onRefresh, loading, lastFetchTime, totalAlerts }) => (
                 </p>
                 {lastFetchTime && (
                     <p className="header-status">
-                        <span className="status-indicator"></span>
-                        Connected • {totalAlerts} total alerts • Last updated: {lastFetchTime.toLocaleTimeString()}
+                        <span className={`status-indicator ${live ? '' : 'offline'}`}></span>
+                        {live ? 'Live' : 'Reconnecting…'} • {totalAlerts} total alerts • Last updated: {lastFetchTime.toLocaleTimeString()}
                     </p>
                 )}
             </div>
@@ -269,6 +985,17 @@ const Header = ({ onRefresh, loading, lastFetchTime, totalAlerts }) => (
                     <span role="img" aria-label="Refresh">🔄</span>
                     {loading ? 'Refreshing...' : 'Refresh Now'}
                 </button>
+                {user.authEnabled && (
+                    <React.Fragment>
+                        <span className="header-user" title={`Role: ${user.role}`}>
+                            <span role="img" aria-label="User">👤</span>
+                            {user.username} ({user.role})
+                        </span>
+                        <button className="btn btn-outline" onClick={onLogout} aria-label="Sign out">
+                            Sign Out
+                        </button>
+                    </React.Fragment>
+                )}
             </div>
         </div>
     </header>
@@ -278,35 +1005,47 @@ const Header = ({ onRefresh, loading, lastFetchTime, totalAlerts }) => (
 // Stats Grid Component
 // ================================================
 
-const StatsGrid = ({ statistics }) => {
+const StatsGrid = ({ statistics, trends }) => {
+    /**
+     * Build a trend badge from a today-vs-yesterday delta
+     */
+    const toTrend = (delta, what) => {
+        if (delta === undefined) return null;
+        return {
+            value: delta > 0 ? '+' + delta : '' + delta,
+            direction: delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat',
+            title: `${what} today vs yesterday`
+        };
+    };
+
     const statCards = [
         {
             label: 'New Alerts',
             value: statistics.new,
             icon: '🆕',
             className: 'new',
-            trend: { value: statistics.new > 0 ? '+' + statistics.new : '0', direction: statistics.new > 0 ? 'up' : 'down' }
+            trend: toTrend(trends && trends.created, 'Created')
         },
         {
             label: 'Acknowledged',
             value: statistics.acknowledged,
             icon: '👁️',
             className: 'acknowledged',
-            trend: { value: statistics.acknowledged > 0 ? '+' + statistics.acknowledged : '0', direction: statistics.acknowledged > 0 ? 'up' : 'down' }
+            trend: null
         },
         {
             label: 'In Progress',
             value: statistics.inProgress,
             icon: '⚙️',
             className: 'inprogress',
-            trend: { value: statistics.inProgress > 0 ? '' + statistics.inProgress : '0', direction: statistics.inProgress > 2 ? 'up' : 'down' }
+            trend: null
         },
         {
             label: 'Resolved',
             value: statistics.resolved,
             icon: '✅',
             className: 'resolved',
-            trend: { value: statistics.resolved > 0 ? '+' + statistics.resolved : '0', direction: statistics.resolved > 0 ? 'up' : 'down' }
+            trend: toTrend(trends && trends.resolved, 'Resolved')
         }
     ];
 
@@ -329,9 +1068,11 @@ const StatCard = ({ label, value, icon, className, trend }) => (
             <div className="stat-icon" role="img" aria-label={label}>
                 {icon}
             </div>
-            <div className={`stat-trend ${trend.direction}`}>
-                {trend.direction === 'up' ? '↑' : '↓'} {trend.value}
-            </div>
+            {trend && (
+                <div className={`stat-trend ${trend.direction}`} title={trend.title}>
+                    {trend.direction === 'up' ? '↑' : trend.direction === 'down' ? '↓' : '→'} {trend.value}
+                </div>
+            )}
         </div>
         <div className="stat-value">{value}</div>
         <div className="stat-label">{label}</div>
@@ -375,7 +1116,7 @@ const CategoryBreakdown = ({ categoryCounts }) => {
 // Filters Section Component
 // ================================================
 
-const FiltersSection = ({ filters, onFilterChange }) => (
+const FiltersSection = ({ filters, statuses, onFilterChange }) => (
     <section className="filters-section" aria-label="Alert filters">
         <div className="filters-row">
             <div className="filter-group">
@@ -389,9 +1130,9 @@ const FiltersSection = ({ filters, onFilterChange }) => (
                     onChange={(e) => onFilterChange('severity', e.target.value)}
                 >
                     <option value="all">All Severities</option>
-                    <option value="high">High</option>
-                    <option value="medium">Medium</option>
-                    <option value="low">Low</option>
+                    <option value="High">High</option>
+                    <option value="Medium">Medium</option>
+                    <option value="Low">Low</option>
                 </select>
             </div>
 
@@ -406,10 +1147,11 @@ const FiltersSection = ({ filters, onFilterChange }) => (
                     onChange={(e) => onFilterChange('status', e.target.value)}
                 >
                     <option value="all">All Statuses</option>
-                    <option value="new">New</option>
-                    <option value="acknowledged">Acknowledged</option>
-                    <option value="inprogress">In Progress</option>
-                    <option value="resolved">Resolved</option>
+                    {statuses.map(status => (
+                        <option key={status} value={status}>
+                            {status.replace(/-/g, ' ')}
+                        </option>
+                    ))}
                 </select>
             </div>
 
@@ -424,11 +1166,28 @@ const FiltersSection = ({ filters, onFilterChange }) => (
                     onChange={(e) => onFilterChange('category', e.target.value)}
                 >
                     <option value="all">All Categories</option>
-                    <option value="iam">IAM</option>
-                    <option value="s3">S3</option>
-                    <option value="network">Network</option>
-                    <option value="activity">Activity</option>
-                    <option value="cve">CVE</option>
+                    <option value="IAM">IAM</option>
+                    <option value="S3">S3</option>
+                    <option value="Network">Network</option>
+                    <option value="Activity">Activity</option>
+                    <option value="CVE">CVE</option>
+                </select>
+            </div>
+
+            <div className="filter-group">
+                <label htmlFor="risk-filter" className="filter-label">
+                    Risk Score
+                </label>
+                <select
+                    id="risk-filter"
+                    className="filter-select"
+                    value={filters.minRisk}
+                    onChange={(e) => onFilterChange('minRisk', e.target.value)}
+                >
+                    <option value="all">Any Risk</option>
+                    <option value="90">90 and above</option>
+                    <option value="75">75 and above</option>
+                    <option value="50">50 and above</option>
                 </select>
             </div>
 
@@ -445,6 +1204,25 @@ const FiltersSection = ({ filters, onFilterChange }) => (
                     onChange={(e) => onFilterChange('search', e.target.value)}
                 />
             </div>
+
+            <div className="filter-group filter-group-toggle">
+                <label className="filter-toggle">
+                    <input
+                        type="checkbox"
+                        checked={filters.mine}
+                        onChange={(e) => onFilterChange('mine', e.target.checked)}
+                    />
+                    Assigned to me
+                </label>
+                <label className="filter-toggle">
+                    <input
+                        type="checkbox"
+                        checked={filters.breached}
+                        onChange={(e) => onFilterChange('breached', e.target.checked)}
+                    />
+                    SLA breached
+                </label>
+            </div>
         </div>
     </section>
 );
@@ -453,83 +1231,255 @@ const FiltersSection = ({ filters, onFilterChange }) => (
 // Alerts Section Component
 // ================================================
 
-const AlertsSection = ({ alerts, totalAlerts, loading, error, onStatusUpdate }) => (
-    <section className="alerts-section" aria-label="Alerts list">
-        <div className="alerts-header">
-            <h2 className="alerts-title">
-                🚨 Active Alerts
-                <span className="alerts-count">{alerts.length}</span>
-            </h2>
-        </div>
+const AlertsSection = ({
+    alerts, totalMatching, totalAlerts, loading, loadingMore, error, workflow,
+    sort, hasMore, onSortChange, onLoadMore, onStatusUpdate, onAssign, currentUser, onSelect, onSelectIncident,
+    checkedIds, onToggleChecked
+}) => {
+    const sentinelRef = useRef(null);
 
-        {loading && totalAlerts === 0 ? (
-            <LoadingState />
-        ) : error && totalAlerts === 0 ? (
-            <ErrorState error={error} />
-        ) : totalAlerts === 0 ? (
-            <EmptyStateNoAlerts />
-        ) : alerts.length === 0 ? (
-            <EmptyStateFiltered />
-        ) : (
-            <div className="alerts-grid">
-                {alerts.map((alert, index) => (
-                    <AlertCard
-                        key={alert.id}
-                        alert={alert}
-                        index={index}
-                        onStatusUpdate={onStatusUpdate}
-                    />
-                ))}
+    /**
+     * Infinite scroll: load the next page when the end of the list comes into view
+     */
+    useEffect(() => {
+        if (!hasMore || !sentinelRef.current) return;
+
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) onLoadMore();
+        }, { rootMargin: '200px' });
+        observer.observe(sentinelRef.current);
+
+        return () => observer.disconnect();
+    }, [hasMore, onLoadMore]);
+
+    return (
+        <section className="alerts-section" aria-label="Alerts list">
+            <div className="alerts-header">
+                <h2 className="alerts-title">
+                    🚨 Active Alerts
+                    <span className="alerts-count">{totalMatching}</span>
+                </h2>
+                <div className="alerts-sort">
+                    <label htmlFor="alerts-sort" className="filter-label">
+                        Sort by
+                    </label>
+                    <select
+                        id="alerts-sort"
+                        className="filter-select"
+                        value={sort}
+                        onChange={(e) => onSortChange(e.target.value)}
+                    >
+                        {SORT_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
             </div>
-        )}
-    </section>
-);
+
+            {loading && totalAlerts === 0 ? (
+                <LoadingState />
+            ) : error && totalAlerts === 0 ? (
+                <ErrorState error={error} />
+            ) : totalAlerts === 0 ? (
+                <EmptyStateNoAlerts />
+            ) : alerts.length === 0 ? (
+                <EmptyStateFiltered />
+            ) : (
+                <React.Fragment>
+                    <div className="alerts-grid">
+                        {alerts.map((alert, index) => (
+                            <AlertCard
+                                key={alert.id}
+                                alert={alert}
+                                index={index % CONFIG.PAGE_SIZE}
+                                transitions={workflow ? workflow.transitions[alert.status] || [] : []}
+                                onStatusUpdate={onStatusUpdate}
+                                onAssign={onAssign}
+                                currentUser={currentUser}
+                                onSelect={onSelect}
+                                onSelectIncident={onSelectIncident}
+                                checked={checkedIds ? checkedIds.includes(alert.id) : null}
+                                onToggleChecked={onToggleChecked}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="alerts-footer" ref={sentinelRef}>
+                        <span className="alerts-footer-count">
+                            Showing {alerts.length} of {totalMatching}
+                        </span>
+                        {hasMore && (
+                            <button
+                                className="btn btn-outline btn-sm"
+                                onClick={onLoadMore}
+                                disabled={loadingMore}
+                            >
+                                {loadingMore ? 'Loading...' : 'Load more'}
+                            </button>
+                        )}
+                    </div>
+                </React.Fragment>
+            )}
+        </section>
+    );
+};
 
 // ================================================
-// Alert Card Component
+// Bulk Action Bar Component
 // ================================================
 
-const AlertCard = ({ alert, index, onStatusUpdate }) => {
-    /**
-     * Get next valid status based on current status
-     * Implements state transition logic from LLD:
-     * New → Acknowledged → In-Progress → Resolved
-     */
-    const getNextStatus = (currentStatus) => {
-        const transitions = {
-            'New': 'Acknowledged',
-            'Acknowledged': 'In-Progress',
-            'In-Progress': 'Resolved',
-            'Resolved': null
-        };
-        return transitions[currentStatus];
+/**
+ * Actions for the ticked alerts, and the outcome of the last bulk action
+ */
+const BulkActionBar = ({
+    checkedCount, statuses, canDelete, currentUser, result, onAction, onSelectAll, onClear, onDismissResult
+}) => {
+    const [status, setStatus] = useState('');
+
+    const handleStatus = () => {
+        if (!status) return;
+        // Some transitions need a reason; the server reports the ones that do per alert
+        const reason = window.prompt(`Reason for moving ${checkedCount} alert(s) to ${status} (optional unless required):`);
+        if (reason === null) return;
+        onAction('status', { status, reason: reason.trim() || undefined });
     };
 
+    const handleTag = () => {
+        const input = window.prompt('Tag to add (key:value):');
+        if (!input) return;
+        const separator = input.indexOf(':');
+        if (separator <= 0) {
+            alert('Tags are written as key:value');
+            return;
+        }
+        onAction('tag', { add: { [input.slice(0, separator).trim()]: input.slice(separator + 1).trim() } });
+    };
+
+    const handleSuppress = () => {
+        const reason = window.prompt(`Reason for suppressing ${checkedCount} alert(s):`);
+        if (!reason || reason.trim() === '') return;
+        onAction('suppress', { reason });
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete ${checkedCount} alert(s)? This cannot be undone.`)) return;
+        onAction('delete');
+    };
+
+    const failures = result ? result.results.filter(item => !item.ok) : [];
+
+    return (
+        <section className="bulk-bar" aria-label="Bulk actions">
+            {checkedCount > 0 && (
+                <div className="bulk-bar-actions">
+                    <span className="bulk-bar-count">{checkedCount} selected</span>
+                    <select
+                        className="filter-select"
+                        value={status}
+                        onChange={(e) => setStatus(e.target.value)}
+                        aria-label="Status for selected alerts"
+                    >
+                        <option value="">Set status…</option>
+                        {statuses.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                    <button className="btn btn-primary btn-sm" onClick={handleStatus} disabled={!status}>
+                        Apply
+                    </button>
+                    <button className="btn btn-outline btn-sm" onClick={() => onAction('assign', { assignee: currentUser })}>
+                        Assign to me
+                    </button>
+                    <button className="btn btn-outline btn-sm" onClick={handleTag}>
+                        Tag
+                    </button>
+                    <button className="btn btn-outline btn-sm" onClick={handleSuppress}>
+                        Suppress
+                    </button>
+                    {canDelete && (
+                        <button className="btn btn-outline btn-sm btn-danger" onClick={handleDelete}>
+                            Delete
+                        </button>
+                    )}
+                    <span className="bulk-bar-spacer" />
+                    <button className="btn btn-outline btn-sm" onClick={onSelectAll}>
+                        Select all shown
+                    </button>
+                    <button className="btn btn-outline btn-sm" onClick={onClear}>
+                        Clear
+                    </button>
+                </div>
+            )}
+            {result && (
+                <div className={`bulk-bar-result ${failures.length > 0 ? 'has-failures' : ''}`} role="status">
+                    <span>
+                        {result.action}: {result.succeeded} of {result.total} succeeded
+                        {failures.length > 0 && ` • ${failures.length} failed (still selected)`}
+                    </span>
+                    <button className="btn btn-outline btn-sm" onClick={onDismissResult} aria-label="Dismiss result">
+                        ✕
+                    </button>
+                    {failures.length > 0 && (
+                        <ul className="bulk-bar-failures">
+                            {failures.map(item => (
+                                <li key={item.alertId}>
+                                    <strong>{item.alertId}</strong>: {item.error}
+                                    {item.validTransitions && ` (allowed: ${item.validTransitions.join(', ') || 'none'})`}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+};
+
+// ================================================
+// Alert Card Component
+// ================================================
+
+const AlertCard = ({
+    alert, index, transitions, onStatusUpdate, onAssign, currentUser, onSelect, onSelectIncident, checked, onToggleChecked
+}) => {
     /**
-     * Format timestamp for display
+     * Apply a workflow transition, asking for a reason when the server requires one
      */
-    const formatTimestamp = (timestamp) => {
-        const date = new Date(timestamp);
-        return date.toLocaleString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    const handleTransition = (transition) => {
+        let reason;
+        if (transition.requiresReason) {
+            reason = window.prompt(`Reason for "${transition.label || transition.to}":`);
+            if (!reason || reason.trim() === '') return;
+        }
+        onStatusUpdate(alert.id, transition.to, reason);
     };
 
-    const nextStatus = getNextStatus(alert.status);
-    const canTransition = nextStatus !== null;
+    const canTransition = transitions.length > 0;
+    const canAssignToMe = onAssign && alert.assignee !== currentUser;
 
     return (
         <article 
-            className={`alert-card severity-${alert.severity.toLowerCase()}`}
+            className={`alert-card severity-${alert.severity.toLowerCase()} ${checked ? 'checked' : ''}`}
             style={{ animationDelay: `${index * CONFIG.ANIMATION_DELAY_INCREMENT}ms` }}
         >
             <div className="alert-header">
                 <div>
-                    <span className="alert-id">{alert.id}</span>
+                    {checked !== null && (
+                        <input
+                            type="checkbox"
+                            className="alert-checkbox"
+                            checked={checked}
+                            onChange={() => onToggleChecked(alert.id)}
+                            aria-label={`Select alert ${alert.id}`}
+                        />
+                    )}
+                    <button
+                        className="alert-id alert-id-link"
+                        onClick={() => onSelect(alert.id)}
+                        aria-label={`Show details for alert ${alert.id}`}
+                    >
+                        {alert.id}
+                    </button>
                     <span className="alert-category">{alert.category}</span>
                 </div>
                 <div className="alert-badges">
@@ -537,35 +1487,107 @@ const AlertCard = ({ alert, index, onStatusUpdate }) => {
                         className={`badge badge-severity ${alert.severity.toLowerCase()}`}
                         role="status"
                         aria-label={`Severity: ${alert.severity}`}
+                        title={alert.classification ? describeClassification(alert.classification) : undefined}
                     >
                         {alert.severity}
                     </span>
                     <span 
-                        className={`badge badge-status ${alert.status.toLowerCase().replace('-', '')}`}
+                        className={`badge badge-status ${alert.status.toLowerCase().replace(/-/g, '')}`}
                         role="status"
                         aria-label={`Status: ${alert.status}`}
                     >
                         {alert.status}
                     </span>
+                    {typeof alert.riskScore === 'number' && (
+                        <span
+                            className={`badge badge-risk ${riskLevel(alert.riskScore)}`}
+                            role="status"
+                            aria-label={`Risk score ${alert.riskScore} of 100`}
+                            title={describeRiskFactors(alert.riskFactors)}
+                        >
+                            Risk {alert.riskScore}
+                        </span>
+                    )}
+                    {alert.occurrences > 1 && (
+                        <span
+                            className="badge badge-occurrences"
+                            role="status"
+                            aria-label={`Seen ${alert.occurrences} times`}
+                            title={`Last seen: ${formatTimestamp(alert.lastSeen)}`}
+                        >
+                            ×{alert.occurrences}
+                        </span>
+                    )}
+                    {alert.regression && (
+                        <span className="badge badge-regression" role="status" aria-label="Regression">
+                            Regression
+                        </span>
+                    )}
+                    {alert.enrichment && alert.enrichment.knownExploited && (
+                        <span
+                            className="badge badge-kev"
+                            role="status"
+                            aria-label={`${alert.enrichment.cveId} is known to be exploited`}
+                            title={alert.enrichment.kev.vulnerabilityName || undefined}
+                        >
+                            Exploited
+                        </span>
+                    )}
+                    {alert.incidentId && (
+                        <button
+                            className="badge badge-incident"
+                            onClick={() => onSelectIncident(alert.incidentId)}
+                            aria-label={`Show incident ${alert.incidentId}`}
+                            title={alert.incidentId}
+                        >
+                            🧩 Incident
+                        </button>
+                    )}
                 </div>
             </div>
 
             <p className="alert-description">{alert.description}</p>
 
+            {alert.statusReason && (
+                <p className="alert-status-reason">
+                    <strong>{alert.status}:</strong> {alert.statusReason}
+                </p>
+            )}
+
+            <AlertContext alert={alert} />
+
             <div className="alert-footer">
                 <span className="alert-timestamp">
                     <span role="img" aria-label="Time">🕒</span>
                     {formatTimestamp(alert.timestamp)}
                 </span>
-                {canTransition && (
+                <SlaCountdown alert={alert} />
+                <span className={`alert-owner ${alert.assignee ? '' : 'unassigned'}`}>
+                    <span role="img" aria-label="Owner">👤</span>
+                    {alert.assignee || 'Unassigned'}
+                    {alert.team && <span className="alert-team">{alert.team}</span>}
+                </span>
+                {(canTransition || canAssignToMe) && (
                     <div className="alert-actions">
-                        <button
-                            className="btn btn-primary btn-sm"
-                            onClick={() => onStatusUpdate(alert.id, nextStatus)}
-                            aria-label={`Mark alert as ${nextStatus}`}
-                        >
-                            Mark as {nextStatus}
-                        </button>
+                        {canAssignToMe && (
+                            <button
+                                className="btn btn-outline btn-sm"
+                                onClick={() => onAssign(alert.id)}
+                                aria-label={`Assign alert ${alert.id} to me`}
+                            >
+                                Assign to me
+                            </button>
+                        )}
+                        {transitions.map((transition, i) => (
+                            <button
+                                key={transition.to}
+                                className={`btn ${i === 0 ? 'btn-primary' : 'btn-outline'} btn-sm`}
+                                onClick={() => handleTransition(transition)}
+                                aria-label={`Mark alert as ${transition.to}`}
+                            >
+                                {transition.label || `Mark as ${transition.to}`}
+                            </button>
+                        ))}
                     </div>
                 )}
             </div>
@@ -573,6 +1595,981 @@ const AlertCard = ({ alert, index, onStatusUpdate }) => {
     );
 };
 
+// ================================================
+// SLA Countdown Component
+// ================================================
+
+/**
+ * Time left until the alert's next SLA deadline
+ * Re-rendered by the dashboard's auto-refresh, so it counts down without its own timer
+ */
+const SlaCountdown = ({ alert }) => {
+    if (!alert.slaStatus) return null;
+
+    if (alert.slaStatus === 'met' || alert.slaStatus === 'missed') {
+        return (
+            <span className={`sla-countdown sla-${alert.slaStatus}`} role="status">
+                {alert.slaStatus === 'met' ? 'SLA met' : 'SLA missed'}
+            </span>
+        );
+    }
+
+    const breached = alert.slaStatus === 'breached';
+    if (!alert.dueAt) {
+        return <span className="sla-countdown sla-breached" role="status">⏰ SLA breached</span>;
+    }
+
+    const deadline = alert.dueAt === alert.acknowledgeBy ? 'Ack' : 'Resolve';
+    const remaining = new Date(alert.dueAt).getTime() - Date.now();
+    const windowMs = new Date(alert.dueAt).getTime() - new Date(alert.slaStartedAt).getTime();
+    const atRisk = remaining > 0 && remaining < windowMs * 0.25;
+    const className = breached || remaining <= 0 ? 'sla-breached' : (atRisk ? 'sla-at-risk' : 'sla-on-track');
+
+    return (
+        <span
+            className={`sla-countdown ${className}`}
+            role="status"
+            title={`${deadline} due ${formatTimestamp(alert.dueAt)}`}
+        >
+            <span role="img" aria-label="SLA">⏱</span>
+            {breached && 'Breached • '}
+            {remaining > 0
+                ? `${deadline} due in ${formatDuration(remaining)}`
+                : `${deadline} overdue by ${formatDuration(remaining)}`}
+        </span>
+    );
+};
+
+// ================================================
+// Classification Explanation Component
+// ================================================
+
+/**
+ * One-line summary of why an alert got its severity
+ */
+const describeClassification = (classification) => {
+    switch (classification.source) {
+        case 'rule':
+            return `${classification.severity} by rule ${classification.ruleId}` +
+                (classification.matched.length > 0 ? `: ${classification.matched.join(', ')}` : '');
+        case 'finding':
+        case 'enrichment':
+            return classification.ruleDescription;
+        default:
+            return `${classification.severity} by default: ${classification.ruleDescription}`;
+    }
+};
+
+/**
+ * Which classification rule set the severity, and which of its conditions matched
+ */
+const ClassificationExplanation = ({ alert }) => {
+    const classification = alert.classification;
+    if (!classification) return null;
+
+    return (
+        <div className="classification">
+            <div className="classification-title">
+                Why {classification.severity}?
+                {classification.ruleId && <code className="classification-rule">{classification.ruleId}</code>}
+            </div>
+            {classification.ruleDescription && (
+                <p className="classification-description">{classification.ruleDescription}</p>
+            )}
+            {classification.matched.length > 0 && (
+                <ul className="classification-conditions">
+                    {classification.matched.map(condition => <li key={condition}>{condition}</li>)}
+                </ul>
+            )}
+            {classification.severity !== alert.severity && (
+                <p className="classification-description">Severity since changed to {alert.severity}.</p>
+            )}
+        </div>
+    );
+};
+
+// ================================================
+// Alert Context Component
+// ================================================
+
+/**
+ * Finding context carried over from the detection engine
+ * (source, rule, resource, account/region, tags)
+ */
+const AlertContext = ({ alert }) => {
+    const tags = Object.entries(alert.tags || {});
+    const resourceLabel = alert.resource
+        ? (alert.resource.arn || alert.resource.id)
+        : null;
+
+    const rows = [
+        { label: 'Source', value: alert.source },
+        { label: 'Rule', value: alert.ruleId },
+        {
+            label: 'Resource',
+            value: resourceLabel && (alert.resource.type
+                ? `${alert.resource.type} • ${resourceLabel}`
+                : resourceLabel)
+        },
+        {
+            label: 'Account',
+            value: alert.accountId && (alert.region
+                ? `${alert.accountId} • ${alert.region}`
+                : alert.accountId)
+        }
+    ].filter(row => row.value);
+
+    if (rows.length === 0 && tags.length === 0) return null;
+
+    return (
+        <div className="alert-context">
+            {rows.length > 0 && (
+                <dl className="alert-context-list">
+                    {rows.map(row => (
+                        <div key={row.label} className="alert-context-row">
+                            <dt>{row.label}</dt>
+                            <dd title={row.value}>{row.value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            )}
+            {tags.length > 0 && (
+                <div className="alert-tags">
+                    {tags.map(([key, value]) => (
+                        <span key={key} className="alert-tag">{key}: {value}</span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * NVD, EPSS and CISA KEV data looked up for a CVE alert
+ */
+const CveEnrichment = ({ enrichment }) => {
+    if (!enrichment) return null;
+    const { cvss, epss, kev } = enrichment;
+
+    const rows = [
+        { label: 'CVSS', value: cvss && `${cvss.score} • ${cvss.vector}` },
+        {
+            label: 'EPSS',
+            value: epss && `${(epss.probability * 100).toFixed(1)}% chance of exploitation` +
+                (epss.percentile !== null ? ` (percentile ${(epss.percentile * 100).toFixed(0)})` : '')
+        },
+        {
+            label: 'KEV',
+            value: kev && `Known exploited since ${kev.dateAdded}` +
+                (kev.knownRansomwareCampaignUse === 'Known' ? ', used by ransomware' : '') +
+                (kev.dueDate ? `; federal due date ${kev.dueDate}` : '')
+        }
+    ].filter(row => row.value);
+
+    return (
+        <div className="cve-enrichment">
+            <div className="cve-enrichment-title">{enrichment.cveId}</div>
+            {enrichment.summary && <p className="cve-enrichment-summary">{enrichment.summary}</p>}
+            {rows.length > 0 && (
+                <dl className="alert-context-list">
+                    {rows.map(row => (
+                        <div key={row.label} className="alert-context-row">
+                            <dt>{row.label}</dt>
+                            <dd title={row.value}>{row.value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            )}
+            {kev && kev.requiredAction && (
+                <p className="cve-enrichment-summary">Required action: {kev.requiredAction}</p>
+            )}
+            {enrichment.references.length > 0 && (
+                <ul className="cve-enrichment-references">
+                    {enrichment.references.map(url => (
+                        <li key={url}>
+                            <a href={url} target="_blank" rel="noopener noreferrer">{url}</a>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// ================================================
+// Alert Detail Component
+// ================================================
+
+/**
+ * Describe an audit entry for the activity timeline
+ */
+const describeAuditEntry = (entry) => {
+    switch (entry.action) {
+        case 'ALERT_CREATED':
+            return { icon: '🆕', title: 'Alert created', detail: entry.details };
+        case 'STATUS_UPDATED':
+            return { icon: '🔀', title: `${entry.oldStatus} → ${entry.newStatus}`, detail: entry.reason };
+        case 'ALERT_REOPENED':
+            return { icon: '🔁', title: `Reopened (${entry.oldStatus} → ${entry.newStatus})`, detail: entry.details };
+        case 'ALERT_OCCURRENCE_RECORDED':
+            return { icon: '🔂', title: `Seen again (${entry.occurrences} occurrences)` };
+        case 'ALERT_ASSIGNED':
+            return {
+                icon: '👤',
+                title: entry.newAssignee ? `Assigned to ${entry.newAssignee}` : 'Unassigned',
+                detail: [entry.newTeam && `Team: ${entry.newTeam}`, entry.auto && 'automatic']
+                    .filter(Boolean).join(' • ')
+            };
+        case 'COMMENT_ADDED':
+            return {
+                icon: '💬',
+                title: entry.parentId ? 'Replied to a note' : 'Added a note',
+                detail: entry.mentions && entry.mentions.length > 0
+                    ? `Mentioned ${entry.mentions.map(username => `@${username}`).join(', ')}`
+                    : null
+            };
+        case 'COMMENT_EDITED':
+            return { icon: '✏️', title: `Edited a note (version ${entry.version})` };
+        case 'SLA_BREACHED':
+            return {
+                icon: '⏰',
+                title: `${entry.slaType === 'acknowledge' ? 'Acknowledge' : 'Resolve'} SLA breached`,
+                detail: [
+                    `Due ${formatTimestamp(entry.dueAt)}`,
+                    entry.escalatedTo && `escalated to ${entry.escalatedTo}`,
+                    entry.reassignedTo && `reassigned to ${entry.reassignedTo}`
+                ].filter(Boolean).join(' • ')
+            };
+        case 'ALERT_SUPPRESSED':
+            return { icon: '🔇', title: `Suppressed by rule ${entry.suppressionId}`, detail: entry.reason };
+        case 'SEVERITY_ESCALATED':
+            return { icon: '⬆️', title: `Severity ${entry.oldSeverity} → ${entry.newSeverity}`, detail: entry.reason };
+        case 'ALERT_ENRICHED':
+            return {
+                icon: '📚',
+                title: `${entry.cveId} looked up again`,
+                detail: [
+                    entry.knownExploited && 'known exploited',
+                    entry.cvssScore !== null && entry.cvssScore !== undefined && `CVSS ${entry.cvssScore}`,
+                    entry.epss !== null && entry.epss !== undefined && `EPSS ${entry.epss}`
+                ].filter(Boolean).join(' • ')
+            };
+        case 'ALERT_TAGGED':
+            return {
+                icon: '🏷️',
+                title: 'Tags changed',
+                detail: [
+                    ...Object.entries(entry.added || {}).map(([key, value]) => `+${key}:${value}`),
+                    ...(entry.removed || []).map(key => `−${key}`)
+                ].join(' ')
+            };
+        case 'INCIDENT_ALERT_ADDED':
+            return {
+                icon: '🧩',
+                title: `Added to incident ${entry.incidentId}`,
+                detail: entry.ruleId ? `Correlation rule: ${entry.ruleId}` : 'Added manually'
+            };
+        case 'INCIDENT_ALERT_REMOVED':
+            return { icon: '🧩', title: `Removed from incident ${entry.incidentId}` };
+        case 'ALERT_DELETED':
+            return { icon: '🗑️', title: 'Alert deleted' };
+        default: {
+            const title = entry.action.toLowerCase().replace(/_/g, ' ');
+            return {
+                icon: entry.error ? '⚠️' : '📝',
+                title: title.charAt(0).toUpperCase() + title.slice(1),
+                detail: entry.error || entry.details
+            };
+        }
+    }
+};
+
+/**
+ * Alert detail view: every alert field plus the chronological audit timeline
+ */
+const AlertDetail = ({ alertId, refreshKey, user, onClose }) => {
+    const [alert, setAlert] = useState(null);
+    const [timeline, setTimeline] = useState([]);
+    const [error, setError] = useState(null);
+
+    /**
+     * Fetch the alert and its audit history (oldest first)
+     */
+    const fetchDetail = async () => {
+        try {
+            const [alertResponse, auditResponse] = await Promise.all([
+                apiFetch(`/alerts/${alertId}`),
+                apiFetch(`/audit?alertId=${encodeURIComponent(alertId)}&order=asc&limit=500`)
+            ]);
+
+            if (!alertResponse.ok || !auditResponse.ok) {
+                throw new Error(`HTTP error! status: ${alertResponse.ok ? auditResponse.status : alertResponse.status}`);
+            }
+
+            setAlert(await alertResponse.json());
+            setTimeline((await auditResponse.json()).entries);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching alert detail:', err);
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        fetchDetail();
+    }, [alertId, refreshKey]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <aside
+                className="alert-detail"
+                role="dialog"
+                aria-modal="true"
+                aria-label={`Alert ${alertId}`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="alert-detail-header">
+                    <h2 className="alert-detail-title">{alertId}</h2>
+                    <button className="btn btn-outline btn-sm" onClick={onClose} aria-label="Close details">
+                        ✕
+                    </button>
+                </div>
+
+                {error && <p className="alert-detail-error">{error}</p>}
+
+                {alert && (
+                    <React.Fragment>
+                        <div className="alert-badges">
+                            <span className={`badge badge-severity ${alert.severity.toLowerCase()}`}>
+                                {alert.severity}
+                            </span>
+                            <span className={`badge badge-status ${alert.status.toLowerCase().replace(/-/g, '')}`}>
+                                {alert.status}
+                            </span>
+                            <span className="alert-category">{alert.category}</span>
+                            <SlaCountdown alert={alert} />
+                        </div>
+                        <p className="alert-description">{alert.description}</p>
+                        <ClassificationExplanation alert={alert} />
+                        <AlertContext alert={alert} />
+                        <CveEnrichment enrichment={alert.enrichment} />
+                        {alert.evidence && Object.keys(alert.evidence).length > 0 && (
+                            <pre className="alert-evidence">{JSON.stringify(alert.evidence, null, 2)}</pre>
+                        )}
+                    </React.Fragment>
+                )}
+
+                <NotesPane alertId={alertId} user={user} onChange={fetchDetail} />
+
+                <h3 className="alert-detail-subtitle">Activity</h3>
+                {timeline.length === 0 ? (
+                    <p className="empty-state-text">No activity recorded.</p>
+                ) : (
+                    <ol className="timeline">
+                        {timeline.map(entry => {
+                            const { icon, title, detail } = describeAuditEntry(entry);
+                            return (
+                                <li key={entry._id || entry.sequence} className="timeline-item">
+                                    <span className="timeline-icon" aria-hidden="true">{icon}</span>
+                                    <div className="timeline-body">
+                                        <div className="timeline-title">{title}</div>
+                                        {detail && <div className="timeline-detail">{detail}</div>}
+                                        <time className="timeline-time" dateTime={entry.timestamp}>
+                                            {formatTimestamp(entry.timestamp)}
+                                            {entry.actor && ` • ${entry.actor}`}
+                                            {entry.batchId && ` • bulk ${entry.batchId}`}
+                                        </time>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ol>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+// ================================================
+// Incidents Components
+// ================================================
+
+// What a correlation rule groups on, for display
+const CORRELATION_KEY_LABELS = {
+    resource: 'Same resource',
+    account: 'Same account',
+    ruleId: 'Same rule'
+};
+
+/**
+ * Why an incident's alerts belong together
+ */
+const describeCorrelation = (incident) => {
+    if (!incident.correlation) return 'Grouped manually';
+    const label = CORRELATION_KEY_LABELS[incident.correlation.key] || incident.correlation.key;
+    return `${label}: ${incident.correlation.value} (rule ${incident.ruleId})`;
+};
+
+/**
+ * Incident list; refetched whenever the dashboard refreshes
+ */
+const IncidentsSection = ({ onSelect, refreshKey }) => {
+    const [incidents, setIncidents] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [statusFilter, setStatusFilter] = useState('active');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchIncidents = async () => {
+        try {
+            const params = new URLSearchParams({ limit: '100' });
+            if (statusFilter === 'active') {
+                params.append('status', 'Open');
+                params.append('status', 'Investigating');
+            } else if (statusFilter !== 'all') {
+                params.append('status', statusFilter);
+            }
+
+            const response = await apiFetch(`/incidents?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const body = await response.json();
+            setIncidents(body.incidents);
+            setTotal(body.total);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching incidents:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchIncidents();
+    }, [statusFilter, refreshKey]);
+
+    return (
+        <section className="alerts-section" aria-label="Incidents list">
+            <div className="alerts-header">
+                <h2 className="alerts-title">
+                    🧩 Incidents
+                    <span className="alerts-count">{total}</span>
+                </h2>
+                <div className="alerts-sort">
+                    <label htmlFor="incidents-status" className="filter-label">
+                        Show
+                    </label>
+                    <select
+                        id="incidents-status"
+                        className="filter-select"
+                        value={statusFilter}
+                        onChange={(e) => setStatusFilter(e.target.value)}
+                    >
+                        <option value="active">Open &amp; investigating</option>
+                        <option value="Resolved">Resolved</option>
+                        <option value="all">All</option>
+                    </select>
+                </div>
+            </div>
+
+            {loading ? (
+                <LoadingState />
+            ) : error ? (
+                <ErrorState error={error} />
+            ) : incidents.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon" role="img" aria-label="Puzzle">🧩</div>
+                    <h3 className="empty-state-title">No incidents</h3>
+                    <p className="empty-state-text">
+                        Related alerts are grouped here automatically when they share a resource or account.
+                    </p>
+                </div>
+            ) : (
+                <div className="alerts-grid">
+                    {incidents.map(incident => (
+                        <article
+                            key={incident.id}
+                            className={`alert-card incident-card severity-${(incident.severity || 'low').toLowerCase()}`}
+                        >
+                            <div className="alert-header">
+                                <div>
+                                    <button
+                                        className="alert-id alert-id-link"
+                                        onClick={() => onSelect(incident.id)}
+                                        aria-label={`Show details for incident ${incident.id}`}
+                                    >
+                                        {incident.id}
+                                    </button>
+                                </div>
+                                <IncidentBadges incident={incident} />
+                            </div>
+                            <p className="alert-description">{incident.title}</p>
+                            <p className="incident-correlation">{describeCorrelation(incident)}</p>
+                            <div className="alert-footer">
+                                <span className="alert-timestamp">
+                                    <span role="img" aria-label="Time">🕒</span>
+                                    Last alert {formatTimestamp(incident.lastAlertAt)}
+                                </span>
+                                <span className="incident-members">
+                                    {incident.openAlertCount} of {incident.alertCount} alerts open
+                                    {incident.categories.map(category => (
+                                        <span key={category} className="alert-category">{category}</span>
+                                    ))}
+                                </span>
+                            </div>
+                        </article>
+                    ))}
+                </div>
+            )}
+        </section>
+    );
+};
+
+const IncidentBadges = ({ incident }) => (
+    <div className="alert-badges">
+        {incident.severity && (
+            <span className={`badge badge-severity ${incident.severity.toLowerCase()}`}>
+                {incident.severity}
+            </span>
+        )}
+        <span className={`badge badge-incident-status ${incident.status.toLowerCase()}`}>
+            {incident.status}
+        </span>
+        {typeof incident.riskScore === 'number' && (
+            <span className={`badge badge-risk ${riskLevel(incident.riskScore)}`}>
+                Risk {incident.riskScore}
+            </span>
+        )}
+    </div>
+);
+
+/**
+ * Incident detail: member alerts, lifecycle actions and "close incident & alerts"
+ */
+const IncidentDetail = ({ incidentId, canUpdate, onSelectAlert, onClose }) => {
+    const [incident, setIncident] = useState(null);
+    const [transitions, setTransitions] = useState({});
+    const [error, setError] = useState(null);
+    const [working, setWorking] = useState(false);
+
+    const fetchDetail = async () => {
+        try {
+            const response = await apiFetch(`/incidents/${incidentId}`);
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            setIncident(body);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching incident detail:', err);
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        fetchDetail();
+    }, [incidentId]);
+
+    useEffect(() => {
+        apiFetch('/incidents/config')
+            .then(response => response.ok ? response.json() : null)
+            .then(config => config && setTransitions(config.transitions))
+            .catch(err => console.error('❌ Error fetching incident lifecycle:', err));
+    }, []);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    /**
+     * Send a change to the incident API, then reload the incident
+     */
+    const runAction = async (path, method, payload, failureMessage) => {
+        setWorking(true);
+        try {
+            const response = await apiFetch(path, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: payload ? JSON.stringify(payload) : undefined
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || failureMessage);
+            }
+            await fetchDetail();
+            return body;
+        } catch (err) {
+            console.error(`❌ ${failureMessage}:`, err);
+            alert(`${failureMessage}: ${err.message}`);
+            return null;
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleTransition = (transition) => {
+        let reason;
+        if (transition.requiresReason) {
+            reason = window.prompt(`Reason for moving the incident to ${transition.to}:`);
+            if (!reason || reason.trim() === '') return;
+        }
+        runAction(`/incidents/${incidentId}/status`, 'PUT', { status: transition.to, reason }, 'Failed to update incident status');
+    };
+
+    const handleCloseAll = async () => {
+        const reason = window.prompt(
+            `Resolve incident ${incidentId} and all ${incident.openAlertCount} open alerts in it?\n` +
+            'Optional reason (recorded on each alert):'
+        );
+        if (reason === null) return;
+
+        const result = await runAction(`/incidents/${incidentId}/close`, 'POST', { reason }, 'Failed to close incident');
+        if (result && result.failed.length > 0) {
+            alert(
+                `Closed ${result.closed.length} alert(s); ${result.failed.length} could not be closed:\n` +
+                result.failed.map(failure => `${failure.alertId}: ${failure.error}`).join('\n')
+            );
+        }
+    };
+
+    const handleRemove = (alertId) => {
+        if (!window.confirm(`Remove alert ${alertId} from this incident?`)) return;
+        runAction(`/incidents/${incidentId}/alerts/${alertId}`, 'DELETE', null, 'Failed to remove alert');
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <aside
+                className="alert-detail"
+                role="dialog"
+                aria-modal="true"
+                aria-label={`Incident ${incidentId}`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="alert-detail-header">
+                    <h2 className="alert-detail-title">{incidentId}</h2>
+                    <button className="btn btn-outline btn-sm" onClick={onClose} aria-label="Close details">
+                        ✕
+                    </button>
+                </div>
+
+                {error && <p className="alert-detail-error">{error}</p>}
+
+                {incident && (
+                    <React.Fragment>
+                        <IncidentBadges incident={incident} />
+                        <p className="alert-description">{incident.title}</p>
+                        <p className="incident-correlation">{describeCorrelation(incident)}</p>
+                        {incident.statusReason && (
+                            <p className="alert-status-reason">
+                                <strong>{incident.status}:</strong> {incident.statusReason}
+                            </p>
+                        )}
+
+                        {canUpdate && (
+                            <div className="alert-actions">
+                                {(transitions[incident.status] || []).map(transition => (
+                                    <button
+                                        key={transition.to}
+                                        className="btn btn-outline btn-sm"
+                                        onClick={() => handleTransition(transition)}
+                                        disabled={working}
+                                    >
+                                        Mark as {transition.to}
+                                    </button>
+                                ))}
+                                {incident.openAlertCount > 0 && (
+                                    <button
+                                        className="btn btn-primary btn-sm"
+                                        onClick={handleCloseAll}
+                                        disabled={working}
+                                    >
+                                        Resolve incident &amp; alerts
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        <h3 className="alert-detail-subtitle">Alerts ({incident.alerts.length})</h3>
+                        <ul className="incident-alerts">
+                            {incident.alerts.map(alert => (
+                                <li key={alert.id} className="incident-alert">
+                                    <button
+                                        className="alert-id alert-id-link"
+                                        onClick={() => onSelectAlert(alert.id)}
+                                        aria-label={`Show details for alert ${alert.id}`}
+                                    >
+                                        {alert.id}
+                                    </button>
+                                    <span className={`badge badge-severity ${alert.severity.toLowerCase()}`}>
+                                        {alert.severity}
+                                    </span>
+                                    <span className={`badge badge-status ${alert.status.toLowerCase().replace(/-/g, '')}`}>
+                                        {alert.status}
+                                    </span>
+                                    <span className="alert-category">{alert.category}</span>
+                                    <span className="incident-alert-description">{alert.description}</span>
+                                    {canUpdate && (
+                                        <button
+                                            className="btn btn-outline btn-sm"
+                                            onClick={() => handleRemove(alert.id)}
+                                            disabled={working}
+                                            aria-label={`Remove alert ${alert.id} from incident`}
+                                        >
+                                            Remove
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </React.Fragment>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+// ================================================
+// Notes Pane Component
+// ================================================
+
+/**
+ * Investigation notes on an alert, threaded by reply
+ * Analysts and admins can write; authors (and admins) can edit
+ */
+const NotesPane = ({ alertId, user, onChange }) => {
+    const [comments, setComments] = useState([]);
+    const [error, setError] = useState(null);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [editing, setEditing] = useState(null);
+
+    const canComment = user.role === 'analyst' || user.role === 'admin';
+
+    const fetchComments = async () => {
+        try {
+            const response = await apiFetch(`/alerts/${alertId}/comments`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            setComments((await response.json()).comments);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching notes:', err);
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        fetchComments();
+    }, [alertId]);
+
+    /**
+     * Create a note/reply (POST) or edit one (PUT)
+     */
+    const saveComment = async (path, method, payload) => {
+        const response = await apiFetch(path, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || 'Failed to save note');
+        }
+
+        setReplyingTo(null);
+        setEditing(null);
+        await fetchComments();
+        onChange();
+    };
+
+    const handleAdd = (body, parentId) =>
+        saveComment(`/alerts/${alertId}/comments`, 'POST', { body, parentId });
+
+    const handleEdit = (commentId, body) =>
+        saveComment(`/alerts/${alertId}/comments/${commentId}`, 'PUT', { body });
+
+    // Group replies under their parent comment
+    const childrenByParent = useMemo(() => {
+        const groups = {};
+        comments.forEach(comment => {
+            const parent = comment.parentId || 'root';
+            (groups[parent] = groups[parent] || []).push(comment);
+        });
+        return groups;
+    }, [comments]);
+
+    const renderThread = (parentId) => (
+        <ul className="notes-thread">
+            {(childrenByParent[parentId] || []).map(comment => (
+                <li key={comment.id} className="note">
+                    {editing === comment.id ? (
+                        <CommentForm
+                            initialBody={comment.body}
+                            submitLabel="Save"
+                            onSubmit={(body) => handleEdit(comment.id, body)}
+                            onCancel={() => setEditing(null)}
+                        />
+                    ) : (
+                        <CommentItem
+                            comment={comment}
+                            canReply={canComment}
+                            canEdit={canComment && (comment.author === user.username || user.role === 'admin')}
+                            onReply={() => setReplyingTo(comment.id)}
+                            onEdit={() => setEditing(comment.id)}
+                        />
+                    )}
+                    {replyingTo === comment.id && (
+                        <CommentForm
+                            submitLabel="Reply"
+                            onSubmit={(body) => handleAdd(body, comment.id)}
+                            onCancel={() => setReplyingTo(null)}
+                        />
+                    )}
+                    {childrenByParent[comment.id] && renderThread(comment.id)}
+                </li>
+            ))}
+        </ul>
+    );
+
+    return (
+        <section className="notes-pane" aria-label="Investigation notes">
+            <h3 className="alert-detail-subtitle">
+                Notes
+                <span className="alerts-count">{comments.length}</span>
+            </h3>
+
+            {error && <p className="alert-detail-error">{error}</p>}
+
+            {comments.length === 0 ? (
+                <p className="empty-state-text">No notes yet.</p>
+            ) : (
+                renderThread('root')
+            )}
+
+            {canComment && (
+                <CommentForm submitLabel="Add note" onSubmit={(body) => handleAdd(body)} />
+            )}
+        </section>
+    );
+};
+
+/**
+ * One note: author, time, rendered markdown and its edit history
+ */
+const CommentItem = ({ comment, canReply, canEdit, onReply, onEdit }) => {
+    const [showHistory, setShowHistory] = useState(false);
+
+    return (
+        <div className="note-body">
+            <div className="note-meta">
+                <strong>{comment.author}</strong>
+                <time dateTime={comment.createdAt}>{formatTimestamp(comment.createdAt)}</time>
+                {comment.edited && (
+                    <button
+                        className="note-link"
+                        onClick={() => setShowHistory(!showHistory)}
+                        aria-expanded={showHistory}
+                    >
+                        edited ({comment.history.length})
+                    </button>
+                )}
+            </div>
+
+            <div className="markdown">{renderMarkdown(comment.body)}</div>
+
+            {showHistory && (
+                <ol className="note-history">
+                    {comment.history.slice().reverse().map(version => (
+                        <li key={version.editedAt}>
+                            <div className="note-meta">
+                                Replaced {formatTimestamp(version.editedAt)} by {version.editedBy}
+                            </div>
+                            <div className="markdown">{renderMarkdown(version.body)}</div>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {(canReply || canEdit) && (
+                <div className="note-actions">
+                    {canReply && <button className="note-link" onClick={onReply}>Reply</button>}
+                    {canEdit && <button className="note-link" onClick={onEdit}>Edit</button>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Markdown textarea for writing or editing a note
+ */
+const CommentForm = ({ initialBody = '', submitLabel, onSubmit, onCancel }) => {
+    const [body, setBody] = useState(initialBody);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (body.trim() === '') return;
+
+        setSaving(true);
+        try {
+            await onSubmit(body);
+            setBody('');
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error saving note:', err);
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="note-form" onSubmit={handleSubmit}>
+            <textarea
+                className="filter-input note-input"
+                rows={3}
+                placeholder="Markdown supported. Use @username to mention someone."
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                aria-label={submitLabel}
+            />
+            {error && <p className="alert-detail-error">{error}</p>}
+            <div className="note-actions">
+                <button type="submit" className="btn btn-primary btn-sm" disabled={saving || body.trim() === ''}>
+                    {saving ? 'Saving...' : submitLabel}
+                </button>
+                {onCancel && (
+                    <button type="button" className="btn btn-outline btn-sm" onClick={onCancel}>
+                        Cancel
+                    </button>
+                )}
+            </div>
+        </form>
+    );
+};
+
 // ================================================
 // Loading State Component
 // ================================================
@@ -638,4 +2635,4 @@ const EmptyStateFiltered = () => (
  */
 const rootElement = document.getElementById('root');
 const root = ReactDOM.createRoot(rootElement);
-root.render(<Dashboard />);
\ No newline at end of file
+root.render(<App />);
\ No newline at end of file
@@ -1,11 +1,16 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { authenticate } = require('./middleware/auth');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors(process.env.CORS_ORIGIN ? { origin: process.env.CORS_ORIGIN.split(',') } : undefined));
+// Finding batches and log files are larger than ordinary API requests; log files may be gzip'd
+const ingestBodyLimit = process.env.INGEST_BODY_LIMIT || '10mb';
+app.use('/api/ingest', express.json({ type: ['application/json', 'application/*+json'], limit: ingestBodyLimit }));
+app.use('/api/ingest', express.raw({ type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'], limit: ingestBodyLimit }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -13,8 +18,33 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../dashboard')));
 
 // API Routes
+const authRoutes = require('./routes/auth');
+app.use('/api/auth', authRoutes);
+
+// Every other API route requires an authenticated caller
 const alertRoutes = require('./routes/alerts');
-app.use('/api/alerts', alertRoutes);
+app.use('/api/alerts', authenticate, alertRoutes);
+
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', authenticate, auditRoutes);
+
+const webhookRoutes = require('./routes/webhooks');
+app.use('/api/webhooks', authenticate, webhookRoutes);
+
+const notificationRoutes = require('./routes/notifications');
+app.use('/api/notifications', authenticate, notificationRoutes);
+
+const suppressionRoutes = require('./routes/suppressions');
+app.use('/api/suppressions', authenticate, suppressionRoutes);
+
+const incidentRoutes = require('./routes/incidents');
+app.use('/api/incidents', authenticate, incidentRoutes);
+
+const ingestRoutes = require('./routes/ingest');
+app.use('/api/ingest', authenticate, ingestRoutes);
+
+const enrichmentRoutes = require('./routes/enrichment');
+app.use('/api/enrichment', authenticate, enrichmentRoutes);
 
 // Root route - serve dashboard
 app.get('/', (req, res) => {
@@ -0,0 +1,66 @@
+/**
+ * Alert assignment configuration
+ *
+ * Defines the teams (with their members, in round-robin order) and which team
+ * owns each alert category. Loaded from config/assignment.json by default, or
+ * the path in ASSIGNMENT_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ASSIGNMENT_PATH = path.join(__dirname, 'assignment.json');
+
+// Loaded configurations, keyed by file path
+const cache = new Map();
+
+/**
+ * Check that an assignment configuration is internally consistent
+ *
+ * @param {Object} config - Parsed assignment configuration
+ * @throws {Error} If the configuration is invalid
+ */
+function validateAssignmentConfig(config) {
+    if (!config || typeof config.teams !== 'object' || config.teams === null) {
+        throw new Error('Assignment config must define a "teams" object');
+    }
+
+    Object.entries(config.teams).forEach(([team, definition]) => {
+        if (!definition || !Array.isArray(definition.members)) {
+            throw new Error(`Assignment team ${team} must have a "members" list`);
+        }
+    });
+
+    Object.entries(config.categories || {}).forEach(([category, team]) => {
+        if (!config.teams[team]) {
+            throw new Error(`Assignment category ${category} references unknown team: ${team}`);
+        }
+    });
+}
+
+/**
+ * Load and validate the assignment configuration (cached per file)
+ *
+ * @param {string} [filePath] - Config JSON file (defaults to ASSIGNMENT_CONFIG or config/assignment.json)
+ * @returns {Object} Assignment configuration
+ */
+function loadAssignmentConfig(filePath = process.env.ASSIGNMENT_CONFIG || DEFAULT_ASSIGNMENT_PATH) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load assignment config from ${filePath}: ${error.message}`);
+    }
+
+    validateAssignmentConfig(config);
+    config.categories = config.categories || {};
+
+    cache.set(filePath, config);
+    return config;
+}
+
+module.exports = { loadAssignmentConfig, validateAssignmentConfig };
@@ -0,0 +1,49 @@
+/**
+ * Authentication configuration
+ *
+ * AUTH_ENABLED   - "false" disables authentication (every request acts as an admin)
+ * JWT_SECRET     - HMAC secret for signing tokens; a random one is generated if missing
+ * JWT_TTL        - Token lifetime in seconds (default 8 hours)
+ * API_KEYS       - Comma-separated name:role:key entries for machine clients,
+ *                  e.g. "rule-engine:analyst:3f9c...,ops:admin:a1b2..."
+ * ADMIN_USERNAME / ADMIN_PASSWORD - Admin account created at startup if it does not exist
+ */
+
+const crypto = require('crypto');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+function parseApiKeys(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, role, key] = entry.split(':');
+        if (!name || !key || !ROLES.includes(role)) {
+            throw new Error(
+                `Invalid API_KEYS entry for "${name || entry}". ` +
+                `Expected name:role:key with role one of: ${ROLES.join(', ')}`
+            );
+        }
+        return { name, role, key };
+    });
+}
+
+const enabled = process.env.AUTH_ENABLED !== 'false';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (enabled && !jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET is not set - using a random secret (tokens will not survive a restart)');
+}
+
+module.exports = {
+    ROLES,
+    enabled,
+    jwtSecret,
+    jwtTtlSeconds: parseInt(process.env.JWT_TTL, 10) || 8 * 60 * 60,
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD
+};
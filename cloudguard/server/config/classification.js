@@ -0,0 +1,136 @@
+/**
+ * Severity classification rules
+ *
+ * Findings without a valid severity are classified by the first matching rule,
+ * highest priority first. A rule's "when" conditions must all match:
+ *
+ *   category          string or list
+ *   resourceType      string or list
+ *   source            string or list
+ *   tags              { key: value | [values] | "*" }  ("*" = tag present)
+ *   cvssScore         { gte, gt, lte, lt }
+ *   descriptionRegex  regular expression, case-insensitive
+ *
+ * Loaded from config/classification.json by default, or the path in
+ * CLASSIFICATION_CONFIG. Files ending in .yml/.yaml need the js-yaml package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CLASSIFICATION_PATH = path.join(__dirname, 'classification.json');
+
+const SEVERITIES = ['High', 'Medium', 'Low'];
+const CONDITIONS = ['category', 'resourceType', 'source', 'tags', 'cvssScore', 'descriptionRegex'];
+const SCORE_OPERATORS = ['gte', 'gt', 'lte', 'lt'];
+
+// Loaded rule sets, keyed by file path
+const cache = new Map();
+
+/**
+ * Check a rule set
+ *
+ * @param {Object} ruleSet - Parsed classification rules
+ * @throws {Error} If the rule set is invalid
+ */
+function validateClassificationRules(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+        throw new Error('Classification config must define a "rules" list');
+    }
+    if (ruleSet.defaultSeverity !== undefined && !SEVERITIES.includes(ruleSet.defaultSeverity)) {
+        throw new Error(`Invalid defaultSeverity: ${ruleSet.defaultSeverity}. Must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    const ids = new Set();
+    ruleSet.rules.forEach((rule, index) => {
+        const where = `Classification rule ${rule && rule.id ? rule.id : `#${index + 1}`}`;
+        if (!rule || typeof rule.id !== 'string' || rule.id.trim() === '') {
+            throw new Error(`${where}: id is required`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`${where}: duplicate id`);
+        }
+        ids.add(rule.id);
+
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw new Error(`${where}: severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+            throw new Error(`${where}: priority must be a number`);
+        }
+
+        const when = rule.when;
+        if (!when || typeof when !== 'object' || Object.keys(when).length === 0) {
+            throw new Error(`${where}: "when" must set at least one condition`);
+        }
+        Object.keys(when).forEach(condition => {
+            if (!CONDITIONS.includes(condition)) {
+                throw new Error(`${where}: unknown condition ${condition}. Must be any of: ${CONDITIONS.join(', ')}`);
+            }
+        });
+        if (when.tags !== undefined && (typeof when.tags !== 'object' || Array.isArray(when.tags))) {
+            throw new Error(`${where}: tags must be an object of key/value conditions`);
+        }
+        if (when.cvssScore !== undefined) {
+            const operators = Object.keys(when.cvssScore || {});
+            if (operators.length === 0 || operators.some(op => !SCORE_OPERATORS.includes(op) || typeof when.cvssScore[op] !== 'number')) {
+                throw new Error(`${where}: cvssScore must use numeric ${SCORE_OPERATORS.join(', ')} bounds`);
+            }
+        }
+        if (when.descriptionRegex !== undefined) {
+            try {
+                new RegExp(when.descriptionRegex, 'i');
+            } catch (error) {
+                throw new Error(`${where}: invalid descriptionRegex: ${error.message}`);
+            }
+        }
+    });
+}
+
+/**
+ * Parse a rule file as JSON or, by extension, YAML
+ * @private
+ */
+function parseRuleFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (/\.ya?ml$/i.test(filePath)) {
+        // Required lazily so JSON rule files work without the js-yaml package
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            throw new Error('YAML classification rules need the js-yaml package (npm install js-yaml)');
+        }
+        return yaml.load(content);
+    }
+    return JSON.parse(content);
+}
+
+/**
+ * Load and validate the classification rules (cached per file)
+ *
+ * @param {string} [filePath] - Rule file (defaults to CLASSIFICATION_CONFIG or config/classification.json)
+ * @returns {Object} { defaultSeverity, rules } with rules sorted by descending priority
+ */
+function loadClassificationRules(filePath = process.env.CLASSIFICATION_CONFIG || DEFAULT_CLASSIFICATION_PATH) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    let ruleSet;
+    try {
+        ruleSet = parseRuleFile(filePath);
+    } catch (error) {
+        throw new Error(`Failed to load classification rules from ${filePath}: ${error.message}`);
+    }
+
+    validateClassificationRules(ruleSet);
+    ruleSet.defaultSeverity = ruleSet.defaultSeverity || 'Medium';
+    // Stable sort: rules with equal priority keep their file order
+    ruleSet.rules = [...ruleSet.rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    cache.set(filePath, ruleSet);
+    return ruleSet;
+}
+
+module.exports = { loadClassificationRules, validateClassificationRules };
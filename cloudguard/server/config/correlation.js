@@ -0,0 +1,102 @@
+/**
+ * Alert correlation rules
+ *
+ * Each rule groups open alerts that share a key within a time window into an
+ * incident. Rules are tried in order; the first one that yields an incident wins.
+ *
+ *   key            resource, account or ruleId
+ *   window         "<number><unit>" (m, h, d, w); how far apart alerts may be
+ *   categories     optional - only alerts in these categories
+ *   minSeverity    optional - only alerts at or above this severity
+ *   minAlerts      alerts needed to open an incident (default 2)
+ *   minCategories  distinct categories needed to open an incident (default 1)
+ *   title          incident title; {{key}} is replaced by the shared value
+ *
+ * Loaded from config/correlation.json by default, or the path in CORRELATION_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./sla');
+
+const DEFAULT_CORRELATION_PATH = path.join(__dirname, 'correlation.json');
+
+const KEYS = ['resource', 'account', 'ruleId'];
+const SEVERITIES = ['High', 'Medium', 'Low'];
+
+// Loaded configurations, keyed by file path
+const cache = new Map();
+
+/**
+ * Check correlation rules and add the parsed window (windowMs) to each
+ *
+ * @param {Object} config - Parsed correlation configuration
+ * @throws {Error} If the configuration is invalid
+ */
+function validateCorrelationConfig(config) {
+    if (!config || !Array.isArray(config.rules)) {
+        throw new Error('Correlation config must define a "rules" list');
+    }
+
+    const ids = new Set();
+    config.rules.forEach((rule, index) => {
+        const where = `Correlation rule ${rule && rule.id ? rule.id : `#${index + 1}`}`;
+        if (!rule || typeof rule.id !== 'string' || rule.id.trim() === '') {
+            throw new Error(`${where}: id is required`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`${where}: duplicate id`);
+        }
+        ids.add(rule.id);
+
+        if (!KEYS.includes(rule.key)) {
+            throw new Error(`${where}: key must be one of: ${KEYS.join(', ')}`);
+        }
+        try {
+            rule.windowMs = parseDuration(rule.window);
+        } catch (error) {
+            throw new Error(`${where}: ${error.message}`);
+        }
+        if (rule.categories !== undefined && !Array.isArray(rule.categories)) {
+            throw new Error(`${where}: categories must be a list`);
+        }
+        if (rule.minSeverity !== undefined && !SEVERITIES.includes(rule.minSeverity)) {
+            throw new Error(`${where}: minSeverity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+        ['minAlerts', 'minCategories'].forEach(field => {
+            if (rule[field] !== undefined && !(Number.isInteger(rule[field]) && rule[field] >= 1)) {
+                throw new Error(`${where}: ${field} must be a positive integer`);
+            }
+        });
+
+        rule.minAlerts = rule.minAlerts || 2;
+        rule.minCategories = rule.minCategories || 1;
+        rule.title = rule.title || `${rule.description || rule.id}: {{key}}`;
+    });
+}
+
+/**
+ * Load and validate the correlation rules (cached per file)
+ *
+ * @param {string} [filePath] - Config JSON file (defaults to CORRELATION_CONFIG or config/correlation.json)
+ * @returns {Object} { rules }
+ */
+function loadCorrelationConfig(filePath = process.env.CORRELATION_CONFIG || DEFAULT_CORRELATION_PATH) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load correlation config from ${filePath}: ${error.message}`);
+    }
+
+    validateCorrelationConfig(config);
+
+    cache.set(filePath, config);
+    return config;
+}
+
+module.exports = { loadCorrelationConfig, validateCorrelationConfig };
@@ -1,13 +1,48 @@
-const { MongoClient, ServerApiVersion } = require('mongodb');
+const path = require('path');
+const { MemoryStore } = require('../storage/MemoryStore');
+const { FileStore } = require('../storage/FileStore');
+
+// Storage driver: mongodb (default), memory or file
+const driver = (process.env.STORAGE_DRIVER || 'mongodb').toLowerCase();
+const STORAGE_DRIVERS = ['mongodb', 'memory', 'file'];
 
 // Load URI from environment - NO FALLBACK!
 const uri = process.env.MONGODB_URI;
 const dbName = process.env.DB_NAME || 'cloudguard';
 
+// Data directory for the file driver
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../../../data');
+
 let client = null;
 let db = null;
 
 async function connectDB() {
+    if (!STORAGE_DRIVERS.includes(driver)) {
+        throw new Error(
+            `Invalid STORAGE_DRIVER: ${driver}. ` +
+            `Must be one of: ${STORAGE_DRIVERS.join(', ')}`
+        );
+    }
+
+    if (driver === 'memory') {
+        db = await new MemoryStore().connect();
+        console.log('🧠 Using in-memory storage (data is lost on restart)');
+        return db;
+    }
+
+    if (driver === 'file') {
+        db = await new FileStore(dataDir).connect();
+        console.log(`📁 Using file storage: ${db.dataDir}`);
+        return db;
+    }
+
+    return connectMongo();
+}
+
+async function connectMongo() {
+    // Required lazily so the memory/file drivers work without the mongodb package
+    const { MongoClient, ServerApiVersion } = require('mongodb');
+
     try {
         // CRITICAL: Check if URI exists
         if (!uri) {
@@ -109,6 +144,10 @@ async function closeDB() {
         client = null;
         db = null;
         console.log('📴 MongoDB Atlas connection closed');
+    } else if (db) {
+        await db.close();
+        db = null;
+        console.log('📴 Storage closed');
     }
 }
 
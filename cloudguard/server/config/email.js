@@ -0,0 +1,66 @@
+/**
+ * Email notification configuration
+ *
+ * SMTP_HOST / SMTP_PORT     - SMTP server; email is off when SMTP_HOST is not set (port default 587, 465 with SMTP_SECURE)
+ * SMTP_SECURE               - "true" for implicit TLS (usually port 465)
+ * SMTP_IGNORE_TLS           - "true" to skip STARTTLS even when offered (local sinks)
+ * SMTP_USER / SMTP_PASSWORD - Credentials, if the server requires AUTH
+ * SMTP_TIMEOUT_MS           - Time allowed for each SMTP reply (default 15 seconds)
+ * EMAIL_FROM                - Sender address
+ * EMAIL_ALERT_RECIPIENTS    - Comma-separated addresses mailed immediately for new alerts
+ * EMAIL_ALERT_MIN_SEVERITY  - Lowest severity mailed immediately (default High)
+ * EMAIL_DIGEST_RECIPIENTS   - Comma-separated digest addresses (default: EMAIL_ALERT_RECIPIENTS)
+ * EMAIL_DIGEST_SCHEDULE     - "daily", "weekly" or "off" (default daily)
+ * EMAIL_DIGEST_HOUR         - UTC hour the digest is sent (default 8)
+ * EMAIL_DIGEST_WEEKDAY      - Day of a weekly digest, 0 = Sunday … 6 = Saturday (default 1, Monday)
+ * EMAIL_DIGEST_TOP_ALERTS   - Unresolved High alerts listed in the digest (default 10)
+ * DASHBOARD_URL             - Dashboard address used for links in mails
+ */
+
+const DIGEST_SCHEDULES = ['daily', 'weekly', 'off'];
+
+function parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function readInteger(name, defaultValue, min, max) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= min && value <= max ? value : defaultValue;
+}
+
+const secure = process.env.SMTP_SECURE === 'true';
+const alertRecipients = parseList(process.env.EMAIL_ALERT_RECIPIENTS);
+const digestRecipients = process.env.EMAIL_DIGEST_RECIPIENTS
+    ? parseList(process.env.EMAIL_DIGEST_RECIPIENTS)
+    : alertRecipients;
+
+const digestSchedule = process.env.EMAIL_DIGEST_SCHEDULE || 'daily';
+if (!DIGEST_SCHEDULES.includes(digestSchedule)) {
+    throw new Error(
+        `Invalid EMAIL_DIGEST_SCHEDULE: ${digestSchedule}. ` +
+        `Must be one of: ${DIGEST_SCHEDULES.join(', ')}`
+    );
+}
+
+module.exports = {
+    DIGEST_SCHEDULES,
+    enabled: Boolean(process.env.SMTP_HOST),
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: readInteger('SMTP_PORT', secure ? 465 : 587, 1, 65535),
+        secure,
+        ignoreTls: process.env.SMTP_IGNORE_TLS === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        timeoutMs: readInteger('SMTP_TIMEOUT_MS', 15000, 1, Number.MAX_SAFE_INTEGER)
+    },
+    from: process.env.EMAIL_FROM || 'CloudGuard <cloudguard@localhost>',
+    alertRecipients,
+    alertMinSeverity: process.env.EMAIL_ALERT_MIN_SEVERITY || 'High',
+    digestRecipients,
+    digestSchedule,
+    digestHour: readInteger('EMAIL_DIGEST_HOUR', 8, 0, 23),
+    digestWeekday: readInteger('EMAIL_DIGEST_WEEKDAY', 1, 0, 6),
+    digestTopAlerts: readInteger('EMAIL_DIGEST_TOP_ALERTS', 10, 1, 100),
+    dashboardUrl: process.env.DASHBOARD_URL || `http://localhost:${process.env.PORT || 3000}`
+};
@@ -0,0 +1,31 @@
+/**
+ * CVE enrichment data files
+ *
+ * ENRICHMENT_DATA_DIR - Directory holding the files below (default ./data/enrichment)
+ * NVD_FEED_PATH       - NVD JSON feed file, or a directory of them (*.json, *.json.gz; default <dir>/nvd)
+ * EPSS_FILE           - EPSS scores CSV, plain or gzip'd (default: the newest epss_scores*.csv[.gz] in <dir>)
+ * KEV_FILE            - CISA Known Exploited Vulnerabilities catalog JSON
+ *                       (default <dir>/known_exploited_vulnerabilities.json)
+ * ENRICHMENT_MAX_FILE_BYTES - Largest data file, after decompression (default 256 MB);
+ *                       a dataset with a larger file keeps its previous data
+ *
+ * Paths are resolved from the working directory. Missing files leave that
+ * dataset empty; they are read again when the datasets are refreshed.
+ */
+
+const path = require('path');
+
+function readInteger(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+const dataDir = path.resolve(process.env.ENRICHMENT_DATA_DIR || './data/enrichment');
+
+module.exports = {
+    dataDir,
+    nvdPath: path.resolve(process.env.NVD_FEED_PATH || path.join(dataDir, 'nvd')),
+    epssFile: process.env.EPSS_FILE ? path.resolve(process.env.EPSS_FILE) : null,
+    kevFile: path.resolve(process.env.KEV_FILE || path.join(dataDir, 'known_exploited_vulnerabilities.json')),
+    maxFileBytes: readInteger('ENRICHMENT_MAX_FILE_BYTES', 256 * 1024 * 1024)
+};
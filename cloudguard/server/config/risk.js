@@ -0,0 +1,112 @@
+/**
+ * Risk score configuration
+ *
+ * The 0–100 risk score is a weighted average of factors, each between 0 and 1:
+ * severity, CVSS score, asset criticality (from tags), internet exposure
+ * (from tags or description), age and occurrence count. Weights are relative.
+ * Loaded from config/risk.json by default, or the path in RISK_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./sla');
+
+const DEFAULT_RISK_PATH = path.join(__dirname, 'risk.json');
+
+const FACTORS = ['severity', 'cvss', 'assetCriticality', 'exposure', 'age', 'occurrences'];
+
+// Loaded configurations, keyed by file path
+const cache = new Map();
+
+/**
+ * Check a risk configuration and add the parsed age duration (age.fullAfterMs)
+ *
+ * @param {Object} config - Parsed risk configuration
+ * @throws {Error} If the configuration is invalid
+ */
+function validateRiskConfig(config) {
+    if (!config || typeof config.weights !== 'object' || config.weights === null) {
+        throw new Error('Risk config must define "weights" per factor');
+    }
+    Object.entries(config.weights).forEach(([factor, weight]) => {
+        if (!FACTORS.includes(factor)) {
+            throw new Error(`Unknown risk factor: ${factor}. Must be any of: ${FACTORS.join(', ')}`);
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+            throw new Error(`Risk weight for ${factor} must be a non-negative number`);
+        }
+    });
+    if (!Object.values(config.weights).some(weight => weight > 0)) {
+        throw new Error('At least one risk weight must be positive');
+    }
+
+    const inUnitRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+    Object.entries(config.severity || {}).forEach(([severity, value]) => {
+        if (!inUnitRange(value)) {
+            throw new Error(`Risk severity value for ${severity} must be between 0 and 1`);
+        }
+    });
+
+    const criticality = config.assetCriticality || {};
+    Object.entries(criticality.values || {}).forEach(([tagValue, value]) => {
+        if (!inUnitRange(value)) {
+            throw new Error(`Risk assetCriticality value for ${tagValue} must be between 0 and 1`);
+        }
+    });
+    if (criticality.default !== undefined && !inUnitRange(criticality.default)) {
+        throw new Error('Risk assetCriticality.default must be between 0 and 1');
+    }
+
+    const exposure = config.exposure || {};
+    if (exposure.descriptionRegex) {
+        try {
+            new RegExp(exposure.descriptionRegex, 'i');
+        } catch (error) {
+            throw new Error(`Invalid risk exposure.descriptionRegex: ${error.message}`);
+        }
+    }
+
+    const age = config.age || {};
+    try {
+        age.fullAfterMs = parseDuration(age.fullAfter || '30d');
+    } catch (error) {
+        throw new Error(`Risk age.fullAfter: ${error.message}`);
+    }
+    config.age = age;
+
+    const occurrences = config.occurrences || {};
+    if (occurrences.fullAt !== undefined && !(Number.isInteger(occurrences.fullAt) && occurrences.fullAt > 1)) {
+        throw new Error('Risk occurrences.fullAt must be an integer greater than 1');
+    }
+}
+
+/**
+ * Load and validate the risk configuration (cached per file)
+ *
+ * @param {string} [filePath] - Config JSON file (defaults to RISK_CONFIG or config/risk.json)
+ * @returns {Object} Risk configuration
+ */
+function loadRiskConfig(filePath = process.env.RISK_CONFIG || DEFAULT_RISK_PATH) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load risk config from ${filePath}: ${error.message}`);
+    }
+
+    validateRiskConfig(config);
+    config.severity = config.severity || { High: 1, Medium: 0.6, Low: 0.2 };
+    config.assetCriticality = { tags: [], values: {}, default: 0, ...config.assetCriticality };
+    config.exposure = { tags: {}, ...config.exposure };
+    config.occurrences = { fullAt: 10, ...config.occurrences };
+    config.recomputeIntervalSeconds = config.recomputeIntervalSeconds || 3600;
+
+    cache.set(filePath, config);
+    return config;
+}
+
+module.exports = { loadRiskConfig, validateRiskConfig, FACTORS };
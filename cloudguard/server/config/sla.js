@@ -0,0 +1,103 @@
+/**
+ * SLA policy configuration
+ *
+ * Per severity: how long an alert may stay unacknowledged and unresolved, and
+ * what happens on a breach (raise the severity one level and/or reassign).
+ * Durations are written as "<number><unit>" with unit m, h, d or w.
+ * Loaded from config/sla.json by default, or the path in SLA_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SLA_PATH = path.join(__dirname, 'sla.json');
+
+const DURATION_UNITS_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Loaded configurations, keyed by file path
+const cache = new Map();
+
+/**
+ * Parse "30m", "1h", "3d", "2w" into milliseconds
+ *
+ * @param {string} duration - Duration text
+ * @returns {number} Milliseconds
+ * @throws {Error} If the text is not a valid duration
+ */
+function parseDuration(duration) {
+    const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/.exec(String(duration).trim());
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid duration: ${duration}. Use a number followed by m, h, d or w (e.g. "4h")`);
+    }
+    return Math.round(Number(match[1]) * DURATION_UNITS_MS[match[2]]);
+}
+
+/**
+ * Check an SLA configuration and add the parsed durations
+ * (acknowledgeMs / resolveMs) to each policy
+ *
+ * @param {Object} config - Parsed SLA configuration
+ * @throws {Error} If the configuration is invalid
+ */
+function validateSlaConfig(config) {
+    if (!config || typeof config.policies !== 'object' || config.policies === null) {
+        throw new Error('SLA config must define a "policies" object keyed by severity');
+    }
+    if (config.unacknowledgedStates !== undefined && !Array.isArray(config.unacknowledgedStates)) {
+        throw new Error('SLA config "unacknowledgedStates" must be a list of states');
+    }
+
+    Object.entries(config.policies).forEach(([severity, policy]) => {
+        try {
+            policy.acknowledgeMs = parseDuration(policy.acknowledgeWithin);
+            policy.resolveMs = parseDuration(policy.resolveWithin);
+        } catch (error) {
+            throw new Error(`SLA policy ${severity}: ${error.message}`);
+        }
+        if (policy.acknowledgeMs > policy.resolveMs) {
+            throw new Error(`SLA policy ${severity}: acknowledgeWithin must not be longer than resolveWithin`);
+        }
+
+        const onBreach = policy.onBreach || {};
+        if (onBreach.reassignTo !== undefined && onBreach.reassignTo !== null && typeof onBreach.reassignTo !== 'string') {
+            throw new Error(`SLA policy ${severity}: onBreach.reassignTo must be a username or null`);
+        }
+        policy.onBreach = {
+            escalateSeverity: Boolean(onBreach.escalateSeverity),
+            reassignTo: onBreach.reassignTo || null
+        };
+    });
+}
+
+/**
+ * Load and validate the SLA configuration (cached per file)
+ *
+ * @param {string} [filePath] - Config JSON file (defaults to SLA_CONFIG or config/sla.json)
+ * @returns {Object} SLA configuration
+ */
+function loadSlaConfig(filePath = process.env.SLA_CONFIG || DEFAULT_SLA_PATH) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load SLA config from ${filePath}: ${error.message}`);
+    }
+
+    validateSlaConfig(config);
+    config.unacknowledgedStates = config.unacknowledgedStates || ['New'];
+    config.checkIntervalSeconds = config.checkIntervalSeconds || 60;
+
+    cache.set(filePath, config);
+    return config;
+}
+
+module.exports = { loadSlaConfig, validateSlaConfig, parseDuration };
@@ -0,0 +1,28 @@
+/**
+ * Webhook delivery configuration
+ *
+ * WEBHOOK_MAX_ATTEMPTS     - Attempts per delivery before it moves to the dead-letter list (default 6)
+ * WEBHOOK_RETRY_BASE_MS    - Delay before the first retry; doubles after each failure (default 2 seconds)
+ * WEBHOOK_RETRY_MAX_MS     - Upper bound for the retry delay (default 1 hour)
+ * WEBHOOK_TIMEOUT_MS       - Time allowed for the receiver to respond (default 10 seconds)
+ * WEBHOOK_POLL_INTERVAL_MS - How often the server looks for retries that are due (default 5 seconds)
+ * DASHBOARD_URL            - Dashboard address used for "View alert" links in chat messages
+ */
+
+// Events a webhook can subscribe to
+const EVENTS = ['alert.created', 'alert.status_changed', 'alert.sla_breached'];
+
+function readInteger(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+module.exports = {
+    EVENTS,
+    maxAttempts: readInteger('WEBHOOK_MAX_ATTEMPTS', 6),
+    retryBaseMs: readInteger('WEBHOOK_RETRY_BASE_MS', 2000),
+    retryMaxMs: readInteger('WEBHOOK_RETRY_MAX_MS', 60 * 60 * 1000),
+    timeoutMs: readInteger('WEBHOOK_TIMEOUT_MS', 10000),
+    pollIntervalMs: readInteger('WEBHOOK_POLL_INTERVAL_MS', 5000),
+    dashboardUrl: process.env.DASHBOARD_URL || `http://localhost:${process.env.PORT || 3000}`
+};
@@ -0,0 +1,80 @@
+/**
+ * Alert lifecycle workflow configuration
+ *
+ * The workflow (states, allowed transitions, which transitions need a reason,
+ * and where regressions reopen to) is loaded from a JSON file:
+ * config/workflow.json by default, or the path in WORKFLOW_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKFLOW_PATH = path.join(__dirname, 'workflow.json');
+
+// Loaded workflows, keyed by file path
+const cache = new Map();
+
+/**
+ * Check that a workflow definition is internally consistent
+ *
+ * @param {Object} workflow - Parsed workflow definition
+ * @throws {Error} If the definition is invalid
+ */
+function validateWorkflow(workflow) {
+    if (!workflow || !Array.isArray(workflow.states) || workflow.states.length === 0) {
+        throw new Error('Workflow must define a non-empty "states" list');
+    }
+
+    const stateNames = workflow.states.map(state => state.name);
+    const assertState = (name, where) => {
+        if (!stateNames.includes(name)) {
+            throw new Error(`Workflow ${where} references unknown state: ${name}`);
+        }
+    };
+
+    assertState(workflow.initialState, 'initialState');
+
+    Object.entries(workflow.transitions || {}).forEach(([from, targets]) => {
+        assertState(from, 'transitions');
+        if (!Array.isArray(targets)) {
+            throw new Error(`Workflow transitions for ${from} must be a list`);
+        }
+        targets.forEach(target => assertState(target.to, `transition from ${from}`));
+    });
+
+    if (workflow.regression) {
+        (workflow.regression.from || []).forEach(name => assertState(name, 'regression.from'));
+        assertState(workflow.regression.to, 'regression.to');
+    }
+}
+
+/**
+ * Load and validate the workflow definition (cached per file)
+ *
+ * @param {string} [filePath] - Workflow JSON file (defaults to WORKFLOW_CONFIG or config/workflow.json)
+ * @returns {Object} Workflow definition
+ */
+function loadWorkflow(filePath = process.env.WORKFLOW_CONFIG || DEFAULT_WORKFLOW_PATH) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    let workflow;
+    try {
+        workflow = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load workflow from ${filePath}: ${error.message}`);
+    }
+
+    validateWorkflow(workflow);
+
+    workflow.transitions = workflow.transitions || {};
+    workflow.states.forEach(state => {
+        workflow.transitions[state.name] = workflow.transitions[state.name] || [];
+    });
+
+    cache.set(filePath, workflow);
+    return workflow;
+}
+
+module.exports = { loadWorkflow, validateWorkflow };
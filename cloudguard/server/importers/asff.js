@@ -0,0 +1,259 @@
+/**
+ * ASFF importer - Maps AWS Security Hub findings onto CloudGuard findings
+ *
+ * Accepts findings in the AWS Security Finding Format (ASFF):
+ * - Severity.Label (or the older Severity.Normalized) sets the severity
+ * - Vulnerabilities and Types pick the category; otherwise the first resource's type does
+ * - Resources[0] is the affected resource; its Tags become alert tags
+ * - AwsAccountId and Region are kept as the account and region
+ * - Compliance status and control are kept as tags and in the evidence
+ *
+ * Findings that describe nothing to act on (archived, or compliance PASSED) are rejected.
+ */
+
+const { FindingValidationError } = require('../models/Finding');
+
+const SOURCE = 'aws-securityhub';
+
+// Severity.Label → CloudGuard severity
+const SEVERITY_LABELS = {
+    CRITICAL: 'High',
+    HIGH: 'High',
+    MEDIUM: 'Medium',
+    LOW: 'Low',
+    INFORMATIONAL: 'Low'
+};
+
+// Finding type namespaces that describe behaviour rather than configuration
+const ACTIVITY_TYPE_PATTERN = /^(TTPs|Unusual Behaviors|Effects)\//;
+const CVE_TYPE_PATTERN = /\/Vulnerabilities\/CVE/;
+const NETWORK_TYPE_PATTERN = /\/Network Reachability/;
+
+// Resources[].Type prefix → category (first match wins)
+const RESOURCE_CATEGORIES = [
+    { prefix: 'AwsS3', category: 'S3' },
+    { prefix: 'AwsIam', category: 'IAM' },
+    { prefix: 'AwsEc2SecurityGroup', category: 'Network' },
+    { prefix: 'AwsEc2NetworkAcl', category: 'Network' },
+    { prefix: 'AwsEc2NetworkInterface', category: 'Network' },
+    { prefix: 'AwsEc2Vpc', category: 'Network' },
+    { prefix: 'AwsEc2Subnet', category: 'Network' },
+    { prefix: 'AwsEc2Eip', category: 'Network' },
+    { prefix: 'AwsElb', category: 'Network' },
+    { prefix: 'AwsCloudFront', category: 'Network' },
+    { prefix: 'AwsNetworkFirewall', category: 'Network' },
+    { prefix: 'AwsWafv2', category: 'Network' },
+    { prefix: 'AwsWaf', category: 'Network' }
+];
+
+// Findings per request, as for Security Hub's BatchImportFindings
+const MAX_BATCH_SIZE = 100;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Pull the findings out of a request body
+ * Accepts a single finding, an array, { Findings: [...] } (BatchImportFindings)
+ * or an EventBridge "Security Hub Findings" event ({ detail: { findings: [...] } })
+ *
+ * @param {*} body - Parsed request body
+ * @returns {Object[]} Findings, in order
+ * @throws {Error} If the body holds no findings or too many
+ */
+function extractFindings(body) {
+    let findings;
+    if (Array.isArray(body)) {
+        findings = body;
+    } else if (isPlainObject(body) && Array.isArray(body.Findings)) {
+        findings = body.Findings;
+    } else if (isPlainObject(body) && isPlainObject(body.detail) && Array.isArray(body.detail.findings)) {
+        findings = body.detail.findings;
+    } else if (isPlainObject(body) && body.SchemaVersion !== undefined) {
+        findings = [body];
+    } else {
+        throw new Error('Body must be an ASFF finding, an array of findings, { Findings: [...] } or a Security Hub EventBridge event');
+    }
+
+    if (findings.length === 0) {
+        throw new Error('No findings to import');
+    }
+    if (findings.length > MAX_BATCH_SIZE) {
+        throw new Error(`At most ${MAX_BATCH_SIZE} findings can be imported at once (${findings.length} given)`);
+    }
+    return findings;
+}
+
+/**
+ * @param {Object} finding - ASFF finding
+ * @returns {string|null} The finding's own id, for the per-finding result
+ */
+function findingRef(finding) {
+    return isPlainObject(finding) && typeof finding.Id === 'string' ? finding.Id : null;
+}
+
+function mapSeverity(severity) {
+    if (!isPlainObject(severity)) {
+        return undefined;
+    }
+    if (severity.Label !== undefined) {
+        return SEVERITY_LABELS[String(severity.Label).toUpperCase()];
+    }
+    // Normalized is deprecated but still sent by older integrations
+    if (typeof severity.Normalized === 'number') {
+        if (severity.Normalized >= 70) return 'High';
+        if (severity.Normalized >= 40) return 'Medium';
+        return 'Low';
+    }
+    return undefined;
+}
+
+function mapCategory(finding, types, resource) {
+    if ((Array.isArray(finding.Vulnerabilities) && finding.Vulnerabilities.length > 0) ||
+        types.some(type => CVE_TYPE_PATTERN.test(type))) {
+        return 'CVE';
+    }
+    if (types.some(type => ACTIVITY_TYPE_PATTERN.test(type))) {
+        return 'Activity';
+    }
+    const match = RESOURCE_CATEGORIES.find(entry => String(resource.Type || '').startsWith(entry.prefix));
+    if (match) {
+        return match.category;
+    }
+    if (types.some(type => NETWORK_TYPE_PATTERN.test(type))) {
+        return 'Network';
+    }
+    return null;
+}
+
+function mapCvssScore(vulnerabilities) {
+    const scores = (vulnerabilities || [])
+        .flatMap(vulnerability => vulnerability.Cvss || [])
+        .map(cvss => cvss.BaseScore)
+        .filter(score => typeof score === 'number');
+    return scores.length > 0 ? Math.max(...scores) : undefined;
+}
+
+/**
+ * Map one ASFF finding onto a CloudGuard finding for AlertManager.createAlert
+ *
+ * @param {Object} finding - ASFF finding
+ * @returns {Object} CloudGuard finding
+ * @throws {FindingValidationError} If the finding cannot be mapped (fields use ASFF names)
+ */
+function mapFinding(finding) {
+    if (!isPlainObject(finding)) {
+        throw new FindingValidationError([{ field: 'finding', message: 'Finding must be an object' }]);
+    }
+
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    ['Id', 'AwsAccountId', 'Title'].forEach(field => {
+        if (typeof finding[field] !== 'string' || finding[field].trim() === '') {
+            addError(field, `${field} is required`);
+        }
+    });
+    const resources = Array.isArray(finding.Resources) ? finding.Resources : [];
+    if (resources.length === 0 || !isPlainObject(resources[0]) || !resources[0].Id) {
+        addError('Resources', 'At least one resource with an Id is required');
+    }
+    const severity = mapSeverity(finding.Severity);
+    if (isPlainObject(finding.Severity) && finding.Severity.Label !== undefined && !severity) {
+        addError('Severity.Label',
+            `Invalid Severity.Label: ${finding.Severity.Label}. Must be one of: ${Object.keys(SEVERITY_LABELS).join(', ')}`);
+    }
+    if (finding.RecordState === 'ARCHIVED') {
+        addError('RecordState', 'Finding is archived');
+    }
+    const compliance = isPlainObject(finding.Compliance) ? finding.Compliance : null;
+    if (compliance && compliance.Status === 'PASSED') {
+        addError('Compliance.Status', 'Compliance check passed; nothing to alert on');
+    }
+    if (errors.length > 0) {
+        throw new FindingValidationError(errors);
+    }
+
+    const types = Array.isArray(finding.Types) ? finding.Types.map(String) : [];
+    const resource = resources[0];
+    const category = mapCategory(finding, types, resource);
+    if (!category) {
+        throw new FindingValidationError([{
+            field: 'Types',
+            message: `No CloudGuard category for resource type ${resource.Type || 'unknown'} ` +
+                `and types ${types.length > 0 ? types.join(', ') : 'none'}`
+        }]);
+    }
+
+    const vulnerabilities = Array.isArray(finding.Vulnerabilities) ? finding.Vulnerabilities : [];
+    const cveId = vulnerabilities.map(vulnerability => vulnerability.Id).find(Boolean);
+    const controlId = compliance && (compliance.SecurityControlId || null);
+
+    // Resource tags plus the compliance result, so both can be filtered on
+    const tags = {};
+    if (isPlainObject(resource.Tags)) {
+        Object.entries(resource.Tags).forEach(([key, value]) => {
+            tags[key] = String(value);
+        });
+    }
+    if (compliance && compliance.Status) {
+        tags.complianceStatus = String(compliance.Status);
+    }
+    if (controlId) {
+        tags.securityControl = String(controlId);
+    }
+
+    const resourceId = String(resource.Id);
+    const mapped = {
+        category,
+        description: finding.Description ? `${finding.Title}: ${finding.Description}` : finding.Title,
+        source: SOURCE,
+        // Repeat imports of the same check on the same resource fold into one alert.
+        // Threat detectors share one GeneratorId, so their finding type identifies the check.
+        ruleId: cveId || controlId || (category === 'Activity' && types[0]) || finding.GeneratorId || undefined,
+        resource: {
+            ...(resourceId.startsWith('arn:') ? { arn: resourceId } : { id: resourceId }),
+            ...(resource.Type ? { type: String(resource.Type) } : {})
+        },
+        accountId: finding.AwsAccountId,
+        tags,
+        evidence: {
+            asffId: finding.Id,
+            productArn: finding.ProductArn || null,
+            productName: finding.ProductName || null,
+            generatorId: finding.GeneratorId || null,
+            types,
+            compliance: compliance ? {
+                status: compliance.Status || null,
+                securityControlId: controlId,
+                relatedRequirements: compliance.RelatedRequirements || [],
+                standards: (compliance.AssociatedStandards || []).map(standard => standard.StandardsId)
+            } : null,
+            vulnerabilities: vulnerabilities.map(vulnerability => vulnerability.Id).filter(Boolean),
+            workflowStatus: isPlainObject(finding.Workflow) ? finding.Workflow.Status || null : null,
+            firstObservedAt: finding.FirstObservedAt || null,
+            lastObservedAt: finding.LastObservedAt || null
+        }
+    };
+    if (severity) {
+        mapped.severity = severity;
+    }
+    const region = finding.Region || resource.Region;
+    if (region) {
+        mapped.region = region;
+    }
+    const cvssScore = mapCvssScore(vulnerabilities);
+    if (cvssScore !== undefined) {
+        mapped.cvssScore = cvssScore;
+    }
+    return mapped;
+}
+
+module.exports = {
+    source: SOURCE,
+    MAX_BATCH_SIZE,
+    extractFindings,
+    findingRef,
+    mapFinding
+};
@@ -0,0 +1,182 @@
+/**
+ * CloudTrail importer - Runs the detection rule pack over CloudTrail events
+ *
+ * Reads CloudTrail log files ({ "Records": [...] }, gzip'd as CloudTrail
+ * delivers them to S3, or plain JSON). Every event is checked against every
+ * rule in cloudtrailRules.js; each match becomes one finding. Events that no
+ * rule matches are skipped.
+ *
+ * Gzip'd logs are decompressed without blocking the server and may expand to
+ * at most CLOUDTRAIL_MAX_LOG_BYTES (default 100 MB); larger ones are rejected.
+ */
+
+const util = require('util');
+const zlib = require('zlib');
+const { FindingValidationError } = require('../models/Finding');
+const CLOUDTRAIL_RULES = require('./cloudtrailRules');
+
+const SOURCE = 'aws-cloudtrail';
+
+const gunzip = util.promisify(zlib.gunzip);
+
+function readInteger(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+// Largest decompressed log accepted, so a small gzip body cannot exhaust memory
+const MAX_LOG_BYTES = readInteger('CLOUDTRAIL_MAX_LOG_BYTES', 100 * 1024 * 1024);
+
+/**
+ * A gzip'd log that decompresses to more than the allowed size
+ */
+class LogTooLargeError extends Error {
+    /**
+     * @param {number} maxBytes - Decompressed size limit
+     */
+    constructor(maxBytes) {
+        super(`CloudTrail log is larger than ${maxBytes} bytes once decompressed`);
+        this.name = 'LogTooLargeError';
+        this.maxBytes = maxBytes;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read the events from a CloudTrail log file or request body
+ *
+ * @param {Buffer|Object|Array} input - Log file contents (gzip'd or plain JSON),
+ *   or an already-parsed { Records: [...] } / array of events
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Decompressed size limit (defaults to CLOUDTRAIL_MAX_LOG_BYTES)
+ * @returns {Promise<Object[]>} CloudTrail events, in order
+ * @throws {LogTooLargeError} If a gzip'd log decompresses to more than maxBytes
+ * @throws {Error} If the input is not a CloudTrail log
+ */
+async function readRecords(input, { maxBytes = MAX_LOG_BYTES } = {}) {
+    let log = input;
+    if (Buffer.isBuffer(input)) {
+        let text = input.toString('utf8');
+        // gzip magic bytes
+        if (input[0] === 0x1f && input[1] === 0x8b) {
+            try {
+                text = (await gunzip(input, { maxOutputLength: maxBytes })).toString('utf8');
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new LogTooLargeError(maxBytes);
+                }
+                throw new Error(`CloudTrail log could not be decompressed: ${error.message}`);
+            }
+        }
+        try {
+            log = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`CloudTrail log is not valid JSON: ${error.message}`);
+        }
+    }
+
+    if (Array.isArray(log)) {
+        return log;
+    }
+    if (isPlainObject(log) && Array.isArray(log.Records)) {
+        return log.Records;
+    }
+    throw new Error('A CloudTrail log must be { "Records": [...] } or an array of events');
+}
+
+/**
+ * Run the rule pack over CloudTrail events
+ *
+ * @param {Object[]} records - CloudTrail events
+ * @param {Object[]} [rules] - Detection rules (defaults to the built-in pack)
+ * @returns {Object[]} One match { event, rule } per event and matching rule
+ */
+function detect(records, rules = CLOUDTRAIL_RULES) {
+    const matches = [];
+    records.forEach(event => {
+        if (!isPlainObject(event)) {
+            return;
+        }
+        rules.forEach(rule => {
+            let matched = false;
+            try {
+                matched = rule.match(event);
+            } catch (error) {
+                console.error(`❌ CloudTrail rule ${rule.id} failed on event ${event.eventID}:`, error.message);
+            }
+            if (matched) {
+                matches.push({ event, rule });
+            }
+        });
+    });
+    return matches;
+}
+
+/**
+ * @param {Object} match - Rule match from detect()
+ * @returns {string|null} The CloudTrail event id, for the per-finding result
+ */
+function findingRef(match) {
+    return match.event.eventID || null;
+}
+
+/**
+ * Turn a rule match into a CloudGuard finding for AlertManager.createAlert
+ *
+ * @param {Object} match - Rule match from detect()
+ * @returns {Object} CloudGuard finding
+ * @throws {FindingValidationError} If the event lacks what the rule needs
+ */
+function mapFinding({ event, rule }) {
+    let resource;
+    let description;
+    try {
+        resource = rule.resource(event);
+        description = rule.description(event);
+    } catch (error) {
+        throw new FindingValidationError([{ field: 'event', message: `Event does not fit rule ${rule.id}: ${error.message}` }]);
+    }
+
+    const identity = event.userIdentity || {};
+    const finding = {
+        category: rule.category,
+        severity: rule.severity,
+        description,
+        source: SOURCE,
+        ruleId: rule.id,
+        resource,
+        evidence: {
+            rule: rule.title,
+            eventId: event.eventID || null,
+            eventTime: event.eventTime || null,
+            eventSource: event.eventSource || null,
+            eventName: event.eventName || null,
+            principal: identity.arn || null,
+            principalType: identity.type || null,
+            sourceIPAddress: event.sourceIPAddress || null,
+            userAgent: event.userAgent || null,
+            requestParameters: event.requestParameters || null
+        }
+    };
+    const accountId = event.recipientAccountId || identity.accountId;
+    if (accountId) {
+        finding.accountId = String(accountId);
+    }
+    if (event.awsRegion) {
+        finding.region = event.awsRegion;
+    }
+    return finding;
+}
+
+module.exports = {
+    source: SOURCE,
+    rules: CLOUDTRAIL_RULES,
+    readRecords,
+    LogTooLargeError,
+    detect,
+    findingRef,
+    mapFinding
+};
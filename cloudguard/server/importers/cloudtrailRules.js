@@ -0,0 +1,141 @@
+/**
+ * Built-in CloudTrail detection rules
+ *
+ * Each rule looks at one CloudTrail event:
+ *   id          {string}   - Stored as the alert's ruleId
+ *   title       {string}   - Short name, listed by GET /api/ingest/cloudtrail/rules
+ *   category    {string}   - Activity, IAM or S3
+ *   severity    {string}   - High, Medium or Low
+ *   match       {Function} - event → true if the rule fires
+ *   resource    {Function} - event → affected resource { arn, type } or { id, type }
+ *   description {Function} - event → alert description; kept free of per-event
+ *                            details so repeats fold into one alert
+ */
+
+function principalName(identity = {}) {
+    if (identity.type === 'Root') {
+        return 'root';
+    }
+    return identity.userName || identity.arn || identity.principalId || 'unknown principal';
+}
+
+function accountOf(event) {
+    return event.recipientAccountId || (event.userIdentity && event.userIdentity.accountId) || '';
+}
+
+/**
+ * A bucket policy is public if it allows anyone ("*") without a condition
+ *
+ * @param {Object|string} policy - Bucket policy as logged (CloudTrail may keep it as a string)
+ * @returns {boolean}
+ */
+function isPublicPolicy(policy) {
+    let document = policy;
+    if (typeof document === 'string') {
+        try {
+            document = JSON.parse(document);
+        } catch (error) {
+            return false;
+        }
+    }
+    if (!document || !document.Statement) {
+        return false;
+    }
+    return [].concat(document.Statement).some(statement => {
+        if (!statement || statement.Effect !== 'Allow' || statement.Condition) {
+            return false;
+        }
+        const principal = statement.Principal;
+        const principals = principal && typeof principal === 'object' ? [].concat(principal.AWS || []) : [principal];
+        return principals.includes('*');
+    });
+}
+
+const CLOUDTRAIL_RULES = [
+    {
+        id: 'cloudtrail-root-account-usage',
+        title: 'Root account usage',
+        category: 'Activity',
+        severity: 'High',
+        match: event => Boolean(event.userIdentity) &&
+            event.userIdentity.type === 'Root' &&
+            !event.userIdentity.invokedBy &&
+            event.eventType !== 'AwsServiceEvent',
+        resource: event => ({
+            arn: event.userIdentity.arn || `arn:aws:iam::${accountOf(event)}:root`,
+            type: 'AwsAccount'
+        }),
+        description: event => `Root account used to call ${event.eventName}`
+    },
+    {
+        id: 'cloudtrail-console-login-without-mfa',
+        title: 'Console login without MFA',
+        category: 'IAM',
+        severity: 'Medium',
+        match: event => event.eventName === 'ConsoleLogin' &&
+            Boolean(event.responseElements) && event.responseElements.ConsoleLogin === 'Success' &&
+            Boolean(event.additionalEventData) && event.additionalEventData.MFAUsed === 'No',
+        resource: event => ({
+            arn: event.userIdentity.arn || `arn:aws:iam::${accountOf(event)}:user/${principalName(event.userIdentity)}`,
+            type: 'AwsIamUser'
+        }),
+        description: event => `Console login without MFA by ${principalName(event.userIdentity)}`
+    },
+    {
+        id: 'cloudtrail-stop-logging',
+        title: 'CloudTrail logging stopped',
+        category: 'Activity',
+        severity: 'High',
+        match: event => event.eventSource === 'cloudtrail.amazonaws.com' &&
+            event.eventName === 'StopLogging' &&
+            !event.errorCode,
+        resource: event => {
+            const name = String((event.requestParameters && event.requestParameters.name) || 'unknown');
+            return {
+                arn: name.startsWith('arn:') ? name : `arn:aws:cloudtrail:${event.awsRegion}:${accountOf(event)}:trail/${name}`,
+                type: 'AwsCloudTrailTrail'
+            };
+        },
+        description: event => `CloudTrail logging stopped by ${principalName(event.userIdentity)}`
+    },
+    {
+        id: 'cloudtrail-s3-public-bucket-policy',
+        title: 'Bucket policy made public',
+        category: 'S3',
+        severity: 'High',
+        match: event => event.eventSource === 's3.amazonaws.com' &&
+            event.eventName === 'PutBucketPolicy' &&
+            !event.errorCode &&
+            Boolean(event.requestParameters) &&
+            isPublicPolicy(event.requestParameters.bucketPolicy),
+        resource: event => ({
+            arn: `arn:aws:s3:::${event.requestParameters.bucketName}`,
+            type: 'AwsS3Bucket'
+        }),
+        description: event => `Bucket policy on ${event.requestParameters.bucketName} allows public access`
+    },
+    {
+        id: 'cloudtrail-create-access-key-other-user',
+        title: 'Access key created for another user',
+        category: 'IAM',
+        severity: 'Medium',
+        match: event => {
+            if (event.eventSource !== 'iam.amazonaws.com' || event.eventName !== 'CreateAccessKey' || event.errorCode) {
+                return false;
+            }
+            // Without userName the key is for the caller itself
+            const target = event.requestParameters && event.requestParameters.userName;
+            const identity = event.userIdentity || {};
+            return Boolean(target) && !(identity.type === 'IAMUser' && identity.userName === target);
+        },
+        resource: event => ({
+            arn: `arn:aws:iam::${accountOf(event)}:user/${event.requestParameters.userName}`,
+            type: 'AwsIamUser'
+        }),
+        description: event =>
+            `Access key created for ${event.requestParameters.userName} by ${principalName(event.userIdentity)}`
+    }
+];
+
+module.exports = CLOUDTRAIL_RULES;
+module.exports.isPublicPolicy = isPublicPolicy;
@@ -0,0 +1,120 @@
+/**
+ * Grype importer - Maps a Grype JSON report (grype <target> -o json) onto CVE findings
+ *
+ * One finding per entry in matches[] (a vulnerability in one package).
+ * The scanned image, directory or file (source.target) is the alert's resource;
+ * the package's location says where in it the package was found.
+ */
+
+const { FindingValidationError } = require('../models/Finding');
+const { preferCveId, toCveFinding } = require('./vulnerabilityFinding');
+
+const SOURCE = 'grype';
+
+// Grype severity → CloudGuard severity (Unknown is left to the classifier)
+const SEVERITIES = {
+    CRITICAL: 'High',
+    HIGH: 'High',
+    MEDIUM: 'Medium',
+    LOW: 'Low',
+    NEGLIGIBLE: 'Low'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {Object} report - Parsed Grype JSON report
+ * @returns {Object[]} { report, match } records
+ * @throws {Error} If the body is not a Grype report
+ */
+function extractFindings(report) {
+    if (!isPlainObject(report) || !Array.isArray(report.matches) || !isPlainObject(report.source)) {
+        throw new Error('Body must be a Grype JSON report (matches and source)');
+    }
+    return report.matches.map(match => ({ report, match }));
+}
+
+/**
+ * @param {Object} record - Record from extractFindings()
+ * @returns {string|null} "<vulnerability>:<package>@<version>", for the per-finding result
+ */
+function findingRef({ match }) {
+    if (!isPlainObject(match) || !isPlainObject(match.vulnerability) || !isPlainObject(match.artifact)) {
+        return null;
+    }
+    return `${match.vulnerability.id}:${match.artifact.name}@${match.artifact.version}`;
+}
+
+/**
+ * The scanned artifact: an image's user input (e.g. nginx:1.25) or a directory/file path
+ */
+function scannedArtifact(source) {
+    const target = source.target;
+    if (isPlainObject(target)) {
+        return { name: target.userInput || target.imageID || target.path, type: source.type };
+    }
+    return { name: target, type: source.type };
+}
+
+/**
+ * Highest CVSS base score (and its vector) from the vulnerability, else from its CVE aliases
+ */
+function pickCvss(match) {
+    const scored = [match.vulnerability, ...(match.relatedVulnerabilities || [])]
+        .flatMap(vulnerability => vulnerability.cvss || [])
+        .filter(cvss => cvss.metrics && typeof cvss.metrics.baseScore === 'number')
+        .sort((a, b) => b.metrics.baseScore - a.metrics.baseScore);
+    return scored.length > 0 ? { score: scored[0].metrics.baseScore, vector: scored[0].vector } : {};
+}
+
+/**
+ * Map one Grype match onto a CloudGuard CVE finding
+ *
+ * @param {Object} record - Record from extractFindings()
+ * @returns {Object} CloudGuard finding
+ * @throws {FindingValidationError} If the match cannot be mapped
+ */
+function mapFinding({ report, match }) {
+    if (!isPlainObject(match) || !isPlainObject(match.vulnerability) || !isPlainObject(match.artifact)) {
+        throw new FindingValidationError([{ field: 'match', message: 'Match must have a vulnerability and an artifact' }]);
+    }
+    const { vulnerability, artifact } = match;
+    const aliases = (match.relatedVulnerabilities || []).map(related => related.id);
+    const fix = isPlainObject(vulnerability.fix) && vulnerability.fix.state === 'fixed'
+        ? (vulnerability.fix.versions || [])[0]
+        : undefined;
+    const cvss = pickCvss(match);
+    const location = (artifact.locations || [])[0];
+
+    return toCveFinding({
+        source: SOURCE,
+        vulnerabilityId: vulnerability.id ? preferCveId(vulnerability.id, aliases) : undefined,
+        severity: SEVERITIES[String(vulnerability.severity).toUpperCase()],
+        cvssScore: cvss.score,
+        cvssVector: cvss.vector,
+        package: {
+            name: artifact.name,
+            installedVersion: artifact.version,
+            fixedVersion: fix,
+            type: artifact.type,
+            purl: artifact.purl
+        },
+        artifact: scannedArtifact(report.source),
+        target: location ? location.path : undefined,
+        title: vulnerability.description ? vulnerability.description.split('\n')[0].slice(0, 200) : undefined,
+        references: (vulnerability.urls || []).slice(0, 5),
+        scanner: {
+            name: 'Grype',
+            version: isPlainObject(report.descriptor) ? report.descriptor.version || null : null
+        }
+    });
+}
+
+module.exports = {
+    source: SOURCE,
+    extractFindings,
+    findingRef,
+    mapFinding
+};
@@ -0,0 +1,140 @@
+/**
+ * SARIF importer - Maps vulnerability results from a SARIF 2.1 log onto CVE findings
+ *
+ * One finding per result whose rule is a vulnerability (CVE or GHSA id), as
+ * written by container and dependency scanners such as Trivy and Grype.
+ * Results from other analyzers (code scanning rules) are rejected.
+ *
+ * SARIF has no package fields, so the package is read from the result message
+ * in the layouts Trivy ("Package: x / Installed Version: y / Fixed Version: z")
+ * and Grype ("... package: x, version y ...") use.
+ */
+
+const { FindingValidationError } = require('../models/Finding');
+const { preferCveId, toCveFinding } = require('./vulnerabilityFinding');
+
+const SOURCE = 'sarif';
+
+const VULNERABILITY_ID_PATTERN = /^(CVE-\d{4}-\d{4,}|GHSA(-[23456789cfghjmpqrvwx]{4}){3})/i;
+
+// SARIF level → CloudGuard severity, when the rule has no security-severity
+const LEVELS = {
+    error: 'High',
+    warning: 'Medium',
+    note: 'Low'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {Object} log - Parsed SARIF log
+ * @returns {Object[]} { run, result } records, across all runs
+ * @throws {Error} If the body is not a SARIF 2.1 log
+ */
+function extractFindings(log) {
+    if (!isPlainObject(log) || !Array.isArray(log.runs) || !String(log.version || '').startsWith('2.1')) {
+        throw new Error('Body must be a SARIF 2.1 log (version "2.1.0" and runs)');
+    }
+    return log.runs.flatMap(run =>
+        (Array.isArray(run.results) ? run.results : []).map(result => ({ run, result })));
+}
+
+/**
+ * @param {Object} record - Record from extractFindings()
+ * @returns {string|null} The result's ruleId, for the per-finding result
+ */
+function findingRef({ result }) {
+    return isPlainObject(result) && result.ruleId ? String(result.ruleId) : null;
+}
+
+function findRule(run, result) {
+    const driver = (run.tool && run.tool.driver) || {};
+    const rules = Array.isArray(driver.rules) ? driver.rules : [];
+    if (Number.isInteger(result.ruleIndex) && rules[result.ruleIndex]) {
+        return rules[result.ruleIndex];
+    }
+    return rules.find(rule => rule.id === result.ruleId) || {};
+}
+
+/**
+ * Package name, installed and fixed version from a Trivy or Grype result message
+ */
+function parsePackage(text) {
+    const trivy = /Package: (\S+)/.exec(text);
+    if (trivy) {
+        const installed = /Installed Version: (\S+)/.exec(text);
+        const fixed = /Fixed Version: (\S+)/.exec(text);
+        return { name: trivy[1], installedVersion: installed && installed[1], fixedVersion: fixed && fixed[1] };
+    }
+    const grype = /package: ([^,\s]+), version (\S+)/.exec(text);
+    if (grype) {
+        return { name: grype[1], installedVersion: grype[2] };
+    }
+    return null;
+}
+
+function mapSeverity(securitySeverity, level) {
+    if (!Number.isNaN(securitySeverity)) {
+        if (securitySeverity >= 7) return 'High';
+        if (securitySeverity >= 4) return 'Medium';
+        if (securitySeverity > 0) return 'Low';
+    }
+    return LEVELS[level];
+}
+
+/**
+ * Map one SARIF result onto a CloudGuard CVE finding
+ *
+ * @param {Object} record - Record from extractFindings()
+ * @returns {Object} CloudGuard finding
+ * @throws {FindingValidationError} If the result is not a package vulnerability
+ */
+function mapFinding({ run, result }) {
+    if (!isPlainObject(result)) {
+        throw new FindingValidationError([{ field: 'result', message: 'Result must be an object' }]);
+    }
+    const rule = findRule(run, result);
+    const ruleId = String(result.ruleId || rule.id || '');
+    const idMatch = VULNERABILITY_ID_PATTERN.exec(ruleId);
+    if (!idMatch) {
+        throw new FindingValidationError([{ field: 'ruleId', message: `Rule ${ruleId || '(none)'} is not a CVE or GHSA vulnerability` }]);
+    }
+
+    const text = (result.message && result.message.text) || '';
+    const pkg = parsePackage(text);
+    if (!pkg) {
+        throw new FindingValidationError([{ field: 'message', message: 'No package name in the result message' }]);
+    }
+
+    const properties = isPlainObject(rule.properties) ? rule.properties : {};
+    const securitySeverity = parseFloat(properties['security-severity']);
+    const location = ((result.locations || [])[0] || {}).physicalLocation || {};
+    const uri = location.artifactLocation && location.artifactLocation.uri;
+    const runProperties = isPlainObject(run.properties) ? run.properties : {};
+    const driver = (run.tool && run.tool.driver) || {};
+
+    return toCveFinding({
+        source: SOURCE,
+        vulnerabilityId: preferCveId(idMatch[1]),
+        severity: mapSeverity(securitySeverity, result.level || (rule.defaultConfiguration || {}).level),
+        cvssScore: Number.isNaN(securitySeverity) ? undefined : securitySeverity,
+        package: pkg,
+        // Trivy records the scanned image on the run; otherwise the result's file stands in for it
+        artifact: runProperties.imageName
+            ? { name: runProperties.imageName, type: 'container_image' }
+            : { name: uri, type: 'file' },
+        target: uri,
+        title: rule.shortDescription && rule.shortDescription.text,
+        references: rule.helpUri ? [rule.helpUri] : [],
+        scanner: { name: driver.name || null, version: driver.version || null }
+    });
+}
+
+module.exports = {
+    source: SOURCE,
+    extractFindings,
+    findingRef,
+    mapFinding
+};
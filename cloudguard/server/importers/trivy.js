@@ -0,0 +1,105 @@
+/**
+ * Trivy importer - Maps a Trivy JSON report (trivy image/fs --format json) onto CVE findings
+ *
+ * One finding per vulnerability and package in Results[].Vulnerabilities.
+ * The scanned artifact (ArtifactName) is the alert's resource; Results[].Target
+ * (e.g. the OS layer or a lock file) says where in it the package was found.
+ */
+
+const { FindingValidationError } = require('../models/Finding');
+const { preferCveId, toCveFinding } = require('./vulnerabilityFinding');
+
+const SOURCE = 'trivy';
+
+// Trivy severity → CloudGuard severity (UNKNOWN is left to the classifier)
+const SEVERITIES = {
+    CRITICAL: 'High',
+    HIGH: 'High',
+    MEDIUM: 'Medium',
+    LOW: 'Low'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a Trivy report into one record per vulnerability
+ *
+ * @param {Object} report - Parsed Trivy JSON report
+ * @returns {Object[]} { report, result, vulnerability } records
+ * @throws {Error} If the body is not a Trivy report
+ */
+function extractFindings(report) {
+    if (!isPlainObject(report) || !report.ArtifactName || !Array.isArray(report.Results || [])) {
+        throw new Error('Body must be a Trivy JSON report (ArtifactName and Results)');
+    }
+    return (report.Results || []).flatMap(result =>
+        (Array.isArray(result.Vulnerabilities) ? result.Vulnerabilities : [])
+            .map(vulnerability => ({ report, result, vulnerability })));
+}
+
+/**
+ * @param {Object} record - Record from extractFindings()
+ * @returns {string} "<vulnerability>:<package>@<version>", for the per-finding result
+ */
+function findingRef({ vulnerability }) {
+    return `${vulnerability.VulnerabilityID}:${vulnerability.PkgName}@${vulnerability.InstalledVersion}`;
+}
+
+/**
+ * Pick the CVSS entry of the source Trivy took the severity from, else NVD, else the highest score
+ */
+function pickCvss(vulnerability) {
+    const entries = isPlainObject(vulnerability.CVSS) ? vulnerability.CVSS : {};
+    const preferred = entries[vulnerability.SeveritySource] || entries.nvd;
+    if (preferred && typeof preferred.V3Score === 'number') {
+        return { score: preferred.V3Score, vector: preferred.V3Vector };
+    }
+    const scored = Object.values(entries)
+        .filter(entry => typeof entry.V3Score === 'number')
+        .sort((a, b) => b.V3Score - a.V3Score);
+    return scored.length > 0 ? { score: scored[0].V3Score, vector: scored[0].V3Vector } : {};
+}
+
+/**
+ * Map one Trivy vulnerability onto a CloudGuard CVE finding
+ *
+ * @param {Object} record - Record from extractFindings()
+ * @returns {Object} CloudGuard finding
+ * @throws {FindingValidationError} If the vulnerability cannot be mapped
+ */
+function mapFinding({ report, result, vulnerability }) {
+    if (!isPlainObject(vulnerability)) {
+        throw new FindingValidationError([{ field: 'vulnerability', message: 'Vulnerability must be an object' }]);
+    }
+    const cvss = pickCvss(vulnerability);
+    return toCveFinding({
+        source: SOURCE,
+        vulnerabilityId: vulnerability.VulnerabilityID
+            ? preferCveId(vulnerability.VulnerabilityID, vulnerability.VendorIDs)
+            : undefined,
+        severity: SEVERITIES[String(vulnerability.Severity).toUpperCase()],
+        cvssScore: cvss.score,
+        cvssVector: cvss.vector,
+        package: {
+            name: vulnerability.PkgName,
+            installedVersion: vulnerability.InstalledVersion,
+            fixedVersion: vulnerability.FixedVersion,
+            type: result.Type,
+            purl: vulnerability.PkgIdentifier && vulnerability.PkgIdentifier.PURL
+        },
+        artifact: { name: report.ArtifactName, type: report.ArtifactType },
+        target: result.Target,
+        title: vulnerability.Title,
+        references: vulnerability.PrimaryURL ? [vulnerability.PrimaryURL] : (vulnerability.References || []).slice(0, 5),
+        scanner: { name: 'Trivy', version: report.Trivy && report.Trivy.Version ? report.Trivy.Version : null }
+    });
+}
+
+module.exports = {
+    source: SOURCE,
+    extractFindings,
+    findingRef,
+    mapFinding
+};
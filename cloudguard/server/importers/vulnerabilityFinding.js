@@ -0,0 +1,124 @@
+/**
+ * Shared finding shape for the vulnerability scanner importers (Trivy, Grype, SARIF)
+ *
+ * Every scanner record is reduced to one vulnerability in one package of one
+ * artifact, and turned into a CVE finding the same way, so the same
+ * vulnerability reported by different scanners folds into one alert.
+ */
+
+const crypto = require('crypto');
+const { FindingValidationError } = require('../models/Finding');
+
+const CVE_ID_PATTERN = /^CVE-\d{4}-\d{4,}$/i;
+
+/**
+ * Identify a report's contents, so importing the same report again changes nothing
+ *
+ * @param {string} source - Importer source
+ * @param {Object} report - Parsed report
+ * @returns {string} "<source>:<sha256 of the report>"
+ */
+function reportKey(source, report) {
+    return `${source}:${crypto.createHash('sha256').update(JSON.stringify(report)).digest('hex')}`;
+}
+
+/**
+ * Prefer the CVE id when a scanner reports a GHSA or distro advisory with CVE aliases
+ *
+ * @param {string} id - Scanner's vulnerability id
+ * @param {string[]} [aliases] - Related ids
+ * @returns {string}
+ */
+function preferCveId(id, aliases = []) {
+    if (CVE_ID_PATTERN.test(String(id))) {
+        return String(id).toUpperCase();
+    }
+    const cve = aliases.find(alias => CVE_ID_PATTERN.test(String(alias)));
+    return cve ? String(cve).toUpperCase() : id;
+}
+
+/**
+ * Build a CVE finding from a normalized scanner record
+ *
+ * @param {Object} record
+ * @param {string} record.source - Importer source (trivy, grype, sarif)
+ * @param {string} record.vulnerabilityId - CVE (preferred) or advisory id
+ * @param {string} [record.severity] - High, Medium or Low (classified if missing)
+ * @param {number} [record.cvssScore] - CVSS base score
+ * @param {string} [record.cvssVector] - CVSS vector
+ * @param {Object} record.package - { name, installedVersion, fixedVersion, type, purl }
+ * @param {Object} record.artifact - { name, type } - the scanned image, directory or file
+ * @param {string} [record.target] - Where in the artifact the package was found
+ * @param {string} [record.title] - Vulnerability title
+ * @param {string[]} [record.references] - Advisory links
+ * @param {Object} [record.scanner] - { name, version }
+ * @returns {Object} CloudGuard finding
+ * @throws {FindingValidationError} If the record lacks a vulnerability id, package or artifact
+ */
+function toCveFinding(record) {
+    const errors = [];
+    if (!record.vulnerabilityId) {
+        errors.push({ field: 'vulnerabilityId', message: 'Vulnerability id is required' });
+    }
+    if (!record.package || !record.package.name) {
+        errors.push({ field: 'package', message: 'Package name is required' });
+    }
+    if (!record.artifact || !record.artifact.name) {
+        errors.push({ field: 'artifact', message: 'Scanned artifact is required' });
+    }
+    if (errors.length > 0) {
+        throw new FindingValidationError(errors);
+    }
+
+    const pkg = record.package;
+    const version = pkg.installedVersion ? ` ${pkg.installedVersion}` : '';
+
+    const finding = {
+        category: 'CVE',
+        // Kept free of scanner wording and paths so re-scans and other scanners match the same alert
+        description: `${record.vulnerabilityId} in ${pkg.name}${version}`,
+        source: record.source,
+        ruleId: record.vulnerabilityId,
+        resource: {
+            id: String(record.artifact.name),
+            ...(record.artifact.type ? { type: String(record.artifact.type) } : {})
+        },
+        tags: {
+            package: String(pkg.name),
+            fixAvailable: pkg.fixedVersion ? 'true' : 'false'
+        },
+        evidence: {
+            vulnerabilityId: record.vulnerabilityId,
+            title: record.title || null,
+            package: {
+                name: pkg.name,
+                installedVersion: pkg.installedVersion || null,
+                fixedVersion: pkg.fixedVersion || null,
+                type: pkg.type || null,
+                purl: pkg.purl || null
+            },
+            artifact: {
+                name: record.artifact.name,
+                type: record.artifact.type || null,
+                target: record.target || null
+            },
+            cvssVector: record.cvssVector || null,
+            references: record.references || [],
+            scanner: record.scanner || null
+        }
+    };
+    if (record.severity) {
+        finding.severity = record.severity;
+    }
+    if (typeof record.cvssScore === 'number' && record.cvssScore >= 0 && record.cvssScore <= 10) {
+        finding.cvssScore = record.cvssScore;
+    }
+    return finding;
+}
+
+module.exports = {
+    CVE_ID_PATTERN,
+    reportKey,
+    preferCveId,
+    toCveFinding
+};
@@ -1,13 +1,137 @@
 require('dotenv').config();
 const app = require('./app');
-const { connectDB } = require('./config/database');
+const { connectDB, getDB } = require('./config/database');
+const AuthManager = require('./services/AuthManager');
+const UserRepository = require('./repositories/UserRepository');
+const WebhookManager = require('./services/WebhookManager');
+const WebhookRepository = require('./repositories/WebhookRepository');
+const WebhookDeliveryRepository = require('./repositories/WebhookDeliveryRepository');
+const AuditLogManager = require('./services/AuditLogManager');
+const webhookConfig = require('./config/webhooks');
+const createAlertManager = require('./managers/createAlertManager');
+const AlertRepository = require('./repositories/AlertRepository');
+const EmailManager = require('./services/EmailManager');
+const SmtpClient = require('./services/SmtpClient');
+const emailConfig = require('./config/email');
+const { cveEnricher } = require('./services/CveEnricher');
 
 const PORT = process.env.PORT || 3000;
 
+// How often the server checks whether the email digest is due
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Periodically send webhook deliveries whose retry time has come
+ */
+function startWebhookRetries() {
+    const db = getDB();
+    const webhookManager = new WebhookManager(
+        new WebhookRepository(db),
+        new WebhookDeliveryRepository(db),
+        new AuditLogManager(db)
+    );
+
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await webhookManager.processDueDeliveries();
+        } catch (error) {
+            console.error('❌ Webhook retry worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, webhookConfig.pollIntervalMs).unref();
+}
+
+/**
+ * Send the daily/weekly email digest when its scheduled time passes
+ */
+function startEmailDigest() {
+    if (!emailConfig.enabled || emailConfig.digestSchedule === 'off') {
+        return;
+    }
+
+    const alertManager = createAlertManager(getDB());
+    const emailManager = new EmailManager(new SmtpClient(emailConfig.smtp), alertManager.auditLogManager);
+
+    const check = async () => {
+        try {
+            await emailManager.sendScheduledDigest(alertManager);
+        } catch (error) {
+            console.error('❌ Email digest error:', error.message);
+        }
+    };
+    check();
+    setInterval(check, DIGEST_CHECK_INTERVAL_MS).unref();
+}
+
+/**
+ * Periodically flag alerts that have missed their SLA deadlines
+ */
+function startSlaChecks() {
+    const alertManager = createAlertManager(getDB());
+
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await alertManager.processSlaBreaches();
+        } catch (error) {
+            console.error('❌ SLA check error:', error);
+        } finally {
+            running = false;
+        }
+    }, alertManager.slaManager.checkIntervalMs).unref();
+}
+
+/**
+ * Periodically recompute risk scores (open alerts get older)
+ */
+function startRiskRecompute() {
+    const alertManager = createAlertManager(getDB());
+
+    let running = false;
+    const recompute = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await alertManager.recomputeRiskScores();
+        } catch (error) {
+            console.error('❌ Risk score recompute error:', error);
+        } finally {
+            running = false;
+        }
+    };
+    recompute();
+    setInterval(recompute, alertManager.riskScorer.recomputeIntervalMs).unref();
+}
+
 async function startServer() {
     try {
         // Connect to MongoDB
         await connectDB();
+
+        // Create the configured admin account on first start
+        await new AuthManager(new UserRepository(getDB())).ensureAdminUser();
+
+        // Alerts stored before severity sorting have no severityRank
+        const ranked = await new AlertRepository(getDB()).backfillSeverityRanks();
+        if (ranked > 0) {
+            console.log(`🔢 Added severity ranks to ${ranked} existing alert(s)`);
+        }
+
+        // Load the NVD, EPSS and KEV files before the first CVE finding arrives,
+        // and apply newer data to the open CVE alerts already stored
+        await cveEnricher.refresh();
+        await createAlertManager(getDB()).refreshEnrichment();
+
+        startWebhookRetries();
+        startEmailDigest();
+        startSlaChecks();
+        startRiskRecompute();
         
         // Start Express server
         app.listen(PORT, () => {
@@ -11,15 +11,63 @@
  * - Manages alert lifecycle with valid state transitions
  * - Uses AlertRepository for storage
  * - Records actions in AuditLogManager for traceability
+ * - Deduplicates repeated findings by fingerprint
+ * - Assigns alerts to owners (round-robin per category team)
+ * - Notifies subscribers (webhooks, email) when alerts are created or change status
+ * - Tracks SLA deadlines per severity and acts on breaches (escalate, reassign, notify)
+ * - Drops or mutes findings that match a suppression rule
+ * - Ranks alerts with a 0–100 risk score, recomputed when its inputs change
+ * - Applies status, assignment, tag, suppression and delete actions to many alerts at once
+ * - Publishes created / updated / deleted events on the alert event bus (live dashboard updates)
+ * - Enriches CVE findings from local NVD, EPSS and CISA KEV data; known exploited CVEs are High
  */
 
+const crypto = require('crypto');
+const { FindingValidationError, validateFinding, normalizeFinding } = require('../models/Finding');
+const { loadWorkflow } = require('../config/workflow');
+const SeverityClassifier = require('../services/SeverityClassifier');
+const RiskScorer = require('../services/RiskScorer');
+const { alertEvents } = require('../services/AlertEventBus');
+const { cveEnricher } = require('../services/CveEnricher');
+
+/**
+ * Whether two CVE lookups hold the same data (the lookup time aside)
+ */
+function sameEnrichment(previous, current) {
+    if (!previous) {
+        return false;
+    }
+    const { enrichedAt: previousAt, ...previousData } = previous;
+    const { enrichedAt: currentAt, ...currentData } = current;
+    return JSON.stringify(previousData) === JSON.stringify(currentData);
+}
+
+/**
+ * A stored alert as a finding to classify again
+ * Its severity is left out unless it came from the finding, so classification rules run again
+ */
+function storedFinding(alert) {
+    const { severity, ...finding } = alert;
+    return alert.classification && alert.classification.source === 'finding' ? alert : finding;
+}
+
 class AlertManager {
     /**
      * Constructor
      * @param {AlertRepository} alertRepository - Repository for alert persistence
      * @param {AuditLogManager} auditLogManager - Manager for audit logging
+     * @param {Object} [options]
+     * @param {Object} [options.workflow] - Lifecycle workflow (defaults to config/workflow.json)
+     * @param {SeverityClassifier} [options.classifier] - Severity rules (defaults to config/classification.json)
+     * @param {RiskScorer} [options.riskScorer] - Risk score weights (defaults to config/risk.json)
+     * @param {AssignmentManager} [options.assignmentManager] - Ownership rules; without it alerts start unassigned
+     * @param {Object[]} [options.notifiers] - Receive alert events via notify(event, alert, data) (WebhookManager, EmailManager)
+     * @param {SlaManager} [options.slaManager] - SLA policies; without it alerts have no deadlines
+     * @param {SuppressionManager} [options.suppressionManager] - Suppression rules; without it every finding is stored
+     * @param {AlertEventBus} [options.eventBus] - Receives alert changes (defaults to the process-wide bus)
+     * @param {CveEnricher} [options.cveEnricher] - NVD/EPSS/KEV lookups for CVE findings (defaults to the process-wide datasets)
      */
-    constructor(alertRepository, auditLogManager) {
+    constructor(alertRepository, auditLogManager, options = {}) {
         if (!alertRepository) {
             throw new Error('AlertRepository is required');
         }
@@ -29,20 +77,55 @@ class AlertManager {
 
         this.alertRepository = alertRepository;
         this.auditLogManager = auditLogManager;
+        this.assignmentManager = options.assignmentManager || null;
+        this.notifiers = options.notifiers || [];
+        this.slaManager = options.slaManager || null;
+        this.suppressionManager = options.suppressionManager || null;
+        this.classifier = options.classifier || new SeverityClassifier();
+        this.eventBus = options.eventBus || alertEvents;
+        this.cveEnricher = options.cveEnricher || cveEnricher;
 
-        // Valid state transitions (from LLD)
-        this.validTransitions = {
-            'New': ['Acknowledged'],
-            'Acknowledged': ['In-Progress'],
-            'In-Progress': ['Resolved'],
-            'Resolved': []
-        };
+        // Lifecycle workflow and the valid state transitions derived from it
+        const workflow = options.workflow || loadWorkflow();
+        this.workflow = workflow;
+        this.validTransitions = {};
+        Object.entries(workflow.transitions).forEach(([from, targets]) => {
+            this.validTransitions[from] = targets.map(target => target.to);
+        });
+
+        // Closed (not open) states: entering one stamps resolvedAt, leaving one clears it
+        this.closedStates = workflow.states.filter(state => !state.open).map(state => state.name);
+
+        // State for findings muted by a suppression rule
+        this.suppressedState = 'Suppressed';
+        if (this.suppressionManager && !workflow.states.some(state => state.name === this.suppressedState)) {
+            throw new Error(`Workflow must define a ${this.suppressedState} state to use suppression rules`);
+        }
+
+        this.riskScorer = options.riskScorer || new RiskScorer(undefined, workflow);
 
         // Severity levels
         this.severityLevels = ['High', 'Medium', 'Low'];
 
         // Alert categories
         this.categories = ['CVE', 'S3', 'IAM', 'Network', 'Activity'];
+
+        // Time series bucketing: ISO timestamp prefix length, bucket size, default window
+        this.timeSeriesIntervals = {
+            hour: { prefixLength: 13, milliseconds: 60 * 60 * 1000, defaultBuckets: 24 },
+            day: { prefixLength: 10, milliseconds: 24 * 60 * 60 * 1000, defaultBuckets: 30 },
+            week: { prefixLength: 10, milliseconds: 7 * 24 * 60 * 60 * 1000, defaultBuckets: 12 }
+        };
+        // Largest time series returned (every bucket is materialised, even empty ones)
+        this.maxTimeSeriesBuckets = 1000;
+
+        // Pagination limits for getAlerts
+        this.defaultPageSize = 50;
+        this.maxPageSize = 500;
+
+        // Actions and batch size limit for bulkUpdate
+        this.bulkActions = ['status', 'assign', 'tag', 'suppress', 'delete'];
+        this.maxBulkSize = 1000;
     }
 
     /**
@@ -53,27 +136,85 @@ class AlertManager {
      * @param {string} finding.category - Alert category (CVE, S3, IAM, Network, Activity)
      * @param {string} finding.severity - Severity level (High, Medium, Low)
      * @param {string} finding.description - Description of the security issue
-     * @returns {Promise<Object>} Created alert object
+     * @param {string} [finding.source] - Detection engine that produced the finding
+     * @param {string} [finding.ruleId] - Detection rule or CVE id, part of the fingerprint
+     * @param {Object|string} [finding.resource] - Affected resource { arn, type, id }, part of the fingerprint
+     * @param {string} [finding.accountId] - AWS account id
+     * @param {string} [finding.region] - AWS region
+     * @param {Object} [finding.tags] - Key/value tags
+     * @param {Object} [finding.evidence] - Free-form engine output
+     * @see models/Finding.js for the full schema
+     * @returns {Promise<Object>} Created alert, the existing alert if the finding is a repeat,
+     *   or { dropped: true, suppressionId } if a suppression rule dropped the finding
      */
     async createAlert(finding) {
         try {
             // Validate input
             this._validateFinding(finding);
 
-            // Classify severity (if not provided or invalid)
-            const severity = this._classifySeverity(finding);
+            // Look the CVE up in the local NVD, EPSS and KEV data; NVD's CVSS fills in a missing score
+            const enrichment = this.cveEnricher ? this.cveEnricher.enrich(finding) : null;
+            if (enrichment && enrichment.cvss && typeof finding.cvssScore !== 'number') {
+                finding = { ...finding, cvssScore: enrichment.cvss.score };
+            }
+
+            // Known, accepted findings are dropped or stored as Suppressed
+            const suppression = this.suppressionManager
+                ? await this.suppressionManager.match(finding)
+                : null;
+            if (suppression && suppression.action === 'drop') {
+                console.log(`🔇 AlertManager: Finding dropped by suppression rule ${suppression.id}`);
+                return { dropped: true, suppressionId: suppression.id };
+            }
+
+            // Repeat findings update the existing alert instead of duplicating it
+            const fingerprint = this._generateFingerprint(finding);
+            const existingAlert = await this.alertRepository.findByFingerprint(fingerprint);
+            if (existingAlert) {
+                return await this._recordOccurrence(existingAlert, finding, enrichment, suppression);
+            }
+
+            // Classify severity (if not provided or invalid), keeping the explanation
+            const classification = this._classifyEnriched(finding, enrichment);
+            const severity = classification.severity;
 
-            // Create alert object
+            // Route to the owning team (round-robin within the team); muted alerts stay unassigned
+            const ownership = this.assignmentManager && !suppression
+                ? await this.assignmentManager.autoAssign(finding.category)
+                : null;
+
+            // Create alert object, keeping the finding's context
+            const now = new Date().toISOString();
             const alert = {
                 id: this._generateAlertId(),
                 severity: severity,
                 category: finding.category,
-                status: 'New',
+                status: suppression ? this.suppressedState : this.workflow.initialState,
                 description: finding.description,
-                timestamp: new Date().toISOString(),
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
+                ...normalizeFinding(finding),
+                assignee: ownership ? ownership.assignee : null,
+                team: ownership ? ownership.team : null,
+                classification: classification,
+                fingerprint: fingerprint,
+                occurrences: 1,
+                firstSeen: now,
+                lastSeen: now,
+                timestamp: now,
+                createdAt: now,
+                updatedAt: now
             };
+            if (suppression) {
+                alert.suppressionId = suppression.id;
+                alert.statusReason = suppression.justification;
+                alert.resolvedAt = now;
+            }
+            if (enrichment) {
+                alert.enrichment = enrichment;
+            }
+            if (this.slaManager) {
+                Object.assign(alert, this.slaManager.evaluate(alert));
+            }
+            Object.assign(alert, this.riskScorer.score(alert));
 
             // Validate alert structure
             this._validateAlert(alert);
@@ -90,6 +231,34 @@ class AlertManager {
                 timestamp: new Date().toISOString(),
                 details: `Alert created from ${finding.category} finding`
             });
+            this._publish('alert.created', savedAlert);
+
+            if (suppression) {
+                await this.auditLogManager.log({
+                    action: 'ALERT_SUPPRESSED',
+                    alertId: alert.id,
+                    suppressionId: suppression.id,
+                    reason: suppression.justification,
+                    timestamp: new Date().toISOString()
+                });
+                console.log(`🔇 AlertManager: Alert ${alert.id} suppressed by rule ${suppression.id}`);
+                return savedAlert;
+            }
+
+            if (alert.assignee || alert.team) {
+                await this.auditLogManager.log({
+                    action: 'ALERT_ASSIGNED',
+                    alertId: alert.id,
+                    oldAssignee: null,
+                    newAssignee: alert.assignee,
+                    oldTeam: null,
+                    newTeam: alert.team,
+                    auto: true,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await this._notify('alert.created', savedAlert);
 
             console.log(`✅ AlertManager: Alert ${alert.id} created successfully`);
             return savedAlert;
@@ -114,9 +283,10 @@ class AlertManager {
      * 
      * @param {string} alertId - ID of the alert to update
      * @param {string} newStatus - New status to set
+     * @param {string} [reason] - Justification, required by some transitions
      * @returns {Promise<Object>} Updated alert object
      */
-    async updateAlertStatus(alertId, newStatus) {
+    async updateAlertStatus(alertId, newStatus, reason) {
         try {
             // Validate inputs
             if (!alertId) {
@@ -136,12 +306,20 @@ class AlertManager {
             if (!this._isValidTransition(currentAlert.status, newStatus)) {
                 throw new Error(
                     `Invalid state transition: ${currentAlert.status} → ${newStatus}. ` +
-                    `Valid transitions from ${currentAlert.status}: ${this.validTransitions[currentAlert.status].join(', ')}`
+                    `Valid transitions from ${currentAlert.status}: ${(this.validTransitions[currentAlert.status] || []).join(', ') || 'none'}`
                 );
             }
 
+            const transition = this._getTransition(currentAlert.status, newStatus);
+            if (transition.requiresReason && (!reason || reason.trim() === '')) {
+                throw new Error(`A reason is required for transition ${currentAlert.status} → ${newStatus}`);
+            }
+
             // Update alert status
-            const updatedAlert = await this.alertRepository.updateStatus(alertId, newStatus);
+            // Closing an alert stops its SLA clock and its age
+            const updatedAlert = await this._refreshRisk(await this._refreshSla(
+                await this.alertRepository.updateStatus(alertId, newStatus, reason, this.closedStates.includes(newStatus))
+            ));
 
             // Log the action
             await this.auditLogManager.log({
@@ -149,8 +327,16 @@ class AlertManager {
                 alertId: alertId,
                 oldStatus: currentAlert.status,
                 newStatus: newStatus,
+                reason: reason || undefined,
                 timestamp: new Date().toISOString()
             });
+            this._publish('alert.updated', updatedAlert);
+
+            await this._notify('alert.status_changed', updatedAlert, {
+                oldStatus: currentAlert.status,
+                newStatus: newStatus,
+                reason: reason || null
+            });
 
             console.log(`✅ AlertManager: Alert ${alertId} status updated: ${currentAlert.status} → ${newStatus}`);
             return updatedAlert;
@@ -177,16 +363,40 @@ class AlertManager {
      * 
      * @param {Object} filter - Optional filter criteria
      * @param {string} filter.severity - Filter by severity
-     * @param {string} filter.status - Filter by status
+     * @param {string|string[]} filter.status - Filter by status (any of a list)
      * @param {string} filter.category - Filter by category
-     * @returns {Promise<Array>} Array of alerts matching filter
+     * @param {string} filter.source - Filter by detection engine
+     * @param {string} filter.ruleId - Filter by rule or CVE id
+     * @param {string} filter.accountId - Filter by AWS account
+     * @param {string} filter.region - Filter by AWS region
+     * @param {string} filter.resourceArn - Filter by resource ARN
+     * @param {string} filter.resourceType - Filter by resource type
+     * @param {Object} filter.tags - Filter by tag key/value pairs
+     * @param {string} filter.assignee - Filter by assignee username
+     * @param {string} filter.team - Filter by owning team
+     * @param {string|string[]} filter.slaStatus - Filter by SLA status (on-track, breached, met, missed)
+     * @param {string} filter.incidentId - Filter by incident
+     * @param {number} filter.minRiskScore - Only alerts with at least this risk score
+     * @param {number} filter.maxRiskScore - Only alerts with at most this risk score
+     * @param {string} filter.since - Only alerts created at or after this ISO timestamp
+     * @param {string} filter.until - Only alerts created at or before this ISO timestamp
+     * @param {string} filter.resolvedSince - Only alerts resolved at or after this ISO timestamp
+     * @param {string} filter.resolvedUntil - Only alerts resolved at or before this ISO timestamp
+     * @param {string} filter.search - Case-insensitive match on description or ID
+     * @param {Object} page - Pagination options
+     * @param {number} page.limit - Page size (default 50, max 500)
+     * @param {string} page.cursor - Cursor from the previous page
+     * @param {number} page.offset - Alerts to skip (when no cursor is given)
+     * @param {string} page.sort - severity, riskScore, createdAt or updatedAt; prefix "-" for descending
+     * @returns {Promise<Object>} { alerts, total, limit, nextCursor }
      */
-    async getAlerts(filter = {}) {
+    async getAlerts(filter = {}, page = {}) {
         try {
-            const alerts = await this.alertRepository.findAll(filter);
+            const limit = Math.min(page.limit || this.defaultPageSize, this.maxPageSize);
+            const result = await this.alertRepository.findPage(filter, { ...page, limit });
 
-            console.log(`✅ AlertManager: Retrieved ${alerts.length} alerts`);
-            return alerts;
+            console.log(`✅ AlertManager: Retrieved ${result.alerts.length} of ${result.total} alerts`);
+            return { ...result, limit };
 
         } catch (error) {
             console.error('❌ AlertManager: Error retrieving alerts:', error);
@@ -194,6 +404,448 @@ class AlertManager {
         }
     }
 
+    /**
+     * Assign an alert to an owner and/or team
+     * 
+     * @param {string} alertId - ID of the alert to assign
+     * @param {Object} assignment
+     * @param {string|null} assignment.assignee - Username, or null to unassign
+     * @param {string|null} [assignment.team] - Team; omitted to infer from the assignee or keep the current team
+     * @returns {Promise<Object>} Updated alert object
+     */
+    async assignAlert(alertId, { assignee, team } = {}) {
+        try {
+            if (!alertId) {
+                throw new Error('Alert ID is required');
+            }
+            if (assignee === undefined && team === undefined) {
+                throw new Error('Assignee or team is required');
+            }
+
+            const currentAlert = await this.alertRepository.findById(alertId);
+            if (!currentAlert) {
+                throw new Error(`Alert with ID ${alertId} not found`);
+            }
+
+            const resolved = this.assignmentManager
+                ? this.assignmentManager.resolveAssignment({ assignee, team })
+                : { assignee: assignee || null, team };
+            const newAssignee = assignee === undefined ? (currentAlert.assignee || null) : resolved.assignee;
+            const newTeam = resolved.team === undefined ? (currentAlert.team || null) : resolved.team;
+
+            const updatedAlert = await this.alertRepository.updateAssignment(alertId, newAssignee, newTeam);
+
+            await this.auditLogManager.log({
+                action: 'ALERT_ASSIGNED',
+                alertId: alertId,
+                oldAssignee: currentAlert.assignee || null,
+                newAssignee: newAssignee,
+                oldTeam: currentAlert.team || null,
+                newTeam: newTeam,
+                auto: false,
+                timestamp: new Date().toISOString()
+            });
+            this._publish('alert.updated', updatedAlert);
+
+            console.log(`✅ AlertManager: Alert ${alertId} assigned to ${newAssignee || 'nobody'} (${newTeam || 'no team'})`);
+            return updatedAlert;
+
+        } catch (error) {
+            console.error('❌ AlertManager: Error assigning alert:', error);
+
+            await this.auditLogManager.log({
+                action: 'ASSIGNMENT_FAILED',
+                alertId: alertId,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Add, change or remove tags on an alert
+     * Tags feed the risk score (asset criticality, exposure), so it is recomputed
+     *
+     * @param {string} alertId - ID of alert to tag
+     * @param {Object} changes
+     * @param {Object} [changes.add] - Tags to set, key → string value
+     * @param {string[]} [changes.remove] - Tag keys to remove
+     * @returns {Promise<Object>} Updated alert object
+     */
+    async tagAlert(alertId, { add = {}, remove = [] } = {}) {
+        try {
+            if (!alertId) {
+                throw new Error('Alert ID is required');
+            }
+            if (!add || typeof add !== 'object' || Array.isArray(add) ||
+                Object.values(add).some(value => typeof value !== 'string')) {
+                throw new Error('add must be an object of key/value string pairs');
+            }
+            if (!Array.isArray(remove) || remove.some(key => typeof key !== 'string')) {
+                throw new Error('remove must be a list of tag keys');
+            }
+            if (Object.keys(add).length === 0 && remove.length === 0) {
+                throw new Error('Tags to add or remove are required');
+            }
+
+            const currentAlert = await this.alertRepository.findById(alertId);
+            if (!currentAlert) {
+                throw new Error(`Alert with ID ${alertId} not found`);
+            }
+
+            const tags = { ...(currentAlert.tags || {}) };
+            remove.forEach(key => delete tags[key]);
+            Object.assign(tags, add);
+
+            const updatedAlert = await this._refreshRisk(await this.alertRepository.updateTags(alertId, tags));
+
+            await this.auditLogManager.log({
+                action: 'ALERT_TAGGED',
+                alertId: alertId,
+                added: add,
+                removed: remove,
+                timestamp: new Date().toISOString()
+            });
+            this._publish('alert.updated', updatedAlert);
+
+            console.log(`✅ AlertManager: Alert ${alertId} tags updated`);
+            return updatedAlert;
+
+        } catch (error) {
+            console.error('❌ AlertManager: Error tagging alert:', error);
+
+            await this.auditLogManager.log({
+                action: 'TAGGING_FAILED',
+                alertId: alertId,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Apply one action to many alerts
+     * Each alert is processed on its own, so one failure does not stop the batch.
+     * Every audit entry written for the batch carries the same batchId, and a
+     * BULK_OPERATION entry summarizes it.
+     *
+     * @param {string} action - status, assign, tag, suppress or delete
+     * @param {Object} target - Exactly one of alertIds or filter
+     * @param {string[]} [target.alertIds] - Alerts by ID
+     * @param {Object} [target.filter] - Alerts matching a filter (same criteria as getAlerts, at least one)
+     * @param {Object} [params] - Action parameters:
+     *   status { status, reason }, assign { assignee, team }, tag { add, remove }, suppress { reason }
+     * @returns {Promise<Object>} { batchId, action, total, succeeded, failed, results }
+     *   Each result is { alertId, ok } plus the changed fields, or the error; an
+     *   invalid transition also lists the alert's validTransitions
+     */
+    async bulkUpdate(action, { alertIds, filter } = {}, params = {}) {
+        if (!this.bulkActions.includes(action)) {
+            throw new Error(`Invalid action: ${action}. Must be one of: ${this.bulkActions.join(', ')}`);
+        }
+        if (action === 'status' && !params.status) {
+            throw new Error('status is required');
+        }
+        if (action === 'suppress') {
+            if (!this.workflow.states.some(state => state.name === this.suppressedState)) {
+                throw new Error(`Workflow has no ${this.suppressedState} state`);
+            }
+            if (!params.reason || params.reason.trim() === '') {
+                throw new Error('A reason is required to suppress alerts');
+            }
+        }
+
+        let ids;
+        if (alertIds !== undefined && filter !== undefined) {
+            throw new Error('Give either alertIds or filter, not both');
+        } else if (alertIds !== undefined) {
+            if (!Array.isArray(alertIds) || alertIds.length === 0 || alertIds.some(id => typeof id !== 'string')) {
+                throw new Error('alertIds must be a non-empty list of alert IDs');
+            }
+            ids = [...new Set(alertIds)];
+        } else if (filter !== undefined) {
+            // Empty values (search: '', a tag filter without key:value pairs) would match every alert
+            if (!filter || typeof filter !== 'object' || !this.alertRepository.hasCriteria(filter)) {
+                throw new Error('filter needs at least one criterion');
+            }
+            ids = (await this.alertRepository.findAll(filter)).map(alert => alert.id);
+        } else {
+            throw new Error('alertIds or filter is required');
+        }
+        if (ids.length > this.maxBulkSize) {
+            throw new Error(`A bulk operation can change at most ${this.maxBulkSize} alerts (${ids.length} selected)`);
+        }
+
+        const batchId = this._generateBatchId();
+        // Same manager, but every audit entry it writes carries the batchId
+        const batch = Object.create(this);
+        batch.auditLogManager = this.auditLogManager.withContext({ batchId });
+
+        const results = [];
+        for (const alertId of ids) {
+            try {
+                results.push({ alertId, ok: true, ...(await batch._applyBulkAction(action, alertId, params)) });
+            } catch (error) {
+                const result = { alertId, ok: false, error: error.message };
+                if (error.validTransitions) {
+                    result.validTransitions = error.validTransitions;
+                }
+                results.push(result);
+            }
+        }
+
+        const failed = results.filter(result => !result.ok);
+        await batch.auditLogManager.log({
+            action: 'BULK_OPERATION',
+            bulkAction: action,
+            status: params.status || undefined,
+            reason: params.reason || undefined,
+            total: results.length,
+            succeeded: results.length - failed.length,
+            failed: failed.map(result => result.alertId),
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`✅ AlertManager: Bulk ${action} ${batchId}: ${results.length - failed.length}/${results.length} succeeded`);
+        return {
+            batchId,
+            action,
+            total: results.length,
+            succeeded: results.length - failed.length,
+            failed: failed.length,
+            results
+        };
+    }
+
+    /**
+     * Create alerts from a batch of external findings (e.g. AWS Security Hub)
+     * Each record is mapped and created on its own, so a rejected record does
+     * not stop the batch. Audit entries carry the batchId, and a
+     * FINDINGS_IMPORTED entry summarizes the batch.
+     *
+     * @param {Object} importer - Format adapter (see importers/)
+     * @param {string} importer.source - Name recorded on the import
+     * @param {Function} importer.mapFinding - Record → finding; throws if the record cannot be mapped
+     * @param {Function} [importer.findingRef] - Record → the record's own id, echoed in its result
+     * @param {Object[]} records - Records in the importer's format
+     * @param {Object} [options]
+     * @param {string} [options.importKey] - Identifies the report; a finding whose alert was
+     *   last imported under the same key is left alone, so re-importing a report changes nothing
+     * @returns {Promise<Object>} { batchId, source, total, accepted, rejected, results }
+     *   Each result is { index, ref, ok } plus { outcome, alertId } when accepted
+     *   (outcome is created, updated, unchanged, suppressed or dropped) or { error, details } when rejected
+     */
+    async importFindings(importer, records, { importKey } = {}) {
+        const batchId = this._generateBatchId();
+        const batch = Object.create(this);
+        batch.auditLogManager = this.auditLogManager.withContext({ batchId });
+
+        const results = [];
+        for (const [index, record] of records.entries()) {
+            const ref = importer.findingRef ? importer.findingRef(record) : null;
+            try {
+                const finding = importer.mapFinding(record);
+                if (importKey) {
+                    this._validateFinding(finding);
+                    const existing = await this.alertRepository.findByFingerprint(this._generateFingerprint(finding));
+                    if (existing && existing.importKey === importKey) {
+                        results.push({ index, ref, ok: true, outcome: 'unchanged', alertId: existing.id });
+                        continue;
+                    }
+                }
+
+                const alert = await batch.createAlert(finding);
+                if (alert.dropped) {
+                    results.push({ index, ref, ok: true, outcome: 'dropped', alertId: null, suppressionId: alert.suppressionId });
+                    continue;
+                }
+                let outcome = 'created';
+                if (alert.occurrences > 1) {
+                    outcome = 'updated';
+                } else if (alert.status === this.suppressedState) {
+                    outcome = 'suppressed';
+                }
+                if (importKey) {
+                    await this.alertRepository.setImportKey(alert.id, importKey);
+                }
+                results.push({ index, ref, ok: true, outcome, alertId: alert.id });
+            } catch (error) {
+                results.push({ index, ref, ok: false, error: error.message, details: error.errors });
+            }
+        }
+
+        const rejected = results.filter(result => !result.ok);
+        await batch.auditLogManager.log({
+            action: 'FINDINGS_IMPORTED',
+            source: importer.source,
+            total: results.length,
+            accepted: results.length - rejected.length,
+            rejected: rejected.length,
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`✅ AlertManager: Import ${batchId} from ${importer.source}: ${results.length - rejected.length}/${results.length} accepted`);
+        return {
+            batchId,
+            source: importer.source,
+            total: results.length,
+            accepted: results.length - rejected.length,
+            rejected: rejected.length,
+            results
+        };
+    }
+
+    /**
+     * Act on SLA deadlines that have passed
+     * Each breach is recorded on the alert and audited as SLA_BREACHED; the
+     * severity's policy may escalate severity and/or reassign the alert, and
+     * an alert.sla_breached event goes to the notifiers.
+     *
+     * @param {Date} [now] - Current time
+     * @returns {Promise<Object[]>} Alerts that breached, as updated
+     */
+    async processSlaBreaches(now = new Date()) {
+        if (!this.slaManager) {
+            return [];
+        }
+
+        const dueAlerts = await this.alertRepository.findSlaDue(now.toISOString());
+        const breachedAlerts = [];
+        for (const alert of dueAlerts) {
+            try {
+                const breaches = this.slaManager.dueBreaches(alert, now);
+                if (breaches.length === 0) {
+                    // Stored deadline is stale (e.g. policy changed) or missing; recompute it
+                    await this._refreshSla(alert);
+                    continue;
+                }
+                breachedAlerts.push(await this._handleSlaBreach(alert, breaches, now));
+            } catch (error) {
+                console.error(`❌ AlertManager: Error processing SLA breach for ${alert.id}:`, error);
+            }
+        }
+        return breachedAlerts;
+    }
+
+    /**
+     * Recompute risk scores that may have drifted: open alerts age, and alerts
+     * stored before scoring existed have no score yet
+     *
+     * @param {Date} [now] - Current time
+     * @returns {Promise<number>} Number of alerts whose score changed
+     */
+    async recomputeRiskScores(now = new Date()) {
+        const openStates = this.workflow.states.filter(state => state.open).map(state => state.name);
+        const alerts = await this.alertRepository.findForRiskRecompute(openStates);
+
+        let changed = 0;
+        for (const alert of alerts) {
+            const updatedAlert = await this._refreshRisk(alert, now);
+            if (updatedAlert !== alert) {
+                changed++;
+                this._publish('alert.updated', updatedAlert);
+            }
+        }
+        if (changed > 0) {
+            console.log(`📈 AlertManager: Recomputed risk score of ${changed} alerts`);
+        }
+        return changed;
+    }
+
+    /**
+     * Look open CVE alerts up again, e.g. after the enrichment data was refreshed
+     * An alert whose CVE has since entered the KEV catalog becomes High.
+     *
+     * @returns {Promise<number>} Number of alerts whose enrichment changed
+     */
+    async refreshEnrichment() {
+        if (!this.cveEnricher) {
+            return 0;
+        }
+        const openStates = this.workflow.states.filter(state => state.open).map(state => state.name);
+        const alerts = await this.alertRepository.findOpenByCategory('CVE', openStates);
+
+        let changed = 0;
+        for (const alert of alerts) {
+            const updatedAlert = await this._refreshEnrichment(alert, storedFinding(alert), this.cveEnricher.enrich(alert));
+            if (updatedAlert !== alert) {
+                changed++;
+                this._publish('alert.updated', updatedAlert);
+            }
+        }
+        if (changed > 0) {
+            console.log(`📚 AlertManager: Refreshed enrichment of ${changed} alerts`);
+        }
+        return changed;
+    }
+
+    /**
+     * Follow alert changes that concern a filter
+     * Updated alerts that no longer match are reported as alert.excluded
+     * ({ id } only) so a filtered view can drop them; deletions are always reported.
+     *
+     * @param {Object} filter - Same criteria as getAlerts
+     * @param {Function} listener - Called with each event { id, type, alert, timestamp }
+     * @param {Object} [options]
+     * @param {string} [options.lastEventId] - Replay the events published after this one first
+     * @returns {Object} { resumed, unsubscribe }; resumed is false when the missed events are no longer known
+     */
+    subscribe(filter, listener, { lastEventId } = {}) {
+        const deliver = event => {
+            if (event.type === 'alert.deleted') {
+                listener(event);
+            } else if (this.alertRepository.matchesFilter(event.alert, filter)) {
+                listener(event);
+            } else if (event.type === 'alert.updated') {
+                listener({ ...event, type: 'alert.excluded', alert: { id: event.alert.id } });
+            }
+        };
+
+        let resumed = true;
+        if (lastEventId) {
+            const missed = this.eventBus.eventsSince(lastEventId);
+            if (missed) {
+                missed.forEach(deliver);
+            } else {
+                resumed = false;
+            }
+        }
+
+        return { resumed, unsubscribe: this.eventBus.subscribe(deliver) };
+    }
+
+    /**
+     * Get the SLA policies per severity
+     *
+     * @returns {Object|null} { unacknowledgedStates, policies }, or null when SLAs are not enabled
+     */
+    getSlaPolicies() {
+        return this.slaManager ? this.slaManager.getPolicies() : null;
+    }
+
+    /**
+     * Get the severity classification rules
+     *
+     * @returns {Object} { defaultSeverity, rules }, highest priority first
+     */
+    getClassificationRules() {
+        return this.classifier.getRules();
+    }
+
+    /**
+     * Get the lifecycle workflow
+     * Lists every state and, per state, the allowed next actions
+     *
+     * @returns {Object} Workflow definition
+     */
+    getWorkflow() {
+        return this.workflow;
+    }
+
     /**
      * Get a specific alert by ID
      * 
@@ -247,6 +899,9 @@ class AlertManager {
                 alertId: alertId,
                 timestamp: new Date().toISOString()
             });
+            this._publish('alert.deleted', { id: alertId });
+            // Incidents drop the alert from their summary
+            await this._notify('alert.deleted', alert);
 
             console.log(`✅ AlertManager: Alert ${alertId} deleted successfully`);
             return true;
@@ -267,31 +922,35 @@ class AlertManager {
 
     /**
      * Get alert statistics
+     * Counts are computed by a single aggregation in the repository
      * 
      * @returns {Promise<Object>} Statistics object
      */
     async getStatistics() {
         try {
-            const alerts = await this.alertRepository.findAll();
+            const counts = await this.alertRepository.getSummaryCounts();
+
+            // Known values always appear (with 0); unexpected stored values are kept too
+            const withKnownKeys = (known, found, toKey = key => key) => {
+                const result = {};
+                known.concat(Object.keys(found).filter(key => !known.includes(key)))
+                    .forEach(key => {
+                        result[toKey(key)] = found[key] || 0;
+                    });
+                return result;
+            };
+            const toLowerKey = key => String(key).toLowerCase();
 
             const stats = {
-                total: alerts.length,
-                new: alerts.filter(a => a.status === 'New').length,
-                acknowledged: alerts.filter(a => a.status === 'Acknowledged').length,
-                inProgress: alerts.filter(a => a.status === 'In-Progress').length,
-                resolved: alerts.filter(a => a.status === 'Resolved').length,
-                bySeverity: {
-                    high: alerts.filter(a => a.severity === 'High').length,
-                    medium: alerts.filter(a => a.severity === 'Medium').length,
-                    low: alerts.filter(a => a.severity === 'Low').length
-                },
-                byCategory: {
-                    cve: alerts.filter(a => a.category === 'CVE').length,
-                    s3: alerts.filter(a => a.category === 'S3').length,
-                    iam: alerts.filter(a => a.category === 'IAM').length,
-                    network: alerts.filter(a => a.category === 'Network').length,
-                    activity: alerts.filter(a => a.category === 'Activity').length
-                }
+                total: counts.total,
+                new: counts.byStatus['New'] || 0,
+                acknowledged: counts.byStatus['Acknowledged'] || 0,
+                inProgress: counts.byStatus['In-Progress'] || 0,
+                // Every closed state counts as resolved, whatever the workflow calls it
+                resolved: this.closedStates.reduce((sum, state) => sum + (counts.byStatus[state] || 0), 0),
+                byStatus: withKnownKeys(this.workflow.states.map(state => state.name), counts.byStatus),
+                bySeverity: withKnownKeys(this.severityLevels, counts.bySeverity, toLowerKey),
+                byCategory: withKnownKeys(this.categories, counts.byCategory, toLowerKey)
             };
 
             return stats;
@@ -302,35 +961,420 @@ class AlertManager {
         }
     }
 
+    /**
+     * Resolve a time series range to bucket boundaries
+     *
+     * @param {Object} options - interval, since and until as for getTimeSeries
+     * @returns {{rangeStart: Date, untilDate: Date, bucketCount: number}}
+     * @throws {Error} If the interval is unknown or the range needs more than maxTimeSeriesBuckets buckets
+     */
+    getTimeSeriesRange({ interval = 'day', since, until } = {}) {
+        const bucketing = this.timeSeriesIntervals[interval];
+        if (!bucketing) {
+            throw new Error(
+                `Invalid interval: ${interval}. ` +
+                `Must be one of: ${Object.keys(this.timeSeriesIntervals).join(', ')}`
+            );
+        }
+
+        const untilDate = until ? new Date(until) : new Date();
+        const sinceDate = since
+            ? new Date(since)
+            : new Date(untilDate.getTime() - bucketing.defaultBuckets * bucketing.milliseconds);
+        const rangeStart = this._bucketStart(sinceDate, interval);
+        const bucketCount = Math.max(0, Math.floor((untilDate.getTime() - rangeStart.getTime()) / bucketing.milliseconds) + 1);
+
+        if (bucketCount > this.maxTimeSeriesBuckets) {
+            throw new Error(
+                `Time range spans ${bucketCount} ${interval} buckets; ` +
+                `at most ${this.maxTimeSeriesBuckets} are allowed (use a later since or a longer interval)`
+            );
+        }
+        return { rangeStart, untilDate, bucketCount };
+    }
+
+    /**
+     * Get created/resolved alert counts over time
+     * 
+     * @param {Object} options
+     * @param {string} options.interval - Bucket size: hour, day or week
+     * @param {string} [options.since] - Range start (ISO timestamp); defaults to a window per interval
+     * @param {string} [options.until] - Range end (ISO timestamp); defaults to now
+     * @param {string} [options.groupBy] - Split counts by severity or category
+     * @returns {Promise<Object>} { interval, since, until, groupBy, buckets: [{ start, created, resolved, createdBy, resolvedBy }] }
+     * @throws {Error} If the range needs more than maxTimeSeriesBuckets buckets
+     */
+    async getTimeSeries({ interval = 'day', since, until, groupBy } = {}) {
+        try {
+            const bucketing = this.timeSeriesIntervals[interval];
+            if (!bucketing) {
+                throw new Error(
+                    `Invalid interval: ${interval}. ` +
+                    `Must be one of: ${Object.keys(this.timeSeriesIntervals).join(', ')}`
+                );
+            }
+            if (groupBy && !['severity', 'category'].includes(groupBy)) {
+                throw new Error(`Invalid groupBy: ${groupBy}. Must be one of: severity, category`);
+            }
+
+            const { rangeStart, untilDate } = this.getTimeSeriesRange({ interval, since, until });
+
+            const rows = await this.alertRepository.getTimeSeries({
+                since: rangeStart.toISOString(),
+                until: untilDate.toISOString(),
+                bucketLength: bucketing.prefixLength,
+                groupBy
+            });
+
+            // One bucket per interval step, so empty periods show up as zeros
+            const buckets = new Map();
+            for (let time = rangeStart.getTime(); time <= untilDate.getTime(); time += bucketing.milliseconds) {
+                const start = new Date(time).toISOString();
+                const bucket = { start, created: 0, resolved: 0 };
+                if (groupBy) {
+                    bucket.createdBy = {};
+                    bucket.resolvedBy = {};
+                }
+                buckets.set(start, bucket);
+            }
+
+            const addRows = (seriesRows, field) => {
+                seriesRows.forEach(row => {
+                    const start = this._bucketStart(this._parseBucketPrefix(row.bucket), interval).toISOString();
+                    const bucket = buckets.get(start);
+                    if (!bucket) return;
+                    bucket[field] += row.count;
+                    if (groupBy) {
+                        const split = bucket[`${field}By`];
+                        split[row.key] = (split[row.key] || 0) + row.count;
+                    }
+                });
+            };
+            addRows(rows.created, 'created');
+            addRows(rows.resolved, 'resolved');
+
+            return {
+                interval,
+                since: rangeStart.toISOString(),
+                until: untilDate.toISOString(),
+                groupBy: groupBy || null,
+                buckets: Array.from(buckets.values())
+            };
+
+        } catch (error) {
+            console.error('❌ AlertManager: Error calculating time series:', error);
+            throw error;
+        }
+    }
+
     // ====================================
     // Private Helper Methods
     // ====================================
 
     /**
-     * Validate finding input
-     * 
+     * Record a repeat occurrence of an already known finding
+     * The counter is always bumped; alerts in a workflow regression state
+     * (e.g. Resolved) are also reopened. When a mute rule matches the finding,
+     * open and regressed alerts move to Suppressed instead. The finding's
+     * current CVE lookup is stored and may raise the severity.
+     *
      * @private
-     * @param {Object} finding - Finding object to validate
-     * @throws {Error} If finding is invalid
+     * @param {Object} existingAlert - Alert matching the finding's fingerprint
+     * @param {Object} finding - The repeat finding
+     * @param {Object|null} enrichment - Its CVE lookup (see CveEnricher.enrich)
+     * @param {Object|null} [suppression] - Mute rule matching the finding
+     * @returns {Promise<Object>} Updated alert object
      */
-    _validateFinding(finding) {
-        if (!finding) {
-            throw new Error('Finding object is required');
+    async _recordOccurrence(existingAlert, finding, enrichment, suppression = null) {
+        const regression = this.workflow.regression;
+        const wouldReopen = Boolean(regression) && regression.from.includes(existingAlert.status);
+        const state = this.workflow.states.find(candidate => candidate.name === existingAlert.status);
+        const isMuted = Boolean(suppression) && existingAlert.status !== this.suppressedState &&
+            (wouldReopen || Boolean(state && state.open));
+        const isRegression = wouldReopen && !suppression;
+        const reopenStatus = isRegression ? regression.to : null;
+
+        let updatedAlert = await this._refreshRisk(await this._refreshEnrichment(
+            await this.alertRepository.recordOccurrence(
+                existingAlert.id,
+                new Date().toISOString(),
+                reopenStatus,
+                isMuted
+                    ? { status: this.suppressedState, suppressionId: suppression.id, reason: suppression.justification }
+                    : null
+            ),
+            finding,
+            enrichment
+        ));
+
+        if (isMuted) {
+            // Suppressed is a closed state: the SLA clock stops
+            updatedAlert = await this._refreshSla(updatedAlert);
+            await this.auditLogManager.log({
+                action: 'ALERT_SUPPRESSED',
+                alertId: existingAlert.id,
+                suppressionId: suppression.id,
+                oldStatus: existingAlert.status,
+                reason: suppression.justification,
+                occurrences: updatedAlert.occurrences,
+                timestamp: new Date().toISOString()
+            });
+            await this._notify('alert.status_changed', updatedAlert, {
+                oldStatus: existingAlert.status,
+                newStatus: this.suppressedState,
+                reason: suppression.justification
+            });
+            console.log(`🔇 AlertManager: Alert ${existingAlert.id} suppressed by rule ${suppression.id} on repeat`);
+        } else if (isRegression) {
+            // A reopened alert starts a fresh SLA clock
+            updatedAlert = await this._refreshSla(updatedAlert, {
+                slaStartedAt: updatedAlert.updatedAt,
+                slaBreaches: []
+            });
+            await this.auditLogManager.log({
+                action: 'ALERT_REOPENED',
+                alertId: existingAlert.id,
+                oldStatus: existingAlert.status,
+                newStatus: reopenStatus,
+                occurrences: updatedAlert.occurrences,
+                timestamp: new Date().toISOString(),
+                details: 'Resolved finding detected again (regression)'
+            });
+            await this._notify('alert.status_changed', updatedAlert, {
+                oldStatus: existingAlert.status,
+                newStatus: reopenStatus,
+                reason: 'Regression: resolved finding detected again'
+            });
+            console.log(`🔁 AlertManager: Alert ${existingAlert.id} reopened as regression`);
+        } else {
+            await this.auditLogManager.log({
+                action: 'ALERT_OCCURRENCE_RECORDED',
+                alertId: existingAlert.id,
+                occurrences: updatedAlert.occurrences,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`🔁 AlertManager: Alert ${existingAlert.id} seen again (${updatedAlert.occurrences} occurrences)`);
+        }
+
+        this._publish('alert.updated', updatedAlert);
+        return updatedAlert;
+    }
+
+    /**
+     * Record passed SLA deadlines and apply the severity's breach policy
+     *
+     * @private
+     * @param {Object} alert - Alert with passed deadlines
+     * @param {Object[]} breaches - From SlaManager.dueBreaches
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Updated alert object
+     */
+    async _handleSlaBreach(alert, breaches, now) {
+        const onBreach = this.slaManager.getPolicy(alert.severity).onBreach;
+        const escalateTo = onBreach.escalateSeverity ? this.slaManager.escalatedSeverity(alert.severity) : null;
+        const reassignTo = onBreach.reassignTo && onBreach.reassignTo !== alert.assignee ? onBreach.reassignTo : null;
+        const breachedAt = now.toISOString();
+
+        for (const breach of breaches) {
+            await this.auditLogManager.log({
+                action: 'SLA_BREACHED',
+                alertId: alert.id,
+                slaType: breach.type,
+                dueAt: breach.dueAt,
+                severity: alert.severity,
+                status: alert.status,
+                escalatedTo: escalateTo,
+                reassignedTo: reassignTo,
+                timestamp: breachedAt
+            });
         }
 
-        if (!finding.category) {
-            throw new Error('Finding category is required');
+        let updatedAlert = alert;
+        if (escalateTo) {
+            updatedAlert = await this._refreshRisk(await this.alertRepository.updateSeverity(alert.id, escalateTo));
+            await this.auditLogManager.log({
+                action: 'SEVERITY_ESCALATED',
+                alertId: alert.id,
+                oldSeverity: alert.severity,
+                newSeverity: escalateTo,
+                reason: 'SLA breached',
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (reassignTo) {
+            updatedAlert = await this.assignAlert(alert.id, { assignee: reassignTo });
         }
 
-        if (!this.categories.includes(finding.category)) {
-            throw new Error(
-                `Invalid category: ${finding.category}. ` +
-                `Must be one of: ${this.categories.join(', ')}`
-            );
+        // Deadlines are recomputed for the (possibly escalated) severity
+        updatedAlert = await this._refreshSla(updatedAlert, {
+            slaBreaches: (alert.slaBreaches || []).concat(
+                breaches.map(breach => ({ type: breach.type, dueAt: breach.dueAt, at: breachedAt, severity: alert.severity }))
+            )
+        });
+
+        this._publish('alert.updated', updatedAlert);
+
+        await this._notify('alert.sla_breached', updatedAlert, {
+            breaches,
+            escalatedFrom: escalateTo ? alert.severity : null,
+            reassignedTo: reassignTo
+        });
+
+        console.log(`⏰ AlertManager: Alert ${alert.id} breached its ${breaches.map(b => b.type).join(' and ')} SLA`);
+        return updatedAlert;
+    }
+
+    /**
+     * Store a newer CVE lookup on a known alert and classify it again
+     * Severity is only ever raised (e.g. to High once the CVE is in the KEV
+     * catalog), so manual changes and SLA escalations are kept.
+     *
+     * @private
+     * @param {Object} alert - Alert as stored
+     * @param {Object} finding - Finding to classify: the repeat finding, or the alert itself
+     * @param {Object|null} enrichment - Current CVE lookup (see CveEnricher.enrich)
+     * @returns {Promise<Object>} Alert as stored
+     */
+    async _refreshEnrichment(alert, finding, enrichment) {
+        if (!enrichment || sameEnrichment(alert.enrichment, enrichment)) {
+            return alert;
+        }
+
+        const changes = { enrichment };
+        if (enrichment.cvss && typeof alert.cvssScore !== 'number') {
+            changes.cvssScore = enrichment.cvss.score;
+        }
+        const classification = this._classifyEnriched(
+            typeof finding.cvssScore === 'number' ? finding : { ...finding, ...changes },
+            enrichment
+        );
+        const raised = this.severityLevels.indexOf(classification.severity) < this.severityLevels.indexOf(alert.severity);
+        if (raised) {
+            changes.severity = classification.severity;
+            changes.classification = classification;
+        }
+
+        let updatedAlert = await this.alertRepository.updateEnrichment(alert.id, changes);
+        await this.auditLogManager.log({
+            action: 'ALERT_ENRICHED',
+            alertId: alert.id,
+            cveId: enrichment.cveId,
+            knownExploited: enrichment.knownExploited,
+            cvssScore: enrichment.cvss ? enrichment.cvss.score : null,
+            epss: enrichment.epss ? enrichment.epss.probability : null,
+            timestamp: new Date().toISOString()
+        });
+        if (raised) {
+            // Deadlines follow the new severity
+            updatedAlert = await this._refreshSla(updatedAlert);
+            await this.auditLogManager.log({
+                action: 'SEVERITY_ESCALATED',
+                alertId: alert.id,
+                oldSeverity: alert.severity,
+                newSeverity: classification.severity,
+                reason: classification.ruleDescription,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`📚 AlertManager: Alert ${alert.id} raised to ${classification.severity} after enrichment`);
         }
+        return await this._refreshRisk(updatedAlert);
+    }
 
-        if (!finding.description || finding.description.trim() === '') {
-            throw new Error('Finding description is required');
+    /**
+     * Recompute and store an alert's SLA fields when they have changed
+     *
+     * @private
+     * @param {Object} alert - Alert as stored
+     * @param {Object} [changes] - New SLA inputs (slaStartedAt, slaBreaches)
+     * @returns {Promise<Object>} Alert as stored
+     */
+    async _refreshSla(alert, changes = {}) {
+        if (!this.slaManager) {
+            return alert;
+        }
+
+        const slaFields = this.slaManager.evaluate({ ...alert, ...changes });
+        const changed = Object.keys(slaFields)
+            .some(key => JSON.stringify(slaFields[key]) !== JSON.stringify(alert[key]));
+        return changed ? await this.alertRepository.updateSla(alert.id, slaFields) : alert;
+    }
+
+    /**
+     * Recompute and store an alert's risk score when it has changed
+     *
+     * @private
+     * @param {Object} alert - Alert as stored
+     * @param {Date} [now] - Current time, for the age factor
+     * @returns {Promise<Object>} Alert as stored
+     */
+    async _refreshRisk(alert, now = new Date()) {
+        const risk = this.riskScorer.score(alert, now);
+        const changed = risk.riskScore !== alert.riskScore ||
+            JSON.stringify(risk.riskFactors) !== JSON.stringify(alert.riskFactors);
+        return changed ? await this.alertRepository.updateRisk(alert.id, risk) : alert;
+    }
+
+    /**
+     * Publish an alert change on the event bus
+     *
+     * @private
+     */
+    _publish(type, alert) {
+        this.eventBus.publish(type, alert);
+    }
+
+    /**
+     * Pass an alert event to every notifier
+     * Notification problems are logged but never fail the alert operation
+     *
+     * @private
+     */
+    async _notify(event, alert, data) {
+        for (const notifier of this.notifiers) {
+            try {
+                await notifier.notify(event, alert, data);
+            } catch (error) {
+                console.error(`❌ AlertManager: Error sending ${event} notification:`, error);
+            }
+        }
+    }
+
+    /**
+     * Generate a stable fingerprint for a finding
+     * Based on category + resource + rule/CVE id + normalized description
+     *
+     * @private
+     * @param {Object} finding - Security finding
+     * @returns {string} SHA-256 hex digest
+     */
+    _generateFingerprint(finding) {
+        const normalizedDescription = finding.description
+            .trim()
+            .toLowerCase()
+            .replace(/\s+/g, ' ');
+
+        const { resource, ruleId } = normalizeFinding(finding);
+        const parts = [
+            finding.category,
+            resource ? (resource.arn || resource.id) : '',
+            ruleId || '',
+            normalizedDescription
+        ];
+
+        return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+    }
+
+    /**
+     * Validate finding input
+     * 
+     * @private
+     * @param {Object} finding - Finding object to validate
+     * @throws {FindingValidationError} If finding is invalid, with one error per field
+     */
+    _validateFinding(finding) {
+        const errors = validateFinding(finding, { categories: this.categories });
+        if (errors.length > 0) {
+            throw new FindingValidationError(errors);
         }
     }
 
@@ -371,46 +1415,39 @@ class AlertManager {
 
     /**
      * Classify severity of a finding
-     * Uses severity from finding if valid, otherwise determines based on category and keywords
+     * Uses severity from finding if valid, otherwise the classification rules decide
      * 
      * @private
      * @param {Object} finding - Security finding
-     * @returns {string} Severity level (High, Medium, Low)
+     * @returns {Object} { severity, source, ruleId, ruleDescription, matched } (see SeverityClassifier)
      */
     _classifySeverity(finding) {
-        // If valid severity is provided, use it
-        if (finding.severity && this.severityLevels.includes(finding.severity)) {
-            return finding.severity;
-        }
-
-        // Otherwise, classify based on category and description keywords
-        const description = finding.description.toLowerCase();
-
-        // High severity keywords
-        const highSeverityKeywords = [
-            'critical', 'urgent', 'severe', 'exploit', 'vulnerability',
-            'breach', 'compromise', 'unauthorized access', 'data leak',
-            'malware', 'ransomware', 'public', 'exposed'
-        ];
-
-        // Low severity keywords
-        const lowSeverityKeywords = [
-            'informational', 'minor', 'warning', 'recommendation',
-            'best practice', 'configuration', 'versioning'
-        ];
-
-        // Check for high severity
-        if (highSeverityKeywords.some(keyword => description.includes(keyword))) {
-            return 'High';
-        }
+        return this.classifier.classify(finding);
+    }
 
-        // Check for low severity
-        if (lowSeverityKeywords.some(keyword => description.includes(keyword))) {
-            return 'Low';
+    /**
+     * Classify a finding's severity; a known exploited vulnerability is always High
+     *
+     * @private
+     * @param {Object} finding - Finding data
+     * @param {Object|null} enrichment - Its CVE lookup (see CveEnricher.enrich)
+     * @returns {Object} Classification (see SeverityClassifier.classify)
+     */
+    _classifyEnriched(finding, enrichment) {
+        const classification = this._classifySeverity(finding);
+        if (!enrichment || !enrichment.knownExploited || classification.severity === 'High') {
+            return classification;
         }
-
-        // Default to Medium
-        return 'Medium';
+        return {
+            severity: 'High',
+            source: 'enrichment',
+            ruleId: null,
+            ruleDescription: `${enrichment.cveId} is in the CISA Known Exploited Vulnerabilities catalog`,
+            matched: [
+                enrichment.kev.dateAdded ? `listed since ${enrichment.kev.dateAdded}` : 'listed',
+                `${classification.severity} otherwise`
+            ]
+        };
     }
 
     /**
@@ -432,6 +1469,90 @@ class AlertManager {
         return validNextStates.includes(newStatus);
     }
 
+    /**
+     * Get the UTC start of the time bucket containing a date
+     * Weeks start on Monday
+     *
+     * @private
+     * @param {Date} date - Any date in the bucket
+     * @param {string} interval - hour, day or week
+     * @returns {Date} Bucket start
+     */
+    _bucketStart(date, interval) {
+        const start = new Date(date.getTime());
+        start.setUTCMinutes(0, 0, 0);
+        if (interval === 'hour') {
+            return start;
+        }
+        start.setUTCHours(0);
+        if (interval === 'week') {
+            const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+            start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+        }
+        return start;
+    }
+
+    /**
+     * Turn an ISO timestamp prefix ("2024-05-01" or "2024-05-01T13") into a Date
+     *
+     * @private
+     * @param {string} prefix - Bucket prefix from the repository
+     * @returns {Date} Date at the start of the prefix
+     */
+    _parseBucketPrefix(prefix) {
+        return new Date(prefix.length > 10 ? `${prefix}:00:00.000Z` : `${prefix}T00:00:00.000Z`);
+    }
+
+    /**
+     * Look up the workflow transition between two states
+     *
+     * @private
+     * @param {string} currentStatus - Current alert status
+     * @param {string} newStatus - Desired new status
+     * @returns {Object|undefined} Transition definition
+     */
+    _getTransition(currentStatus, newStatus) {
+        return (this.workflow.transitions[currentStatus] || []).find(t => t.to === newStatus);
+    }
+
+    /**
+     * Apply one bulk action to one alert
+     *
+     * @private
+     * @returns {Promise<Object>} Changed fields for the per-alert result
+     * @throws {Error} With validTransitions set when the status change is not allowed
+     */
+    async _applyBulkAction(action, alertId, params) {
+        switch (action) {
+            case 'status':
+            case 'suppress': {
+                const newStatus = action === 'suppress' ? this.suppressedState : params.status;
+                const alert = await this.alertRepository.findById(alertId);
+                if (!alert) {
+                    throw new Error(`Alert with ID ${alertId} not found`);
+                }
+                if (!this._isValidTransition(alert.status, newStatus)) {
+                    const error = new Error(`Invalid state transition: ${alert.status} → ${newStatus}`);
+                    error.validTransitions = this.validTransitions[alert.status] || [];
+                    throw error;
+                }
+                const updated = await this.updateAlertStatus(alertId, newStatus, params.reason);
+                return { status: updated.status };
+            }
+            case 'assign': {
+                const updated = await this.assignAlert(alertId, { assignee: params.assignee, team: params.team });
+                return { assignee: updated.assignee, team: updated.team };
+            }
+            case 'tag': {
+                const updated = await this.tagAlert(alertId, { add: params.add, remove: params.remove });
+                return { tags: updated.tags };
+            }
+            case 'delete':
+                await this.deleteAlert(alertId);
+                return {};
+        }
+    }
+
     /**
      * Generate unique alert ID
      * Format: ALT-timestamp-random
@@ -444,6 +1565,19 @@ class AlertManager {
         const random = Math.floor(Math.random() * 10000);
         return `ALT-${timestamp}-${random}`;
     }
+
+    /**
+     * Generate unique bulk operation ID
+     * Format: BATCH-timestamp-random
+     *
+     * @private
+     * @returns {string} Unique batch ID
+     */
+    _generateBatchId() {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 10000);
+        return `BATCH-${timestamp}-${random}`;
+    }
 }
 
 // Export for use in Node.js
@@ -0,0 +1,555 @@
+/**
+ * IncidentManager - Groups related alerts into incidents
+ *
+ * - Sits above AlertManager: it receives alert.created events as a notifier and
+ *   correlates the new alert with open alerts that share a resource, account or
+ *   rule within a time window (config/correlation.json)
+ * - Incidents have their own lifecycle: Open → Investigating → Resolved (reopen needs a reason)
+ * - Severity and risk score of an incident are the highest among its member alerts
+ * - Closing an incident walks every open member alert to a closed workflow state
+ */
+
+const { loadCorrelationConfig } = require('../config/correlation');
+const { loadWorkflow } = require('../config/workflow');
+const { SEVERITY_RANKS } = require('../repositories/AlertRepository');
+const { alertEvents } = require('../services/AlertEventBus');
+
+// Incident lifecycle: allowed transitions and which ones need a reason
+const INCIDENT_TRANSITIONS = {
+    Open: [{ to: 'Investigating' }, { to: 'Resolved' }],
+    Investigating: [{ to: 'Resolved' }, { to: 'Open' }],
+    Resolved: [{ to: 'Open', requiresReason: true }]
+};
+const INCIDENT_STATES = Object.keys(INCIDENT_TRANSITIONS);
+
+class IncidentManager {
+    /**
+     * @param {IncidentRepository} incidentRepository - Stored incidents
+     * @param {AlertRepository} alertRepository - Member alerts
+     * @param {AuditLogManager} auditLogManager - Manager for audit logging
+     * @param {Object} [options]
+     * @param {Object} [options.config] - Correlation rules (defaults to config/correlation.json)
+     * @param {Object} [options.workflow] - Alert lifecycle workflow, for which states are open
+     * @param {AlertEventBus} [options.eventBus] - Receives alert changes (defaults to the process-wide bus)
+     */
+    constructor(incidentRepository, alertRepository, auditLogManager, options = {}) {
+        if (!incidentRepository) {
+            throw new Error('IncidentRepository is required');
+        }
+        if (!alertRepository) {
+            throw new Error('AlertRepository is required');
+        }
+        if (!auditLogManager) {
+            throw new Error('AuditLogManager is required');
+        }
+
+        this.incidentRepository = incidentRepository;
+        this.alertRepository = alertRepository;
+        this.auditLogManager = auditLogManager;
+        this.config = options.config || loadCorrelationConfig();
+        this.workflow = options.workflow || loadWorkflow();
+        this.eventBus = options.eventBus || alertEvents;
+        this.openStates = this.workflow.states.filter(state => state.open).map(state => state.name);
+
+        // Pagination limits for getIncidents
+        this.defaultPageSize = 50;
+        this.maxPageSize = 500;
+    }
+
+    /**
+     * Alert events from AlertManager: correlate new alerts, keep incident summaries current
+     *
+     * @param {string} event - alert.created, alert.status_changed, alert.deleted, ...
+     * @param {Object} alert - Alert after the change (as it was, for alert.deleted)
+     */
+    async notify(event, alert) {
+        if (event === 'alert.created') {
+            await this.correlate(alert);
+        } else if (alert.incidentId) {
+            await this._refreshSummary(alert.incidentId);
+        }
+    }
+
+    /**
+     * Add an alert to an incident according to the correlation rules
+     * Rules are tried in order; the alert joins a matching unresolved incident
+     * or opens a new one once enough related alerts exist
+     *
+     * @param {Object} alert - Newly created alert
+     * @returns {Promise<Object|null>} Incident the alert joined, or null
+     */
+    async correlate(alert) {
+        if (alert.incidentId || !this.openStates.includes(alert.status)) {
+            return null;
+        }
+
+        for (const rule of this.config.rules) {
+            const key = this._correlationKey(rule, alert);
+            if (!key || !this._ruleApplies(rule, alert)) {
+                continue;
+            }
+            const since = new Date(new Date(alert.createdAt).getTime() - rule.windowMs).toISOString();
+
+            const incident = await this.incidentRepository.findOpenByCorrelation(rule.id, key.value, since, 'Resolved');
+            if (incident) {
+                return await this._addMembers(incident, [alert]);
+            }
+
+            const candidates = await this.alertRepository.findCorrelationCandidates(key.field, key.value, since, this.openStates);
+            const members = candidates.filter(candidate =>
+                candidate.id !== alert.id && !candidate.incidentId && this._ruleApplies(rule, candidate)
+            );
+            members.push(alert);
+
+            const categories = new Set(members.map(member => member.category));
+            if (members.length >= rule.minAlerts && categories.size >= rule.minCategories) {
+                return await this._openIncident({
+                    title: rule.title.replace(/\{\{key\}\}/g, key.value),
+                    ruleId: rule.id,
+                    correlation: { key: rule.key, value: key.value }
+                }, members);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create an incident by hand from existing alerts
+     *
+     * @param {Object} definition
+     * @param {string} definition.title - Incident title
+     * @param {string[]} definition.alertIds - Member alerts (not already in an incident)
+     * @param {Object} [author] - Authenticated user creating the incident
+     * @returns {Promise<Object>} Created incident
+     */
+    async createIncident({ title, alertIds } = {}, author) {
+        if (typeof title !== 'string' || title.trim() === '') {
+            throw new Error('Incident title is required');
+        }
+        const alerts = await this._findFreeAlerts(alertIds);
+        return await this._openIncident({ title: title.trim(), ruleId: null, correlation: null }, alerts, author);
+    }
+
+    /**
+     * Add alerts to an incident
+     *
+     * @param {string} incidentId - Incident to extend
+     * @param {string[]} alertIds - Alerts to add (not already in an incident)
+     * @returns {Promise<Object>} Updated incident
+     */
+    async addAlerts(incidentId, alertIds) {
+        const incident = await this._findIncident(incidentId);
+        if (incident.status === 'Resolved') {
+            throw new Error(`Incident ${incidentId} is resolved; reopen it before adding alerts`);
+        }
+        const alerts = await this._findFreeAlerts(alertIds);
+        return await this._addMembers(incident, alerts);
+    }
+
+    /**
+     * Take an alert out of an incident (the alert itself is unchanged)
+     *
+     * @returns {Promise<Object>} Updated incident
+     */
+    async removeAlert(incidentId, alertId) {
+        const incident = await this._findIncident(incidentId);
+        if (!incident.alertIds.includes(alertId)) {
+            throw new Error(`Alert ${alertId} is not part of incident ${incidentId}`);
+        }
+
+        await this._linkAlerts([alertId], null);
+        await this.incidentRepository.update(incidentId, {
+            alertIds: incident.alertIds.filter(id => id !== alertId)
+        });
+
+        await this.auditLogManager.log({
+            action: 'INCIDENT_ALERT_REMOVED',
+            incidentId,
+            alertId,
+            timestamp: new Date().toISOString()
+        });
+
+        return await this._refreshSummary(incidentId);
+    }
+
+    /**
+     * Move an incident through its lifecycle (member alerts are unchanged)
+     *
+     * @param {string} incidentId - Incident to update
+     * @param {string} newStatus - Open, Investigating or Resolved
+     * @param {string} [reason] - Justification, required to reopen
+     * @returns {Promise<Object>} Updated incident
+     */
+    async updateStatus(incidentId, newStatus, reason) {
+        const incident = await this._findIncident(incidentId);
+        if (!INCIDENT_STATES.includes(newStatus)) {
+            throw new Error(`Invalid incident status: ${newStatus}. Must be one of: ${INCIDENT_STATES.join(', ')}`);
+        }
+        const transition = INCIDENT_TRANSITIONS[incident.status].find(target => target.to === newStatus);
+        if (!transition) {
+            throw new Error(
+                `Invalid state transition: ${incident.status} → ${newStatus}. ` +
+                `Valid transitions from ${incident.status}: ${INCIDENT_TRANSITIONS[incident.status].map(target => target.to).join(', ')}`
+            );
+        }
+        if (transition.requiresReason && (!reason || reason.trim() === '')) {
+            throw new Error(`A reason is required for transition ${incident.status} → ${newStatus}`);
+        }
+
+        const updated = await this._setStatus(incident, newStatus, reason);
+
+        await this.auditLogManager.log({
+            action: 'INCIDENT_STATUS_UPDATED',
+            incidentId,
+            oldStatus: incident.status,
+            newStatus,
+            reason: reason || undefined,
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`✅ IncidentManager: Incident ${incidentId} status updated: ${incident.status} → ${newStatus}`);
+        return updated;
+    }
+
+    /**
+     * Close every open member alert, then resolve the incident
+     * Each alert follows the shortest workflow path to the target state, so
+     * New → Acknowledged → In-Progress → Resolved is recorded step by step.
+     * The incident stays unresolved if any alert could not be closed.
+     *
+     * @param {string} incidentId - Incident to close
+     * @param {AlertManager} alertManager - Performs (and audits) the alert transitions
+     * @param {Object} [options]
+     * @param {string} [options.alertStatus] - Closed workflow state for the alerts (default Resolved)
+     * @param {string} [options.reason] - Reason recorded on each transition
+     * @returns {Promise<Object>} { incident, closed: [alertId], skipped: [alertId], failed: [{ alertId, error }] }
+     */
+    async closeIncident(incidentId, alertManager, { alertStatus = 'Resolved', reason } = {}) {
+        const incident = await this._findIncident(incidentId);
+        const target = this.workflow.states.find(state => state.name === alertStatus);
+        if (!target || target.open) {
+            const closedStates = this.workflow.states.filter(state => !state.open).map(state => state.name);
+            throw new Error(`Invalid alertStatus: ${alertStatus}. Must be one of: ${closedStates.join(', ')}`);
+        }
+        const stepReason = reason && reason.trim() !== '' ? reason.trim() : `Closed with incident ${incidentId}`;
+
+        const closed = [];
+        const skipped = [];
+        const failed = [];
+        const alerts = await this.alertRepository.findAll({ incidentId });
+        for (const alert of alerts) {
+            if (!this.openStates.includes(alert.status)) {
+                skipped.push(alert.id);
+                continue;
+            }
+            const path = this._findPath(alert.status, alertStatus);
+            if (!path) {
+                failed.push({ alertId: alert.id, error: `No workflow path from ${alert.status} to ${alertStatus}` });
+                continue;
+            }
+            try {
+                for (const status of path) {
+                    await alertManager.updateAlertStatus(alert.id, status, stepReason);
+                }
+                closed.push(alert.id);
+            } catch (error) {
+                failed.push({ alertId: alert.id, error: error.message });
+            }
+        }
+
+        let updated = await this._refreshSummary(incidentId);
+        if (failed.length === 0 && updated.status !== 'Resolved') {
+            updated = await this._setStatus(updated, 'Resolved', stepReason);
+        }
+
+        await this.auditLogManager.log({
+            action: 'INCIDENT_CLOSED',
+            incidentId,
+            alertStatus,
+            reason: stepReason,
+            closed,
+            skipped,
+            failed: failed.map(failure => failure.alertId),
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`✅ IncidentManager: Incident ${incidentId} closed ${closed.length} alert(s), ${failed.length} failed`);
+        return { incident: updated, closed, skipped, failed };
+    }
+
+    /**
+     * List incidents
+     *
+     * @param {Object} filter - { status, severity, ruleId }
+     * @param {Object} page - { limit, offset, sort }
+     * @returns {Promise<Object>} { incidents, total, limit, offset }
+     */
+    async getIncidents(filter = {}, page = {}) {
+        if (filter.status && ![].concat(filter.status).every(status => INCIDENT_STATES.includes(status))) {
+            throw new Error(`Invalid status filter. Must be any of: ${INCIDENT_STATES.join(', ')}`);
+        }
+        const limit = Math.min(page.limit || this.defaultPageSize, this.maxPageSize);
+        const offset = page.offset || 0;
+        const { incidents, total } = await this.incidentRepository.findPage(filter, { limit, offset, sort: page.sort });
+        return { incidents, total, limit, offset };
+    }
+
+    /**
+     * @returns {Promise<Object>} Incident with its member alerts (alerts)
+     */
+    async getIncident(incidentId) {
+        const incident = await this._findIncident(incidentId);
+        const alerts = await this.alertRepository.findAll({ incidentId });
+        alerts.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        return { ...incident, alerts };
+    }
+
+    /**
+     * @returns {Object} { states, transitions, rules } - incident lifecycle and correlation rules as configured
+     */
+    getConfiguration() {
+        return {
+            states: INCIDENT_STATES,
+            transitions: INCIDENT_TRANSITIONS,
+            rules: this.config.rules.map(({ windowMs, ...rule }) => rule)
+        };
+    }
+
+    /**
+     * Store a new incident and link its alerts
+     * @private
+     */
+    async _openIncident({ title, ruleId, correlation }, alerts, author) {
+        const now = new Date().toISOString();
+        const incident = {
+            id: this._generateIncidentId(),
+            title,
+            status: 'Open',
+            statusReason: null,
+            ruleId,
+            correlation,
+            alertIds: alerts.map(alert => alert.id),
+            ...this._summarize(alerts),
+            createdBy: author ? author.username : null,
+            createdAt: now,
+            updatedAt: now,
+            resolvedAt: null
+        };
+
+        await this.incidentRepository.save(incident);
+        await this._linkAlerts(incident.alertIds, incident.id);
+
+        await this.auditLogManager.log({
+            action: 'INCIDENT_CREATED',
+            incidentId: incident.id,
+            ruleId,
+            alertIds: incident.alertIds,
+            title,
+            timestamp: now
+        });
+        await this._logMembersAdded(incident, incident.alertIds);
+
+        console.log(`✅ IncidentManager: Incident ${incident.id} opened with ${incident.alertCount} alert(s) (${ruleId || 'manual'})`);
+        return incident;
+    }
+
+    /**
+     * Link more alerts to an existing incident
+     * @private
+     */
+    async _addMembers(incident, alerts) {
+        const alertIds = alerts.map(alert => alert.id);
+        await this._linkAlerts(alertIds, incident.id);
+        await this.incidentRepository.update(incident.id, {
+            alertIds: [...incident.alertIds, ...alertIds]
+        });
+        await this._logMembersAdded(incident, alertIds);
+        return await this._refreshSummary(incident.id);
+    }
+
+    /**
+     * Set (or clear) the incidentId of alerts and publish the changed alerts
+     * @private
+     */
+    async _linkAlerts(alertIds, incidentId) {
+        await this.alertRepository.setIncident(alertIds, incidentId);
+        for (const alertId of alertIds) {
+            const alert = await this.alertRepository.findById(alertId);
+            if (alert) {
+                this.eventBus.publish('alert.updated', alert);
+            }
+        }
+    }
+
+    /**
+     * One audit entry per alert, so the link shows on each alert's timeline
+     * @private
+     */
+    async _logMembersAdded(incident, alertIds) {
+        for (const alertId of alertIds) {
+            await this.auditLogManager.log({
+                action: 'INCIDENT_ALERT_ADDED',
+                incidentId: incident.id,
+                alertId,
+                ruleId: incident.ruleId || undefined,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Recompute severity, risk score, categories and alert times from the member alerts
+     * @private
+     */
+    async _refreshSummary(incidentId) {
+        const incident = await this.incidentRepository.findById(incidentId);
+        if (!incident) {
+            return null;
+        }
+        const alerts = await this.alertRepository.findAll({ incidentId });
+        return await this.incidentRepository.update(incidentId, {
+            alertIds: alerts.map(alert => alert.id),
+            ...this._summarize(alerts)
+        });
+    }
+
+    /**
+     * @private
+     * @returns {Object} { severity, riskScore, categories, alertCount, openAlertCount, firstAlertAt, lastAlertAt }
+     */
+    _summarize(alerts) {
+        const severity = alerts.reduce((highest, alert) =>
+            (SEVERITY_RANKS[alert.severity] || 0) > (SEVERITY_RANKS[highest] || 0) ? alert.severity : highest, null);
+        const riskScores = alerts.map(alert => alert.riskScore).filter(score => typeof score === 'number');
+        const createdTimes = alerts.map(alert => alert.createdAt).sort();
+
+        return {
+            severity,
+            riskScore: riskScores.length > 0 ? Math.max(...riskScores) : null,
+            categories: [...new Set(alerts.map(alert => alert.category))].sort(),
+            alertCount: alerts.length,
+            openAlertCount: alerts.filter(alert => this.openStates.includes(alert.status)).length,
+            firstAlertAt: createdTimes[0] || null,
+            lastAlertAt: createdTimes[createdTimes.length - 1] || null
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _setStatus(incident, status, reason) {
+        return await this.incidentRepository.update(incident.id, {
+            status,
+            statusReason: reason || null,
+            resolvedAt: status === 'Resolved' ? new Date().toISOString() : null
+        });
+    }
+
+    /**
+     * The value a rule groups on, and the stored alert field that holds it
+     * @private
+     * @returns {Object|null} { field, value }
+     */
+    _correlationKey(rule, alert) {
+        if (rule.key === 'resource') {
+            if (alert.resource && alert.resource.arn) {
+                return { field: 'resource.arn', value: alert.resource.arn };
+            }
+            if (alert.resource && alert.resource.id) {
+                return { field: 'resource.id', value: alert.resource.id };
+            }
+            return null;
+        }
+        const field = rule.key === 'account' ? 'accountId' : 'ruleId';
+        return alert[field] ? { field, value: alert[field] } : null;
+    }
+
+    /**
+     * Whether an alert passes a rule's category and severity conditions
+     * @private
+     */
+    _ruleApplies(rule, alert) {
+        if (rule.categories && !rule.categories.includes(alert.category)) {
+            return false;
+        }
+        if (rule.minSeverity && (SEVERITY_RANKS[alert.severity] || 0) < SEVERITY_RANKS[rule.minSeverity]) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Shortest sequence of workflow states leading from one state to another
+     * @private
+     * @returns {string[]|null} States to move through (excluding the start), or null if unreachable
+     */
+    _findPath(from, to) {
+        const previous = { [from]: null };
+        const queue = [from];
+        while (queue.length > 0) {
+            const state = queue.shift();
+            if (state === to) {
+                const path = [];
+                for (let step = to; step !== from; step = previous[step]) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            (this.workflow.transitions[state] || []).forEach(target => {
+                if (!(target.to in previous)) {
+                    previous[target.to] = state;
+                    queue.push(target.to);
+                }
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Load alerts that exist and do not belong to an incident yet
+     * @private
+     */
+    async _findFreeAlerts(alertIds) {
+        if (!Array.isArray(alertIds) || alertIds.length === 0) {
+            throw new Error('alertIds must be a non-empty list');
+        }
+        const alerts = [];
+        for (const alertId of [...new Set(alertIds)]) {
+            const alert = await this.alertRepository.findById(alertId);
+            if (!alert) {
+                throw new Error(`Alert with ID ${alertId} not found`);
+            }
+            if (alert.incidentId) {
+                throw new Error(`Alert ${alertId} already belongs to incident ${alert.incidentId}`);
+            }
+            alerts.push(alert);
+        }
+        return alerts;
+    }
+
+    /**
+     * @private
+     * @throws {Error} If the incident does not exist
+     */
+    async _findIncident(incidentId) {
+        const incident = await this.incidentRepository.findById(incidentId);
+        if (!incident) {
+            throw new Error(`Incident with ID ${incidentId} not found`);
+        }
+        return incident;
+    }
+
+    /**
+     * Generate unique incident ID
+     * Format: INC-timestamp-random
+     * @private
+     */
+    _generateIncidentId() {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 10000);
+        return `INC-${timestamp}-${random}`;
+    }
+}
+
+module.exports = IncidentManager;
+module.exports.INCIDENT_STATES = INCIDENT_STATES;
@@ -0,0 +1,47 @@
+/**
+ * createAlertManager - The one place an AlertManager is wired up
+ *
+ * Routes and background workers all get the same collaborators (assignment,
+ * notifiers, SLAs, suppression rules), so an alert changed by a worker is
+ * handled exactly like one changed through the API.
+ */
+
+const AlertManager = require('./AlertManager');
+const IncidentManager = require('./IncidentManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const AssignmentManager = require('../services/AssignmentManager');
+const CounterRepository = require('../repositories/CounterRepository');
+const WebhookManager = require('../services/WebhookManager');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const WebhookDeliveryRepository = require('../repositories/WebhookDeliveryRepository');
+const EmailManager = require('../services/EmailManager');
+const SmtpClient = require('../services/SmtpClient');
+const SlaManager = require('../services/SlaManager');
+const SuppressionManager = require('../services/SuppressionManager');
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+const IncidentRepository = require('../repositories/IncidentRepository');
+const emailConfig = require('../config/email');
+
+/**
+ * @param {Object} db - Storage handle from config/database
+ * @param {Object} [actor] - Principal recorded on audit entries ({ username, role }); defaults to "system"
+ * @returns {AlertManager} Manager with assignment, webhook/email/incident notifiers, SLAs and suppression rules
+ */
+function createAlertManager(db, actor) {
+    const alertRepository = new AlertRepository(db);
+    const auditLogManager = new AuditLogManager(db, undefined, { actor });
+
+    return new AlertManager(alertRepository, auditLogManager, {
+        assignmentManager: new AssignmentManager(new CounterRepository(db)),
+        notifiers: [
+            new WebhookManager(new WebhookRepository(db), new WebhookDeliveryRepository(db), auditLogManager),
+            new EmailManager(emailConfig.enabled ? new SmtpClient(emailConfig.smtp) : null, auditLogManager),
+            new IncidentManager(new IncidentRepository(db), alertRepository, auditLogManager)
+        ],
+        slaManager: new SlaManager(),
+        suppressionManager: new SuppressionManager(new SuppressionRepository(db), auditLogManager)
+    });
+}
+
+module.exports = createAlertManager;
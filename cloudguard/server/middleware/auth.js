@@ -0,0 +1,72 @@
+/**
+ * Authentication and role-based access control middleware
+ *
+ * authenticate      - Resolves the caller from "Authorization: Bearer <jwt>" or
+ *                     "X-API-Key: <key>" and sets req.user = { username, role, type }.
+ *                     Event-stream requests (Accept: text/event-stream) may pass the
+ *                     JWT as ?access_token=, since browsers' EventSource cannot set headers
+ * requireRole(role) - Rejects callers below the given role (viewer < analyst < admin)
+ */
+
+const AuthManager = require('../services/AuthManager');
+const UserRepository = require('../repositories/UserRepository');
+const authConfig = require('../config/auth');
+const { getDB } = require('../config/database');
+
+// Principal used for every request when AUTH_ENABLED=false
+const ANONYMOUS_ADMIN = { username: 'anonymous', role: 'admin', type: 'anonymous' };
+
+function createAuthManager() {
+    return new AuthManager(new UserRepository(getDB()));
+}
+
+function isEventStream(req) {
+    return req.method === 'GET' && (req.get('Accept') || '').includes('text/event-stream');
+}
+
+function authenticate(req, res, next) {
+    if (!authConfig.enabled) {
+        req.user = ANONYMOUS_ADMIN;
+        return next();
+    }
+
+    try {
+        const authManager = createAuthManager();
+
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const principal = authManager.authenticateApiKey(apiKey);
+            if (!principal) {
+                return res.status(401).json({ error: 'Invalid API key' });
+            }
+            req.user = principal;
+            return next();
+        }
+
+        const authorization = req.get('Authorization') ||
+            (isEventStream(req) && req.query.access_token ? `Bearer ${req.query.access_token}` : '');
+        const [scheme, token] = authorization.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        req.user = authManager.verifyToken(token);
+        next();
+    } catch (error) {
+        res.status(401).json({ error: error.message });
+    }
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!createAuthManager().hasRole(req.user.role, role)) {
+            return res.status(403).json({ error: `Requires ${role} role` });
+        }
+        next();
+    };
+}
+
+module.exports = { authenticate, requireRole, createAuthManager };
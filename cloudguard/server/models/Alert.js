@@ -1,10 +1,29 @@
 class Alert {
-  constructor({ id, severity, category, status, description }) {
+  constructor({
+    id, severity, category, status, description,
+    schemaVersion, source, ruleId, resource, accountId, region, tags = {}, evidence = {},
+    assignee = null, team = null,
+    fingerprint, occurrences = 1, firstSeen, lastSeen
+  }) {
     this.id = id;
     this.severity = severity;
     this.category = category;
     this.status = status;
     this.description = description;
+    this.schemaVersion = schemaVersion;
+    this.source = source;
+    this.ruleId = ruleId;
+    this.resource = resource;
+    this.accountId = accountId;
+    this.region = region;
+    this.tags = tags;
+    this.evidence = evidence;
+    this.assignee = assignee;
+    this.team = team;
+    this.fingerprint = fingerprint;
+    this.occurrences = occurrences;
+    this.firstSeen = firstSeen;
+    this.lastSeen = lastSeen;
   }
 }
 
@@ -0,0 +1,182 @@
+/**
+ * Finding - Versioned schema for security findings
+ *
+ * Findings are produced by the detection engines (RuleEngine, AnomalyEngine,
+ * CVEIntegration) and converted into alerts by AlertManager.
+ *
+ * Schema version 1:
+ *   category     {string}  required - CVE, S3, IAM, Network, Activity
+ *   description  {string}  required
+ *   severity     {string}  optional - High, Medium, Low (classified if missing or invalid)
+ *   source       {string}  optional - Engine that produced the finding
+ *   ruleId       {string}  optional - Detection rule or CVE id
+ *   resource     {Object}  optional - { arn, type, id } (a plain string is treated as the ARN)
+ *   accountId    {string}  optional - 12-digit AWS account id
+ *   region       {string}  optional - AWS region, e.g. us-east-1
+ *   tags         {Object}  optional - Key/value string pairs
+ *   cvssScore    {number}  optional - CVSS base score, 0.0 to 10.0
+ *   evidence     {Object}  optional - Free-form engine output
+ */
+
+const FINDING_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+const ACCOUNT_ID_PATTERN = /^\d{12}$/;
+const REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]*)?-[a-z]+-\d+$/;
+const ARN_PATTERN = /^arn:[\w-]+:[\w-]+:[\w-]*:\d{0,12}:.+$/;
+
+/**
+ * Error carrying one message per invalid field
+ */
+class FindingValidationError extends Error {
+    /**
+     * @param {Array<{field: string, message: string}>} errors - Field-level errors
+     */
+    constructor(errors) {
+        super(errors.map(e => e.message).join('; '));
+        this.name = 'FindingValidationError';
+        this.errors = errors;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validate a finding against the schema
+ *
+ * @param {Object} finding - Finding to validate
+ * @param {Object} options
+ * @param {Array<string>} options.categories - Allowed categories
+ * @returns {Array<{field: string, message: string}>} Field-level errors (empty if valid)
+ */
+function validateFinding(finding, { categories }) {
+    if (!isPlainObject(finding)) {
+        return [{ field: 'finding', message: 'Finding object is required' }];
+    }
+
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    if (finding.schemaVersion !== undefined && !SUPPORTED_SCHEMA_VERSIONS.includes(finding.schemaVersion)) {
+        addError('schemaVersion',
+            `Unsupported schemaVersion: ${finding.schemaVersion}. ` +
+            `Supported versions: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`);
+    }
+
+    if (!finding.category) {
+        addError('category', 'Finding category is required');
+    } else if (!categories.includes(finding.category)) {
+        addError('category',
+            `Invalid category: ${finding.category}. ` +
+            `Must be one of: ${categories.join(', ')}`);
+    }
+
+    if (!isNonEmptyString(finding.description)) {
+        addError('description', 'Finding description is required');
+    }
+
+    ['source', 'ruleId'].forEach(field => {
+        if (finding[field] !== undefined && !isNonEmptyString(finding[field])) {
+            addError(field, `Finding ${field} must be a non-empty string`);
+        }
+    });
+
+    if (finding.resource !== undefined) {
+        const resource = typeof finding.resource === 'string'
+            ? { arn: finding.resource }
+            : finding.resource;
+
+        if (!isPlainObject(resource)) {
+            addError('resource', 'Finding resource must be an ARN string or an object');
+        } else {
+            if (!resource.arn && !resource.id) {
+                addError('resource', 'Finding resource must have an arn or an id');
+            }
+            if (resource.arn !== undefined && !ARN_PATTERN.test(String(resource.arn))) {
+                addError('resource.arn', `Invalid resource ARN: ${resource.arn}`);
+            }
+            ['id', 'type'].forEach(field => {
+                if (resource[field] !== undefined && !isNonEmptyString(resource[field])) {
+                    addError(`resource.${field}`, `Finding resource.${field} must be a non-empty string`);
+                }
+            });
+        }
+    }
+
+    if (finding.accountId !== undefined && !ACCOUNT_ID_PATTERN.test(String(finding.accountId))) {
+        addError('accountId', `Invalid accountId: ${finding.accountId}. Must be a 12-digit AWS account id`);
+    }
+
+    if (finding.region !== undefined && !REGION_PATTERN.test(String(finding.region))) {
+        addError('region', `Invalid region: ${finding.region}. Expected an AWS region such as us-east-1`);
+    }
+
+    if (finding.tags !== undefined) {
+        if (!isPlainObject(finding.tags)) {
+            addError('tags', 'Finding tags must be an object of key/value pairs');
+        } else {
+            Object.entries(finding.tags).forEach(([key, value]) => {
+                if (typeof value !== 'string') {
+                    addError(`tags.${key}`, `Tag ${key} must have a string value`);
+                }
+            });
+        }
+    }
+
+    if (finding.cvssScore !== undefined && finding.cvssScore !== null &&
+        !(typeof finding.cvssScore === 'number' && finding.cvssScore >= 0 && finding.cvssScore <= 10)) {
+        addError('cvssScore', `Invalid cvssScore: ${finding.cvssScore}. Must be a number from 0 to 10`);
+    }
+
+    if (finding.evidence !== undefined && !isPlainObject(finding.evidence)) {
+        addError('evidence', 'Finding evidence must be an object');
+    }
+
+    return errors;
+}
+
+/**
+ * Normalize a valid finding into the stored shape
+ *
+ * @param {Object} finding - Validated finding
+ * @returns {Object} Finding context fields to persist on the alert
+ */
+function normalizeFinding(finding) {
+    const normalized = {
+        schemaVersion: finding.schemaVersion || FINDING_SCHEMA_VERSION,
+        source: finding.source || null,
+        ruleId: finding.ruleId || null,
+        resource: null,
+        accountId: finding.accountId ? String(finding.accountId) : null,
+        region: finding.region || null,
+        tags: finding.tags || {},
+        cvssScore: typeof finding.cvssScore === 'number' ? finding.cvssScore : null,
+        evidence: finding.evidence || {}
+    };
+
+    if (finding.resource) {
+        const resource = typeof finding.resource === 'string'
+            ? { arn: finding.resource }
+            : finding.resource;
+        normalized.resource = {
+            arn: resource.arn || null,
+            type: resource.type || null,
+            id: resource.id || null
+        };
+    }
+
+    return normalized;
+}
+
+module.exports = {
+    FINDING_SCHEMA_VERSION,
+    FindingValidationError,
+    validateFinding,
+    normalizeFinding
+};
@@ -1,43 +1,501 @@
+const { matches } = require('../storage/query');
+
+// Numeric severity ranks so "sort by severity" orders High > Medium > Low
+const SEVERITY_RANKS = { High: 3, Medium: 2, Low: 1 };
+
+// Public sort keys → stored fields
+const SORT_FIELDS = {
+    severity: 'severityRank',
+    riskScore: 'riskScore',
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+};
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!decoded || typeof decoded.id !== 'string') {
+            throw new Error('missing id');
+        }
+        return decoded;
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+}
+
 class AlertRepository {
-    constructor(mongoClient, tableName = 'alerts') {
-        this.db = mongoClient;
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'alerts') {
+        this.db = db;
         this.tableName = tableName;
     }
 
     async save(alert) {
         const collection = this.db.collection(this.tableName);
+        alert.severityRank = SEVERITY_RANKS[alert.severity] || 0;
         const result = await collection.insertOne(alert);
         return alert;
     }
 
+    /**
+     * Give alerts stored before severity sorting existed their severityRank,
+     * so sort=severity does not put them last
+     *
+     * @returns {Promise<number>} Number of alerts updated
+     */
+    async backfillSeverityRanks() {
+        const collection = this.db.collection(this.tableName);
+        let updated = 0;
+        for (const [severity, rank] of Object.entries(SEVERITY_RANKS)) {
+            const result = await collection.updateMany(
+                { severity, severityRank: { $exists: false } },
+                { $set: { severityRank: rank } }
+            );
+            updated += result.modifiedCount;
+        }
+        return updated;
+    }
+
     async findById(alertId) {
         const collection = this.db.collection(this.tableName);
         return await collection.findOne({ id: alertId });
     }
 
+    async findByFingerprint(fingerprint) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ fingerprint }, { sort: { createdAt: -1 } });
+    }
+
+    /**
+     * Alerts whose next SLA deadline has passed, plus alerts that have no SLA
+     * fields yet (created before SLAs were enabled)
+     *
+     * @param {string} now - ISO timestamp
+     * @returns {Promise<Array>} Alerts ordered by deadline, oldest first
+     */
+    async findSlaDue(now) {
+        const collection = this.db.collection(this.tableName);
+        return await collection
+            .find({ $or: [{ dueAt: { $lte: now } }, { slaStatus: { $exists: false } }] })
+            .sort({ dueAt: 1 })
+            .toArray();
+    }
+
+    /**
+     * Open alerts (their age keeps changing) and alerts without a risk score
+     *
+     * @param {string[]} openStates - Workflow states that count as open
+     */
+    async findForRiskRecompute(openStates) {
+        const collection = this.db.collection(this.tableName);
+        return await collection
+            .find({ $or: [{ status: { $in: openStates } }, { riskScore: { $exists: false } }] })
+            .toArray();
+    }
+
+    /**
+     * Open alerts of one category
+     *
+     * @param {string} category - e.g. CVE
+     * @param {string[]} openStates - Workflow states that count as open
+     */
+    async findOpenByCategory(category, openStates) {
+        const collection = this.db.collection(this.tableName);
+        return await collection
+            .find({ category, status: { $in: openStates } })
+            .toArray();
+    }
+
+    /**
+     * Open alerts sharing a correlation key, created at or after a time
+     *
+     * @param {string} field - Stored field holding the key (e.g. accountId, resource.arn)
+     * @param {string} value - Shared value
+     * @param {string} since - ISO timestamp
+     * @param {string[]} openStates - Workflow states that count as open
+     */
+    async findCorrelationCandidates(field, value, since, openStates) {
+        const collection = this.db.collection(this.tableName);
+        return await collection
+            .find({ [field]: value, createdAt: { $gte: since }, status: { $in: openStates } })
+            .sort({ createdAt: 1 })
+            .toArray();
+    }
+
+    /**
+     * Whether a filter restricts the query at all (empty values are ignored)
+     *
+     * @param {Object} filter - Same filter as findAll
+     * @returns {boolean}
+     */
+    hasCriteria(filter = {}) {
+        return Object.keys(this._buildQuery(filter)).length > 0;
+    }
+
     async findAll(filter = {}) {
         const collection = this.db.collection(this.tableName);
+        return await collection.find(this._buildQuery(filter)).toArray();
+    }
+
+    /**
+     * Find one page of alerts
+     * Uses keyset pagination when a cursor is given, otherwise offset pagination
+     *
+     * @param {Object} filter - Same filter as findAll
+     * @param {Object} options
+     * @param {number} options.limit - Page size
+     * @param {string} [options.cursor] - Cursor returned by the previous page
+     * @param {number} [options.offset] - Number of alerts to skip (ignored with a cursor)
+     * @param {string} [options.sort] - severity, riskScore, createdAt or updatedAt; prefix "-" for descending
+     * @returns {Promise<{alerts: Array, total: number, nextCursor: string|null}>}
+     */
+    async findPage(filter = {}, { limit, cursor, offset = 0, sort = '-createdAt' } = {}) {
+        const collection = this.db.collection(this.tableName);
+        const query = this._buildQuery(filter);
+
+        const direction = sort.startsWith('-') ? -1 : 1;
+        const sortKey = sort.replace(/^-/, '');
+        const field = SORT_FIELDS[sortKey];
+        if (!field) {
+            throw new Error(`Invalid sort: ${sortKey}. Must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+        }
+
+        let pageQuery = query;
+        if (cursor) {
+            const { v, id } = decodeCursor(cursor);
+            const comparison = direction < 0 ? '$lt' : '$gt';
+            pageQuery = {
+                $and: [
+                    query,
+                    { $or: [{ [field]: { [comparison]: v } }, { [field]: v, id: { [comparison]: id } }] }
+                ]
+            };
+        }
+
+        let find = collection
+            .find(pageQuery)
+            .sort({ [field]: direction, id: direction });
+        if (!cursor && offset > 0) {
+            find = find.skip(offset);
+        }
+        // Fetch one extra alert to know whether another page exists
+        const alerts = await find.limit(limit + 1).toArray();
+
+        const hasMore = alerts.length > limit;
+        if (hasMore) {
+            alerts.pop();
+        }
+        const last = alerts[alerts.length - 1];
+
+        return {
+            alerts,
+            total: await collection.countDocuments(query),
+            nextCursor: hasMore && last ? encodeCursor(last[field], last.id) : null
+        };
+    }
+
+    /**
+     * Whether an alert satisfies a filter, checked in memory with the same
+     * criteria as findAll (used for live event streams)
+     */
+    matchesFilter(alert, filter = {}) {
+        return matches(alert, this._buildQuery(filter));
+    }
+
+    _buildQuery(filter) {
         const query = {};
         
         if (filter.severity) {
             query.severity = filter.severity;
         }
         if (filter.status) {
-            query.status = filter.status;
+            query.status = Array.isArray(filter.status) ? { $in: filter.status } : filter.status;
         }
         if (filter.category) {
             query.category = filter.category;
         }
-        
-        return await collection.find(query).toArray();
+        if (filter.source) {
+            query.source = filter.source;
+        }
+        if (filter.ruleId) {
+            query.ruleId = filter.ruleId;
+        }
+        if (filter.accountId) {
+            query.accountId = filter.accountId;
+        }
+        if (filter.region) {
+            query.region = filter.region;
+        }
+        if (filter.resourceArn) {
+            query['resource.arn'] = filter.resourceArn;
+        }
+        if (filter.resourceType) {
+            query['resource.type'] = filter.resourceType;
+        }
+        if (filter.tags) {
+            Object.entries(filter.tags).forEach(([key, value]) => {
+                query[`tags.${key}`] = value;
+            });
+        }
+        if (filter.assignee) {
+            query.assignee = filter.assignee;
+        }
+        if (filter.team) {
+            query.team = filter.team;
+        }
+        if (filter.incidentId) {
+            query.incidentId = filter.incidentId;
+        }
+        if (filter.slaStatus) {
+            query.slaStatus = Array.isArray(filter.slaStatus) ? { $in: filter.slaStatus } : filter.slaStatus;
+        }
+        if (filter.minRiskScore !== undefined || filter.maxRiskScore !== undefined) {
+            query.riskScore = {};
+            if (filter.minRiskScore !== undefined) {
+                query.riskScore.$gte = filter.minRiskScore;
+            }
+            if (filter.maxRiskScore !== undefined) {
+                query.riskScore.$lte = filter.maxRiskScore;
+            }
+        }
+        if (filter.since || filter.until) {
+            query.createdAt = {};
+            if (filter.since) {
+                query.createdAt.$gte = filter.since;
+            }
+            if (filter.until) {
+                query.createdAt.$lte = filter.until;
+            }
+        }
+        if (filter.resolvedSince || filter.resolvedUntil) {
+            query.resolvedAt = {};
+            if (filter.resolvedSince) {
+                query.resolvedAt.$gte = filter.resolvedSince;
+            }
+            if (filter.resolvedUntil) {
+                query.resolvedAt.$lte = filter.resolvedUntil;
+            }
+        }
+        if (filter.search) {
+            const pattern = filter.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { description: { $regex: pattern, $options: 'i' } },
+                { id: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+
+        return query;
+    }
+
+    /**
+     * Count alerts by status, severity and category in a single aggregation
+     *
+     * @returns {Promise<Object>} { total, byStatus, bySeverity, byCategory } keyed by stored value
+     */
+    async getSummaryCounts() {
+        const collection = this.db.collection(this.tableName);
+        const countBy = field => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }];
+
+        const [result] = await collection.aggregate([
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    byStatus: countBy('status'),
+                    bySeverity: countBy('severity'),
+                    byCategory: countBy('category')
+                }
+            }
+        ]).toArray();
+
+        const toCounts = rows => rows.reduce((counts, row) => {
+            counts[row._id] = row.count;
+            return counts;
+        }, {});
+
+        return {
+            total: result.total.length > 0 ? result.total[0].count : 0,
+            byStatus: toCounts(result.byStatus),
+            bySeverity: toCounts(result.bySeverity),
+            byCategory: toCounts(result.byCategory)
+        };
+    }
+
+    /**
+     * Count created and resolved alerts per time bucket in a single aggregation
+     * Buckets are ISO timestamp prefixes, e.g. "2024-05-01T13" (hour) or "2024-05-01" (day)
+     *
+     * @param {Object} options
+     * @param {string} options.since - Range start (ISO timestamp)
+     * @param {string} options.until - Range end (ISO timestamp)
+     * @param {number} options.bucketLength - Timestamp prefix length that defines a bucket
+     * @param {string} [options.groupBy] - Optional split field (severity or category)
+     * @returns {Promise<Object>} { created: [{ bucket, key, count }], resolved: [...] }
+     */
+    async getTimeSeries({ since, until, bucketLength, groupBy }) {
+        const collection = this.db.collection(this.tableName);
+        const series = field => [
+            { $match: { [field]: { $gte: since, $lte: until } } },
+            {
+                $group: {
+                    _id: {
+                        bucket: { $substrCP: [`$${field}`, 0, bucketLength] },
+                        key: groupBy ? `$${groupBy}` : null
+                    },
+                    count: { $sum: 1 }
+                }
+            }
+        ];
+
+        const [result] = await collection.aggregate([
+            { $facet: { created: series('createdAt'), resolved: series('resolvedAt') } }
+        ]).toArray();
+
+        const toRows = rows => rows.map(row => ({
+            bucket: row._id.bucket,
+            key: row._id.key,
+            count: row.count
+        }));
+
+        return { created: toRows(result.created), resolved: toRows(result.resolved) };
+    }
+
+    /**
+     * @param {string} alertId
+     * @param {string} status - New workflow state
+     * @param {string|null} [reason]
+     * @param {boolean} [closed] - Whether the state is closed: closing stamps resolvedAt, reopening clears it
+     */
+    async updateStatus(alertId, status, reason = null, closed = false) {
+        const collection = this.db.collection(this.tableName);
+        const now = new Date().toISOString();
+        const changes = { status, statusReason: reason || null, updatedAt: now };
+        const update = { $set: changes };
+        if (closed) {
+            changes.resolvedAt = now;
+        } else {
+            update.$unset = { resolvedAt: '' };
+        }
+        await collection.updateOne({ id: alertId }, update);
+        return await this.findById(alertId);
+    }
+
+    async updateAssignment(alertId, assignee, team) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: alertId },
+            { $set: { assignee, team, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(alertId);
+    }
+
+    async updateTags(alertId, tags) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: alertId },
+            { $set: { tags, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(alertId);
+    }
+
+    async updateSeverity(alertId, severity) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: alertId },
+            { $set: { severity, severityRank: SEVERITY_RANKS[severity] || 0, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(alertId);
+    }
+
+    /**
+     * Store a fresh CVE lookup, with the score and severity it raised
+     *
+     * @param {string} alertId
+     * @param {Object} changes - { enrichment, cvssScore?, severity?, classification? }
+     */
+    async updateEnrichment(alertId, changes) {
+        const collection = this.db.collection(this.tableName);
+        const fields = { ...changes, updatedAt: new Date().toISOString() };
+        if (changes.severity) {
+            fields.severityRank = SEVERITY_RANKS[changes.severity] || 0;
+        }
+        await collection.updateOne(
+            { id: alertId },
+            { $set: fields }
+        );
+        return await this.findById(alertId);
+    }
+
+    /**
+     * Store computed SLA fields (see SlaManager.evaluate)
+     */
+    async updateSla(alertId, slaFields) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: alertId },
+            { $set: slaFields }
+        );
+        return await this.findById(alertId);
     }
 
-    async updateStatus(alertId, status) {
+    /**
+     * Store a computed risk score (see RiskScorer.score)
+     */
+    async updateRisk(alertId, { riskScore, riskFactors }) {
         const collection = this.db.collection(this.tableName);
         await collection.updateOne(
             { id: alertId },
-            { $set: { status, updatedAt: new Date().toISOString() } }
+            { $set: { riskScore, riskFactors } }
+        );
+        return await this.findById(alertId);
+    }
+
+    /**
+     * Link alerts to an incident (null unlinks them)
+     */
+    async setIncident(alertIds, incidentId) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateMany(
+            { id: { $in: alertIds } },
+            { $set: { incidentId } }
         );
+    }
+
+    async setImportKey(alertId, importKey) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne({ id: alertId }, { $set: { importKey } });
+    }
+
+    /**
+     * Count a repeat sighting, optionally reopening the alert or muting it
+     *
+     * @param {string} alertId
+     * @param {string} seenAt - ISO timestamp
+     * @param {string|null} [reopenStatus] - Status to reopen a regression in
+     * @param {Object|null} [suppression] - { status, suppressionId, reason } for a muting suppression rule
+     *   (its status is a closed state, so resolvedAt is stamped)
+     */
+    async recordOccurrence(alertId, seenAt, reopenStatus = null, suppression = null) {
+        const collection = this.db.collection(this.tableName);
+        const changes = { lastSeen: seenAt, updatedAt: new Date().toISOString() };
+        const update = { $set: changes, $inc: { occurrences: 1 } };
+        if (reopenStatus) {
+            changes.status = reopenStatus;
+            changes.regression = true;
+            update.$unset = { resolvedAt: '' };
+        } else if (suppression) {
+            changes.status = suppression.status;
+            changes.statusReason = suppression.reason || null;
+            changes.suppressionId = suppression.suppressionId;
+            changes.resolvedAt = seenAt;
+        }
+        await collection.updateOne({ id: alertId }, update);
         return await this.findById(alertId);
     }
 
@@ -49,3 +507,6 @@ class AlertRepository {
 }
 
 module.exports = AlertRepository;
+module.exports.SEVERITY_RANKS = SEVERITY_RANKS;
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.decodeCursor = decodeCursor;
@@ -0,0 +1,43 @@
+class CommentRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'comments') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    async save(comment) {
+        const collection = this.db.collection(this.tableName);
+        await collection.insertOne(comment);
+        return comment;
+    }
+
+    async findById(commentId) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ id: commentId });
+    }
+
+    async findByAlertId(alertId) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.find({ alertId }).sort({ createdAt: 1, id: 1 }).toArray();
+    }
+
+    /**
+     * Replace a comment's body, keeping the previous version in its history
+     */
+    async updateBody(commentId, body, mentions, previousVersion) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: commentId },
+            {
+                $set: { body, mentions, edited: true, updatedAt: previousVersion.editedAt },
+                $push: { history: previousVersion }
+            }
+        );
+        return await this.findById(commentId);
+    }
+}
+
+module.exports = CommentRepository;
@@ -0,0 +1,29 @@
+class CounterRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'counters') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    /**
+     * Atomically increment a named counter
+     *
+     * @param {string} name - Counter name
+     * @returns {Promise<number>} Value after the increment (1 on first use)
+     */
+    async increment(name) {
+        const collection = this.db.collection(this.tableName);
+        // With result metadata every MongoDB driver version returns { value: document }
+        const result = await collection.findOneAndUpdate(
+            { name },
+            { $inc: { value: 1 } },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+        return result.value.value;
+    }
+}
+
+module.exports = CounterRepository;
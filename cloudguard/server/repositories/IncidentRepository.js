@@ -0,0 +1,103 @@
+// Numeric severity ranks so incidents sort High > Medium > Low
+const { SEVERITY_RANKS } = require('./AlertRepository');
+
+// Public sort keys → stored fields
+const SORT_FIELDS = {
+    severity: 'severityRank',
+    riskScore: 'riskScore',
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    lastAlertAt: 'lastAlertAt'
+};
+
+class IncidentRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'incidents') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    async save(incident) {
+        const collection = this.db.collection(this.tableName);
+        incident.severityRank = SEVERITY_RANKS[incident.severity] || 0;
+        await collection.insertOne(incident);
+        return incident;
+    }
+
+    async findById(incidentId) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ id: incidentId });
+    }
+
+    /**
+     * Most recent unresolved incident opened by a rule for a key, with an alert since a time
+     *
+     * @param {string} ruleId - Correlation rule id
+     * @param {string} key - Shared value (resource, account or ruleId)
+     * @param {string} since - ISO timestamp; the incident's last alert must be at or after it
+     * @param {string} closedStatus - Incident status that no longer takes alerts
+     */
+    async findOpenByCorrelation(ruleId, key, since, closedStatus) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne(
+            {
+                ruleId,
+                'correlation.value': key,
+                status: { $ne: closedStatus },
+                lastAlertAt: { $gte: since }
+            },
+            { sort: { lastAlertAt: -1 } }
+        );
+    }
+
+    /**
+     * @param {Object} filter - { status, severity, ruleId }
+     * @param {Object} options - { limit, offset, sort }; sort prefixed "-" for descending
+     * @returns {Promise<{incidents: Array, total: number}>}
+     */
+    async findPage(filter = {}, { limit = 50, offset = 0, sort = '-lastAlertAt' } = {}) {
+        const collection = this.db.collection(this.tableName);
+        const query = {};
+        if (filter.status) {
+            query.status = Array.isArray(filter.status) ? { $in: filter.status } : filter.status;
+        }
+        if (filter.severity) {
+            query.severity = filter.severity;
+        }
+        if (filter.ruleId) {
+            query.ruleId = filter.ruleId;
+        }
+
+        const direction = sort.startsWith('-') ? -1 : 1;
+        const field = SORT_FIELDS[sort.replace(/^-/, '')];
+        if (!field) {
+            throw new Error(`Invalid sort: ${sort.replace(/^-/, '')}. Must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+        }
+
+        const incidents = await collection
+            .find(query)
+            .sort({ [field]: direction, id: direction })
+            .skip(offset)
+            .limit(limit)
+            .toArray();
+        return { incidents, total: await collection.countDocuments(query) };
+    }
+
+    async update(incidentId, changes) {
+        const collection = this.db.collection(this.tableName);
+        if (changes.severity) {
+            changes.severityRank = SEVERITY_RANKS[changes.severity] || 0;
+        }
+        await collection.updateOne(
+            { id: incidentId },
+            { $set: { ...changes, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(incidentId);
+    }
+}
+
+module.exports = IncidentRepository;
+module.exports.SORT_FIELDS = SORT_FIELDS;
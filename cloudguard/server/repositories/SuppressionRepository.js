@@ -0,0 +1,63 @@
+class SuppressionRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'suppressions') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    async save(rule) {
+        const collection = this.db.collection(this.tableName);
+        await collection.insertOne(rule);
+        return rule;
+    }
+
+    async findById(ruleId) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ id: ruleId });
+    }
+
+    async findAll() {
+        const collection = this.db.collection(this.tableName);
+        return await collection.find({}).sort({ createdAt: 1 }).toArray();
+    }
+
+    /**
+     * Enabled rules that have not expired, oldest first
+     *
+     * @param {string} now - ISO timestamp
+     */
+    async findActive(now) {
+        const collection = this.db.collection(this.tableName);
+        return await collection
+            .find({ enabled: true, expiresAt: { $gt: now } })
+            .sort({ createdAt: 1 })
+            .toArray();
+    }
+
+    async update(ruleId, changes) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: ruleId },
+            { $set: { ...changes, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(ruleId);
+    }
+
+    async recordHit(ruleId, hitAt) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: ruleId },
+            { $inc: { hits: 1 }, $set: { lastHitAt: hitAt } }
+        );
+    }
+
+    async delete(ruleId) {
+        const collection = this.db.collection(this.tableName);
+        await collection.deleteOne({ id: ruleId });
+    }
+}
+
+module.exports = SuppressionRepository;
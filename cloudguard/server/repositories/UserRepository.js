@@ -0,0 +1,28 @@
+class UserRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'users') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    async save(user) {
+        const collection = this.db.collection(this.tableName);
+        await collection.insertOne(user);
+        return user;
+    }
+
+    async findByUsername(username) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ username });
+    }
+
+    async findAll() {
+        const collection = this.db.collection(this.tableName);
+        return await collection.find({}).sort({ username: 1 }).toArray();
+    }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,90 @@
+class WebhookDeliveryRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'webhook_deliveries') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    async save(delivery) {
+        const collection = this.db.collection(this.tableName);
+        await collection.insertOne(delivery);
+        return delivery;
+    }
+
+    async findById(deliveryId) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ id: deliveryId });
+    }
+
+    /**
+     * Delivery log, newest first
+     */
+    async findAll(filter = {}, { limit = 50, offset = 0 } = {}) {
+        const collection = this.db.collection(this.tableName);
+        const query = {};
+        if (filter.webhookId) {
+            query.webhookId = filter.webhookId;
+        }
+        if (filter.status) {
+            query.status = filter.status;
+        }
+        if (filter.event) {
+            query.event = filter.event;
+        }
+
+        const [deliveries, total] = await Promise.all([
+            collection.find(query).sort({ createdAt: -1, id: -1 }).skip(offset).limit(limit).toArray(),
+            collection.countDocuments(query)
+        ]);
+        return { deliveries, total };
+    }
+
+    /**
+     * Pending deliveries whose next attempt is due
+     */
+    async findDue(now) {
+        const collection = this.db.collection(this.tableName);
+        return await collection
+            .find({ status: 'pending', nextAttemptAt: { $lte: now } })
+            .sort({ nextAttemptAt: 1 })
+            .toArray();
+    }
+
+    /**
+     * Take a due delivery for one attempt by pushing its nextAttemptAt to leaseUntil
+     * If the process dies mid-attempt the delivery becomes due again when the lease ends
+     *
+     * @returns {Promise<boolean>} false if another worker already took it
+     */
+    async claim(deliveryId, now, leaseUntil) {
+        const collection = this.db.collection(this.tableName);
+        const result = await collection.updateOne(
+            { id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: leaseUntil } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    async recordAttempt(deliveryId, changes, attempt) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: deliveryId },
+            { $set: { ...changes, updatedAt: attempt.at }, $push: { attemptLog: attempt } }
+        );
+        return await this.findById(deliveryId);
+    }
+
+    async update(deliveryId, changes) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: deliveryId },
+            { $set: { ...changes, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(deliveryId);
+    }
+}
+
+module.exports = WebhookDeliveryRepository;
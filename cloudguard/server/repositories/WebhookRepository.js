@@ -0,0 +1,46 @@
+class WebhookRepository {
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     */
+    constructor(db, tableName = 'webhooks') {
+        this.db = db;
+        this.tableName = tableName;
+    }
+
+    async save(webhook) {
+        const collection = this.db.collection(this.tableName);
+        await collection.insertOne(webhook);
+        return webhook;
+    }
+
+    async findById(webhookId) {
+        const collection = this.db.collection(this.tableName);
+        return await collection.findOne({ id: webhookId });
+    }
+
+    async findAll(filter = {}) {
+        const collection = this.db.collection(this.tableName);
+        const query = {};
+        if (filter.enabled !== undefined) {
+            query.enabled = filter.enabled;
+        }
+        return await collection.find(query).sort({ createdAt: 1 }).toArray();
+    }
+
+    async update(webhookId, changes) {
+        const collection = this.db.collection(this.tableName);
+        await collection.updateOne(
+            { id: webhookId },
+            { $set: { ...changes, updatedAt: new Date().toISOString() } }
+        );
+        return await this.findById(webhookId);
+    }
+
+    async delete(webhookId) {
+        const collection = this.db.collection(this.tableName);
+        await collection.deleteOne({ id: webhookId });
+    }
+}
+
+module.exports = WebhookRepository;
@@ -1,46 +1,238 @@
 const express = require('express');
 const router = express.Router();
-const AlertManager = require('../managers/AlertManager');
+const createAlertManager = require('../managers/createAlertManager');
 const AlertRepository = require('../repositories/AlertRepository');
-const AuditLogManager = require('../services/AuditLogManager');
+const CommentManager = require('../services/CommentManager');
+const CommentRepository = require('../repositories/CommentRepository');
+const UserRepository = require('../repositories/UserRepository');
 const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
 
-// Initialize managers
-let alertManager;
-
-// Middleware to initialize AlertManager
+// Middleware to initialize AlertManager for this request (audit entries carry req.user)
 router.use((req, res, next) => {
     try {
         const db = getDB();
-        const alertRepository = new AlertRepository(db);
-        const auditLogManager = new AuditLogManager(db);
-        alertManager = new AlertManager(alertRepository, auditLogManager);
+        req.alertManager = createAlertManager(db, req.user);
+        req.commentManager = new CommentManager(
+            new CommentRepository(db),
+            req.alertManager.alertRepository,
+            req.alertManager.auditLogManager,
+            new UserRepository(db)
+        );
         next();
     } catch (error) {
         res.status(500).json({ error: 'Database not initialized' });
     }
 });
 
-// GET all alerts
+/**
+ * Parse ?tag=key:value (repeatable) into { key: value }
+ *
+ * @throws {Error} If a tag is not a string
+ */
+function parseTagFilter(tagParam) {
+    if (!tagParam) {
+        return undefined;
+    }
+    const tags = {};
+    [].concat(tagParam).forEach(pair => {
+        if (typeof pair !== 'string') {
+            throw new Error('tag must be key:value');
+        }
+        const separator = pair.indexOf(':');
+        if (separator > 0) {
+            tags[pair.slice(0, separator)] = pair.slice(separator + 1);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Parse pagination, sorting, time-range and risk-range query parameters
+ *
+ * @throws {Error} If a parameter is invalid
+ */
+function parseListOptions(query) {
+    const page = { sort: query.sort || '-createdAt' };
+
+    if (query.limit !== undefined) {
+        page.limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(page.limit) || page.limit < 1) {
+            throw new Error('limit must be a positive integer');
+        }
+    }
+    if (query.offset !== undefined) {
+        page.offset = parseInt(query.offset, 10);
+        if (!Number.isInteger(page.offset) || page.offset < 0) {
+            throw new Error('offset must be a non-negative integer');
+        }
+    }
+    if (query.cursor) {
+        AlertRepository.decodeCursor(query.cursor);
+        page.cursor = query.cursor;
+    }
+
+    const sortKey = page.sort.replace(/^-/, '');
+    if (!AlertRepository.SORT_FIELDS[sortKey]) {
+        throw new Error(
+            `Invalid sort: ${sortKey}. ` +
+            `Must be one of: ${Object.keys(AlertRepository.SORT_FIELDS).join(', ')}`
+        );
+    }
+
+    const range = {};
+    ['since', 'until'].forEach(param => {
+        if (query[param]) {
+            const date = new Date(query[param]);
+            if (isNaN(date.getTime())) {
+                throw new Error(`${param} must be a valid date`);
+            }
+            range[param] = date.toISOString();
+        }
+    });
+    ['minRiskScore', 'maxRiskScore'].forEach(param => {
+        if (query[param] !== undefined) {
+            const score = Number(query[param]);
+            if (query[param] === '' || !Number.isFinite(score) || score < 0 || score > 100) {
+                throw new Error(`${param} must be a number from 0 to 100`);
+            }
+            range[param] = score;
+        }
+    });
+
+    return { page, range };
+}
+
+// Filter parameters accepted by GET / (and by the filter of POST /bulk)
+const FILTER_PARAMS = [
+    'severity', 'status', 'category', 'source', 'ruleId', 'accountId', 'region',
+    'resourceArn', 'resourceType', 'assignee', 'team', 'slaStatus', 'incidentId',
+    'tag', 'search', 'since', 'until', 'minRiskScore', 'maxRiskScore'
+];
+
+// Filter parameters matched against one stored field; status and slaStatus may also be a list
+const VALUE_PARAMS = [
+    'severity', 'status', 'category', 'source', 'ruleId', 'accountId', 'region',
+    'resourceArn', 'resourceType', 'assignee', 'team', 'slaStatus', 'incidentId', 'search'
+];
+const LIST_PARAMS = ['status', 'slaStatus'];
+
+/**
+ * Read one filter parameter; anything but a string (or a list of strings where
+ * allowed) is rejected, so nested objects like ?assignee[$ne]=x never reach the query
+ *
+ * @throws {Error} If the value has the wrong type
+ */
+function readFilterValue(query, param) {
+    const value = query[param];
+    if (value === undefined || typeof value === 'string') {
+        return value;
+    }
+    if (LIST_PARAMS.includes(param) && Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        return value;
+    }
+    throw new Error(LIST_PARAMS.includes(param)
+        ? `${param} must be a string or a list of strings`
+        : `${param} must be a single string`);
+}
+
+/**
+ * Build an AlertManager filter from filter parameters and the parsed time/risk range
+ *
+ * @throws {Error} If a parameter is invalid
+ */
+function parseAlertFilter(query, range) {
+    const filter = {};
+    VALUE_PARAMS.forEach(param => {
+        filter[param] = readFilterValue(query, param);
+    });
+    return {
+        ...filter,
+        tags: parseTagFilter(query.tag),
+        ...range
+    };
+}
+
+// GET alerts (paginated)
 router.get('/', async (req, res) => {
+    let page;
+    let filter;
     try {
-        const filters = {
-            severity: req.query.severity,
-            status: req.query.status,
-            category: req.query.category
-        };
-        const alerts = await alertManager.getAlerts(filters);
-        res.json(alerts);
+        const options = parseListOptions(req.query);
+        page = options.page;
+        filter = parseAlertFilter(req.query, options.range);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await req.alertManager.getAlerts(filter, page);
+        res.json(result);
     } catch (error) {
         console.error('Error getting alerts:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// GET lifecycle workflow (states and allowed transitions)
+router.get('/workflow', (req, res) => {
+    res.json(req.alertManager.getWorkflow());
+});
+
+// GET severity classification rules
+router.get('/classification', (req, res) => {
+    res.json(req.alertManager.getClassificationRules());
+});
+
+// GET SLA policies per severity
+router.get('/sla', (req, res) => {
+    res.json(req.alertManager.getSlaPolicies());
+});
+
+// Comment line sent to idle event streams so proxies keep the connection open
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// GET live alert events (Server-Sent Events)
+// Filters as for GET /; resumes after the Last-Event-ID header (or ?lastEventId=)
+router.get('/stream', (req, res) => {
+    let filter;
+    try {
+        filter = parseAlertFilter(req.query, parseListOptions(req.query).range);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.alert)}\n\n`);
+    };
+    const { resumed, unsubscribe } = req.alertManager.subscribe(filter, send, {
+        lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+    });
+    // Missed events are gone: the client must reload its alert list
+    if (!resumed) {
+        res.write('event: reset\ndata: {}\n\n');
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 // GET single alert
 router.get('/:id', async (req, res) => {
     try {
-        const alert = await alertManager.getAlertById(req.params.id);
+        const alert = await req.alertManager.getAlertById(req.params.id);
         res.json(alert);
     } catch (error) {
         res.status(404).json({ error: error.message });
@@ -48,31 +240,133 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST create new alert
-router.post('/', async (req, res) => {
+router.post('/', requireRole('analyst'), async (req, res) => {
     try {
         const finding = req.body;
-        const alert = await alertManager.createAlert(finding);
-        res.status(201).json(alert);
+        const alert = await req.alertManager.createAlert(finding);
+        // Dropped by a suppression rule: accepted, but nothing was stored
+        if (alert.dropped) {
+            return res.status(202).json(alert);
+        }
+        // Repeat findings update an existing alert rather than creating one
+        res.status(alert.occurrences > 1 ? 200 : 201).json(alert);
+    } catch (error) {
+        res.status(400).json({ error: error.message, details: error.errors });
+    }
+});
+
+// POST apply one action to many alerts (bulk delete needs the admin role)
+router.post('/bulk', (req, res, next) => {
+    requireRole(req.body && req.body.action === 'delete' ? 'admin' : 'analyst')(req, res, next);
+}, async (req, res) => {
+    const { action, alertIds, filter, ...params } = req.body || {};
+    const target = { alertIds };
+
+    if (filter !== undefined) {
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            return res.status(400).json({ error: 'filter must be an object' });
+        }
+        const unknown = Object.keys(filter).filter(param => !FILTER_PARAMS.includes(param));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: `Invalid filter fields: ${unknown.join(', ')}. Must be any of: ${FILTER_PARAMS.join(', ')}`
+            });
+        }
+        try {
+            target.filter = parseAlertFilter(filter, parseListOptions(filter).range);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    try {
+        const result = await req.alertManager.bulkUpdate(action, target, params);
+        res.json(result);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
 // PUT update alert status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', requireRole('analyst'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        const alert = await req.alertManager.updateAlertStatus(req.params.id, status, reason);
+        res.json(alert);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PUT assign alert
+router.put('/:id/assignee', requireRole('analyst'), async (req, res) => {
+    try {
+        const { assignee, team } = req.body;
+        const alert = await req.alertManager.assignAlert(req.params.id, { assignee, team });
+        res.json(alert);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PUT add or remove alert tags
+router.put('/:id/tags', requireRole('analyst'), async (req, res) => {
     try {
-        const { status } = req.body;
-        const alert = await alertManager.updateAlertStatus(req.params.id, status);
+        const { add, remove } = req.body;
+        const alert = await req.alertManager.tagAlert(req.params.id, { add, remove });
         res.json(alert);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+// GET comments on an alert (oldest first)
+router.get('/:id/comments', async (req, res) => {
+    try {
+        const result = await req.commentManager.getComments(req.params.id);
+        res.json(result);
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// POST comment (or reply, with parentId) on an alert
+router.post('/:id/comments', requireRole('analyst'), async (req, res) => {
+    try {
+        const { body, parentId } = req.body;
+        const comment = await req.commentManager.addComment(req.params.id, { body, parentId }, req.user);
+        res.status(201).json(comment);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PUT edit a comment (its author, or an admin)
+router.put('/:id/comments/:commentId', requireRole('analyst'), async (req, res) => {
+    let comment;
+    try {
+        comment = await req.commentManager.getComment(req.params.id, req.params.commentId);
+    } catch (error) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (comment.author !== req.user.username && req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only the author or an admin can edit this comment' });
+    }
+
+    try {
+        const updated = await req.commentManager.editComment(
+            req.params.id, req.params.commentId, req.body.body, req.user
+        );
+        res.json(updated);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // DELETE alert
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
     try {
-        await alertManager.deleteAlert(req.params.id);
+        await req.alertManager.deleteAlert(req.params.id);
         res.json({ message: 'Alert deleted successfully' });
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -82,11 +376,49 @@ router.delete('/:id', async (req, res) => {
 // GET statistics
 router.get('/stats/summary', async (req, res) => {
     try {
-        const stats = await alertManager.getStatistics();
+        const stats = await req.alertManager.getStatistics();
         res.json(stats);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// GET created/resolved counts over time
+router.get('/stats/timeseries', async (req, res) => {
+    const options = {
+        interval: req.query.interval || 'day',
+        groupBy: req.query.groupBy
+    };
+    if (!req.alertManager.timeSeriesIntervals[options.interval]) {
+        return res.status(400).json({
+            error: `Invalid interval: ${options.interval}. ` +
+                `Must be one of: ${Object.keys(req.alertManager.timeSeriesIntervals).join(', ')}`
+        });
+    }
+    if (options.groupBy && !['severity', 'category'].includes(options.groupBy)) {
+        return res.status(400).json({ error: `Invalid groupBy: ${options.groupBy}. Must be one of: severity, category` });
+    }
+    for (const param of ['since', 'until']) {
+        if (req.query[param]) {
+            const date = new Date(req.query[param]);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `${param} must be a valid date` });
+            }
+            options[param] = date.toISOString();
+        }
+    }
+    try {
+        req.alertManager.getTimeSeriesRange(options);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const series = await req.alertManager.getTimeSeries(options);
+        res.json(series);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const AuditLogManager = require('../services/AuditLogManager');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Middleware to initialize AuditLogManager for this request
+router.use((req, res, next) => {
+    try {
+        const db = getDB();
+        req.auditLogManager = new AuditLogManager(db, undefined, { actor: req.user });
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+const MAX_PAGE_SIZE = 500;
+const VALUE_PARAMS = ['alertId', 'action', 'actor', 'batchId'];
+
+// GET audit entries (filtered, paginated)
+router.get('/', async (req, res) => {
+    // Repeated or bracketed parameters arrive as arrays and objects; they would reach the query as operators
+    const invalid = VALUE_PARAMS.find(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+    if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be a single string` });
+    }
+
+    const filter = {
+        alertId: req.query.alertId,
+        action: req.query.action ? req.query.action.split(',') : undefined,
+        actor: req.query.actor,
+        batchId: req.query.batchId
+    };
+    const page = {
+        limit: 50,
+        offset: 0,
+        order: req.query.order === 'asc' ? 'asc' : 'desc'
+    };
+
+    if (req.query.limit !== undefined) {
+        page.limit = parseInt(req.query.limit, 10);
+        if (!Number.isInteger(page.limit) || page.limit < 1) {
+            return res.status(400).json({ error: 'limit must be a positive integer' });
+        }
+        page.limit = Math.min(page.limit, MAX_PAGE_SIZE);
+    }
+    if (req.query.offset !== undefined) {
+        page.offset = parseInt(req.query.offset, 10);
+        if (!Number.isInteger(page.offset) || page.offset < 0) {
+            return res.status(400).json({ error: 'offset must be a non-negative integer' });
+        }
+    }
+    for (const param of ['since', 'until']) {
+        if (req.query[param]) {
+            const date = new Date(req.query[param]);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `${param} must be a valid date` });
+            }
+            filter[param] = date.toISOString();
+        }
+    }
+
+    try {
+        const result = await req.auditLogManager.queryLogs(filter, page);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET verify the audit hash chain
+router.get('/verify', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await req.auditLogManager.verify();
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
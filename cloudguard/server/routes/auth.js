@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole, createAuthManager } = require('../middleware/auth');
+const authConfig = require('../config/auth');
+
+// POST log in, returns a JWT
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const result = await createAuthManager().login(username, password);
+        res.json(result);
+    } catch (error) {
+        res.status(401).json({ error: error.message });
+    }
+});
+
+// GET current principal
+router.get('/me', authenticate, (req, res) => {
+    res.json({ ...req.user, authEnabled: authConfig.enabled });
+});
+
+// GET list users (admin)
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const users = await createAuthManager().userRepository.findAll();
+        res.json(users.map(({ username, role, createdAt }) => ({ username, role, createdAt })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST create user (admin)
+router.post('/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const user = await createAuthManager().createUser(req.body);
+        res.status(201).json(user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const createAlertManager = require('../managers/createAlertManager');
+const { cveEnricher } = require('../services/CveEnricher');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Middleware to initialize AlertManager (and its AuditLogManager) for this request
+router.use((req, res, next) => {
+    try {
+        req.alertManager = createAlertManager(getDB(), req.user);
+        req.auditLogManager = req.alertManager.auditLogManager;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+// GET which NVD, EPSS and KEV data is loaded
+router.get('/', (req, res) => {
+    res.json(cveEnricher.getStatus());
+});
+
+// GET everything known about one CVE
+router.get('/cves/:cveId', (req, res) => {
+    const result = cveEnricher.lookup(req.params.cveId);
+    if (!result) {
+        return res.status(404).json({ error: `${req.params.cveId} is not in the loaded NVD, EPSS or KEV data` });
+    }
+    res.json(result);
+});
+
+// POST reload the datasets from their files and look open CVE alerts up again
+router.post('/refresh', requireRole('admin'), async (req, res) => {
+    try {
+        const status = await cveEnricher.refresh();
+        const alertsUpdated = await req.alertManager.refreshEnrichment();
+        await req.auditLogManager.log({
+            action: 'ENRICHMENT_REFRESHED',
+            nvdRecords: status.nvd.records,
+            epssRecords: status.epss.records,
+            kevRecords: status.kev.records,
+            errors: ['nvd', 'epss', 'kev'].filter(name => status[name].error),
+            alertsUpdated,
+            timestamp: new Date().toISOString()
+        });
+        res.json({ ...status, alertsUpdated });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
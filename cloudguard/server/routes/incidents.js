@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const IncidentManager = require('../managers/IncidentManager');
+const IncidentRepository = require('../repositories/IncidentRepository');
+const createAlertManager = require('../managers/createAlertManager');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Middleware to initialize IncidentManager (and the AlertManager that closes member alerts) for this request
+router.use((req, res, next) => {
+    try {
+        const db = getDB();
+        req.alertManager = createAlertManager(db, req.user);
+        req.incidentManager = new IncidentManager(
+            new IncidentRepository(db),
+            req.alertManager.alertRepository,
+            req.alertManager.auditLogManager
+        );
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+// GET incidents (paginated)
+router.get('/', async (req, res) => {
+    const page = { sort: req.query.sort || '-lastAlertAt' };
+    const sortKey = page.sort.replace(/^-/, '');
+    if (!IncidentRepository.SORT_FIELDS[sortKey]) {
+        return res.status(400).json({
+            error: `Invalid sort: ${sortKey}. Must be one of: ${Object.keys(IncidentRepository.SORT_FIELDS).join(', ')}`
+        });
+    }
+    for (const param of ['limit', 'offset']) {
+        if (req.query[param] !== undefined) {
+            const value = parseInt(req.query[param], 10);
+            if (!Number.isInteger(value) || value < (param === 'limit' ? 1 : 0)) {
+                return res.status(400).json({ error: `${param} must be a ${param === 'limit' ? 'positive' : 'non-negative'} integer` });
+            }
+            page[param] = value;
+        }
+    }
+
+    try {
+        const result = await req.incidentManager.getIncidents({
+            status: req.query.status,
+            severity: req.query.severity,
+            ruleId: req.query.ruleId
+        }, page);
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET incident lifecycle and correlation rules
+router.get('/config', (req, res) => {
+    res.json(req.incidentManager.getConfiguration());
+});
+
+// GET single incident with its member alerts
+router.get('/:id', async (req, res) => {
+    try {
+        res.json(await req.incidentManager.getIncident(req.params.id));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// POST create an incident from existing alerts
+router.post('/', requireRole('analyst'), async (req, res) => {
+    try {
+        const incident = await req.incidentManager.createIncident(req.body, req.user);
+        res.status(201).json(incident);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PUT update incident status
+router.put('/:id/status', requireRole('analyst'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        const incident = await req.incidentManager.updateStatus(req.params.id, status, reason);
+        res.json(incident);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST add alerts to an incident
+router.post('/:id/alerts', requireRole('analyst'), async (req, res) => {
+    try {
+        const incident = await req.incidentManager.addAlerts(req.params.id, req.body.alertIds);
+        res.json(incident);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE remove an alert from an incident
+router.delete('/:id/alerts/:alertId', requireRole('analyst'), async (req, res) => {
+    try {
+        const incident = await req.incidentManager.removeAlert(req.params.id, req.params.alertId);
+        res.json(incident);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST close every member alert and resolve the incident
+router.post('/:id/close', requireRole('analyst'), async (req, res) => {
+    try {
+        const { alertStatus, reason } = req.body;
+        const result = await req.incidentManager.closeIncident(req.params.id, req.alertManager, { alertStatus, reason });
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const createAlertManager = require('../managers/createAlertManager');
+const asffImporter = require('../importers/asff');
+const cloudtrailImporter = require('../importers/cloudtrail');
+const trivyImporter = require('../importers/trivy');
+const grypeImporter = require('../importers/grype');
+const sarifImporter = require('../importers/sarif');
+const { reportKey } = require('../importers/vulnerabilityFinding');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Middleware to initialize AlertManager for this request (audit entries carry req.user)
+router.use((req, res, next) => {
+    try {
+        req.alertManager = createAlertManager(getDB(), req.user);
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+// POST import AWS Security Hub findings (ASFF), one result per finding
+router.post('/asff', requireRole('analyst'), async (req, res) => {
+    let findings;
+    try {
+        findings = asffImporter.extractFindings(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await req.alertManager.importFindings(asffImporter, findings);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET the CloudTrail detection rules
+router.get('/cloudtrail/rules', (req, res) => {
+    res.json({
+        rules: cloudtrailImporter.rules.map(({ id, title, category, severity }) => ({ id, title, category, severity }))
+    });
+});
+
+// POST import a CloudTrail log file (JSON, or gzip'd as delivered to S3) and run the detection rules
+router.post('/cloudtrail', requireRole('analyst'), async (req, res) => {
+    let records;
+    try {
+        records = await cloudtrailImporter.readRecords(req.body);
+    } catch (error) {
+        const status = error instanceof cloudtrailImporter.LogTooLargeError ? 413 : 400;
+        return res.status(status).json({ error: error.message });
+    }
+
+    try {
+        const matches = cloudtrailImporter.detect(records);
+        const result = await req.alertManager.importFindings(cloudtrailImporter, matches);
+        res.json({ events: records.length, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Handler importing a vulnerability scanner report; the same report imported again changes nothing
+ */
+function importReport(importer) {
+    return async (req, res) => {
+        let records;
+        try {
+            records = importer.extractFindings(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        try {
+            const result = await req.alertManager.importFindings(importer, records, {
+                importKey: reportKey(importer.source, req.body)
+            });
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+// POST import a Trivy JSON report
+router.post('/trivy', requireRole('analyst'), importReport(trivyImporter));
+
+// POST import a Grype JSON report
+router.post('/grype', requireRole('analyst'), importReport(grypeImporter));
+
+// POST import a SARIF 2.1 log from a vulnerability scanner
+router.post('/sarif', requireRole('analyst'), importReport(sarifImporter));
+
+module.exports = router;
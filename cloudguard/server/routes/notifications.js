@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const createAlertManager = require('../managers/createAlertManager');
+const EmailManager = require('../services/EmailManager');
+const SmtpClient = require('../services/SmtpClient');
+const emailConfig = require('../config/email');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Notification settings and manual sends are admin-only
+router.use(requireRole('admin'));
+
+// Middleware to initialize EmailManager (and the AlertManager digests read from)
+router.use((req, res, next) => {
+    try {
+        req.alertManager = createAlertManager(getDB(), req.user);
+        req.emailManager = new EmailManager(
+            emailConfig.enabled ? new SmtpClient(emailConfig.smtp) : null,
+            req.alertManager.auditLogManager
+        );
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+/**
+ * Validate ?period= / { period } for digests
+ */
+function parsePeriod(value) {
+    const period = value || (emailConfig.digestSchedule === 'weekly' ? 'weekly' : 'daily');
+    if (!['daily', 'weekly'].includes(period)) {
+        throw new Error(`Invalid period: ${period}. Must be one of: daily, weekly`);
+    }
+    return period;
+}
+
+// GET email settings (without credentials)
+router.get('/email', (req, res) => {
+    res.json({
+        enabled: emailConfig.enabled,
+        smtp: {
+            host: emailConfig.smtp.host || null,
+            port: emailConfig.smtp.port,
+            secure: emailConfig.smtp.secure,
+            authenticated: Boolean(emailConfig.smtp.user)
+        },
+        from: emailConfig.from,
+        alertRecipients: emailConfig.alertRecipients,
+        alertMinSeverity: emailConfig.alertMinSeverity,
+        digestRecipients: emailConfig.digestRecipients,
+        digestSchedule: emailConfig.digestSchedule,
+        digestHour: emailConfig.digestHour,
+        digestWeekday: emailConfig.digestWeekday
+    });
+});
+
+// GET rendered digest without sending it
+router.get('/email/digest/preview', async (req, res) => {
+    let period;
+    try {
+        period = parsePeriod(req.query.period);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const preview = await req.emailManager.previewDigest(req.alertManager, period);
+        if (req.query.format === 'html') {
+            return res.type('html').send(preview.html);
+        }
+        if (req.query.format === 'text') {
+            return res.type('text').send(preview.text);
+        }
+        res.json(preview);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST send the digest now
+router.post('/email/digest', async (req, res) => {
+    let period;
+    try {
+        period = parsePeriod(req.body.period);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await req.emailManager.sendDigest(req.alertManager, period);
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const SuppressionManager = require('../services/SuppressionManager');
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Middleware to initialize SuppressionManager for this request
+router.use((req, res, next) => {
+    try {
+        const db = getDB();
+        req.suppressionManager = new SuppressionManager(
+            new SuppressionRepository(db),
+            new AuditLogManager(db, undefined, { actor: req.user })
+        );
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+// GET suppression rules (with state and hit counts)
+router.get('/', async (req, res) => {
+    try {
+        res.json(await req.suppressionManager.getRules());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST create a suppression rule
+router.post('/', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await req.suppressionManager.createRule(req.body, req.user);
+        res.status(201).json(rule);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET single suppression rule
+router.get('/:id', async (req, res) => {
+    try {
+        res.json(await req.suppressionManager.getRule(req.params.id));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// PUT update a suppression rule
+router.put('/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await req.suppressionManager.updateRule(req.params.id, req.body);
+        res.json(rule);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE suppression rule
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        await req.suppressionManager.deleteRule(req.params.id);
+        res.json({ message: 'Suppression rule deleted successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
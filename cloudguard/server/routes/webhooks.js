@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const WebhookManager = require('../services/WebhookManager');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const WebhookDeliveryRepository = require('../repositories/WebhookDeliveryRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const { getDB } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Webhook URLs and secrets are admin-only
+router.use(requireRole('admin'));
+
+// Middleware to initialize WebhookManager for this request
+router.use((req, res, next) => {
+    try {
+        const db = getDB();
+        req.webhookManager = new WebhookManager(
+            new WebhookRepository(db),
+            new WebhookDeliveryRepository(db),
+            new AuditLogManager(db, undefined, { actor: req.user })
+        );
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database not initialized' });
+    }
+});
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Parse limit/offset query parameters
+ *
+ * @throws {Error} If a parameter is invalid
+ */
+function parsePage(query) {
+    const page = { limit: 50, offset: 0 };
+    if (query.limit !== undefined) {
+        page.limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(page.limit) || page.limit < 1) {
+            throw new Error('limit must be a positive integer');
+        }
+        page.limit = Math.min(page.limit, MAX_PAGE_SIZE);
+    }
+    if (query.offset !== undefined) {
+        page.offset = parseInt(query.offset, 10);
+        if (!Number.isInteger(page.offset) || page.offset < 0) {
+            throw new Error('offset must be a non-negative integer');
+        }
+    }
+    return page;
+}
+
+// GET registered webhooks
+router.get('/', async (req, res) => {
+    try {
+        res.json(await req.webhookManager.getWebhooks());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST register a webhook (the response is the only time the secret is shown)
+router.post('/', async (req, res) => {
+    try {
+        const webhook = await req.webhookManager.registerWebhook(req.body);
+        res.status(201).json(webhook);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET delivery log
+router.get('/deliveries', async (req, res) => {
+    let page;
+    try {
+        page = parsePage(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const filter = {
+            webhookId: req.query.webhookId,
+            status: req.query.status,
+            event: req.query.event
+        };
+        res.json(await req.webhookManager.getDeliveries(filter, page));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET dead-letter list (deliveries that used up their retries)
+router.get('/dead-letters', async (req, res) => {
+    let page;
+    try {
+        page = parsePage(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const filter = { webhookId: req.query.webhookId, status: 'dead' };
+        res.json(await req.webhookManager.getDeliveries(filter, page));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST retry a dead-lettered delivery
+router.post('/deliveries/:deliveryId/retry', async (req, res) => {
+    try {
+        const delivery = await req.webhookManager.retryDelivery(req.params.deliveryId);
+        res.json(delivery);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET single webhook
+router.get('/:id', async (req, res) => {
+    try {
+        res.json(await req.webhookManager.getWebhook(req.params.id));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// PUT update a webhook
+router.put('/:id', async (req, res) => {
+    try {
+        const webhook = await req.webhookManager.updateWebhook(req.params.id, req.body);
+        res.json(webhook);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE webhook
+router.delete('/:id', async (req, res) => {
+    try {
+        await req.webhookManager.deleteWebhook(req.params.id);
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST send a test event
+router.post('/:id/test', async (req, res) => {
+    try {
+        const delivery = await req.webhookManager.sendTest(req.params.id);
+        res.json(delivery);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Upload CloudTrail log files from a local directory to CloudGuard
+ *
+ * Walks each path given (files or directories, recursively) and sends every
+ * *.json and *.json.gz file to POST /api/ingest/cloudtrail, where the
+ * detection rules run over its events.
+ *
+ *   CLOUDGUARD_API_KEY=... node cloudguard/server/scripts/import-cloudtrail.js ./AWSLogs [more paths]
+ *
+ * CLOUDGUARD_URL is the server address (default http://localhost:3000).
+ * Authenticate with CLOUDGUARD_API_KEY (an analyst key from API_KEYS) or
+ * CLOUDGUARD_TOKEN (a login token).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const baseUrl = (process.env.CLOUDGUARD_URL || 'http://localhost:3000').replace(/\/$/, '');
+const headers = {};
+if (process.env.CLOUDGUARD_API_KEY) {
+    headers['X-API-Key'] = process.env.CLOUDGUARD_API_KEY;
+} else if (process.env.CLOUDGUARD_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.CLOUDGUARD_TOKEN}`;
+}
+
+function listLogFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) {
+        return [target];
+    }
+    return fs.readdirSync(target, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const entryPath = path.join(target, entry.name);
+            if (entry.isDirectory()) {
+                return listLogFiles(entryPath);
+            }
+            return /\.json(\.gz)?$/.test(entry.name) ? [entryPath] : [];
+        });
+}
+
+async function importFile(file) {
+    const response = await fetch(`${baseUrl}/api/ingest/cloudtrail`, {
+        method: 'POST',
+        headers: {
+            ...headers,
+            'Content-Type': file.endsWith('.gz') ? 'application/gzip' : 'application/json'
+        },
+        body: fs.readFileSync(file)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+async function main() {
+    const targets = process.argv.slice(2);
+    if (targets.length === 0) {
+        console.error('Usage: node cloudguard/server/scripts/import-cloudtrail.js <file or directory>...');
+        process.exit(1);
+    }
+
+    const files = targets.flatMap(listLogFiles);
+    let failures = 0;
+    for (const file of files) {
+        try {
+            const result = await importFile(file);
+            console.log(`📥 ${file}: ${result.events} events, ${result.total} matches, ` +
+                `${result.accepted} accepted, ${result.rejected} rejected (${result.batchId})`);
+            result.results.filter(item => !item.ok).forEach(item => {
+                console.log(`   ❌ event ${item.ref}: ${item.error}`);
+            });
+        } catch (error) {
+            failures++;
+            console.error(`❌ ${file}: ${error.message}`);
+        }
+    }
+    console.log(`✅ ${files.length - failures}/${files.length} files imported`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
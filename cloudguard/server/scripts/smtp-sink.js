@@ -0,0 +1,84 @@
+/**
+ * Local SMTP sink for trying out CloudGuard email notifications
+ *
+ * Accepts every message (no TLS, no auth) and prints it, with the
+ * text and HTML parts decoded.
+ *
+ *   node cloudguard/server/scripts/smtp-sink.js [port]
+ *   SMTP_HOST=localhost SMTP_PORT=2525 EMAIL_ALERT_RECIPIENTS=soc@example.com npm start
+ */
+
+const net = require('net');
+
+const port = parseInt(process.argv[2], 10) || 2525;
+
+/**
+ * Print a received message with its base64 parts decoded
+ */
+function printMessage(envelope, data) {
+    console.log('='.repeat(60));
+    console.log(`📨 From ${envelope.from} to ${envelope.to.join(', ')}`);
+    const decoded = data.replace(
+        /(Content-Transfer-Encoding: base64\r\n\r\n)([A-Za-z0-9+/=\r\n]+)/g,
+        (match, header, body) => `${header}${Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')}\r\n`
+    );
+    console.log(decoded.replace(/^\.\./gm, '.'));
+}
+
+const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let data = [];
+    let envelope = { from: null, to: [] };
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.setEncoding('utf8');
+    reply('220 localhost CloudGuard SMTP sink');
+
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (inData) {
+                if (line === '.') {
+                    inData = false;
+                    printMessage(envelope, data.join('\r\n'));
+                    envelope = { from: null, to: [] };
+                    data = [];
+                    reply('250 OK: queued');
+                } else {
+                    data.push(line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'MAIL') {
+                envelope.from = line.slice(10);
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                envelope.to.push(line.slice(8));
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else if (command === 'RSET' || command === 'NOOP') {
+                reply('250 OK');
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`📮 SMTP sink listening on localhost:${port}`);
+});
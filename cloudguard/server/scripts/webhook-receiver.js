@@ -0,0 +1,44 @@
+/**
+ * Local webhook receiver for trying out CloudGuard webhooks
+ *
+ * Prints every delivery and checks its signature.
+ *
+ *   WEBHOOK_SECRET=whsec_... node cloudguard/server/scripts/webhook-receiver.js [port]
+ *
+ * RECEIVER_FAIL_FIRST=n answers the first n requests with HTTP 500,
+ * to watch the server's retries.
+ */
+
+const http = require('http');
+const WebhookManager = require('../services/WebhookManager');
+
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL_FIRST, 10) || 0;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const timestamp = req.headers[WebhookManager.TIMESTAMP_HEADER.toLowerCase()];
+        const signature = req.headers[WebhookManager.SIGNATURE_HEADER.toLowerCase()];
+        const verified = secret
+            ? (WebhookManager.verifySignature(secret, timestamp, body, signature) ? '✅ valid' : '❌ INVALID')
+            : '(set WEBHOOK_SECRET to check)';
+
+        console.log(`📥 ${req.headers['x-cloudguard-event']} ${req.headers['x-cloudguard-delivery']} signature ${verified}`);
+        console.log(body);
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            res.writeHead(500).end('Simulated failure');
+            return;
+        }
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🎧 Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,100 @@
+/**
+ * AlertEventBus - In-process feed of alert changes
+ *
+ * - AlertManager publishes alert.created, alert.updated and alert.deleted
+ * - Subscribers (the /api/alerts/stream endpoint) receive every event as it happens
+ * - Recent events are kept so a reconnecting client can resume from its last event id
+ * - Event ids are "<boot id>-<sequence>"; an id from an earlier server process
+ *   or older than the kept events cannot be resumed
+ *
+ * The bus lives in one server process; instances behind a load balancer each
+ * see only their own changes.
+ */
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['alert.created', 'alert.updated', 'alert.deleted'];
+
+class AlertEventBus {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.bufferSize] - Recent events kept for resuming (default 1000)
+     */
+    constructor({ bufferSize = 1000 } = {}) {
+        this.bufferSize = bufferSize;
+        this.bootId = crypto.randomBytes(4).toString('hex');
+        this.sequence = 0;
+        this.buffer = [];
+        this.listeners = new Set();
+    }
+
+    /**
+     * Record an event and deliver it to every subscriber
+     * Subscriber errors are logged and never reach the publisher
+     *
+     * @param {string} type - alert.created, alert.updated or alert.deleted
+     * @param {Object} alert - Alert as stored ({ id } for deletions)
+     * @returns {Object} Event { id, type, alert, timestamp }
+     */
+    publish(type, alert) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Invalid event type: ${type}. Must be one of: ${EVENT_TYPES.join(', ')}`);
+        }
+
+        this.sequence++;
+        const event = {
+            id: `${this.bootId}-${this.sequence}`,
+            type,
+            alert,
+            timestamp: new Date().toISOString()
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('❌ AlertEventBus: Subscriber error:', error.message);
+            }
+        });
+        return event;
+    }
+
+    /**
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Events published after the given event id
+     *
+     * @param {string} lastEventId - Id of the last event the client received
+     * @returns {Object[]|null} Missed events (oldest first), or null if they are no longer known
+     */
+    eventsSince(lastEventId) {
+        const [bootId, sequenceText] = String(lastEventId).split('-');
+        const sequence = Number(sequenceText);
+        if (bootId !== this.bootId || !Number.isInteger(sequence) || sequence > this.sequence) {
+            return null;
+        }
+
+        const oldestKept = this.buffer.length > 0 ? Number(this.buffer[0].id.split('-')[1]) : this.sequence + 1;
+        if (sequence < oldestKept - 1) {
+            return null;
+        }
+        return this.buffer.filter(event => Number(event.id.split('-')[1]) > sequence);
+    }
+}
+
+module.exports = AlertEventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+// Shared by every AlertManager in this process
+module.exports.alertEvents = new AlertEventBus();
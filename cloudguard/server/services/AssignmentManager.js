@@ -0,0 +1,77 @@
+/**
+ * AssignmentManager - Alert ownership rules
+ *
+ * - Maps alert categories to owning teams (e.g. IAM → identity)
+ * - Picks an assignee from the team's members in round-robin order
+ * - Validates manual assignments against the configured teams
+ */
+
+const { loadAssignmentConfig } = require('../config/assignment');
+
+class AssignmentManager {
+    /**
+     * @param {CounterRepository} counterRepository - Persistent round-robin counters
+     * @param {Object} [config] - Assignment configuration (defaults to config/assignment.json)
+     */
+    constructor(counterRepository, config = loadAssignmentConfig()) {
+        if (!counterRepository) {
+            throw new Error('CounterRepository is required');
+        }
+
+        this.counterRepository = counterRepository;
+        this.config = config;
+    }
+
+    /**
+     * Choose the owner for a new alert
+     *
+     * @param {string} category - Alert category
+     * @returns {Promise<Object|null>} { team, assignee } or null if no team owns the category
+     */
+    async autoAssign(category) {
+        const team = this.config.categories[category];
+        if (!team) {
+            return null;
+        }
+
+        const members = this.config.teams[team].members;
+        if (members.length === 0) {
+            return { team, assignee: null };
+        }
+
+        const turn = await this.counterRepository.increment(`round-robin:${team}`);
+        return { team, assignee: members[(turn - 1) % members.length] };
+    }
+
+    /**
+     * Validate and complete a manual assignment
+     * A missing team is filled in from the assignee's team membership
+     *
+     * @param {Object} assignment
+     * @param {string|null} assignment.assignee - Username, or null to unassign
+     * @param {string|null} [assignment.team] - Team name, null to clear, omitted to infer or keep
+     * @returns {Object} { assignee, team } - team is undefined when it should stay unchanged
+     * @throws {Error} If the assignee or team is invalid
+     */
+    resolveAssignment({ assignee, team }) {
+        if (assignee !== null && assignee !== undefined && (typeof assignee !== 'string' || assignee.trim() === '')) {
+            throw new Error('Assignee must be a non-empty string or null');
+        }
+        if (team && !this.config.teams[team]) {
+            throw new Error(
+                `Invalid team: ${team}. ` +
+                `Must be one of: ${Object.keys(this.config.teams).join(', ')}`
+            );
+        }
+
+        let resolvedTeam = team;
+        if (resolvedTeam === undefined && assignee) {
+            resolvedTeam = Object.keys(this.config.teams)
+                .find(name => this.config.teams[name].members.includes(assignee));
+        }
+
+        return { assignee: assignee || null, team: resolvedTeam };
+    }
+}
+
+module.exports = AssignmentManager;
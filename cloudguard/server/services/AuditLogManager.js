@@ -1,20 +1,116 @@
+/**
+ * AuditLogManager - Tamper-evident audit trail
+ *
+ * Every entry carries a sequence number, the hash of the previous entry and
+ * its own hash, forming a chain: altering, removing or reordering an entry
+ * breaks every link after it, which verify() reports.
+ *
+ * Entries are stamped with the acting principal (actor / actorRole) when one
+ * is given, defaulting to "system" for background work, and with any context
+ * fields (e.g. the batchId of a bulk operation) the manager was created with.
+ *
+ * Sequence numbers are unique (a unique index on `sequence`): when several
+ * server instances share one database and two of them claim the same number,
+ * the loser re-reads the end of the chain and appends after it. Each process
+ * remembers the last entry it wrote or read, so appending does not query for it.
+ *
+ * Failure policy (AUDIT_FAILURE_POLICY):
+ * - warn (default): a failed audit write is logged and the operation continues
+ * - fail: a failed audit write throws, failing the originating operation.
+ *   Entries are written after the change they record, so the change itself has
+ *   already been saved: the caller sees an error for a change that persisted.
+ */
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const FAILURE_POLICIES = ['warn', 'fail'];
+const VERIFY_BATCH_SIZE = 1000;
+
+// Attempts to append an entry when another writer takes the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Pending chain writes per collection, so sequence numbers are assigned one at a time
+const writeQueues = new Map();
+
+// Unique sequence index creation per storage handle and collection
+const sequenceIndexes = new WeakMap();
+
+// Last entry of each chain ({ sequence, hash }) per storage handle and collection
+const chainHeads = new WeakMap();
+
+/**
+ * Serialize a value with object keys sorted, so the hash does not depend on key order
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Compute the hash of an entry (every field except _id and hash)
+ */
+function computeHash(entry) {
+    const { _id, hash, ...content } = entry;
+    return crypto.createHash('sha256').update(canonicalJSON(content)).digest('hex');
+}
+
 class AuditLogManager {
-    constructor(mongoClient, tableName = 'audit_logs') {
-        this.db = mongoClient;
+    /**
+     * @param {Object} db - Storage handle from config/database (MongoDB Db, MemoryStore or FileStore)
+     * @param {string} tableName - Collection name
+     * @param {Object} [options]
+     * @param {string} [options.failurePolicy] - warn or fail (defaults to AUDIT_FAILURE_POLICY or warn)
+     * @param {Object} [options.actor] - Principal performing the actions ({ username, role })
+     * @param {Object} [options.context] - Fields added to every entry, e.g. { batchId }
+     */
+    constructor(db, tableName = 'audit_logs', options = {}) {
+        this.db = db;
         this.tableName = tableName;
+        this.failurePolicy = (options.failurePolicy || process.env.AUDIT_FAILURE_POLICY || 'warn').toLowerCase();
+        this.actor = options.actor || { username: 'system', role: 'system' };
+        this.context = options.context || {};
+
+        if (!FAILURE_POLICIES.includes(this.failurePolicy)) {
+            throw new Error(
+                `Invalid audit failure policy: ${this.failurePolicy}. ` +
+                `Must be one of: ${FAILURE_POLICIES.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * A manager for the same trail and actor that adds extra fields to every entry
+     *
+     * @param {Object} context - Fields to add, e.g. { batchId }
+     * @returns {AuditLogManager}
+     */
+    withContext(context) {
+        return new AuditLogManager(this.db, this.tableName, {
+            failurePolicy: this.failurePolicy,
+            actor: this.actor,
+            context: { ...this.context, ...context }
+        });
     }
 
     async log(logEntry) {
         try {
-            const collection = this.db.collection(this.tableName);
-            const entry = {
-                ...logEntry,
-                timestamp: logEntry.timestamp || new Date().toISOString()
-            };
-            await collection.insertOne(entry);
+            const entry = await this._append(logEntry);
             console.log(`📝 Audit Log: ${logEntry.action}`);
+            return entry;
         } catch (error) {
             console.error('❌ AuditLogManager: Error logging:', error);
+            if (this.failurePolicy === 'fail') {
+                throw new Error(`Audit log write failed: ${error.message}`);
+            }
+            return null;
         }
     }
 
@@ -27,6 +123,214 @@ class AuditLogManager {
             return [];
         }
     }
+
+    /**
+     * Query audit entries with filtering and pagination
+     *
+     * @param {Object} filter
+     * @param {string} [filter.alertId] - Entries about one alert
+     * @param {string|Array<string>} [filter.action] - One or more actions, e.g. STATUS_UPDATED
+     * @param {string} [filter.actor] - Entries recorded for one actor
+     * @param {string} [filter.batchId] - Entries from one bulk operation
+     * @param {string} [filter.since] - Entries at or after this ISO timestamp
+     * @param {string} [filter.until] - Entries at or before this ISO timestamp
+     * @param {Object} [page]
+     * @param {number} [page.limit] - Page size (default 50)
+     * @param {number} [page.offset] - Entries to skip
+     * @param {string} [page.order] - asc (oldest first) or desc (default)
+     * @returns {Promise<Object>} { entries, total, limit, offset }
+     */
+    async queryLogs(filter = {}, { limit = 50, offset = 0, order = 'desc' } = {}) {
+        const collection = this.db.collection(this.tableName);
+        const query = {};
+
+        if (filter.alertId) {
+            query.alertId = filter.alertId;
+        }
+        if (filter.action) {
+            const actions = [].concat(filter.action);
+            query.action = actions.length === 1 ? actions[0] : { $in: actions };
+        }
+        if (filter.actor) {
+            query.actor = filter.actor;
+        }
+        if (filter.batchId) {
+            query.batchId = filter.batchId;
+        }
+        if (filter.since || filter.until) {
+            query.timestamp = {};
+            if (filter.since) {
+                query.timestamp.$gte = filter.since;
+            }
+            if (filter.until) {
+                query.timestamp.$lte = filter.until;
+            }
+        }
+
+        const direction = order === 'asc' ? 1 : -1;
+        const entries = await collection
+            .find(query)
+            .sort({ timestamp: direction, sequence: direction })
+            .skip(offset)
+            .limit(limit)
+            .toArray();
+
+        return {
+            entries,
+            total: await collection.countDocuments(query),
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Walk the hash chain and report the first broken link
+     *
+     * @returns {Promise<Object>} { valid, checked, unchained, lastSequence, lastHash, brokenAt }
+     *   brokenAt is null when valid, otherwise { sequence, entryId, reason }
+     */
+    async verify() {
+        const collection = this.db.collection(this.tableName);
+        let expectedSequence = 1;
+        let previousHash = GENESIS_HASH;
+        let checked = 0;
+
+        const report = brokenAt => ({
+            valid: brokenAt === null,
+            checked,
+            unchained: 0,
+            lastSequence: expectedSequence - 1,
+            lastHash: previousHash,
+            brokenAt
+        });
+
+        for (;;) {
+            const batch = await collection
+                .find({ sequence: { $gte: expectedSequence } })
+                .sort({ sequence: 1 })
+                .limit(VERIFY_BATCH_SIZE)
+                .toArray();
+
+            for (const entry of batch) {
+                const broken = reason => report({ sequence: expectedSequence, entryId: entry._id, reason });
+
+                if (entry.sequence !== expectedSequence) {
+                    return broken(`Missing entry: expected sequence ${expectedSequence}, found ${entry.sequence}`);
+                }
+                if (entry.previousHash !== previousHash) {
+                    return broken('previousHash does not match the hash of the preceding entry');
+                }
+                if (computeHash(entry) !== entry.hash) {
+                    return broken('Entry content does not match its hash');
+                }
+
+                previousHash = entry.hash;
+                expectedSequence += 1;
+                checked += 1;
+            }
+
+            if (batch.length < VERIFY_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        const result = report(null);
+        result.unchained = await collection.countDocuments({ sequence: { $exists: false } });
+        return result;
+    }
+
+    /**
+     * Append an entry to the chain
+     * Writes are queued per collection so each entry links to the one before it;
+     * a sequence number taken by another process is retried after the new end of the chain
+     *
+     * @private
+     * @param {Object} logEntry - Audit details
+     * @returns {Promise<Object>} Stored entry
+     */
+    _append(logEntry) {
+        const previous = writeQueues.get(this.tableName) || Promise.resolve();
+        const write = previous.catch(() => {}).then(async () => {
+            const collection = this.db.collection(this.tableName);
+            await this._ensureSequenceIndex(collection);
+            const timestamp = logEntry.timestamp || new Date().toISOString();
+
+            if (!chainHeads.has(this.db)) {
+                chainHeads.set(this.db, new Map());
+            }
+            const heads = chainHeads.get(this.db);
+
+            for (let attempt = 1; ; attempt++) {
+                if (!heads.has(this.tableName)) {
+                    heads.set(this.tableName, await this._readChainHead(collection));
+                }
+                const last = heads.get(this.tableName);
+
+                // Round-trip through JSON so the hashed content matches what is stored
+                const entry = JSON.parse(JSON.stringify({
+                    actor: this.actor.username,
+                    actorRole: this.actor.role,
+                    ...this.context,
+                    ...logEntry,
+                    timestamp,
+                    sequence: last ? last.sequence + 1 : 1,
+                    previousHash: last ? last.hash : GENESIS_HASH
+                }));
+                entry.hash = computeHash(entry);
+
+                try {
+                    await collection.insertOne(entry);
+                    heads.set(this.tableName, { sequence: entry.sequence, hash: entry.hash });
+                    return entry;
+                } catch (error) {
+                    // Another writer got here first (or the write failed): read the end of the chain again
+                    heads.delete(this.tableName);
+                    if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_APPEND_ATTEMPTS) {
+                        throw error;
+                    }
+                }
+            }
+        });
+
+        writeQueues.set(this.tableName, write);
+        return write;
+    }
+
+    /**
+     * Read the last chained entry from storage
+     *
+     * @private
+     * @returns {Promise<Object|null>} { sequence, hash }, or null for an empty chain
+     */
+    async _readChainHead(collection) {
+        const last = await collection.findOne(
+            { sequence: { $exists: true } },
+            { sort: { sequence: -1 } }
+        );
+        return last ? { sequence: last.sequence, hash: last.hash } : null;
+    }
+
+    /**
+     * Create the unique index on sequence once per storage handle and collection
+     * Sparse, so entries written before chaining existed (no sequence) are allowed
+     *
+     * @private
+     */
+    _ensureSequenceIndex(collection) {
+        if (!sequenceIndexes.has(this.db)) {
+            sequenceIndexes.set(this.db, new Map());
+        }
+        const created = sequenceIndexes.get(this.db);
+        if (!created.has(this.tableName)) {
+            const index = collection.createIndex({ sequence: 1 }, { unique: true, sparse: true });
+            // Let the next write try again if index creation failed
+            created.set(this.tableName, index.catch(error => {
+                created.delete(this.tableName);
+                throw error;
+            }));
+        }
+        return created.get(this.tableName);
+    }
 }
 
 module.exports = AuditLogManager;
@@ -0,0 +1,231 @@
+/**
+ * AuthManager - Authentication for the CloudGuard API
+ *
+ * - Users log in with username/password and receive a locally signed JWT (HS256)
+ * - Machine clients (detection engines) authenticate with API keys from config
+ * - Every principal has one role: viewer, analyst or admin
+ */
+
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+class AuthManager {
+    /**
+     * @param {UserRepository} userRepository - Repository for user accounts
+     * @param {Object} [config] - Auth configuration (defaults to config/auth)
+     */
+    constructor(userRepository, config = authConfig) {
+        if (!userRepository) {
+            throw new Error('UserRepository is required');
+        }
+
+        this.userRepository = userRepository;
+        this.config = config;
+    }
+
+    /**
+     * Check username/password and issue a token
+     *
+     * @param {string} username - Username
+     * @param {string} password - Plain-text password
+     * @returns {Promise<Object>} { token, expiresAt, user }
+     */
+    async login(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            throw new Error('Username and password are required');
+        }
+
+        const user = await this.userRepository.findByUsername(username);
+        if (!user || !this._verifyPassword(password, user.passwordHash)) {
+            throw new Error('Invalid username or password');
+        }
+
+        const principal = { username: user.username, role: user.role, type: 'user' };
+        const { token, expiresAt } = this.signToken(principal);
+        return { token, expiresAt, user: principal };
+    }
+
+    /**
+     * Create a user account
+     *
+     * @param {Object} user
+     * @param {string} user.username - Unique username
+     * @param {string} user.password - Plain-text password (min 8 characters)
+     * @param {string} user.role - viewer, analyst or admin
+     * @returns {Promise<Object>} Created user (without password hash)
+     */
+    async createUser({ username, password, role }) {
+        if (!username || !/^[\w.@-]{3,64}$/.test(username)) {
+            throw new Error('Username must be 3-64 characters of letters, digits, . _ @ or -');
+        }
+        if (!password || password.length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+        if (!this.config.ROLES.includes(role)) {
+            throw new Error(`Invalid role: ${role}. Must be one of: ${this.config.ROLES.join(', ')}`);
+        }
+        if (await this.userRepository.findByUsername(username)) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        const user = {
+            username,
+            role,
+            passwordHash: this._hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        await this.userRepository.save(user);
+
+        return { username, role, createdAt: user.createdAt };
+    }
+
+    /**
+     * Create the configured admin account if it does not exist yet
+     *
+     * @returns {Promise<boolean>} True if the account was created
+     */
+    async ensureAdminUser() {
+        if (!this.config.adminPassword) {
+            return false;
+        }
+        if (await this.userRepository.findByUsername(this.config.adminUsername)) {
+            return false;
+        }
+
+        await this.createUser({
+            username: this.config.adminUsername,
+            password: this.config.adminPassword,
+            role: 'admin'
+        });
+        console.log(`👤 AuthManager: Admin user ${this.config.adminUsername} created`);
+        return true;
+    }
+
+    /**
+     * Sign a JWT for a principal
+     *
+     * @param {Object} principal - { username, role, type }
+     * @returns {Object} { token, expiresAt }
+     */
+    signToken(principal) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const expiresAt = issuedAt + this.config.jwtTtlSeconds;
+
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({
+            sub: principal.username,
+            role: principal.role,
+            type: principal.type,
+            iat: issuedAt,
+            exp: expiresAt
+        }));
+        const signature = this._sign(`${header}.${payload}`);
+
+        return {
+            token: `${header}.${payload}.${signature}`,
+            expiresAt: new Date(expiresAt * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Verify a JWT and return its principal
+     *
+     * @param {string} token - Bearer token
+     * @returns {Object} Principal { username, role, type }
+     * @throws {Error} If the token is malformed, tampered with or expired
+     */
+    verifyToken(token) {
+        const parts = String(token).split('.');
+        if (parts.length !== 3) {
+            throw new Error('Malformed token');
+        }
+
+        const [header, payload, signature] = parts;
+        if (!safeEqual(signature, this._sign(`${header}.${payload}`))) {
+            throw new Error('Invalid token signature');
+        }
+
+        let claims;
+        try {
+            const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+            if (decodedHeader.alg !== 'HS256') {
+                throw new Error('unsupported algorithm');
+            }
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Malformed token');
+        }
+
+        if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+            throw new Error('Token expired');
+        }
+        if (!this.config.ROLES.includes(claims.role)) {
+            throw new Error('Invalid token role');
+        }
+
+        return { username: claims.sub, role: claims.role, type: claims.type || 'user' };
+    }
+
+    /**
+     * Look up an API key from config
+     *
+     * @param {string} key - Presented API key
+     * @returns {Object|null} Principal { username, role, type } or null if unknown
+     */
+    authenticateApiKey(key) {
+        const match = this.config.apiKeys.find(apiKey => safeEqual(apiKey.key, key));
+        if (!match) {
+            return null;
+        }
+        return { username: match.name, role: match.role, type: 'apiKey' };
+    }
+
+    /**
+     * Check whether a role has at least the privileges of another
+     *
+     * @param {string} role - Role held
+     * @param {string} requiredRole - Minimum role needed
+     * @returns {boolean} True if allowed
+     */
+    hasRole(role, requiredRole) {
+        return this.config.ROLES.indexOf(role) >= this.config.ROLES.indexOf(requiredRole);
+    }
+
+    // ====================================
+    // Private Helper Methods
+    // ====================================
+
+    _sign(data) {
+        return crypto.createHmac('sha256', this.config.jwtSecret).update(data).digest('base64url');
+    }
+
+    _hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    _verifyPassword(password, passwordHash) {
+        const [scheme, salt, hash] = String(passwordHash).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+        const candidate = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+        const expected = Buffer.from(hash, 'hex');
+        return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+    }
+}
+
+module.exports = AuthManager;
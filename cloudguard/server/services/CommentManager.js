@@ -0,0 +1,243 @@
+/**
+ * CommentManager - Investigation notes on alerts
+ *
+ * - Comments are markdown, stored as written and rendered by the client
+ * - Replies reference a parent comment on the same alert (threads)
+ * - @username mentions are extracted on create and edit
+ * - Edits keep every previous version in the comment's history
+ */
+
+const MAX_BODY_LENGTH = 10000;
+
+// @username at the start of the text or after whitespace/punctuation
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9][\w.-]*)/g;
+
+class CommentManager {
+    /**
+     * @param {CommentRepository} commentRepository - Repository for comments
+     * @param {AlertRepository} alertRepository - Used to check the alert exists
+     * @param {AuditLogManager} auditLogManager - Manager for audit logging
+     * @param {UserRepository} [userRepository] - When given, only existing users count as mentions
+     */
+    constructor(commentRepository, alertRepository, auditLogManager, userRepository = null) {
+        if (!commentRepository) {
+            throw new Error('CommentRepository is required');
+        }
+        if (!alertRepository) {
+            throw new Error('AlertRepository is required');
+        }
+        if (!auditLogManager) {
+            throw new Error('AuditLogManager is required');
+        }
+
+        this.commentRepository = commentRepository;
+        this.alertRepository = alertRepository;
+        this.auditLogManager = auditLogManager;
+        this.userRepository = userRepository;
+    }
+
+    /**
+     * Add a comment (or a reply) to an alert
+     *
+     * @param {string} alertId - Alert being discussed
+     * @param {Object} comment
+     * @param {string} comment.body - Markdown text
+     * @param {string} [comment.parentId] - Comment being replied to
+     * @param {Object} author - Caller ({ username, role })
+     * @returns {Promise<Object>} Created comment
+     */
+    async addComment(alertId, { body, parentId } = {}, author) {
+        try {
+            this._validateBody(body);
+
+            const alert = await this.alertRepository.findById(alertId);
+            if (!alert) {
+                throw new Error(`Alert with ID ${alertId} not found`);
+            }
+
+            if (parentId !== undefined && parentId !== null && (typeof parentId !== 'string' || parentId === '')) {
+                throw new Error('parentId must be a comment ID');
+            }
+            if (parentId) {
+                const parent = await this.commentRepository.findById(parentId);
+                if (!parent || parent.alertId !== alertId) {
+                    throw new Error(`Comment with ID ${parentId} not found on alert ${alertId}`);
+                }
+            }
+
+            const now = new Date().toISOString();
+            const comment = {
+                id: this._generateCommentId(),
+                alertId: alertId,
+                parentId: parentId || null,
+                author: author.username,
+                authorRole: author.role,
+                body: body,
+                mentions: await this._extractMentions(body),
+                edited: false,
+                history: [],
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await this.commentRepository.save(comment);
+
+            await this.auditLogManager.log({
+                action: 'COMMENT_ADDED',
+                alertId: alertId,
+                commentId: comment.id,
+                parentId: comment.parentId,
+                mentions: comment.mentions,
+                timestamp: now
+            });
+
+            console.log(`✅ CommentManager: Comment ${comment.id} added to alert ${alertId}`);
+            return comment;
+
+        } catch (error) {
+            console.error('❌ CommentManager: Error adding comment:', error);
+
+            await this.auditLogManager.log({
+                action: 'COMMENT_FAILED',
+                alertId: alertId,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a comment's body; the previous body moves into its history
+     *
+     * @param {string} alertId - Alert the comment belongs to
+     * @param {string} commentId - Comment to edit
+     * @param {string} body - New markdown text
+     * @param {Object} editor - Caller ({ username, role })
+     * @returns {Promise<Object>} Updated comment
+     */
+    async editComment(alertId, commentId, body, editor) {
+        try {
+            this._validateBody(body);
+
+            const comment = await this.getComment(alertId, commentId);
+            if (comment.body === body) {
+                return comment;
+            }
+
+            const mentions = await this._extractMentions(body);
+            const previousVersion = {
+                body: comment.body,
+                editedAt: new Date().toISOString(),
+                editedBy: editor.username
+            };
+
+            const updatedComment = await this.commentRepository.updateBody(commentId, body, mentions, previousVersion);
+
+            await this.auditLogManager.log({
+                action: 'COMMENT_EDITED',
+                alertId: alertId,
+                commentId: commentId,
+                version: updatedComment.history.length + 1,
+                mentions: mentions,
+                newMentions: mentions.filter(username => !comment.mentions.includes(username)),
+                timestamp: previousVersion.editedAt
+            });
+
+            console.log(`✅ CommentManager: Comment ${commentId} edited`);
+            return updatedComment;
+
+        } catch (error) {
+            console.error('❌ CommentManager: Error editing comment:', error);
+
+            await this.auditLogManager.log({
+                action: 'COMMENT_FAILED',
+                alertId: alertId,
+                commentId: commentId,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Get one comment on an alert
+     *
+     * @returns {Promise<Object>} Comment
+     * @throws {Error} If the comment does not exist on that alert
+     */
+    async getComment(alertId, commentId) {
+        const comment = await this.commentRepository.findById(commentId);
+        if (!comment || comment.alertId !== alertId) {
+            throw new Error(`Comment with ID ${commentId} not found on alert ${alertId}`);
+        }
+        return comment;
+    }
+
+    /**
+     * Get all comments on an alert, oldest first
+     * Replies carry parentId; clients build the threads
+     *
+     * @param {string} alertId - Alert ID
+     * @returns {Promise<Object>} { comments, total }
+     */
+    async getComments(alertId) {
+        const alert = await this.alertRepository.findById(alertId);
+        if (!alert) {
+            throw new Error(`Alert with ID ${alertId} not found`);
+        }
+
+        const comments = await this.commentRepository.findByAlertId(alertId);
+        return { comments, total: comments.length };
+    }
+
+    /**
+     * Validate a comment body
+     * @private
+     */
+    _validateBody(body) {
+        if (typeof body !== 'string' || body.trim() === '') {
+            throw new Error('Comment body is required');
+        }
+        if (body.length > MAX_BODY_LENGTH) {
+            throw new Error(`Comment body must be at most ${MAX_BODY_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Find @username mentions, ignoring code spans and unknown users
+     * @private
+     */
+    async _extractMentions(body) {
+        const text = body.replace(/```[\s\S]*?```/g, ' ').replace(/`[^`]*`/g, ' ');
+
+        const usernames = new Set();
+        for (const match of text.matchAll(MENTION_PATTERN)) {
+            usernames.add(match[2].replace(/[.-]+$/, ''));
+        }
+
+        if (!this.userRepository) {
+            return [...usernames];
+        }
+
+        const known = await Promise.all(
+            [...usernames].map(username => this.userRepository.findByUsername(username))
+        );
+        return [...usernames].filter((username, i) => known[i]);
+    }
+
+    /**
+     * Generate unique comment ID
+     * @private
+     */
+    _generateCommentId() {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 10000);
+        return `CMT-${timestamp}-${random}`;
+    }
+}
+
+module.exports = CommentManager;
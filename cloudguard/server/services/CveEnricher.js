@@ -0,0 +1,346 @@
+/**
+ * CveEnricher - Offline CVE lookups from local NVD, EPSS and CISA KEV data files
+ *
+ * - NVD JSON feeds (1.1 "CVE_Items" or 2.0 "vulnerabilities", plain or gzip'd) give CVSS and references
+ * - The EPSS scores CSV gives the probability of exploitation in the next 30 days
+ * - The CISA Known Exploited Vulnerabilities catalog marks CVEs exploited in the wild
+ * - Datasets are held in memory and replaced only when a refresh reads them successfully;
+ *   one whose files cannot be read keeps its previous data (empty until first loaded)
+ *
+ * Nothing is fetched from the network; see config/enrichment.js for the file locations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const enrichmentConfig = require('../config/enrichment');
+
+const CVE_ID_PATTERN = /CVE-\d{4}-\d{4,}/i;
+
+// NVD 2.0 metric lists in order of preference (CloudGuard's CVSS thresholds assume v3)
+const NVD_METRICS = ['cvssMetricV31', 'cvssMetricV30', 'cvssMetricV40', 'cvssMetricV2'];
+
+// References kept per CVE
+const MAX_REFERENCES = 10;
+
+// Feeds are decompressed off the event loop: a refresh runs while the server handles requests
+const gunzip = util.promisify(zlib.gunzip);
+
+function emptyDataset() {
+    return { entries: new Map(), files: [], loadedAt: null, error: null };
+}
+
+/**
+ * Read a data file as text, gunzipping it when it is gzip'd
+ *
+ * @param {string} file - File path
+ * @param {number} [maxBytes] - Largest allowed size, after decompression
+ * @returns {Promise<string>} File contents
+ * @throws {Error} If the file is larger than maxBytes
+ */
+async function readDataFile(file, maxBytes = enrichmentConfig.maxFileBytes) {
+    const tooLarge = () => new Error(`${path.basename(file)} is larger than ${maxBytes} bytes`);
+
+    const { size } = await fs.promises.stat(file);
+    if (size > maxBytes) {
+        throw tooLarge();
+    }
+
+    const data = await fs.promises.readFile(file);
+    // gzip magic bytes
+    if (data[0] !== 0x1f || data[1] !== 0x8b) {
+        return data.toString('utf8');
+    }
+    try {
+        return (await gunzip(data, { maxOutputLength: maxBytes })).toString('utf8');
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw tooLarge();
+        }
+        throw error;
+    }
+}
+
+class CveEnricher {
+    /**
+     * @param {Object} [config] - { nvdPath, epssFile, kevFile, dataDir, maxFileBytes } (defaults to config/enrichment.js)
+     */
+    constructor(config = enrichmentConfig) {
+        this.config = config;
+        this.nvd = emptyDataset();
+        this.epss = emptyDataset();
+        this.kev = emptyDataset();
+        this.refreshing = null;
+    }
+
+    /**
+     * Read all three datasets from their files again
+     * Concurrent calls share one refresh.
+     *
+     * @returns {Promise<Object>} Status after the refresh (see getStatus)
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = Promise.all([
+                this._refreshDataset('nvd', () => this._loadNvd()),
+                this._refreshDataset('epss', () => this._loadEpss()),
+                this._refreshDataset('kev', () => this._loadKev())
+            ]).then(() => this.getStatus()).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * @returns {Object} Per dataset: { files, records, loadedAt, error }, plus EPSS scoreDate and KEV catalogVersion
+     */
+    getStatus() {
+        const describe = ({ entries, files, loadedAt, error, ...info }) => ({
+            files, records: entries.size, loadedAt, error, ...info
+        });
+        return {
+            nvd: describe(this.nvd),
+            epss: describe(this.epss),
+            kev: describe(this.kev)
+        };
+    }
+
+    /**
+     * Everything known about one CVE
+     *
+     * @param {string} cveId - e.g. CVE-2021-44228
+     * @returns {Object|null} { cveId, summary, cvss, epss, knownExploited, kev, references }, or null if no dataset knows it
+     */
+    lookup(cveId) {
+        const id = String(cveId).toUpperCase();
+        const nvd = this.nvd.entries.get(id);
+        const epss = this.epss.entries.get(id);
+        const kev = this.kev.entries.get(id);
+        if (!nvd && !epss && !kev) {
+            return null;
+        }
+        return {
+            cveId: id,
+            summary: nvd ? nvd.summary : null,
+            cvss: nvd ? nvd.cvss : null,
+            epss: epss || null,
+            knownExploited: Boolean(kev),
+            kev: kev || null,
+            references: nvd ? nvd.references : []
+        };
+    }
+
+    /**
+     * Enrichment for a CVE finding
+     * The CVE id is the ruleId, evidence.vulnerabilityId, or the first one in the description.
+     *
+     * @param {Object} finding - Validated finding
+     * @returns {Object|null} lookup() result plus enrichedAt, or null for other categories and unknown CVEs
+     */
+    enrich(finding) {
+        if (finding.category !== 'CVE') {
+            return null;
+        }
+        const candidates = [
+            finding.ruleId,
+            finding.evidence && finding.evidence.vulnerabilityId,
+            finding.description
+        ];
+        const match = candidates
+            .map(text => CVE_ID_PATTERN.exec(String(text || '')))
+            .find(Boolean);
+        const result = match ? this.lookup(match[0]) : null;
+        return result ? { ...result, enrichedAt: new Date().toISOString() } : null;
+    }
+
+    /**
+     * Load one dataset, keeping the previous one if its files cannot be read
+     * @private
+     */
+    async _refreshDataset(name, load) {
+        try {
+            const { entries, files, ...info } = await load();
+            this[name] = { entries, files, loadedAt: new Date().toISOString(), error: null, ...info };
+            console.log(`📚 CveEnricher: Loaded ${entries.size} ${name.toUpperCase()} records from ${files.length} file(s)`);
+        } catch (error) {
+            this[name] = { ...this[name], error: error.message };
+            if (error.code === 'ENOENT') {
+                console.log(`📚 CveEnricher: No ${name.toUpperCase()} data (${error.message})`);
+            } else {
+                console.error(`❌ CveEnricher: Could not load ${name.toUpperCase()} data:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _loadNvd() {
+        const target = this.config.nvdPath;
+        const stat = await fs.promises.stat(target);
+        const files = stat.isDirectory()
+            ? (await fs.promises.readdir(target))
+                .filter(name => /\.json(\.gz)?$/.test(name))
+                .sort()
+                .map(name => path.join(target, name))
+            : [target];
+
+        const entries = new Map();
+        for (const file of files) {
+            const feed = JSON.parse(await readDataFile(file, this.config.maxFileBytes));
+            if (Array.isArray(feed.CVE_Items)) {
+                feed.CVE_Items.forEach(item => this._addNvd11(entries, item));
+            } else if (Array.isArray(feed.vulnerabilities)) {
+                feed.vulnerabilities.forEach(item => this._addNvd20(entries, item.cve));
+            } else {
+                throw new Error(`${file} is not an NVD JSON feed (no CVE_Items or vulnerabilities)`);
+            }
+        }
+        return { entries, files };
+    }
+
+    /**
+     * NVD 1.1 feed item
+     * @private
+     */
+    _addNvd11(entries, item) {
+        const id = item && item.cve && item.cve.CVE_data_meta && item.cve.CVE_data_meta.ID;
+        if (!id) return;
+        const impact = item.impact || {};
+        const v3 = impact.baseMetricV3 && impact.baseMetricV3.cvssV3;
+        const v2 = impact.baseMetricV2 && impact.baseMetricV2.cvssV2;
+        const cvss = v3 || v2;
+        const descriptions = (item.cve.description && item.cve.description.description_data) || [];
+        const english = descriptions.find(description => description.lang === 'en');
+
+        entries.set(id.toUpperCase(), {
+            summary: english ? english.value : null,
+            cvss: cvss ? { score: cvss.baseScore, vector: cvss.vectorString, version: cvss.version || (v3 ? '3.x' : '2.0') } : null,
+            references: ((item.cve.references && item.cve.references.reference_data) || [])
+                .map(reference => reference.url)
+                .slice(0, MAX_REFERENCES)
+        });
+    }
+
+    /**
+     * NVD 2.0 feed / API item
+     * @private
+     */
+    _addNvd20(entries, cve) {
+        if (!cve || !cve.id) return;
+        const metrics = cve.metrics || {};
+        let cvss = null;
+        for (const key of NVD_METRICS) {
+            const list = Array.isArray(metrics[key]) ? metrics[key] : [];
+            const metric = list.find(entry => entry.type === 'Primary') || list[0];
+            if (metric && metric.cvssData) {
+                cvss = {
+                    score: metric.cvssData.baseScore,
+                    vector: metric.cvssData.vectorString,
+                    version: metric.cvssData.version
+                };
+                break;
+            }
+        }
+        const english = (cve.descriptions || []).find(description => description.lang === 'en');
+
+        entries.set(cve.id.toUpperCase(), {
+            summary: english ? english.value : null,
+            cvss,
+            references: (cve.references || []).map(reference => reference.url).slice(0, MAX_REFERENCES)
+        });
+    }
+
+    /**
+     * EPSS CSV: an optional "#model_version:...,score_date:..." line, then cve,epss,percentile
+     * @private
+     */
+    async _loadEpss() {
+        const file = this.config.epssFile || await this._findEpssFile();
+        const lines = (await readDataFile(file, this.config.maxFileBytes)).split(/\r?\n/);
+
+        const entries = new Map();
+        let modelVersion = null;
+        let scoreDate = null;
+        let columns = null;
+        for (const line of lines) {
+            if (line.startsWith('#')) {
+                line.slice(1).split(',').forEach(pair => {
+                    const [key, value] = pair.split(':');
+                    if (key === 'model_version') modelVersion = value;
+                    if (key === 'score_date') scoreDate = pair.slice('score_date:'.length);
+                });
+                continue;
+            }
+            if (line.trim() === '') continue;
+
+            const cells = line.split(',');
+            if (!columns) {
+                columns = cells.map(cell => cell.trim().toLowerCase());
+                if (!columns.includes('cve') || !columns.includes('epss')) {
+                    throw new Error(`${file} is not an EPSS scores CSV (expected cve,epss,percentile columns)`);
+                }
+                continue;
+            }
+            const row = {};
+            columns.forEach((column, index) => { row[column] = cells[index]; });
+            const probability = parseFloat(row.epss);
+            if (!row.cve || Number.isNaN(probability)) continue;
+            const percentile = parseFloat(row.percentile);
+            entries.set(row.cve.trim().toUpperCase(), {
+                probability,
+                percentile: Number.isNaN(percentile) ? null : percentile,
+                scoreDate
+            });
+        }
+        return { entries, files: [file], modelVersion, scoreDate };
+    }
+
+    /**
+     * Newest epss_scores*.csv[.gz] in the data directory (the file names carry the date)
+     * @private
+     */
+    async _findEpssFile() {
+        const names = (await fs.promises.readdir(this.config.dataDir))
+            .filter(name => /^epss_scores.*\.csv(\.gz)?$/.test(name))
+            .sort();
+        if (names.length === 0) {
+            const error = new Error(`No epss_scores*.csv file in ${this.config.dataDir}`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return path.join(this.config.dataDir, names[names.length - 1]);
+    }
+
+    /**
+     * @private
+     */
+    async _loadKev() {
+        const file = this.config.kevFile;
+        const catalog = JSON.parse(await readDataFile(file, this.config.maxFileBytes));
+        if (!Array.isArray(catalog.vulnerabilities)) {
+            throw new Error(`${file} is not the CISA KEV catalog (no vulnerabilities list)`);
+        }
+
+        const entries = new Map();
+        catalog.vulnerabilities.forEach(entry => {
+            if (!entry.cveID) return;
+            entries.set(entry.cveID.toUpperCase(), {
+                vendorProject: entry.vendorProject || null,
+                product: entry.product || null,
+                vulnerabilityName: entry.vulnerabilityName || null,
+                dateAdded: entry.dateAdded || null,
+                dueDate: entry.dueDate || null,
+                requiredAction: entry.requiredAction || null,
+                knownRansomwareCampaignUse: entry.knownRansomwareCampaignUse || null
+            });
+        });
+        return { entries, files: [file], catalogVersion: catalog.catalogVersion || null };
+    }
+}
+
+module.exports = CveEnricher;
+// Shared by every AlertManager in this process
+module.exports.cveEnricher = new CveEnricher();
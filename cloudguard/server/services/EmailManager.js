@@ -0,0 +1,234 @@
+/**
+ * EmailManager - Email notifications
+ *
+ * - Mails new alerts at or above a severity (High by default) as they are created
+ * - Builds a daily or weekly digest from AlertManager's statistics and the
+ *   oldest unresolved High alerts, and sends it on schedule
+ * - Every mail has a plain-text and an HTML version
+ */
+
+const emailConfig = require('../config/email');
+const { SEVERITY_RANKS } = require('../repositories/AlertRepository');
+const { renderAlertEmail, renderDigestEmail } = require('./emailTemplates');
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EmailManager {
+    /**
+     * @param {SmtpClient|null} smtpClient - Mail transport; null when email is not configured
+     * @param {AuditLogManager} auditLogManager - Manager for audit logging
+     * @param {Object} [config] - Email settings (defaults to config/email)
+     */
+    constructor(smtpClient, auditLogManager, config = emailConfig) {
+        if (!auditLogManager) {
+            throw new Error('AuditLogManager is required');
+        }
+
+        this.smtpClient = smtpClient;
+        this.auditLogManager = auditLogManager;
+        this.config = config;
+    }
+
+    /**
+     * Alert event hook (see AlertManager notifiers)
+     * New alerts at or above the configured severity are mailed in the background
+     *
+     * @param {string} event - Alert event name
+     * @param {Object} alert - Alert the event is about
+     */
+    async notify(event, alert) {
+        if (event !== 'alert.created' || !this.smtpClient || this.config.alertRecipients.length === 0) {
+            return;
+        }
+        if ((SEVERITY_RANKS[alert.severity] || 0) < (SEVERITY_RANKS[this.config.alertMinSeverity] || 0)) {
+            return;
+        }
+
+        this.sendAlertEmail(alert).catch(() => {});
+    }
+
+    /**
+     * Mail one alert to the alert recipients
+     *
+     * @param {Object} alert - Alert to send
+     * @returns {Promise<Object>} SMTP result { messageId, accepted, response }
+     */
+    async sendAlertEmail(alert) {
+        const mail = renderAlertEmail(alert, { dashboardUrl: this.config.dashboardUrl });
+        return await this._send('alert', this.config.alertRecipients, mail, { alertId: alert.id });
+    }
+
+    /**
+     * Collect the digest numbers
+     * Counts come from AlertManager.getStatistics, so they match the dashboard
+     *
+     * @param {AlertManager} alertManager - Source of statistics and alerts
+     * @param {string} [period] - "daily" or "weekly"
+     * @param {Date} [now] - End of the digest period
+     * @returns {Promise<Object>} { period, since, until, counts, topAlerts }
+     */
+    async buildDigest(alertManager, period = 'daily', now = new Date()) {
+        if (!PERIOD_DAYS[period]) {
+            throw new Error(`Invalid digest period: ${period}. Must be one of: ${Object.keys(PERIOD_DAYS).join(', ')}`);
+        }
+
+        const until = now.toISOString();
+        const since = new Date(now.getTime() - PERIOD_DAYS[period] * DAY_MS).toISOString();
+        const openStates = alertManager.getWorkflow().states
+            .filter(state => state.open)
+            .map(state => state.name);
+
+        const [stats, created, resolved, topHigh] = await Promise.all([
+            alertManager.getStatistics(),
+            alertManager.getAlerts({ since, until }, { limit: 1 }),
+            alertManager.getAlerts({ resolvedSince: since, resolvedUntil: until }, { limit: 1 }),
+            alertManager.getAlerts(
+                { severity: 'High', status: openStates },
+                { limit: this.config.digestTopAlerts, sort: 'createdAt' }
+            )
+        ]);
+
+        return {
+            period,
+            since,
+            until,
+            counts: {
+                total: stats.total,
+                new: stats.new,
+                unresolved: openStates.reduce((sum, state) => sum + (stats.byStatus[state] || 0), 0),
+                resolved: stats.resolved,
+                createdInPeriod: created.total,
+                resolvedInPeriod: resolved.total,
+                unresolvedHigh: topHigh.total
+            },
+            topAlerts: topHigh.alerts.map(alert => ({
+                id: alert.id,
+                category: alert.category,
+                status: alert.status,
+                description: alert.description,
+                assignee: alert.assignee || null,
+                createdAt: alert.createdAt
+            }))
+        };
+    }
+
+    /**
+     * Render the digest without sending it
+     *
+     * @returns {Promise<Object>} { digest, subject, text, html }
+     */
+    async previewDigest(alertManager, period = 'daily') {
+        const digest = await this.buildDigest(alertManager, period);
+        return { digest, ...renderDigestEmail(digest, { dashboardUrl: this.config.dashboardUrl }) };
+    }
+
+    /**
+     * Build and mail the digest to the digest recipients
+     *
+     * @returns {Promise<Object>} { digest, messageId, accepted }
+     */
+    async sendDigest(alertManager, period = this.config.digestSchedule) {
+        if (this.config.digestRecipients.length === 0) {
+            throw new Error('No digest recipients configured (EMAIL_DIGEST_RECIPIENTS)');
+        }
+
+        const { digest, ...mail } = await this.previewDigest(alertManager, period === 'off' ? 'daily' : period);
+        const result = await this._send('digest', this.config.digestRecipients, mail, {
+            period: digest.period,
+            counts: digest.counts
+        });
+        return { digest, messageId: result.messageId, accepted: result.accepted };
+    }
+
+    /**
+     * Send the scheduled digest if its time has come and it has not been sent yet
+     * Sent digests are found through their EMAIL_DIGEST_SENT audit entries
+     *
+     * @param {AlertManager} alertManager - Source of statistics and alerts
+     * @param {Date} [now] - Current time
+     * @returns {Promise<Object|null>} Send result, or null if nothing was due
+     */
+    async sendScheduledDigest(alertManager, now = new Date()) {
+        if (!this.smtpClient || this.config.digestSchedule === 'off' || this.config.digestRecipients.length === 0) {
+            return null;
+        }
+
+        const slot = this._lastDigestSlot(now);
+        const { total } = await this.auditLogManager.queryLogs(
+            { action: ['EMAIL_DIGEST_SENT'], since: slot.toISOString() },
+            { limit: 1 }
+        );
+        if (total > 0) {
+            return null;
+        }
+
+        return await this.sendDigest(alertManager, this.config.digestSchedule);
+    }
+
+    /**
+     * Most recent scheduled digest time at or before now (UTC)
+     * @private
+     */
+    _lastDigestSlot(now) {
+        const slot = new Date(Date.UTC(
+            now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), this.config.digestHour
+        ));
+        if (this.config.digestSchedule === 'weekly') {
+            const daysBack = (slot.getUTCDay() - this.config.digestWeekday + 7) % 7;
+            slot.setUTCDate(slot.getUTCDate() - daysBack);
+            if (slot > now) {
+                slot.setUTCDate(slot.getUTCDate() - 7);
+            }
+        } else if (slot > now) {
+            slot.setUTCDate(slot.getUTCDate() - 1);
+        }
+        return slot;
+    }
+
+    /**
+     * Send a rendered mail and record the outcome in the audit log
+     * @private
+     */
+    async _send(kind, recipients, mail, details) {
+        if (!this.smtpClient) {
+            throw new Error('Email is not configured (SMTP_HOST)');
+        }
+
+        const action = kind === 'digest' ? 'EMAIL_DIGEST_SENT' : 'EMAIL_SENT';
+        try {
+            const result = await this.smtpClient.send({
+                from: this.config.from,
+                to: recipients,
+                ...mail
+            });
+
+            await this.auditLogManager.log({
+                action,
+                ...details,
+                recipients: result.accepted,
+                messageId: result.messageId,
+                timestamp: new Date().toISOString()
+            });
+
+            console.log(`📧 EmailManager: Sent ${kind} mail to ${result.accepted.join(', ')}`);
+            return result;
+
+        } catch (error) {
+            console.error(`❌ EmailManager: Error sending ${kind} mail:`, error.message);
+
+            await this.auditLogManager.log({
+                action: 'EMAIL_FAILED',
+                kind,
+                alertId: details.alertId,
+                recipients,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+
+            throw error;
+        }
+    }
+}
+
+module.exports = EmailManager;
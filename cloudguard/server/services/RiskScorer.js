@@ -0,0 +1,110 @@
+/**
+ * RiskScorer - 0–100 risk score for ranking alerts
+ *
+ * - Weighted average of factors between 0 and 1 (see config/risk.json)
+ * - Alerts without a CVSS score leave the CVSS weight out instead of scoring it 0
+ * - Age stops counting once the alert is closed
+ * - The factor values are kept with the score, so the ranking can be explained
+ */
+
+const { loadRiskConfig } = require('../config/risk');
+const { loadWorkflow } = require('../config/workflow');
+
+class RiskScorer {
+    /**
+     * @param {Object} [config] - Risk configuration (defaults to config/risk.json)
+     * @param {Object} [workflow] - Lifecycle workflow, for which states are open
+     */
+    constructor(config = loadRiskConfig(), workflow = loadWorkflow()) {
+        this.config = config;
+        this.openStates = workflow.states.filter(state => state.open).map(state => state.name);
+        this.exposurePattern = config.exposure.descriptionRegex
+            ? new RegExp(config.exposure.descriptionRegex, 'i')
+            : null;
+        this.recomputeIntervalMs = config.recomputeIntervalSeconds * 1000;
+    }
+
+    /**
+     * Score an alert
+     *
+     * @param {Object} alert - Alert (severity, cvssScore, tags, description, occurrences, createdAt, status)
+     * @param {Date} [now] - Current time, for the age factor
+     * @returns {Object} { riskScore, riskFactors } with riskFactors[factor] in 0..1 (null when unknown)
+     */
+    score(alert, now = new Date()) {
+        const riskFactors = {
+            severity: this.config.severity[alert.severity] || 0,
+            cvss: typeof alert.cvssScore === 'number' ? alert.cvssScore / 10 : null,
+            assetCriticality: this._assetCriticality(alert.tags || {}),
+            exposure: this._isExposed(alert) ? 1 : 0,
+            age: this._age(alert, now),
+            occurrences: this._occurrences(alert.occurrences || 1)
+        };
+
+        let weighted = 0;
+        let totalWeight = 0;
+        Object.entries(this.config.weights).forEach(([factor, weight]) => {
+            if (riskFactors[factor] === null) return;
+            weighted += weight * riskFactors[factor];
+            totalWeight += weight;
+        });
+
+        Object.keys(riskFactors).forEach(factor => {
+            if (riskFactors[factor] !== null) {
+                riskFactors[factor] = Math.round(riskFactors[factor] * 100) / 100;
+            }
+        });
+
+        return {
+            riskScore: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0,
+            riskFactors
+        };
+    }
+
+    /**
+     * Highest criticality among the configured tags
+     * @private
+     */
+    _assetCriticality(tags) {
+        const { tags: keys, values } = this.config.assetCriticality;
+        const found = keys
+            .map(key => tags[key])
+            .filter(value => value !== undefined)
+            .map(value => values[String(value).toLowerCase()])
+            .filter(value => value !== undefined);
+        return found.length > 0 ? Math.max(...found) : this.config.assetCriticality.default;
+    }
+
+    /**
+     * Internet exposure from tags or the description
+     * @private
+     */
+    _isExposed(alert) {
+        const tags = alert.tags || {};
+        const tagged = Object.entries(this.config.exposure.tags).some(([key, accepted]) =>
+            tags[key] !== undefined && [].concat(accepted).includes(String(tags[key]).toLowerCase()));
+        return tagged || Boolean(this.exposurePattern && this.exposurePattern.test(alert.description || ''));
+    }
+
+    /**
+     * Fraction of age.fullAfter the alert has been around (open alerts age until now)
+     * @private
+     */
+    _age(alert, now) {
+        const end = this.openStates.includes(alert.status)
+            ? now
+            : new Date(alert.resolvedAt || alert.updatedAt || now);
+        const ageMs = end.getTime() - new Date(alert.createdAt).getTime();
+        return Math.min(1, Math.max(0, ageMs / this.config.age.fullAfterMs));
+    }
+
+    /**
+     * Repeat factor on a log scale: 1 occurrence is 0, occurrences.fullAt or more is 1
+     * @private
+     */
+    _occurrences(count) {
+        return Math.min(1, Math.log(count) / Math.log(this.config.occurrences.fullAt));
+    }
+}
+
+module.exports = RiskScorer;
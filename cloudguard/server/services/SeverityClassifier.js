@@ -0,0 +1,152 @@
+/**
+ * SeverityClassifier - Rule-based severity classification
+ *
+ * - A finding's own severity is kept when it is valid
+ * - Otherwise the highest-priority matching rule from config/classification.json decides
+ * - With no matching rule the default severity applies
+ * - Every result explains itself: which rule fired and which conditions matched
+ */
+
+const { loadClassificationRules } = require('../config/classification');
+const { normalizeFinding } = require('../models/Finding');
+
+const SCORE_OPERATORS = {
+    gte: { test: (value, bound) => value >= bound, symbol: '≥' },
+    gt: { test: (value, bound) => value > bound, symbol: '>' },
+    lte: { test: (value, bound) => value <= bound, symbol: '≤' },
+    lt: { test: (value, bound) => value < bound, symbol: '<' }
+};
+
+class SeverityClassifier {
+    /**
+     * @param {Object} [ruleSet] - { defaultSeverity, rules } (defaults to config/classification.json)
+     */
+    constructor(ruleSet = loadClassificationRules()) {
+        this.defaultSeverity = ruleSet.defaultSeverity;
+        this.rules = ruleSet.rules.map(rule => ({
+            ...rule,
+            descriptionPattern: rule.when.descriptionRegex ? new RegExp(rule.when.descriptionRegex, 'i') : null
+        }));
+        this.severityLevels = ['High', 'Medium', 'Low'];
+    }
+
+    /**
+     * Classify a finding
+     *
+     * @param {Object} finding - Validated security finding
+     * @returns {Object} { severity, source: 'finding'|'rule'|'default', ruleId, ruleDescription, matched }
+     *   where matched lists the conditions that held, e.g. ["category = CVE", "cvssScore 9.8 ≥ 9"]
+     */
+    classify(finding) {
+        if (finding.severity && this.severityLevels.includes(finding.severity)) {
+            return {
+                severity: finding.severity,
+                source: 'finding',
+                ruleId: null,
+                ruleDescription: `Severity ${finding.severity} reported by ${finding.source || 'the finding'}`,
+                matched: []
+            };
+        }
+
+        const context = this._context(finding);
+        for (const rule of this.rules) {
+            const matched = this._match(rule, context);
+            if (matched) {
+                return {
+                    severity: rule.severity,
+                    source: 'rule',
+                    ruleId: rule.id,
+                    ruleDescription: rule.description || null,
+                    matched
+                };
+            }
+        }
+
+        return {
+            severity: this.defaultSeverity,
+            source: 'default',
+            ruleId: null,
+            ruleDescription: 'No classification rule matched',
+            matched: []
+        };
+    }
+
+    /**
+     * @returns {Object} { defaultSeverity, rules } in evaluation order
+     */
+    getRules() {
+        return {
+            defaultSeverity: this.defaultSeverity,
+            rules: this.rules.map(({ descriptionPattern, ...rule }) => rule)
+        };
+    }
+
+    /**
+     * Finding fields the conditions look at
+     * @private
+     */
+    _context(finding) {
+        const normalized = normalizeFinding(finding);
+        return {
+            category: finding.category,
+            resourceType: normalized.resource ? normalized.resource.type : null,
+            source: normalized.source,
+            tags: normalized.tags,
+            cvssScore: normalized.cvssScore,
+            description: finding.description
+        };
+    }
+
+    /**
+     * Check every condition of a rule
+     * @private
+     * @returns {string[]|null} Descriptions of the matched conditions, or null if any failed
+     */
+    _match(rule, context) {
+        const { when } = rule;
+        const matched = [];
+        const oneOf = (expected, actual) => [].concat(expected).includes(actual);
+
+        for (const field of ['category', 'resourceType', 'source']) {
+            if (when[field] === undefined) continue;
+            if (!oneOf(when[field], context[field])) {
+                return null;
+            }
+            matched.push(`${field} = ${context[field]}`);
+        }
+
+        if (when.tags) {
+            for (const [key, expected] of Object.entries(when.tags)) {
+                const actual = context.tags[key];
+                if (actual === undefined || (expected !== '*' && !oneOf(expected, actual))) {
+                    return null;
+                }
+                matched.push(`tag ${key} = ${actual}`);
+            }
+        }
+
+        if (when.cvssScore) {
+            if (context.cvssScore === null) {
+                return null;
+            }
+            for (const [operator, bound] of Object.entries(when.cvssScore)) {
+                if (!SCORE_OPERATORS[operator].test(context.cvssScore, bound)) {
+                    return null;
+                }
+                matched.push(`cvssScore ${context.cvssScore} ${SCORE_OPERATORS[operator].symbol} ${bound}`);
+            }
+        }
+
+        if (rule.descriptionPattern) {
+            const match = rule.descriptionPattern.exec(context.description);
+            if (!match) {
+                return null;
+            }
+            matched.push(`description contains "${match[0]}"`);
+        }
+
+        return matched;
+    }
+}
+
+module.exports = SeverityClassifier;
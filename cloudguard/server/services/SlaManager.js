@@ -0,0 +1,134 @@
+/**
+ * SlaManager - SLA deadlines for alerts
+ *
+ * - Each severity has a policy: acknowledge within X, resolve within Y
+ * - The clock starts when the alert is created (or reopened as a regression)
+ * - An alert is "acknowledged" once it leaves the unacknowledged states (New, Reopened)
+ * - dueAt is the next deadline that has not been breached yet
+ * - slaStatus: on-track / breached while open, met / missed once closed
+ */
+
+const { loadSlaConfig } = require('../config/sla');
+const { loadWorkflow } = require('../config/workflow');
+const { SEVERITY_RANKS } = require('../repositories/AlertRepository');
+
+class SlaManager {
+    /**
+     * @param {Object} [config] - SLA configuration (defaults to config/sla.json)
+     * @param {Object} [workflow] - Lifecycle workflow, for which states are open
+     */
+    constructor(config = loadSlaConfig(), workflow = loadWorkflow()) {
+        this.config = config;
+        this.openStates = workflow.states.filter(state => state.open).map(state => state.name);
+        this.checkIntervalMs = config.checkIntervalSeconds * 1000;
+    }
+
+    /**
+     * @param {string} severity - Alert severity
+     * @returns {Object|null} Policy for the severity, or null if it has none
+     */
+    getPolicy(severity) {
+        return this.config.policies[severity] || null;
+    }
+
+    /**
+     * @returns {Object} Policies as configured, keyed by severity
+     */
+    getPolicies() {
+        const policies = {};
+        Object.entries(this.config.policies).forEach(([severity, policy]) => {
+            policies[severity] = {
+                acknowledgeWithin: policy.acknowledgeWithin,
+                resolveWithin: policy.resolveWithin,
+                onBreach: policy.onBreach
+            };
+        });
+        return { unacknowledgedStates: this.config.unacknowledgedStates, policies };
+    }
+
+    /**
+     * Compute the SLA fields stored on an alert
+     *
+     * @param {Object} alert - Alert (severity, status, createdAt, slaStartedAt, slaBreaches)
+     * @returns {Object} { slaStartedAt, acknowledgeBy, resolveBy, dueAt, slaStatus, slaBreaches }
+     */
+    evaluate(alert) {
+        const slaStartedAt = alert.slaStartedAt || alert.createdAt;
+        const slaBreaches = alert.slaBreaches || [];
+        const policy = this.getPolicy(alert.severity);
+
+        if (!policy) {
+            return { slaStartedAt, acknowledgeBy: null, resolveBy: null, dueAt: null, slaStatus: null, slaBreaches };
+        }
+
+        const start = new Date(slaStartedAt).getTime();
+        const acknowledgeBy = new Date(start + policy.acknowledgeMs).toISOString();
+        const resolveBy = new Date(start + policy.resolveMs).toISOString();
+        const breached = new Set(slaBreaches.map(breach => breach.type));
+
+        if (!this.openStates.includes(alert.status)) {
+            return {
+                slaStartedAt, acknowledgeBy, resolveBy, slaBreaches,
+                dueAt: null,
+                slaStatus: breached.size > 0 ? 'missed' : 'met'
+            };
+        }
+
+        const deadlines = [];
+        if (this._isUnacknowledged(alert) && !breached.has('acknowledge')) {
+            deadlines.push(acknowledgeBy);
+        }
+        if (!breached.has('resolve')) {
+            deadlines.push(resolveBy);
+        }
+
+        return {
+            slaStartedAt, acknowledgeBy, resolveBy, slaBreaches,
+            dueAt: deadlines.length > 0 ? deadlines.sort()[0] : null,
+            slaStatus: breached.size > 0 ? 'breached' : 'on-track'
+        };
+    }
+
+    /**
+     * Deadlines an open alert has passed that are not yet recorded as breaches
+     *
+     * @param {Object} alert - Alert with SLA fields
+     * @param {Date} now - Current time
+     * @returns {Object[]} [{ type: 'acknowledge'|'resolve', dueAt }]
+     */
+    dueBreaches(alert, now) {
+        if (!this.openStates.includes(alert.status) || !this.getPolicy(alert.severity)) {
+            return [];
+        }
+
+        const { acknowledgeBy, resolveBy, slaBreaches } = this.evaluate(alert);
+        const breached = new Set(slaBreaches.map(breach => breach.type));
+        const nowIso = now.toISOString();
+
+        const due = [];
+        if (this._isUnacknowledged(alert) && !breached.has('acknowledge') && acknowledgeBy <= nowIso) {
+            due.push({ type: 'acknowledge', dueAt: acknowledgeBy });
+        }
+        if (!breached.has('resolve') && resolveBy <= nowIso) {
+            due.push({ type: 'resolve', dueAt: resolveBy });
+        }
+        return due;
+    }
+
+    /**
+     * Next severity up (Low → Medium → High)
+     *
+     * @returns {string|null} Escalated severity, or null if already the highest
+     */
+    escalatedSeverity(severity) {
+        const rank = SEVERITY_RANKS[severity] || 0;
+        const next = Object.keys(SEVERITY_RANKS).find(name => SEVERITY_RANKS[name] === rank + 1);
+        return next || null;
+    }
+
+    _isUnacknowledged(alert) {
+        return this.config.unacknowledgedStates.includes(alert.status);
+    }
+}
+
+module.exports = SlaManager;
@@ -0,0 +1,289 @@
+/**
+ * SmtpClient - Minimal SMTP client for notification mail
+ *
+ * - Plain SMTP, STARTTLS (used when the server offers it) or implicit TLS
+ * - AUTH PLAIN or LOGIN when credentials are configured
+ * - Sends multipart/alternative messages (plain text + HTML)
+ *
+ * One connection per message; notification volume is low.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it is not plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters per line
+ */
+function encodeBody(content) {
+    return Buffer.from(content, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Bare address from "Name <address>" or "address"
+ */
+function extractAddress(mailbox) {
+    const match = String(mailbox).match(/<([^>]+)>/);
+    return (match ? match[1] : String(mailbox)).trim();
+}
+
+/**
+ * Build an RFC 5322 message with text and HTML alternatives
+ *
+ * @param {Object} message - { from, to: string[], subject, text, html, date, messageId }
+ * @returns {string} Message with CRLF line endings
+ */
+function buildMessage({ from, to, subject, text, html, date = new Date(), messageId }) {
+    const boundary = `cloudguard-${crypto.randomBytes(12).toString('hex')}`;
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${messageId}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+    ];
+
+    const parts = [['text/plain', text], ['text/html', html]]
+        .filter(([, content]) => content)
+        .map(([type, content]) => [
+            `--${boundary}`,
+            `Content-Type: ${type}; charset=utf-8`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            encodeBody(content)
+        ].join('\r\n'));
+
+    return `${headers.join('\r\n')}\r\n\r\n${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * One SMTP session: reads multi-line replies and sends commands
+ * @private
+ */
+class SmtpConnection {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+        this._attach(socket);
+    }
+
+    _attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            let index;
+            while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+                this.lines.push(this.buffer.slice(0, index));
+                this.buffer = this.buffer.slice(index + 2);
+            }
+            this._resolveReply();
+        });
+        socket.on('error', error => this._fail(error));
+        socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+    }
+
+    _fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject, timer } = this.waiting;
+            clearTimeout(timer);
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    _resolveReply() {
+        if (!this.waiting) return;
+        // The last line of a reply is "NNN text"; earlier lines are "NNN-text"
+        const end = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (end === -1) return;
+
+        const replyLines = this.lines.splice(0, end + 1);
+        const { resolve, timer } = this.waiting;
+        clearTimeout(timer);
+        this.waiting = null;
+        resolve({
+            code: parseInt(replyLines[end].slice(0, 3), 10),
+            lines: replyLines.map(line => line.slice(4))
+        });
+    }
+
+    /**
+     * Wait for the next reply and check its code
+     */
+    read(expectedCodes) {
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                reject(new Error(`SMTP server did not reply within ${this.timeoutMs}ms`));
+            }, this.timeoutMs);
+            this.waiting = { resolve, reject, timer };
+            this._resolveReply();
+        }).then(reply => {
+            if (!expectedCodes.includes(reply.code)) {
+                throw new Error(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`);
+            }
+            return reply;
+        });
+    }
+
+    command(line, expectedCodes) {
+        this.socket.write(`${line}\r\n`);
+        return this.read(expectedCodes);
+    }
+
+    /**
+     * Switch the connection to TLS after STARTTLS
+     */
+    upgrade(servername) {
+        return new Promise((resolve, reject) => {
+            this.socket.removeAllListeners('data');
+            this.socket.removeAllListeners('close');
+            const secureSocket = tls.connect({ socket: this.socket, servername }, () => resolve());
+            secureSocket.once('error', reject);
+            this._attach(secureSocket);
+        });
+    }
+
+    close() {
+        this.socket.removeAllListeners('close');
+        this.socket.end();
+    }
+}
+
+class SmtpClient {
+    /**
+     * @param {Object} options - { host, port, secure, ignoreTls, user, password, timeoutMs }
+     */
+    constructor(options) {
+        if (!options || !options.host) {
+            throw new Error('SMTP host is required');
+        }
+
+        this.options = { port: 587, timeoutMs: 15000, ...options };
+        this.clientName = os.hostname() || 'localhost';
+    }
+
+    /**
+     * Send one message
+     *
+     * @param {Object} message
+     * @param {string} message.from - Sender ("Name <address>" or address)
+     * @param {string[]} message.to - Recipient addresses
+     * @param {string} message.subject - Subject line
+     * @param {string} message.text - Plain-text body
+     * @param {string} [message.html] - HTML body
+     * @returns {Promise<Object>} { messageId, accepted, response }
+     */
+    async send(message) {
+        if (!message.to || message.to.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+
+        const messageId = `${crypto.randomUUID()}@${extractAddress(message.from).split('@')[1] || this.clientName}`;
+        const connection = await this._connect();
+
+        try {
+            await connection.read([220]);
+            let ehlo = await connection.command(`EHLO ${this.clientName}`, [250]);
+
+            const offersStartTls = ehlo.lines.some(line => /^STARTTLS\b/i.test(line));
+            if (!this.options.secure && !this.options.ignoreTls && offersStartTls) {
+                await connection.command('STARTTLS', [220]);
+                await connection.upgrade(this.options.host);
+                ehlo = await connection.command(`EHLO ${this.clientName}`, [250]);
+            }
+
+            if (this.options.user) {
+                await this._authenticate(connection, ehlo.lines);
+            }
+
+            await connection.command(`MAIL FROM:<${extractAddress(message.from)}>`, [250]);
+            const accepted = [];
+            for (const recipient of message.to) {
+                await connection.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+                accepted.push(recipient);
+            }
+
+            await connection.command('DATA', [354]);
+            // Dot-stuffing: lines starting with "." get an extra "."
+            const data = buildMessage({ ...message, messageId }).replace(/^\./gm, '..');
+            const reply = await connection.command(`${data}.`, [250]);
+
+            await connection.command('QUIT', [221]).catch(() => {});
+            return { messageId, accepted, response: reply.lines.join(' ') };
+        } finally {
+            connection.close();
+        }
+    }
+
+    /**
+     * Open the TCP (or implicit TLS) connection
+     * @private
+     */
+    _connect() {
+        const { host, port, secure, timeoutMs } = this.options;
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host })
+                : net.connect({ host, port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Could not connect to SMTP server ${host}:${port} within ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            socket.once(secure ? 'secureConnect' : 'connect', () => {
+                clearTimeout(timer);
+                socket.removeAllListeners('error');
+                resolve(new SmtpConnection(socket, timeoutMs));
+            });
+            socket.once('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * AUTH PLAIN, or AUTH LOGIN when that is all the server offers
+     * @private
+     */
+    async _authenticate(connection, ehloLines) {
+        const { user, password = '' } = this.options;
+        const authLine = ehloLines.find(line => /^AUTH\b/i.test(line)) || '';
+        const mechanisms = authLine.toUpperCase().split(/[\s=]+/).slice(1);
+
+        if (mechanisms.includes('LOGIN') && !mechanisms.includes('PLAIN')) {
+            await connection.command('AUTH LOGIN', [334]);
+            await connection.command(Buffer.from(user).toString('base64'), [334]);
+            await connection.command(Buffer.from(password).toString('base64'), [235]);
+            return;
+        }
+
+        const credentials = Buffer.from(`\0${user}\0${password}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+}
+
+SmtpClient.buildMessage = buildMessage;
+
+module.exports = SmtpClient;
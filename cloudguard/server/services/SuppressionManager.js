@@ -0,0 +1,386 @@
+/**
+ * SuppressionManager - Suppression (muting) rules for known, accepted findings
+ *
+ * - A rule matches findings on any combination of category, resource pattern,
+ *   account, description regex and ruleId (all given criteria must match)
+ * - Matching findings are either dropped or stored with status Suppressed
+ * - Every rule has a justification and an expiry date; expired rules stop matching
+ * - Each match bumps the rule's hit counter
+ */
+
+const { normalizeFinding } = require('../models/Finding');
+
+const ACTIONS = ['suppress', 'drop'];
+const MATCH_FIELDS = ['category', 'resourcePattern', 'accountId', 'descriptionRegex', 'ruleId'];
+
+// Longest description regex a rule may use
+const MAX_REGEX_LENGTH = 200;
+
+// Description regexes only see this many leading characters, which bounds the
+// cost of the polynomial backtracking that assertSafeRegex lets through
+const MAX_MATCH_LENGTH = 4096;
+
+// Compiled patterns, shared by every manager; cleared when it grows past the limit
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 500;
+
+/**
+ * Turn a resource pattern ("arn:aws:s3:::logs-*") into an anchored RegExp
+ * "*" matches any run of characters; everything else is literal
+ */
+function patternToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Reject description regexes that can backtrack catastrophically on every finding:
+ * overly long patterns, and a repeated group that contains either an unbounded
+ * quantifier, such as (a+)+ or (\w*\s)*, or an alternation whose branches can
+ * overlap, such as (a|aa)+ or (\w|\d)+. Alternatives are not compared, so any
+ * alternation inside a repeated group is rejected
+ *
+ * @param {string} source - Regex source
+ * @throws {Error} If the pattern is unsafe
+ */
+function assertSafeRegex(source) {
+    if (source.length > MAX_REGEX_LENGTH) {
+        throw new Error(`must be at most ${MAX_REGEX_LENGTH} characters`);
+    }
+
+    // One entry per open group: whether it contains an unbounded quantifier or an alternation
+    const groups = [];
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        const group = groups[groups.length - 1];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; its contents are literal
+            for (i++; i < source.length && source[i] !== ']'; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ unbounded: false, alternation: false });
+        } else if (char === ')') {
+            const closed = groups.pop() || { unbounded: false, alternation: false };
+            const next = source[i + 1];
+            const repeated = next === '*' || next === '+' || next === '{';
+            if (closed.unbounded && repeated) {
+                throw new Error('must not repeat a group that contains * or + (nested quantifiers)');
+            }
+            if (closed.alternation && (next === '*' || next === '+' || /^\{\d*,\}/.test(source.slice(i + 1)))) {
+                throw new Error('must not repeat a group that contains | (overlapping alternatives)');
+            }
+            if (groups.length > 0) {
+                const parent = groups[groups.length - 1];
+                parent.unbounded = parent.unbounded || closed.unbounded;
+                parent.alternation = parent.alternation || closed.alternation;
+            }
+        } else if (char === '|' && group) {
+            group.alternation = true;
+        } else if ((char === '*' || char === '+' || (char === '{' && /^\{\d*,\}/.test(source.slice(i)))) && group) {
+            group.unbounded = true;
+        }
+    }
+}
+
+/**
+ * Compile a rule's description regex once
+ *
+ * @param {string} source - Regex source
+ * @returns {RegExp} Case-insensitive RegExp
+ * @throws {Error} If the pattern is invalid or unsafe
+ */
+function compileDescriptionRegex(source) {
+    let compiled = compiledPatterns.get(source);
+    if (!compiled) {
+        assertSafeRegex(source);
+        compiled = new RegExp(source, 'i');
+        if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+            compiledPatterns.clear();
+        }
+        compiledPatterns.set(source, compiled);
+    }
+    return compiled;
+}
+
+class SuppressionManager {
+    /**
+     * @param {SuppressionRepository} suppressionRepository - Stored rules
+     * @param {AuditLogManager} auditLogManager - Manager for audit logging
+     */
+    constructor(suppressionRepository, auditLogManager) {
+        if (!suppressionRepository) {
+            throw new Error('SuppressionRepository is required');
+        }
+        if (!auditLogManager) {
+            throw new Error('AuditLogManager is required');
+        }
+
+        this.suppressionRepository = suppressionRepository;
+        this.auditLogManager = auditLogManager;
+    }
+
+    /**
+     * Create a suppression rule
+     *
+     * @param {Object} definition
+     * @param {Object} definition.match - { category, resourcePattern, accountId, descriptionRegex, ruleId }; at least one
+     * @param {string} definition.justification - Why these findings are accepted
+     * @param {string} definition.expiresAt - When the rule stops matching (ISO timestamp, in the future)
+     * @param {string} [definition.action] - "suppress" (store as Suppressed, default) or "drop"
+     * @param {string} [definition.name] - Short label
+     * @param {boolean} [definition.enabled] - Default true
+     * @param {Object} [author] - Authenticated user creating the rule
+     * @returns {Promise<Object>} Created rule
+     */
+    async createRule(definition = {}, author) {
+        const now = new Date().toISOString();
+        const rule = {
+            id: this._generateRuleId(),
+            ...this._validateDefinition({ action: 'suppress', name: '', enabled: true, ...definition }),
+            hits: 0,
+            lastHitAt: null,
+            createdBy: author ? author.username : null,
+            createdAt: now,
+            updatedAt: now
+        };
+        if (rule.expiresAt <= now) {
+            throw new Error('expiresAt must be in the future');
+        }
+
+        await this.suppressionRepository.save(rule);
+
+        await this.auditLogManager.log({
+            action: 'SUPPRESSION_CREATED',
+            suppressionId: rule.id,
+            match: rule.match,
+            ruleAction: rule.action,
+            expiresAt: rule.expiresAt,
+            justification: rule.justification,
+            timestamp: now
+        });
+
+        console.log(`✅ SuppressionManager: Rule ${rule.id} created (${rule.action})`);
+        return this._withState(rule);
+    }
+
+    /**
+     * Change a rule's match criteria, action, justification, expiry, name or enabled flag
+     *
+     * @param {string} ruleId - Rule to change
+     * @param {Object} changes - Fields to replace (same as createRule)
+     * @returns {Promise<Object>} Updated rule
+     */
+    async updateRule(ruleId, changes = {}) {
+        const rule = await this._findRule(ruleId);
+
+        const fields = ['match', 'action', 'justification', 'expiresAt', 'name', 'enabled'];
+        const merged = { ...rule };
+        fields.forEach(field => {
+            if (changes[field] !== undefined) {
+                merged[field] = changes[field];
+            }
+        });
+        const update = this._validateDefinition(merged);
+        if (changes.expiresAt !== undefined && update.expiresAt <= new Date().toISOString()) {
+            throw new Error('expiresAt must be in the future');
+        }
+
+        const updated = await this.suppressionRepository.update(ruleId, update);
+
+        await this.auditLogManager.log({
+            action: 'SUPPRESSION_UPDATED',
+            suppressionId: ruleId,
+            changed: fields.filter(field => changes[field] !== undefined),
+            justification: updated.justification,
+            timestamp: new Date().toISOString()
+        });
+
+        return this._withState(updated);
+    }
+
+    /**
+     * Remove a rule (alerts it suppressed stay Suppressed)
+     */
+    async deleteRule(ruleId) {
+        const rule = await this._findRule(ruleId);
+        await this.suppressionRepository.delete(ruleId);
+
+        await this.auditLogManager.log({
+            action: 'SUPPRESSION_DELETED',
+            suppressionId: ruleId,
+            match: rule.match,
+            hits: rule.hits,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * @returns {Promise<Object[]>} All rules, with their computed state (active, expired, disabled)
+     */
+    async getRules() {
+        const rules = await this.suppressionRepository.findAll();
+        return rules.map(rule => this._withState(rule));
+    }
+
+    /**
+     * @returns {Promise<Object>} One rule with its computed state
+     */
+    async getRule(ruleId) {
+        return this._withState(await this._findRule(ruleId));
+    }
+
+    /**
+     * Find the first active rule matching a finding and count the hit
+     *
+     * @param {Object} finding - Validated security finding
+     * @param {Date} [now] - Current time
+     * @returns {Promise<Object|null>} Matching rule, or null
+     */
+    async match(finding, now = new Date()) {
+        const rules = await this.suppressionRepository.findActive(now.toISOString());
+        const rule = rules.find(candidate => this._matches(candidate.match, finding));
+        if (!rule) {
+            return null;
+        }
+
+        await this.suppressionRepository.recordHit(rule.id, now.toISOString());
+        return rule;
+    }
+
+    /**
+     * Whether a finding meets every criterion of a rule
+     * @private
+     */
+    _matches(match, finding) {
+        const { resource, ruleId, accountId } = normalizeFinding(finding);
+
+        if (match.category && match.category !== finding.category) {
+            return false;
+        }
+        if (match.ruleId && match.ruleId !== ruleId) {
+            return false;
+        }
+        if (match.accountId && match.accountId !== accountId) {
+            return false;
+        }
+        if (match.resourcePattern) {
+            const pattern = patternToRegExp(match.resourcePattern);
+            const candidates = resource ? [resource.arn, resource.id].filter(Boolean) : [];
+            if (!candidates.some(value => pattern.test(value))) {
+                return false;
+            }
+        }
+        if (match.descriptionRegex) {
+            let regex;
+            try {
+                regex = compileDescriptionRegex(match.descriptionRegex);
+            } catch (error) {
+                // Stored before patterns were checked; such a rule never matches
+                return false;
+            }
+            if (!regex.test(String(finding.description).slice(0, MAX_MATCH_LENGTH))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Validate rule fields and return the storable subset
+     * @private
+     */
+    _validateDefinition(definition) {
+        const match = definition.match;
+        if (!match || typeof match !== 'object' || Array.isArray(match)) {
+            throw new Error(`match must be an object with any of: ${MATCH_FIELDS.join(', ')}`);
+        }
+        const unknownFields = Object.keys(match).filter(field => !MATCH_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            throw new Error(`Invalid match fields: ${unknownFields.join(', ')}. Must be any of: ${MATCH_FIELDS.join(', ')}`);
+        }
+
+        const criteria = {};
+        MATCH_FIELDS.forEach(field => {
+            const value = match[field];
+            if (value === undefined || value === null || value === '') return;
+            if (typeof value !== 'string') {
+                throw new Error(`match.${field} must be a string`);
+            }
+            criteria[field] = value.trim();
+        });
+        if (Object.keys(criteria).length === 0) {
+            throw new Error('A suppression rule needs at least one match criterion');
+        }
+        if (criteria.descriptionRegex) {
+            try {
+                compileDescriptionRegex(criteria.descriptionRegex);
+            } catch (error) {
+                throw new Error(`Invalid match.descriptionRegex: ${error.message}`);
+            }
+        }
+
+        if (!ACTIONS.includes(definition.action)) {
+            throw new Error(`Invalid action: ${definition.action}. Must be one of: ${ACTIONS.join(', ')}`);
+        }
+
+        if (typeof definition.justification !== 'string' || definition.justification.trim() === '') {
+            throw new Error('A justification is required');
+        }
+
+        const expiresAt = new Date(definition.expiresAt);
+        if (!definition.expiresAt || isNaN(expiresAt.getTime())) {
+            throw new Error('expiresAt must be a valid date');
+        }
+
+        return {
+            name: String(definition.name || ''),
+            match: criteria,
+            action: definition.action,
+            justification: definition.justification.trim(),
+            expiresAt: expiresAt.toISOString(),
+            enabled: definition.enabled !== false
+        };
+    }
+
+    /**
+     * Add the rule's current state: active, expired or disabled
+     * @private
+     */
+    _withState(rule) {
+        let state = 'active';
+        if (!rule.enabled) {
+            state = 'disabled';
+        } else if (rule.expiresAt <= new Date().toISOString()) {
+            state = 'expired';
+        }
+        return { ...rule, state };
+    }
+
+    /**
+     * @private
+     * @throws {Error} If the rule does not exist
+     */
+    async _findRule(ruleId) {
+        const rule = await this.suppressionRepository.findById(ruleId);
+        if (!rule) {
+            throw new Error(`Suppression rule with ID ${ruleId} not found`);
+        }
+        return rule;
+    }
+
+    /**
+     * Generate unique rule ID
+     * Format: SUP-timestamp-random
+     * @private
+     */
+    _generateRuleId() {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 10000);
+        return `SUP-${timestamp}-${random}`;
+    }
+}
+
+module.exports = SuppressionManager;
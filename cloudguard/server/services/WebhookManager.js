@@ -0,0 +1,587 @@
+/**
+ * WebhookManager - Outbound webhook notifications
+ *
+ * - Webhook endpoints subscribe to alert events, optionally filtered by
+ *   minimum severity and by category
+ * - Each event becomes one delivery per matching endpoint, stored before it is sent
+ * - Payloads are JSON signed with HMAC-SHA256 over "<timestamp>.<body>"
+ * - Chat webhooks get the payload rendered as a Slack or Teams message instead
+ * - Failed deliveries are retried with exponential backoff; after the last
+ *   attempt they move to the dead-letter list, from where they can be retried
+ * - Every attempt is kept in the delivery's attempt log
+ */
+
+const crypto = require('crypto');
+const webhookConfig = require('../config/webhooks');
+const { SEVERITY_RANKS } = require('../repositories/AlertRepository');
+const { FORMATS, validateTemplates, formatMessage } = require('./chatFormatters');
+
+const SIGNATURE_HEADER = 'X-CloudGuard-Signature';
+const TIMESTAMP_HEADER = 'X-CloudGuard-Timestamp';
+
+// Longest response body excerpt kept in the attempt log
+const MAX_RESPONSE_EXCERPT = 500;
+
+/**
+ * New random signing secret
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body
+ *
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix seconds, sent as X-CloudGuard-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Check a received signature (for receivers)
+ *
+ * @returns {boolean} true if the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+class WebhookManager {
+    /**
+     * @param {WebhookRepository} webhookRepository - Registered endpoints
+     * @param {WebhookDeliveryRepository} deliveryRepository - Delivery log and retry queue
+     * @param {AuditLogManager} auditLogManager - Manager for audit logging
+     * @param {Object} [config] - Delivery settings (defaults to config/webhooks)
+     */
+    constructor(webhookRepository, deliveryRepository, auditLogManager, config = webhookConfig) {
+        if (!webhookRepository) {
+            throw new Error('WebhookRepository is required');
+        }
+        if (!deliveryRepository) {
+            throw new Error('WebhookDeliveryRepository is required');
+        }
+        if (!auditLogManager) {
+            throw new Error('AuditLogManager is required');
+        }
+
+        this.webhookRepository = webhookRepository;
+        this.deliveryRepository = deliveryRepository;
+        this.auditLogManager = auditLogManager;
+        this.config = config;
+    }
+
+    /**
+     * Register a webhook endpoint
+     *
+     * @param {Object} definition
+     * @param {string} definition.url - http(s) URL receiving POSTed events
+     * @param {string[]} [definition.events] - Subscribed events (default: all)
+     * @param {string} [definition.minSeverity] - Only alerts at or above this severity
+     * @param {string[]} [definition.categories] - Only alerts in these categories
+     * @param {string} [definition.format] - "json" (default), "slack" or "teams"
+     * @param {Object} [definition.templates] - Chat message overrides per event: { [event]: { title, text } }
+     * @param {string} [definition.secret] - Signing secret (generated if omitted)
+     * @param {string} [definition.description] - Free text
+     * @param {boolean} [definition.enabled] - Default true
+     * @returns {Promise<Object>} Created webhook, including its secret
+     */
+    async registerWebhook(definition = {}) {
+        const now = new Date().toISOString();
+        const webhook = {
+            id: this._generateId('WHK'),
+            ...this._validateDefinition({
+                events: webhookConfig.EVENTS,
+                minSeverity: null,
+                categories: [],
+                format: 'json',
+                templates: {},
+                description: '',
+                enabled: true,
+                ...definition
+            }),
+            secret: definition.secret !== undefined && definition.secret !== null
+                ? this._validateSecret(definition.secret)
+                : generateSecret(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.webhookRepository.save(webhook);
+
+        await this.auditLogManager.log({
+            action: 'WEBHOOK_REGISTERED',
+            webhookId: webhook.id,
+            url: webhook.url,
+            events: webhook.events,
+            timestamp: now
+        });
+
+        console.log(`✅ WebhookManager: Webhook ${webhook.id} registered for ${webhook.url}`);
+        return { ...this._redact(webhook), secret: webhook.secret };
+    }
+
+    /**
+     * Change a webhook's URL, filters, format, templates, description or enabled flag
+     *
+     * @param {string} webhookId - Webhook to change
+     * @param {Object} changes - Fields to replace (same as registerWebhook, plus rotateSecret)
+     * @returns {Promise<Object>} Updated webhook (with its secret if it was replaced or rotated)
+     */
+    async updateWebhook(webhookId, changes = {}) {
+        const webhook = await this._findWebhook(webhookId);
+
+        const fields = ['url', 'events', 'minSeverity', 'categories', 'format', 'templates', 'description', 'enabled'];
+        const merged = { ...webhook };
+        fields.forEach(field => {
+            if (changes[field] !== undefined) {
+                merged[field] = changes[field];
+            }
+        });
+        const update = this._validateDefinition(merged);
+        const newSecret = changes.secret !== undefined && changes.secret !== null;
+        if (newSecret && changes.rotateSecret) {
+            throw new Error('Give either secret or rotateSecret, not both');
+        }
+        if (newSecret) {
+            update.secret = this._validateSecret(changes.secret);
+        } else if (changes.rotateSecret) {
+            update.secret = generateSecret();
+        }
+
+        const updated = await this.webhookRepository.update(webhookId, update);
+
+        await this.auditLogManager.log({
+            action: 'WEBHOOK_UPDATED',
+            webhookId: webhookId,
+            changed: fields.filter(field => changes[field] !== undefined)
+                .concat(update.secret ? ['secret'] : []),
+            timestamp: new Date().toISOString()
+        });
+
+        const result = this._redact(updated);
+        if (update.secret) {
+            result.secret = updated.secret;
+        }
+        return result;
+    }
+
+    /**
+     * Remove a webhook (its delivery log is kept)
+     */
+    async deleteWebhook(webhookId) {
+        await this._findWebhook(webhookId);
+        await this.webhookRepository.delete(webhookId);
+
+        await this.auditLogManager.log({
+            action: 'WEBHOOK_DELETED',
+            webhookId: webhookId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Webhooks without their secrets
+     */
+    async getWebhooks() {
+        const webhooks = await this.webhookRepository.findAll();
+        return webhooks.map(webhook => this._redact(webhook));
+    }
+
+    /**
+     * @returns {Promise<Object>} Webhook without its secret
+     */
+    async getWebhook(webhookId) {
+        return this._redact(await this._findWebhook(webhookId));
+    }
+
+    /**
+     * Queue an alert event for every matching webhook and attempt delivery
+     * Returns once the deliveries are stored; sending happens in the background
+     *
+     * @param {string} event - One of config/webhooks EVENTS
+     * @param {Object} alert - Alert the event is about
+     * @param {Object} [data] - Event details (e.g. oldStatus/newStatus)
+     * @returns {Promise<Object[]>} Queued deliveries
+     */
+    async notify(event, alert, data = {}) {
+        const webhooks = await this.webhookRepository.findAll({ enabled: true });
+        const targets = webhooks.filter(webhook => this._matches(webhook, event, alert));
+
+        const deliveries = [];
+        for (const webhook of targets) {
+            deliveries.push(await this._queueDelivery(webhook, event, { alert: this._publicAlert(alert), data }));
+        }
+
+        deliveries.forEach(delivery => this._deliverInBackground(delivery.id));
+        return deliveries;
+    }
+
+    /**
+     * Send a "webhook.test" event to one webhook, ignoring its filters
+     *
+     * @returns {Promise<Object>} The delivery after its first attempt
+     */
+    async sendTest(webhookId) {
+        const webhook = await this._findWebhook(webhookId);
+        const delivery = await this._queueDelivery(webhook, 'webhook.test', {
+            data: { message: 'Test event from CloudGuard' }
+        });
+        return await this.attemptDelivery(delivery.id);
+    }
+
+    /**
+     * Attempt every pending delivery whose retry time has come
+     * Called periodically by the server (see index.js)
+     *
+     * @returns {Promise<number>} Number of deliveries attempted
+     */
+    async processDueDeliveries() {
+        const due = await this.deliveryRepository.findDue(new Date().toISOString());
+        let attempted = 0;
+        for (const delivery of due) {
+            if (await this.attemptDelivery(delivery.id)) {
+                attempted++;
+            }
+        }
+        return attempted;
+    }
+
+    /**
+     * Make one delivery attempt, then schedule a retry or dead-letter it on failure
+     *
+     * @param {string} deliveryId - Delivery to attempt
+     * @returns {Promise<Object|null>} Updated delivery, or null if it was not due or is being sent elsewhere
+     */
+    async attemptDelivery(deliveryId) {
+        const now = new Date();
+        const leaseUntil = new Date(now.getTime() + this.config.timeoutMs * 2).toISOString();
+        if (!await this.deliveryRepository.claim(deliveryId, now.toISOString(), leaseUntil)) {
+            return null;
+        }
+
+        const delivery = await this.deliveryRepository.findById(deliveryId);
+        const webhook = await this.webhookRepository.findById(delivery.webhookId);
+        const attemptNumber = delivery.attempts + 1;
+
+        const attempt = webhook
+            ? await this._send(webhook, delivery)
+            : { statusCode: null, error: 'Webhook no longer exists', durationMs: 0 };
+        attempt.attempt = attemptNumber;
+        attempt.at = new Date().toISOString();
+
+        const succeeded = !attempt.error;
+        const exhausted = !webhook || attemptNumber >= this.config.maxAttempts;
+        const changes = { attempts: attemptNumber, lastError: attempt.error || null };
+
+        if (succeeded) {
+            changes.status = 'delivered';
+            changes.deliveredAt = attempt.at;
+            changes.nextAttemptAt = null;
+        } else if (exhausted) {
+            changes.status = 'dead';
+            changes.nextAttemptAt = null;
+        } else {
+            changes.status = 'pending';
+            changes.nextAttemptAt = new Date(Date.now() + this._retryDelay(attemptNumber)).toISOString();
+        }
+
+        const updated = await this.deliveryRepository.recordAttempt(deliveryId, changes, attempt);
+
+        if (succeeded) {
+            console.log(`📤 WebhookManager: Delivered ${delivery.event} to ${delivery.url} (attempt ${attemptNumber})`);
+        } else if (exhausted) {
+            console.error(`❌ WebhookManager: Delivery ${deliveryId} dead-lettered after ${attemptNumber} attempts: ${attempt.error}`);
+            await this.auditLogManager.log({
+                action: 'WEBHOOK_DELIVERY_FAILED',
+                webhookId: delivery.webhookId,
+                deliveryId: deliveryId,
+                alertId: delivery.alertId || undefined,
+                event: delivery.event,
+                attempts: attemptNumber,
+                error: attempt.error,
+                timestamp: attempt.at
+            });
+        } else {
+            console.warn(`⚠️  WebhookManager: Delivery ${deliveryId} failed (${attempt.error}), retrying at ${changes.nextAttemptAt}`);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Put a dead-lettered delivery back in the queue for immediate delivery
+     *
+     * @returns {Promise<Object>} The delivery after the new attempt
+     */
+    async retryDelivery(deliveryId) {
+        const delivery = await this.deliveryRepository.findById(deliveryId);
+        if (!delivery) {
+            throw new Error(`Delivery with ID ${deliveryId} not found`);
+        }
+        if (delivery.status !== 'dead') {
+            throw new Error(`Only dead-lettered deliveries can be retried (status: ${delivery.status})`);
+        }
+
+        await this.deliveryRepository.update(deliveryId, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString()
+        });
+
+        await this.auditLogManager.log({
+            action: 'WEBHOOK_DELIVERY_RETRIED',
+            webhookId: delivery.webhookId,
+            deliveryId: deliveryId,
+            timestamp: new Date().toISOString()
+        });
+
+        return await this.attemptDelivery(deliveryId);
+    }
+
+    /**
+     * Delivery log, newest first
+     *
+     * @param {Object} filter - { webhookId, status, event }
+     * @param {Object} page - { limit, offset }
+     * @returns {Promise<Object>} { deliveries, total, limit, offset }
+     */
+    async getDeliveries(filter = {}, page = {}) {
+        const limit = page.limit || 50;
+        const offset = page.offset || 0;
+        const { deliveries, total } = await this.deliveryRepository.findAll(filter, { limit, offset });
+        return { deliveries, total, limit, offset };
+    }
+
+    /**
+     * Store a delivery in the queue
+     * @private
+     */
+    async _queueDelivery(webhook, event, content) {
+        const now = new Date().toISOString();
+        const id = this._generateId('DLV');
+        const payload = { id, event, createdAt: now, ...content };
+
+        const delivery = {
+            id,
+            webhookId: webhook.id,
+            url: webhook.url,
+            event,
+            alertId: content.alert ? content.alert.id : null,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            deliveredAt: null,
+            attemptLog: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.deliveryRepository.save(delivery);
+        return delivery;
+    }
+
+    /**
+     * Attempt a delivery without holding up the caller
+     * @private
+     */
+    _deliverInBackground(deliveryId) {
+        this.attemptDelivery(deliveryId).catch(error => {
+            console.error(`❌ WebhookManager: Error delivering ${deliveryId}:`, error);
+        });
+    }
+
+    /**
+     * POST the signed payload and describe the outcome
+     * @private
+     * @returns {Promise<Object>} { statusCode, error, responseBody, durationMs }
+     */
+    async _send(webhook, delivery) {
+        const body = JSON.stringify(formatMessage(webhook.format, delivery.payload, {
+            templates: webhook.templates,
+            dashboardUrl: this.config.dashboardUrl
+        }));
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CloudGuard-Webhooks/1.0',
+                    'X-CloudGuard-Event': delivery.event,
+                    'X-CloudGuard-Delivery': delivery.id,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.config.timeoutMs)
+            });
+            const responseBody = (await response.text()).slice(0, MAX_RESPONSE_EXCERPT);
+
+            return {
+                statusCode: response.status,
+                error: response.ok ? null : `HTTP ${response.status}`,
+                responseBody,
+                durationMs: Date.now() - started
+            };
+        } catch (error) {
+            const message = error.name === 'TimeoutError'
+                ? `Timed out after ${this.config.timeoutMs}ms`
+                : (error.cause && error.cause.message) || error.message;
+            return { statusCode: null, error: message, durationMs: Date.now() - started };
+        }
+    }
+
+    /**
+     * Backoff before the next attempt: base, 2×base, 4×base, ... capped at retryMaxMs
+     * @private
+     */
+    _retryDelay(attemptNumber) {
+        return Math.min(this.config.retryBaseMs * 2 ** (attemptNumber - 1), this.config.retryMaxMs);
+    }
+
+    /**
+     * Check an event against a webhook's filters
+     * @private
+     */
+    _matches(webhook, event, alert) {
+        if (!webhook.events.includes(event)) {
+            return false;
+        }
+        if (webhook.minSeverity && (SEVERITY_RANKS[alert.severity] || 0) < SEVERITY_RANKS[webhook.minSeverity]) {
+            return false;
+        }
+        if (webhook.categories.length > 0 && !webhook.categories.includes(alert.category)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * A signing secret chosen by the caller
+     *
+     * @private
+     * @returns {string} The secret
+     * @throws {Error} If it is not a non-empty string
+     */
+    _validateSecret(secret) {
+        if (typeof secret !== 'string' || secret.trim() === '') {
+            throw new Error('secret must be a non-empty string');
+        }
+        return secret;
+    }
+
+    /**
+     * Validate webhook fields and return the storable subset
+     * @private
+     */
+    _validateDefinition(definition) {
+        let url;
+        try {
+            url = new URL(definition.url);
+        } catch (error) {
+            throw new Error('A valid webhook url is required');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('Webhook url must use http or https');
+        }
+
+        if (!Array.isArray(definition.events) || definition.events.length === 0) {
+            throw new Error('events must be a non-empty list');
+        }
+        const unknownEvents = definition.events.filter(event => !webhookConfig.EVENTS.includes(event));
+        if (unknownEvents.length > 0) {
+            throw new Error(
+                `Invalid events: ${unknownEvents.join(', ')}. ` +
+                `Must be any of: ${webhookConfig.EVENTS.join(', ')}`
+            );
+        }
+
+        if (definition.minSeverity && !SEVERITY_RANKS[definition.minSeverity]) {
+            throw new Error(
+                `Invalid minSeverity: ${definition.minSeverity}. ` +
+                `Must be one of: ${Object.keys(SEVERITY_RANKS).join(', ')}`
+            );
+        }
+
+        if (!Array.isArray(definition.categories) || definition.categories.some(c => typeof c !== 'string')) {
+            throw new Error('categories must be a list of category names');
+        }
+
+        const format = definition.format || 'json';
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Invalid format: ${format}. Must be one of: ${FORMATS.join(', ')}`);
+        }
+        const templates = definition.templates || {};
+        validateTemplates(templates);
+
+        return {
+            url: url.toString(),
+            events: [...new Set(definition.events)],
+            minSeverity: definition.minSeverity || null,
+            categories: definition.categories,
+            format,
+            templates,
+            description: String(definition.description || ''),
+            enabled: definition.enabled !== false
+        };
+    }
+
+    /**
+     * @private
+     * @throws {Error} If the webhook does not exist
+     */
+    async _findWebhook(webhookId) {
+        const webhook = await this.webhookRepository.findById(webhookId);
+        if (!webhook) {
+            throw new Error(`Webhook with ID ${webhookId} not found`);
+        }
+        return webhook;
+    }
+
+    /**
+     * Webhook as returned by the API: the secret is replaced by its last characters
+     * @private
+     */
+    _redact(webhook) {
+        const { secret, _id, ...rest } = webhook;
+        return { ...rest, secretHint: `…${secret.slice(-4)}` };
+    }
+
+    /**
+     * Alert as sent in payloads (without storage internals)
+     * @private
+     */
+    _publicAlert(alert) {
+        const { _id, severityRank, ...rest } = alert;
+        return rest;
+    }
+
+    /**
+     * Generate unique webhook/delivery ID
+     * @private
+     */
+    _generateId(prefix) {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 10000);
+        return `${prefix}-${timestamp}-${random}`;
+    }
+}
+
+WebhookManager.SIGNATURE_HEADER = SIGNATURE_HEADER;
+WebhookManager.TIMESTAMP_HEADER = TIMESTAMP_HEADER;
+WebhookManager.signPayload = signPayload;
+WebhookManager.verifySignature = verifySignature;
+
+module.exports = WebhookManager;
@@ -0,0 +1,323 @@
+/**
+ * Chat message formatters for webhook deliveries
+ *
+ * Turn a stored webhook payload ({ id, event, createdAt, alert, data }) into a
+ * Slack Block Kit or Microsoft Teams Adaptive Card message. The functions are
+ * pure: the same payload and options always give the same message, so they
+ * can be snapshot-tested without a network.
+ *
+ * Titles and texts come from templates with {{placeholder}} fields. Each webhook
+ * (channel) can override the defaults per event.
+ */
+
+// Delivery formats a webhook can use; "json" sends the payload as-is
+const FORMATS = ['json', 'slack', 'teams'];
+
+// Same colours as the dashboard severity badges
+const SEVERITY_STYLES = {
+    High: { color: '#dc2626', emoji: '🔴', teamsColor: 'Attention', teamsStyle: 'attention' },
+    Medium: { color: '#d97706', emoji: '🟠', teamsColor: 'Warning', teamsStyle: 'warning' },
+    Low: { color: '#2563eb', emoji: '🔵', teamsColor: 'Accent', teamsStyle: 'accent' }
+};
+const NEUTRAL_STYLE = { color: '#6b7280', emoji: '🔔', teamsColor: 'Default', teamsStyle: 'default' };
+
+const DEFAULT_TEMPLATES = {
+    'alert.created': {
+        title: '{{emoji}} New {{severity}} {{category}} alert',
+        text: '{{description}}'
+    },
+    'alert.status_changed': {
+        title: '{{emoji}} {{id}}: {{oldStatus}} → {{newStatus}}',
+        text: '{{description}}'
+    },
+    'alert.sla_breached': {
+        title: '⏰ {{id}}: {{slaType}} SLA breached',
+        text: '{{description}}'
+    },
+    'webhook.test': {
+        title: '🔔 CloudGuard test message',
+        text: 'This channel will receive CloudGuard alert notifications.'
+    }
+};
+
+const PLACEHOLDERS = [
+    'event', 'emoji', 'id', 'severity', 'category', 'status', 'description',
+    'assignee', 'team', 'source', 'ruleId', 'resource', 'accountId', 'region',
+    'oldStatus', 'newStatus', 'reason', 'slaType', 'dueAt', 'url'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Check per-event template overrides
+ *
+ * @param {Object} templates - { [event]: { title, text } }
+ * @throws {Error} If an event, field or placeholder is unknown
+ */
+function validateTemplates(templates) {
+    if (templates === null || typeof templates !== 'object' || Array.isArray(templates)) {
+        throw new Error('templates must be an object keyed by event');
+    }
+
+    Object.entries(templates).forEach(([event, template]) => {
+        if (!DEFAULT_TEMPLATES[event]) {
+            throw new Error(
+                `Invalid template event: ${event}. ` +
+                `Must be one of: ${Object.keys(DEFAULT_TEMPLATES).join(', ')}`
+            );
+        }
+        if (template === null || typeof template !== 'object') {
+            throw new Error(`Template for ${event} must be an object with title and/or text`);
+        }
+
+        Object.entries(template).forEach(([field, value]) => {
+            if (!['title', 'text'].includes(field) || typeof value !== 'string') {
+                throw new Error(`Template for ${event} may only set title and text strings`);
+            }
+            for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+                if (!PLACEHOLDERS.includes(match[1])) {
+                    throw new Error(
+                        `Unknown placeholder {{${match[1]}}} in ${event} ${field}. ` +
+                        `Available: ${PLACEHOLDERS.join(', ')}`
+                    );
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Fill {{placeholders}} from a context; missing values become empty
+ */
+function renderTemplate(template, context) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = context[name];
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+/**
+ * Values available to templates and formatters
+ * @private
+ */
+function buildContext(payload, dashboardUrl) {
+    const alert = payload.alert || {};
+    const data = payload.data || {};
+    const style = SEVERITY_STYLES[alert.severity] || NEUTRAL_STYLE;
+
+    return {
+        event: payload.event,
+        emoji: style.emoji,
+        id: alert.id,
+        severity: alert.severity,
+        category: alert.category,
+        status: alert.status,
+        description: alert.description,
+        assignee: alert.assignee,
+        team: alert.team,
+        source: alert.source,
+        ruleId: alert.ruleId,
+        resource: alert.resource ? (alert.resource.arn || alert.resource.id) : null,
+        accountId: alert.accountId,
+        region: alert.region,
+        oldStatus: data.oldStatus,
+        newStatus: data.newStatus,
+        reason: data.reason,
+        slaType: data.breaches ? data.breaches.map(breach => breach.type).join(' and ') : null,
+        dueAt: data.breaches && data.breaches.length > 0 ? data.breaches[0].dueAt : null,
+        url: alert.id && dashboardUrl
+            ? `${dashboardUrl.replace(/\/+$/, '')}/#alert=${encodeURIComponent(alert.id)}`
+            : null
+    };
+}
+
+/**
+ * Title and text for a payload, using the channel's template where it has one
+ * @private
+ */
+function renderMessage(payload, templates = {}, dashboardUrl) {
+    const context = buildContext(payload, dashboardUrl);
+    const template = {
+        ...(DEFAULT_TEMPLATES[payload.event] || DEFAULT_TEMPLATES['alert.created']),
+        ...(templates[payload.event] || {})
+    };
+
+    return {
+        context,
+        style: SEVERITY_STYLES[context.severity] || NEUTRAL_STYLE,
+        title: renderTemplate(template.title, context).trim(),
+        text: renderTemplate(template.text, context).trim()
+    };
+}
+
+/**
+ * Label/value pairs shown under the text (empty values left out)
+ * @private
+ */
+function buildFacts(context) {
+    return [
+        ['Severity', context.severity],
+        ['Category', context.category],
+        ['Status', context.status],
+        ['Assignee', context.assignee || (context.id ? 'Unassigned' : null)],
+        ['Resource', context.resource],
+        ['Account', context.accountId && (context.region ? `${context.accountId} • ${context.region}` : context.accountId)],
+        ['Reason', context.reason],
+        ['Due', context.dueAt]
+    ].filter(([, value]) => value);
+}
+
+/**
+ * Escape the characters Slack treats as markup in mrkdwn text
+ * @private
+ */
+function escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming-webhook message (Block Kit inside a coloured attachment)
+ *
+ * @param {Object} payload - Webhook payload { id, event, createdAt, alert, data }
+ * @param {Object} [options]
+ * @param {Object} [options.templates] - Per-event { title, text } overrides
+ * @param {string} [options.dashboardUrl] - Base URL for the "View alert" link
+ * @returns {Object} Slack message body
+ */
+function formatSlackMessage(payload, { templates, dashboardUrl } = {}) {
+    const { context, style, title, text } = renderMessage(payload, templates, dashboardUrl);
+    const facts = buildFacts(context);
+
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150), emoji: true } }
+    ];
+    if (text) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeSlack(text).slice(0, 3000) } });
+    }
+    if (facts.length > 0) {
+        blocks.push({
+            type: 'section',
+            fields: facts.slice(0, 10).map(([label, value]) => ({
+                type: 'mrkdwn',
+                text: `*${label}*\n${escapeSlack(value)}`
+            }))
+        });
+    }
+    if (context.id) {
+        const contextElements = [{ type: 'mrkdwn', text: `\`${context.id}\`` }];
+        if (context.source) {
+            contextElements.push({ type: 'mrkdwn', text: `Source: ${escapeSlack(context.source)}` });
+        }
+        blocks.push({ type: 'context', elements: contextElements });
+    }
+    if (context.url) {
+        blocks.push({
+            type: 'actions',
+            elements: [{
+                type: 'button',
+                text: { type: 'plain_text', text: 'View alert' },
+                url: context.url
+            }]
+        });
+    }
+
+    return {
+        text: title,
+        attachments: [{ color: style.color, blocks }]
+    };
+}
+
+/**
+ * Microsoft Teams incoming-webhook message (Adaptive Card 1.4)
+ *
+ * @param {Object} payload - Webhook payload { id, event, createdAt, alert, data }
+ * @param {Object} [options] - Same as formatSlackMessage
+ * @returns {Object} Teams message body
+ */
+function formatTeamsMessage(payload, { templates, dashboardUrl } = {}) {
+    const { context, style, title, text } = renderMessage(payload, templates, dashboardUrl);
+    const facts = buildFacts(context);
+
+    const body = [{
+        type: 'Container',
+        style: style.teamsStyle,
+        bleed: true,
+        items: [{
+            type: 'TextBlock',
+            text: title,
+            weight: 'Bolder',
+            size: 'Medium',
+            color: style.teamsColor,
+            wrap: true
+        }]
+    }];
+    if (text) {
+        body.push({ type: 'TextBlock', text, wrap: true });
+    }
+    if (facts.length > 0) {
+        body.push({
+            type: 'FactSet',
+            facts: facts.map(([label, value]) => ({ title: label, value: String(value) }))
+        });
+    }
+    if (context.id) {
+        body.push({
+            type: 'TextBlock',
+            text: context.source ? `${context.id} • Source: ${context.source}` : context.id,
+            isSubtle: true,
+            size: 'Small',
+            wrap: true
+        });
+    }
+
+    const card = {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body
+    };
+    if (context.url) {
+        card.actions = [{ type: 'Action.OpenUrl', title: 'View alert', url: context.url }];
+    }
+
+    return {
+        type: 'message',
+        summary: title,
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: card
+        }]
+    };
+}
+
+/**
+ * Body to send for a webhook format
+ *
+ * @param {string} format - One of FORMATS
+ * @param {Object} payload - Webhook payload
+ * @param {Object} [options] - { templates, dashboardUrl }
+ * @returns {Object} Message body
+ */
+function formatMessage(format, payload, options) {
+    switch (format) {
+        case 'slack':
+            return formatSlackMessage(payload, options);
+        case 'teams':
+            return formatTeamsMessage(payload, options);
+        default:
+            return payload;
+    }
+}
+
+module.exports = {
+    FORMATS,
+    DEFAULT_TEMPLATES,
+    PLACEHOLDERS,
+    validateTemplates,
+    renderTemplate,
+    formatSlackMessage,
+    formatTeamsMessage,
+    formatMessage
+};
@@ -0,0 +1,167 @@
+/**
+ * Email templates for alert notifications and digests
+ *
+ * Each template returns { subject, text, html }. They are pure functions of
+ * their input, so output can be previewed or compared without sending mail.
+ */
+
+// Same colours as the dashboard severity badges
+const SEVERITY_COLORS = {
+    High: '#dc2626',
+    Medium: '#d97706',
+    Low: '#2563eb'
+};
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Dashboard link that opens one alert
+ * @private
+ */
+function alertUrl(dashboardUrl, alertId) {
+    return `${dashboardUrl.replace(/\/+$/, '')}/#alert=${encodeURIComponent(alertId)}`;
+}
+
+/**
+ * Wrap HTML content in the shared mail layout
+ * @private
+ */
+function layout(title, content) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:-apple-system,'Segoe UI',Roboto,sans-serif;color:#111827;">
+  <table role="presentation" width="100%" style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <tr><td>
+      <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+      ${content}
+      <p style="font-size:12px;color:#6b7280;margin-top:24px;">Sent by CloudGuard Alert Management</p>
+    </td></tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Mail sent immediately for a new alert
+ *
+ * @param {Object} alert - Alert as produced by AlertManager
+ * @param {Object} options - { dashboardUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function renderAlertEmail(alert, { dashboardUrl }) {
+    const url = alertUrl(dashboardUrl, alert.id);
+    const resource = alert.resource ? (alert.resource.arn || alert.resource.id) : null;
+    const facts = [
+        ['Alert', alert.id],
+        ['Severity', alert.severity],
+        ['Category', alert.category],
+        ['Status', alert.status],
+        ['Assignee', alert.assignee || 'Unassigned'],
+        ['Source', alert.source],
+        ['Resource', resource],
+        ['Account', alert.accountId && (alert.region ? `${alert.accountId} (${alert.region})` : alert.accountId)],
+        ['Created', alert.createdAt]
+    ].filter(([, value]) => value);
+
+    const subject = `[CloudGuard] ${alert.severity} ${alert.category} alert: ${alert.description}`.slice(0, 200);
+
+    const text = [
+        `${alert.severity} ${alert.category} alert`,
+        '',
+        alert.description,
+        '',
+        ...facts.map(([label, value]) => `${label}: ${value}`),
+        '',
+        `View alert: ${url}`
+    ].join('\n');
+
+    const rows = facts.map(([label, value]) =>
+        `<tr><td style="padding:4px 12px 4px 0;color:#6b7280;">${escapeHtml(label)}</td><td style="padding:4px 0;">${escapeHtml(value)}</td></tr>`
+    ).join('\n        ');
+
+    const html = layout(`${alert.severity} ${alert.category} alert`, `
+      <p style="border-left:4px solid ${SEVERITY_COLORS[alert.severity] || '#6b7280'};padding-left:12px;font-size:15px;">${escapeHtml(alert.description)}</p>
+      <table role="presentation" style="font-size:14px;border-collapse:collapse;">
+        ${rows}
+      </table>
+      <p><a href="${escapeHtml(url)}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:8px 16px;border-radius:6px;text-decoration:none;">View alert</a></p>`);
+
+    return { subject, text, html };
+}
+
+/**
+ * Daily or weekly digest
+ *
+ * @param {Object} digest - From EmailManager.buildDigest()
+ * @param {Object} options - { dashboardUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function renderDigestEmail(digest, { dashboardUrl }) {
+    const periodLabel = digest.period === 'weekly' ? 'Weekly' : 'Daily';
+    const date = digest.until.slice(0, 10);
+    const subject = `[CloudGuard] ${periodLabel} digest ${date}: ` +
+        `${digest.counts.unresolved} unresolved, ${digest.counts.unresolvedHigh} High`;
+
+    const summary = [
+        ['New (not yet triaged)', digest.counts.new],
+        ['Unresolved', digest.counts.unresolved],
+        ['Resolved', digest.counts.resolved],
+        [`Created in the last ${digest.period === 'weekly' ? '7 days' : '24 hours'}`, digest.counts.createdInPeriod],
+        [`Resolved in the last ${digest.period === 'weekly' ? '7 days' : '24 hours'}`, digest.counts.resolvedInPeriod]
+    ];
+
+    const text = [
+        `CloudGuard ${periodLabel.toLowerCase()} digest (${digest.since} – ${digest.until})`,
+        '',
+        ...summary.map(([label, value]) => `${label}: ${value}`),
+        '',
+        `Top unresolved High alerts (${digest.topAlerts.length} of ${digest.counts.unresolvedHigh}):`,
+        ...(digest.topAlerts.length === 0
+            ? ['  None']
+            : digest.topAlerts.map(alert =>
+                `  - ${alert.id} [${alert.category}, ${alert.status}] ${alert.description}\n    ${alertUrl(dashboardUrl, alert.id)}`)),
+        '',
+        `Dashboard: ${dashboardUrl}`
+    ].join('\n');
+
+    const summaryCells = summary.map(([label, value]) => `
+          <td style="padding:8px;text-align:center;">
+            <div style="font-size:24px;font-weight:700;">${escapeHtml(value)}</div>
+            <div style="font-size:12px;color:#6b7280;">${escapeHtml(label)}</div>
+          </td>`).join('');
+
+    const alertRows = digest.topAlerts.map(alert => `
+        <tr>
+          <td style="padding:6px 8px;border-top:1px solid #e5e7eb;"><a href="${escapeHtml(alertUrl(dashboardUrl, alert.id))}">${escapeHtml(alert.id)}</a></td>
+          <td style="padding:6px 8px;border-top:1px solid #e5e7eb;">${escapeHtml(alert.category)}</td>
+          <td style="padding:6px 8px;border-top:1px solid #e5e7eb;">${escapeHtml(alert.status)}</td>
+          <td style="padding:6px 8px;border-top:1px solid #e5e7eb;">${escapeHtml(alert.description)}</td>
+        </tr>`).join('');
+
+    const html = layout(`${periodLabel} digest – ${date}`, `
+      <table role="presentation" width="100%" style="border-collapse:collapse;background:#f9fafb;border-radius:6px;">
+        <tr>${summaryCells}
+        </tr>
+      </table>
+      <h2 style="font-size:16px;margin:24px 0 8px;">Top unresolved High alerts (${digest.topAlerts.length} of ${digest.counts.unresolvedHigh})</h2>
+      ${digest.topAlerts.length === 0
+        ? '<p style="color:#6b7280;">None.</p>'
+        : `<table role="presentation" width="100%" style="font-size:13px;border-collapse:collapse;">
+        <tr style="text-align:left;color:#6b7280;"><th style="padding:6px 8px;">Alert</th><th style="padding:6px 8px;">Category</th><th style="padding:6px 8px;">Status</th><th style="padding:6px 8px;">Description</th></tr>${alertRows}
+      </table>`}
+      <p><a href="${escapeHtml(dashboardUrl)}">Open the dashboard</a></p>`);
+
+    return { subject, text, html };
+}
+
+module.exports = { renderAlertEmail, renderDigestEmail, escapeHtml };
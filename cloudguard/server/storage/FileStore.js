@@ -0,0 +1,107 @@
+/**
+ * FileStore - Local file storage driver
+ *
+ * Same collection surface as MemoryStore, but every collection is persisted
+ * as an NDJSON file (one document per line) under the data directory:
+ *   <dataDir>/alerts.ndjson, <dataDir>/audit_logs.ndjson, ...
+ *
+ * Inserts are appended to the file; updates and deletes rewrite it.
+ * Writes to a collection are serialised so the file is never interleaved, and
+ * each write's content is captured when it is queued: a rewrite queued before
+ * an insert must not already contain the inserted document.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore, MemoryCollection } = require('./MemoryStore');
+
+const FILE_EXTENSION = '.ndjson';
+
+class FileCollection extends MemoryCollection {
+    constructor(name, docs, filePath) {
+        super(name, docs);
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async _persist(type, docs) {
+        const content = (type === 'insert' ? docs : this.docs).map(doc => JSON.stringify(doc) + '\n').join('');
+        const write = type === 'insert'
+            ? () => fs.promises.appendFile(this.filePath, content)
+            : () => this._rewrite(content);
+
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+
+    async _rewrite(content) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} dataDir - Directory holding the collection files
+     */
+    constructor(dataDir) {
+        super();
+        if (!dataDir) {
+            throw new Error('FileStore requires a data directory');
+        }
+        this.dataDir = path.resolve(dataDir);
+    }
+
+    /**
+     * Create the data directory and load existing collection files
+     *
+     * @returns {Promise<FileStore>} This store
+     */
+    async connect() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        const files = await fs.promises.readdir(this.dataDir);
+        for (const file of files.filter(f => f.endsWith(FILE_EXTENSION))) {
+            const name = path.basename(file, FILE_EXTENSION);
+            const docs = await this._readFile(path.join(this.dataDir, file));
+            this.collections.set(name, new FileCollection(name, docs, this._filePath(name)));
+        }
+
+        return this;
+    }
+
+    async close() {
+        await Promise.all(Array.from(this.collections.values()).map(c => c.writeQueue));
+        await super.close();
+    }
+
+    _createCollection(name) {
+        return new FileCollection(name, [], this._filePath(name));
+    }
+
+    _filePath(name) {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`Invalid collection name: ${name}`);
+        }
+        return path.join(this.dataDir, name + FILE_EXTENSION);
+    }
+
+    async _readFile(filePath) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        const docs = [];
+        content.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                docs.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Corrupt record in ${filePath} at line ${index + 1}: ${error.message}`);
+            }
+        });
+        return docs;
+    }
+}
+
+module.exports = { FileStore, FileCollection };
@@ -0,0 +1,342 @@
+/**
+ * MemoryStore - In-memory storage driver
+ *
+ * Exposes the same `collection(name)` surface as a MongoDB `Db`, limited to
+ * the operations used by the repositories, so AlertRepository and
+ * AuditLogManager run unchanged without a database server.
+ * Data lives only for the lifetime of the process.
+ */
+
+const crypto = require('crypto');
+const { getValue, matches, buildComparator, applyUpdate } = require('./query');
+const { runPipeline } = require('./aggregate');
+
+function clone(doc) {
+    return doc === undefined ? undefined : JSON.parse(JSON.stringify(doc));
+}
+
+function generateObjectId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Chainable cursor mirroring MongoDB's FindCursor (sort / skip / limit / toArray)
+ */
+class MemoryCursor {
+    constructor(loadDocs) {
+        this.loadDocs = loadDocs;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+    }
+
+    sort(sortSpec) {
+        this.sortSpec = sortSpec;
+        return this;
+    }
+
+    skip(count) {
+        this.skipCount = count || 0;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count || 0;
+        return this;
+    }
+
+    async toArray() {
+        let docs = this.loadDocs();
+        if (this.sortSpec) {
+            docs = docs.sort(buildComparator(this.sortSpec));
+        }
+        if (this.skipCount) {
+            docs = docs.slice(this.skipCount);
+        }
+        if (this.limitCount) {
+            docs = docs.slice(0, this.limitCount);
+        }
+        return docs.map(clone);
+    }
+}
+
+class MemoryCollection {
+    constructor(name, docs = []) {
+        this.collectionName = name;
+        this.docs = docs;
+        this.uniqueIndexes = [];
+    }
+
+    /**
+     * Only unique indexes have an effect: inserts that would duplicate an
+     * indexed value fail with MongoDB's duplicate key error (code 11000).
+     * Each keeps a map of key to document, so an insert checks it without a scan.
+     *
+     * @param {Object} keys - Indexed fields, e.g. { sequence: 1 }
+     * @param {Object} [options] - { unique, sparse, name }
+     * @returns {Promise<string>} Index name
+     */
+    async createIndex(keys, options = {}) {
+        const fields = Object.keys(keys);
+        const name = options.name || fields.map(field => `${field}_${keys[field]}`).join('_');
+        if (options.unique && !this.uniqueIndexes.some(index => index.name === name)) {
+            const index = { name, fields, sparse: Boolean(options.sparse), keys: new Map() };
+            this.docs.forEach(doc => this._indexDoc(index, doc));
+            this.uniqueIndexes.push(index);
+        }
+        return name;
+    }
+
+    async insertOne(doc) {
+        if (doc._id === undefined) {
+            doc._id = generateObjectId();
+        }
+        const stored = clone(doc);
+        this._checkUnique([stored]);
+        this._index([stored]);
+        this.docs.push(stored);
+        await this._persist('insert', [stored]);
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    async insertMany(docs) {
+        const stored = docs.map(doc => {
+            if (doc._id === undefined) {
+                doc._id = generateObjectId();
+            }
+            return clone(doc);
+        });
+        this._checkUnique(stored);
+        this._index(stored);
+        this.docs.push(...stored);
+        await this._persist('insert', stored);
+        return { acknowledged: true, insertedCount: stored.length };
+    }
+
+    async findOne(query = {}, options = {}) {
+        const cursor = this.find(query, options).limit(1);
+        const [doc] = await cursor.toArray();
+        return doc || null;
+    }
+
+    find(query = {}, options = {}) {
+        const cursor = new MemoryCursor(() => this.docs.filter(doc => matches(doc, query)));
+        if (options.sort) cursor.sort(options.sort);
+        if (options.skip) cursor.skip(options.skip);
+        if (options.limit) cursor.limit(options.limit);
+        return cursor;
+    }
+
+    aggregate(pipeline = []) {
+        return {
+            toArray: async () => runPipeline(this.docs, pipeline).map(clone)
+        };
+    }
+
+    async countDocuments(query = {}) {
+        return this.docs.filter(doc => matches(doc, query)).length;
+    }
+
+    async updateOne(query, update, options = {}) {
+        return this._update(query, update, options, false);
+    }
+
+    async updateMany(query, update, options = {}) {
+        return this._update(query, update, options, true);
+    }
+
+    /**
+     * Update the first matching document (or insert one with upsert) and return it
+     * The change is applied before anything is awaited, so concurrent callers
+     * never see the same document state
+     *
+     * @param {Object} query
+     * @param {Object} update - Update document
+     * @param {Object} [options] - { upsert, returnDocument: 'before' | 'after', includeResultMetadata }
+     * @returns {Promise<Object|null>} The document, or { value, ok } with includeResultMetadata
+     */
+    async findOneAndUpdate(query, update, options = {}) {
+        const target = this.docs.find(doc => matches(doc, query));
+        const before = clone(target) || null;
+        let after = null;
+
+        if (target) {
+            this._unindex([target]);
+            applyUpdate(target, update);
+            this._index([target]);
+            after = clone(target);
+            await this._persist('rewrite');
+        } else if (options.upsert) {
+            const doc = applyUpdate({ ...this._equalityFields(query) }, update);
+            await this.insertOne(doc);
+            after = clone(doc);
+        }
+
+        const value = options.returnDocument === 'after' ? after : before;
+        return options.includeResultMetadata ? { value, ok: 1 } : value;
+    }
+
+    async deleteOne(query = {}) {
+        const index = this.docs.findIndex(doc => matches(doc, query));
+        if (index === -1) {
+            return { acknowledged: true, deletedCount: 0 };
+        }
+        this._unindex(this.docs.splice(index, 1));
+        await this._persist('rewrite');
+        return { acknowledged: true, deletedCount: 1 };
+    }
+
+    async deleteMany(query = {}) {
+        const deleted = this.docs.filter(doc => matches(doc, query));
+        this._unindex(deleted);
+        this.docs = this.docs.filter(doc => !matches(doc, query));
+        const deletedCount = deleted.length;
+        if (deletedCount > 0) {
+            await this._persist('rewrite');
+        }
+        return { acknowledged: true, deletedCount };
+    }
+
+    async _update(query, update, options, multi) {
+        const targets = multi
+            ? this.docs.filter(doc => matches(doc, query))
+            : this.docs.filter(doc => matches(doc, query)).slice(0, 1);
+
+        if (targets.length === 0 && options.upsert) {
+            const doc = applyUpdate({ ...this._equalityFields(query) }, update);
+            await this.insertOne(doc);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: doc._id };
+        }
+
+        this._unindex(targets);
+        targets.forEach(doc => applyUpdate(doc, update));
+        this._index(targets);
+        if (targets.length > 0) {
+            await this._persist('rewrite');
+        }
+        return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length };
+    }
+
+    /**
+     * @private
+     * @throws {Error} Duplicate key error (code 11000) if a document breaks a unique index
+     */
+    _checkUnique(newDocs) {
+        this.uniqueIndexes.forEach(index => {
+            const seen = new Set();
+            newDocs.forEach(doc => {
+                const key = this._indexKey(index, doc);
+                if (key === null) {
+                    return;
+                }
+                if (index.keys.has(key) || seen.has(key)) {
+                    const error = new Error(
+                        `E11000 duplicate key error collection: ${this.collectionName} index: ${index.name}`
+                    );
+                    error.code = 11000;
+                    throw error;
+                }
+                seen.add(key);
+            });
+        });
+    }
+
+    /**
+     * Key of a document in a unique index, or null when a sparse index skips it
+     * @private
+     */
+    _indexKey(index, doc) {
+        const values = index.fields.map(field => getValue(doc, field));
+        if (index.sparse && values.every(value => value === undefined)) {
+            return null;
+        }
+        return JSON.stringify(values);
+    }
+
+    /**
+     * @private
+     */
+    _indexDoc(index, doc) {
+        const key = this._indexKey(index, doc);
+        if (key !== null) {
+            index.keys.set(key, doc);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _index(docs) {
+        this.uniqueIndexes.forEach(index => docs.forEach(doc => this._indexDoc(index, doc)));
+    }
+
+    /**
+     * Drop documents from the unique indexes (before they change or are deleted)
+     * A key is only dropped while it still points at the same document.
+     * @private
+     */
+    _unindex(docs) {
+        this.uniqueIndexes.forEach(index => docs.forEach(doc => {
+            const key = this._indexKey(index, doc);
+            if (key !== null && index.keys.get(key) === doc) {
+                index.keys.delete(key);
+            }
+        }));
+    }
+
+    _equalityFields(query) {
+        const fields = {};
+        Object.entries(query).forEach(([field, value]) => {
+            if (!field.startsWith('$') && (value === null || typeof value !== 'object')) {
+                fields[field] = value;
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Hook for persistent subclasses; the in-memory driver keeps nothing on disk
+     *
+     * @protected
+     * @param {string} type - 'insert' (docs appended) or 'rewrite' (collection changed)
+     * @param {Array} docs - Inserted documents, for 'insert'
+     */
+    async _persist(type, docs) {
+        // No-op for the in-memory driver
+    }
+}
+
+class MemoryStore {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    async connect() {
+        return this;
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, this._createCollection(name));
+        }
+        return this.collections.get(name);
+    }
+
+    listCollections() {
+        const names = Array.from(this.collections.keys()).map(name => ({ name }));
+        return { toArray: async () => names };
+    }
+
+    async close() {
+        this.collections.clear();
+    }
+
+    /**
+     * @protected
+     */
+    _createCollection(name) {
+        return new MemoryCollection(name);
+    }
+}
+
+module.exports = { MemoryStore, MemoryCollection, MemoryCursor };
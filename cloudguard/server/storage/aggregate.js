@@ -0,0 +1,127 @@
+/**
+ * Aggregation pipeline for the local storage drivers
+ *
+ * Implements the subset of the MongoDB aggregation framework used by the
+ * repositories, so the same pipelines run against MongoDB, MemoryStore and
+ * FileStore.
+ *
+ * Supported stages: $match, $group, $sort, $skip, $limit, $count, $facet
+ * Supported accumulators: $sum, $min, $max
+ * Supported expressions: field paths ("$field"), literals, $substrCP, $ifNull
+ */
+
+const { getValue, matches, buildComparator } = require('./query');
+
+/**
+ * Evaluate an aggregation expression against a document
+ *
+ * @param {*} expression - Field path, literal, operator or object of expressions
+ * @param {Object} doc - Current document
+ * @returns {*} Evaluated value
+ */
+function evaluate(expression, doc) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getValue(doc, expression.slice(1));
+    }
+    if (expression === null || typeof expression !== 'object' || Array.isArray(expression)) {
+        return expression;
+    }
+
+    const [operator] = Object.keys(expression);
+    if (operator && operator.startsWith('$')) {
+        const args = expression[operator];
+        switch (operator) {
+            case '$substrCP': {
+                const [stringExpr, start, length] = args;
+                const value = evaluate(stringExpr, doc);
+                return value === null || value === undefined ? '' : String(value).substr(start, length);
+            }
+            case '$ifNull': {
+                const [valueExpr, fallbackExpr] = args;
+                const value = evaluate(valueExpr, doc);
+                return value === null || value === undefined ? evaluate(fallbackExpr, doc) : value;
+            }
+            default:
+                throw new Error(`Unsupported aggregation expression: ${operator}`);
+        }
+    }
+
+    const result = {};
+    Object.entries(expression).forEach(([key, value]) => {
+        result[key] = evaluate(value, doc);
+    });
+    return result;
+}
+
+function accumulate(accumulator, current, doc) {
+    const [operator] = Object.keys(accumulator);
+    const value = evaluate(accumulator[operator], doc);
+    switch (operator) {
+        case '$sum':
+            return (current || 0) + (typeof value === 'number' ? value : 0);
+        case '$min':
+            return current === undefined || value < current ? value : current;
+        case '$max':
+            return current === undefined || value > current ? value : current;
+        default:
+            throw new Error(`Unsupported accumulator: ${operator}`);
+    }
+}
+
+function group(docs, spec) {
+    const { _id: idExpression, ...accumulators } = spec;
+    const groups = new Map();
+
+    docs.forEach(doc => {
+        const id = evaluate(idExpression, doc);
+        const key = JSON.stringify(id === undefined ? null : id);
+        if (!groups.has(key)) {
+            groups.set(key, { _id: id === undefined ? null : id });
+        }
+        const result = groups.get(key);
+        Object.entries(accumulators).forEach(([field, accumulator]) => {
+            result[field] = accumulate(accumulator, result[field], doc);
+        });
+    });
+
+    return Array.from(groups.values());
+}
+
+/**
+ * Run an aggregation pipeline over an array of documents
+ *
+ * @param {Array} docs - Input documents
+ * @param {Array} pipeline - Aggregation stages
+ * @returns {Array} Output documents
+ */
+function runPipeline(docs, pipeline) {
+    return pipeline.reduce((current, stage) => {
+        const [name] = Object.keys(stage);
+        const spec = stage[name];
+        switch (name) {
+            case '$match':
+                return current.filter(doc => matches(doc, spec));
+            case '$group':
+                return group(current, spec);
+            case '$sort':
+                return current.slice().sort(buildComparator(spec));
+            case '$skip':
+                return current.slice(spec);
+            case '$limit':
+                return current.slice(0, spec);
+            case '$count':
+                return current.length > 0 ? [{ [spec]: current.length }] : [];
+            case '$facet': {
+                const result = {};
+                Object.entries(spec).forEach(([field, subPipeline]) => {
+                    result[field] = runPipeline(current, subPipeline);
+                });
+                return [result];
+            }
+            default:
+                throw new Error(`Unsupported aggregation stage: ${name}`);
+        }
+    }, docs);
+}
+
+module.exports = { runPipeline, evaluate };
@@ -0,0 +1,232 @@
+/**
+ * Query helpers for the local storage drivers
+ *
+ * Implements the subset of the MongoDB query / update language that the
+ * repositories rely on, so the same query objects work against MongoDB,
+ * MemoryStore and FileStore.
+ *
+ * Supported query operators: $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte,
+ * $exists, $regex (with $options), $and, $or
+ * Supported update operators: $set, $unset, $inc, $push
+ */
+
+/**
+ * Read a (possibly dotted) field path from a document
+ *
+ * @param {Object} doc - Source document
+ * @param {string} path - Field path, e.g. "resource.arn"
+ * @returns {*} Field value or undefined
+ */
+function getValue(doc, path) {
+    return path.split('.').reduce(
+        (value, key) => (value === null || value === undefined ? undefined : value[key]),
+        doc
+    );
+}
+
+/**
+ * Write a (possibly dotted) field path on a document, creating parents as needed
+ *
+ * @param {Object} doc - Target document
+ * @param {string} path - Field path
+ * @param {*} value - Value to set
+ */
+function setValue(doc, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = doc;
+    for (const key of keys) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    target[last] = value;
+}
+
+function unsetValue(doc, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? getValue(doc, keys.join('.')) : doc;
+    if (parent && typeof parent === 'object') {
+        delete parent[last];
+    }
+}
+
+/**
+ * Compare two values the way a sort would (undefined/null sort first)
+ *
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+    }
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isOperatorObject(condition) {
+    return condition !== null &&
+        typeof condition === 'object' &&
+        !Array.isArray(condition) &&
+        !(condition instanceof RegExp) &&
+        Object.keys(condition).length > 0 &&
+        Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+/**
+ * Equality with MongoDB array semantics: a scalar condition matches an
+ * array field when any element matches.
+ */
+function valueEquals(value, expected) {
+    if (expected instanceof RegExp) {
+        return Array.isArray(value)
+            ? value.some(item => typeof item === 'string' && expected.test(item))
+            : typeof value === 'string' && expected.test(value);
+    }
+    if (Array.isArray(value) && !Array.isArray(expected)) {
+        return value.some(item => isEqual(item, expected));
+    }
+    if (expected === null) {
+        return value === null || value === undefined;
+    }
+    return isEqual(value, expected);
+}
+
+function matchesOperators(value, condition) {
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return valueEquals(value, operand);
+            case '$ne':
+                return !valueEquals(value, operand);
+            case '$in':
+                return operand.some(item => valueEquals(value, item));
+            case '$nin':
+                return !operand.some(item => valueEquals(value, item));
+            case '$gt':
+                return value !== undefined && value !== null && compareValues(value, operand) > 0;
+            case '$gte':
+                return value !== undefined && value !== null && compareValues(value, operand) >= 0;
+            case '$lt':
+                return value !== undefined && value !== null && compareValues(value, operand) < 0;
+            case '$lte':
+                return value !== undefined && value !== null && compareValues(value, operand) <= 0;
+            case '$exists':
+                return operand ? value !== undefined : value === undefined;
+            case '$regex': {
+                const regex = operand instanceof RegExp
+                    ? operand
+                    : new RegExp(operand, condition.$options || '');
+                return valueEquals(value, regex);
+            }
+            case '$options':
+                return true;
+            default:
+                throw new Error(`Unsupported query operator: ${operator}`);
+        }
+    });
+}
+
+/**
+ * Test whether a document matches a query
+ *
+ * @param {Object} doc - Document to test
+ * @param {Object} query - MongoDB-style query object
+ * @returns {boolean} True if the document matches
+ */
+function matches(doc, query = {}) {
+    return Object.entries(query).every(([field, condition]) => {
+        if (field === '$and') {
+            return condition.every(subQuery => matches(doc, subQuery));
+        }
+        if (field === '$or') {
+            return condition.some(subQuery => matches(doc, subQuery));
+        }
+
+        const value = getValue(doc, field);
+        if (isOperatorObject(condition)) {
+            return matchesOperators(value, condition);
+        }
+        return valueEquals(value, condition);
+    });
+}
+
+/**
+ * Build a comparator from a MongoDB-style sort spec, e.g. { createdAt: -1 }
+ *
+ * @param {Object} sortSpec - Field → 1 (ascending) or -1 (descending)
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+function buildComparator(sortSpec = {}) {
+    const fields = Object.entries(sortSpec);
+    return (a, b) => {
+        for (const [field, direction] of fields) {
+            const result = compareValues(getValue(a, field), getValue(b, field));
+            if (result !== 0) {
+                return direction < 0 ? -result : result;
+            }
+        }
+        return 0;
+    };
+}
+
+/**
+ * Apply a MongoDB-style update document to a document in place
+ *
+ * @param {Object} doc - Document to modify
+ * @param {Object} update - Update document ($set, $unset, $inc, $push)
+ * @returns {Object} The modified document
+ */
+function applyUpdate(doc, update) {
+    Object.entries(update).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([path, value]) => {
+            switch (operator) {
+                case '$set':
+                    setValue(doc, path, value);
+                    break;
+                case '$unset':
+                    unsetValue(doc, path);
+                    break;
+                case '$inc':
+                    setValue(doc, path, (getValue(doc, path) || 0) + value);
+                    break;
+                case '$push': {
+                    const current = getValue(doc, path);
+                    const list = Array.isArray(current) ? current : [];
+                    if (value && typeof value === 'object' && Array.isArray(value.$each)) {
+                        list.push(...value.$each);
+                    } else {
+                        list.push(value);
+                    }
+                    setValue(doc, path, list);
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator: ${operator}`);
+            }
+        });
+    });
+    return doc;
+}
+
+module.exports = {
+    getValue,
+    setValue,
+    compareValues,
+    matches,
+    buildComparator,
+    applyUpdate
+};
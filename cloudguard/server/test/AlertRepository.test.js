@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertRepository = require('../repositories/AlertRepository');
+
+test('backfillSeverityRanks ranks alerts stored without one', async () => {
+    const db = await new MemoryStore().connect();
+    const alerts = db.collection('alerts');
+    await alerts.insertMany([
+        { id: 'ALT-1', severity: 'Low', createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'ALT-2', severity: 'High', createdAt: '2024-01-02T00:00:00.000Z' }
+    ]);
+    const repository = new AlertRepository(db);
+    await repository.save({ id: 'ALT-3', severity: 'Medium', createdAt: '2024-01-03T00:00:00.000Z' });
+
+    assert.equal(await repository.backfillSeverityRanks(), 2);
+    assert.equal(await repository.backfillSeverityRanks(), 0);
+
+    const { alerts: page } = await repository.findPage({}, { limit: 10, sort: '-severity' });
+    assert.deepEqual(page.map(alert => alert.id), ['ALT-2', 'ALT-3', 'ALT-1']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+
+const MODULE_PATH = require.resolve('../services/AuditLogManager');
+
+// A fresh copy of the module, as loaded by another server process (its own write queue)
+function loadInstance() {
+    delete require.cache[MODULE_PATH];
+    return require(MODULE_PATH);
+}
+
+test('two instances sharing one database keep a single valid chain', async () => {
+    const db = await new MemoryStore().connect();
+    const first = new (loadInstance())(db);
+    const second = new (loadInstance())(db);
+
+    const writes = [];
+    for (let i = 0; i < 5; i++) {
+        writes.push(first.log({ action: 'FIRST', index: i }), second.log({ action: 'SECOND', index: i }));
+    }
+    await Promise.all(writes);
+
+    const entries = await db.collection('audit_logs').find({}).sort({ sequence: 1 }).toArray();
+    assert.deepEqual(entries.map(entry => entry.sequence), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+    const result = await first.verify();
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 10);
+});
+
+test('the fail policy surfaces audit write errors', async () => {
+    const AuditLogManager = loadInstance();
+    const db = await new MemoryStore().connect();
+    db.collection('audit_logs').insertOne = async () => {
+        throw new Error('disk full');
+    };
+
+    const manager = new AuditLogManager(db, undefined, { failurePolicy: 'fail' });
+    await assert.rejects(manager.log({ action: 'TEST' }), /Audit log write failed: disk full/);
+
+    const lenient = new AuditLogManager(db, undefined, { failurePolicy: 'warn' });
+    assert.equal(await lenient.log({ action: 'TEST' }), null);
+});
+
+test('appending reads the end of the chain once, then again only after a conflict', async () => {
+    const AuditLogManager = loadInstance();
+    const db = await new MemoryStore().connect();
+    const collection = db.collection('audit_logs');
+    const findOne = collection.findOne.bind(collection);
+    let reads = 0;
+    collection.findOne = (...args) => {
+        reads++;
+        return findOne(...args);
+    };
+
+    const manager = new AuditLogManager(db);
+    for (let i = 0; i < 20; i++) {
+        await manager.log({ action: 'TEST', index: i });
+    }
+    assert.equal(reads, 1);
+
+    // Another server appends behind this one's back
+    const other = new (loadInstance())(db);
+    await other.log({ action: 'OTHER' });
+    reads = 0;
+    await manager.log({ action: 'TEST', index: 20 });
+    assert.equal(reads, 1);
+
+    const result = await manager.verify();
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 22);
+});
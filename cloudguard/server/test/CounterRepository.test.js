@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const CounterRepository = require('../repositories/CounterRepository');
+
+test('concurrent increments each get their own value', async () => {
+    const db = await new MemoryStore().connect();
+    const counters = new CounterRepository(db);
+
+    const values = await Promise.all(Array.from({ length: 10 }, () => counters.increment('round-robin:cloud')));
+    assert.deepEqual(values.sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.equal(await counters.increment('round-robin:network'), 1);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const EmailManager = require('../services/EmailManager');
+
+test('the daily digest counts alerts created and resolved in exactly the last 24 hours', async () => {
+    const db = await new MemoryStore().connect();
+    await db.collection('alerts').insertMany([
+        // Same UTC day as the period start, but before it
+        { id: 'ALT-1', severity: 'Low', status: 'Resolved', createdAt: '2024-05-01T03:00:00.000Z', resolvedAt: '2024-05-01T04:00:00.000Z' },
+        { id: 'ALT-2', severity: 'Low', status: 'Resolved', createdAt: '2024-05-01T12:00:00.000Z', resolvedAt: '2024-05-02T08:00:00.000Z' },
+        { id: 'ALT-3', severity: 'High', status: 'New', createdAt: '2024-05-02T09:00:00.000Z' }
+    ]);
+    const auditLogManager = new AuditLogManager(db);
+    const alertManager = new AlertManager(new AlertRepository(db), auditLogManager);
+    const emailManager = new EmailManager(null, auditLogManager, { digestTopAlerts: 5 });
+
+    const digest = await emailManager.buildDigest(alertManager, 'daily', new Date('2024-05-02T10:00:00.000Z'));
+
+    assert.equal(digest.since, '2024-05-01T10:00:00.000Z');
+    assert.equal(digest.counts.createdInPeriod, 2);
+    assert.equal(digest.counts.resolvedInPeriod, 1);
+    assert.equal(digest.counts.unresolvedHigh, 1);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../storage/FileStore');
+
+async function withDataDir(run) {
+    const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cloudguard-filestore-'));
+    try {
+        await run(dataDir);
+    } finally {
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+async function reload(dataDir, name) {
+    const store = await new FileStore(dataDir).connect();
+    const docs = await store.collection(name).find({}).sort({ _id: 1 }).toArray();
+    await store.close();
+    return docs;
+}
+
+test('interleaved inserts and updates are persisted once each', () => withDataDir(async dataDir => {
+    const store = await new FileStore(dataDir).connect();
+    const alerts = store.collection('alerts');
+
+    await Promise.all([
+        alerts.insertOne({ _id: 'a', status: 'New' }),
+        alerts.insertOne({ _id: 'b', status: 'New' }),
+        alerts.updateOne({ _id: 'a' }, { $set: { status: 'Resolved' } }),
+        alerts.insertOne({ _id: 'c', status: 'New' })
+    ]);
+    await store.close();
+
+    const docs = await reload(dataDir, 'alerts');
+    assert.deepEqual(docs.map(doc => doc._id), ['a', 'b', 'c']);
+    assert.equal(docs[0].status, 'Resolved');
+}));
+
+test('deletes rewrite the file without the deleted documents', () => withDataDir(async dataDir => {
+    const store = await new FileStore(dataDir).connect();
+    const alerts = store.collection('alerts');
+
+    await alerts.insertMany([{ _id: 'a' }, { _id: 'b' }]);
+    await Promise.all([
+        alerts.deleteOne({ _id: 'a' }),
+        alerts.insertOne({ _id: 'c' })
+    ]);
+    await store.close();
+
+    const docs = await reload(dataDir, 'alerts');
+    assert.deepEqual(docs.map(doc => doc._id), ['b', 'c']);
+}));
+
+test('rejects collection names that are not file-safe', () => withDataDir(async dataDir => {
+    const store = await new FileStore(dataDir).connect();
+    assert.throws(() => store.collection('../alerts'), /Invalid collection name/);
+    await store.close();
+}));
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const IncidentManager = require('../managers/IncidentManager');
+const IncidentRepository = require('../repositories/IncidentRepository');
+
+test('deleting a member alert updates its incident summary', async () => {
+    const db = await new MemoryStore().connect();
+    const alertRepository = new AlertRepository(db);
+    const auditLogManager = new AuditLogManager(db);
+    // No correlation rules: the incident is created by hand
+    const incidentManager = new IncidentManager(new IncidentRepository(db), alertRepository, auditLogManager, {
+        config: { rules: [] }
+    });
+    const alertManager = new AlertManager(alertRepository, auditLogManager, { notifiers: [incidentManager] });
+
+    const high = await alertManager.createAlert({ category: 'IAM', severity: 'High', description: 'Root account used' });
+    const low = await alertManager.createAlert({ category: 'S3', severity: 'Low', description: 'Bucket versioning disabled' });
+    const incident = await incidentManager.createIncident({ title: 'Account compromise', alertIds: [high.id, low.id] });
+    assert.equal(incident.alertCount, 2);
+    assert.equal(incident.severity, 'High');
+
+    await alertManager.deleteAlert(high.id);
+
+    const updated = await incidentManager.getIncident(incident.id);
+    assert.deepEqual(updated.alertIds, [low.id]);
+    assert.equal(updated.alertCount, 1);
+    assert.equal(updated.severity, 'Low');
+    assert.deepEqual(updated.categories, ['S3']);
+});
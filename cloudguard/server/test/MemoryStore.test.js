@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+
+async function sequences() {
+    const db = await new MemoryStore().connect();
+    const collection = db.collection('entries');
+    await collection.createIndex({ sequence: 1 }, { unique: true, sparse: true });
+    return collection;
+}
+
+test('a unique index rejects duplicates from earlier inserts and within one batch', async () => {
+    const collection = await sequences();
+    await collection.insertOne({ sequence: 1 });
+
+    await assert.rejects(collection.insertOne({ sequence: 1 }), { code: 11000 });
+    await assert.rejects(collection.insertMany([{ sequence: 2 }, { sequence: 2 }]), { code: 11000 });
+    assert.equal(await collection.countDocuments({}), 1);
+
+    // Sparse: documents without the field are not indexed
+    await collection.insertMany([{ note: 'a' }, { note: 'b' }]);
+    assert.equal(await collection.countDocuments({}), 3);
+});
+
+test('a unique index follows updates and deletes', async () => {
+    const collection = await sequences();
+    await collection.insertMany([{ sequence: 1 }, { sequence: 2 }, { sequence: 3 }]);
+
+    await collection.updateOne({ sequence: 1 }, { $set: { sequence: 10 } });
+    await collection.insertOne({ sequence: 1 });
+    await assert.rejects(collection.insertOne({ sequence: 10 }), { code: 11000 });
+
+    await collection.findOneAndUpdate({ sequence: 2 }, { $unset: { sequence: '' } });
+    await collection.insertOne({ sequence: 2 });
+
+    await collection.deleteOne({ sequence: 3 });
+    await collection.insertOne({ sequence: 3 });
+    await collection.deleteMany({ sequence: { $gte: 2 } });
+    await collection.insertMany([{ sequence: 2 }, { sequence: 3 }, { sequence: 10 }]);
+
+    const stored = await collection.find({ sequence: { $exists: true } }).sort({ sequence: 1 }).toArray();
+    assert.deepEqual(stored.map(doc => doc.sequence), [1, 2, 3, 10]);
+});
+
+test('an index created on a filled collection covers the existing documents', async () => {
+    const db = await new MemoryStore().connect();
+    const collection = db.collection('users');
+    await collection.insertOne({ username: 'alice' });
+    await collection.createIndex({ username: 1 }, { unique: true });
+
+    await assert.rejects(collection.insertOne({ username: 'alice' }), { code: 11000 });
+});
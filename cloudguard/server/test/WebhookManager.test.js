@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MemoryStore } = require('../storage/MemoryStore');
+const WebhookManager = require('../services/WebhookManager');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const WebhookDeliveryRepository = require('../repositories/WebhookDeliveryRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+
+const RECEIVER_SCRIPT = path.join(__dirname, '../scripts/webhook-receiver.js');
+const SECRET = 'whsec_test_secret';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the webhook receiver');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Run scripts/webhook-receiver.js on a free port
+ *
+ * @returns {Promise<Object>} { url, output(), countOf(text), stop() }
+ */
+async function startReceiver(env) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [RECEIVER_SCRIPT, String(port)], {
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    let output = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => { output += chunk; });
+
+    const receiver = {
+        url: `http://127.0.0.1:${port}/hook`,
+        output: () => output,
+        countOf: text => output.split(text).length - 1,
+        stop: () => new Promise(resolve => {
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', resolve);
+            child.kill();
+        })
+    };
+    try {
+        await waitFor(() => output.includes('listening'));
+    } catch (error) {
+        await receiver.stop();
+        throw error;
+    }
+    return receiver;
+}
+
+async function createManager(config) {
+    const db = await new MemoryStore().connect();
+    const auditLogManager = new AuditLogManager(db);
+    const manager = new WebhookManager(
+        new WebhookRepository(db),
+        new WebhookDeliveryRepository(db),
+        auditLogManager,
+        { timeoutMs: 2000, retryBaseMs: 1, retryMaxMs: 1, dashboardUrl: 'http://localhost:3000', ...config }
+    );
+    return { manager, auditLogManager };
+}
+
+test('signed deliveries are retried until the receiver accepts them', async () => {
+    const receiver = await startReceiver({ WEBHOOK_SECRET: SECRET, RECEIVER_FAIL_FIRST: '1' });
+    try {
+        const { manager } = await createManager({ maxAttempts: 3 });
+        const webhook = await manager.registerWebhook({ url: receiver.url, secret: SECRET });
+
+        const first = await manager.sendTest(webhook.id);
+        assert.equal(first.status, 'pending');
+        assert.equal(first.lastError, 'HTTP 500');
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.equal(await manager.processDueDeliveries(), 1);
+
+        const { deliveries: [delivery] } = await manager.getDeliveries({ webhookId: webhook.id });
+        assert.equal(delivery.status, 'delivered');
+        assert.deepEqual(delivery.attemptLog.map(attempt => attempt.statusCode), [500, 204]);
+
+        await waitFor(() => receiver.countOf('signature ✅ valid') === 2);
+        assert.equal(receiver.countOf('INVALID'), 0);
+    } finally {
+        await receiver.stop();
+    }
+});
+
+test('deliveries signed with another secret fail verification and dead-letter after the last attempt', async () => {
+    const receiver = await startReceiver({ WEBHOOK_SECRET: 'whsec_other', RECEIVER_FAIL_FIRST: '5' });
+    try {
+        const { manager, auditLogManager } = await createManager({ maxAttempts: 2 });
+        const webhook = await manager.registerWebhook({ url: receiver.url, secret: SECRET });
+
+        await manager.sendTest(webhook.id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await manager.processDueDeliveries();
+
+        const { deliveries: [delivery] } = await manager.getDeliveries({ webhookId: webhook.id });
+        assert.equal(delivery.status, 'dead');
+        assert.equal(delivery.attempts, 2);
+
+        const { entries } = await auditLogManager.queryLogs({ action: 'WEBHOOK_DELIVERY_FAILED' });
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].deliveryId, delivery.id);
+
+        await waitFor(() => receiver.countOf('signature ❌ INVALID') === 2);
+    } finally {
+        await receiver.stop();
+    }
+});
+
+test('verifySignature rejects a changed body or timestamp', () => {
+    const body = JSON.stringify({ event: 'alert.created' });
+    const signature = WebhookManager.signPayload(SECRET, 1714560000, body);
+
+    assert.equal(WebhookManager.verifySignature(SECRET, 1714560000, body, signature), true);
+    assert.equal(WebhookManager.verifySignature(SECRET, 1714560001, body, signature), false);
+    assert.equal(WebhookManager.verifySignature(SECRET, 1714560000, body + ' ', signature), false);
+    assert.equal(WebhookManager.verifySignature(SECRET, 1714560000, body, undefined), false);
+});
+
+test('a secret that is not a non-empty string is rejected on register and update', async () => {
+    const { manager } = await createManager();
+    const definition = { url: 'https://hooks.example.com/cloudguard' };
+    for (const secret of [{ key: 'x' }, 12345, '', '   ', ['whsec_a']]) {
+        await assert.rejects(manager.registerWebhook({ ...definition, secret }), /secret must be a non-empty string/);
+    }
+    assert.deepEqual(await manager.getWebhooks(), []);
+
+    const webhook = await manager.registerWebhook({ ...definition, secret: 'whsec_chosen' });
+    assert.equal(webhook.secret, 'whsec_chosen');
+    await assert.rejects(manager.updateWebhook(webhook.id, { secret: { key: 'x' } }), /secret must be a non-empty string/);
+    await assert.rejects(manager.updateWebhook(webhook.id, { secret: 'whsec_b', rotateSecret: true }), /not both/);
+
+    const updated = await manager.updateWebhook(webhook.id, { secret: 'whsec_replaced' });
+    assert.equal(updated.secret, 'whsec_replaced');
+    assert.equal((await manager.getWebhook(webhook.id)).secretHint, '…aced');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+
+let api;
+
+test.before(async () => {
+    api = await startApi({ AUTH_ENABLED: 'false' });
+    for (const user of ['alice', 'bob']) {
+        const { status } = await api.request('POST', '/api/alerts', {
+            body: { category: 'IAM', severity: 'High', description: `Root account used (${user})` }
+        });
+        assert.equal(status, 201);
+    }
+});
+
+test.after(() => api.close());
+
+test('query operators in filter parameters are rejected', async () => {
+    for (const query of ['assignee[$ne]=zzz', 'severity[$in][]=High', 'category[$regex]=.*', 'status[$ne]=New']) {
+        const { status, body } = await api.request('GET', `/api/alerts?${query}`);
+        assert.equal(status, 400, query);
+        assert.match(body.error, /must be/);
+    }
+});
+
+test('status and slaStatus accept a list of strings', async () => {
+    const { status, body } = await api.request('GET', '/api/alerts?status=New&status=Acknowledged');
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+
+    const repeated = await api.request('GET', '/api/alerts?severity=High&severity=Low');
+    assert.equal(repeated.status, 400);
+});
+
+test('a bulk filter with an operator changes nothing', async () => {
+    const { status } = await api.request('POST', '/api/alerts/bulk', {
+        body: { action: 'delete', filter: { assignee: { $ne: 'zzz' } } }
+    });
+    assert.equal(status, 400);
+    const { body } = await api.request('GET', '/api/alerts');
+    assert.equal(body.total, 2);
+});
@@ -0,0 +1,44 @@
+/**
+ * Run the Express app inside a test process, on a free port with in-memory storage
+ *
+ * Configuration is read when modules load, so each test file calls startApi
+ * once (node --test runs every file in its own process).
+ */
+
+/**
+ * @param {Object} [env] - Extra environment, e.g. { AUTH_ENABLED: 'false' } or { API_KEYS: '...' }
+ * @returns {Promise<Object>} { db, baseUrl, request(method, path, { body, headers }), close() }
+ */
+async function startApi(env = {}) {
+    Object.assign(process.env, { STORAGE_DRIVER: 'memory', JWT_SECRET: 'test-secret', ...env });
+    const { connectDB } = require('../config/database');
+    const db = await connectDB();
+    const app = require('../app');
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { body, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    return {
+        db,
+        baseUrl,
+        request,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+}
+
+module.exports = { startApi };
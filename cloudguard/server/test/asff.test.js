@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const asff = require('../importers/asff');
+const { FindingValidationError } = require('../models/Finding');
+
+const FIXTURES = path.join(__dirname, '../fixtures/asff');
+
+function loadRecords(name) {
+    return asff.extractFindings(JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8')));
+}
+
+function mapError(record) {
+    try {
+        asff.mapFinding(record);
+    } catch (error) {
+        assert.ok(error instanceof FindingValidationError);
+        return error;
+    }
+    assert.fail(`${asff.findingRef(record)} was mapped`);
+}
+
+test('single findings, EventBridge events and batches are all extracted', () => {
+    assert.equal(loadRecords('guardduty-single.json').length, 1);
+    assert.equal(loadRecords('inspector-cve.json').length, 1);
+    assert.equal(loadRecords('eventbridge-event.json').length, 1);
+    assert.equal(loadRecords('batch-import.json').length, 6);
+    assert.throws(() => asff.extractFindings({ Findings: [] }), /No findings to import/);
+    assert.throws(() => asff.extractFindings({ hello: 'world' }), /Body must be an ASFF finding/);
+});
+
+test('Security Hub controls map by resource type, with the control as rule and tag', () => {
+    const [s3, iam, securityGroup] = loadRecords('batch-import.json').slice(0, 3).map(asff.mapFinding);
+
+    assert.equal(s3.category, 'S3');
+    assert.equal(s3.severity, 'High'); // HIGH
+    assert.equal(s3.ruleId, 'S3.8');
+    assert.equal(s3.accountId, '123456789012');
+    assert.equal(s3.region, 'us-east-1');
+    assert.deepEqual(s3.tags, { complianceStatus: 'FAILED', securityControl: 'S3.8' });
+    assert.equal(s3.source, 'aws-securityhub');
+
+    assert.equal(iam.category, 'IAM');
+    assert.equal(securityGroup.category, 'Network');
+    assert.equal(securityGroup.severity, 'High'); // CRITICAL
+});
+
+test('threat and vulnerability types pick the Activity and CVE categories', () => {
+    const [guardduty] = loadRecords('guardduty-single.json').map(asff.mapFinding);
+    assert.equal(guardduty.category, 'Activity');
+    assert.equal(guardduty.severity, 'Medium');
+    assert.equal(guardduty.ruleId, 'TTPs/Discovery/Recon:IAMUser-MaliciousIPCaller');
+    assert.equal(guardduty.resource.type, 'AwsIamAccessKey');
+
+    // Severity.Normalized when there is no Label
+    const [event] = loadRecords('eventbridge-event.json').map(asff.mapFinding);
+    assert.equal(event.category, 'Activity');
+    assert.equal(event.severity, 'High');
+    assert.equal(event.region, 'eu-west-1');
+
+    const [inspector] = loadRecords('inspector-cve.json').map(asff.mapFinding);
+    assert.equal(inspector.category, 'CVE');
+    assert.equal(inspector.severity, 'High');
+    assert.equal(inspector.ruleId, 'CVE-2024-3094');
+    assert.equal(inspector.cvssScore, 10);
+    assert.deepEqual(inspector.tags, { Environment: 'production', Owner: 'platform' });
+});
+
+test('records with nothing to act on or missing fields are rejected with their own errors', () => {
+    const [passed, lambda, custom] = loadRecords('batch-import.json').slice(3);
+
+    assert.deepEqual(mapError(passed).errors, [
+        { field: 'Compliance.Status', message: 'Compliance check passed; nothing to alert on' }
+    ]);
+    assert.equal(mapError(lambda).errors[0].field, 'Types');
+    assert.match(mapError(lambda).message, /No CloudGuard category for resource type AwsLambdaFunction/);
+    assert.deepEqual(
+        mapError(custom).errors.map(error => error.field),
+        ['AwsAccountId', 'Resources', 'Severity.Label']
+    );
+    assert.match(mapError(custom).message, /Invalid Severity.Label: SEVERE/);
+});
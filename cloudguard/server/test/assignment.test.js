@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const AssignmentManager = require('../services/AssignmentManager');
+const CounterRepository = require('../repositories/CounterRepository');
+const { validateAssignmentConfig } = require('../config/assignment');
+
+const CONFIG = {
+    teams: {
+        identity: { members: ['alice', 'bob', 'carol'] },
+        storage: { members: ['dave'] },
+        detection: { members: [] }
+    },
+    categories: { IAM: 'identity', S3: 'storage', Activity: 'detection' }
+};
+
+async function setup() {
+    const db = await new MemoryStore().connect();
+    const assignmentManager = () => new AssignmentManager(new CounterRepository(db), CONFIG);
+    const alertManager = new AlertManager(new AlertRepository(db), new AuditLogManager(db), {
+        assignmentManager: assignmentManager()
+    });
+    return { alertManager, assignmentManager };
+}
+
+const finding = (category, index) => ({ category, severity: 'High', description: `${category} finding ${index}` });
+
+test('new alerts go round-robin to the members of the owning team', async () => {
+    const { alertManager } = await setup();
+
+    const assignees = [];
+    for (let i = 0; i < 4; i++) {
+        const alert = await alertManager.createAlert(finding('IAM', i));
+        assert.equal(alert.team, 'identity');
+        assignees.push(alert.assignee);
+    }
+    assert.deepEqual(assignees, ['alice', 'bob', 'carol', 'alice']);
+
+    // Each team keeps its own turn
+    const storage = await alertManager.createAlert(finding('S3', 0));
+    assert.deepEqual([storage.team, storage.assignee], ['storage', 'dave']);
+    assert.equal((await alertManager.createAlert(finding('IAM', 4))).assignee, 'bob');
+});
+
+test('the turn is shared by every manager on the database, even concurrently', async () => {
+    const { assignmentManager } = await setup();
+    const turns = await Promise.all(Array.from({ length: 6 }, () => assignmentManager().autoAssign('IAM')));
+    const counts = turns.reduce((all, { assignee }) => ({ ...all, [assignee]: (all[assignee] || 0) + 1 }), {});
+    assert.deepEqual(counts, { alice: 2, bob: 2, carol: 2 });
+});
+
+test('a team without members, or a category without a team, leaves the alert unassigned', async () => {
+    const { alertManager } = await setup();
+    const activity = await alertManager.createAlert(finding('Activity', 0));
+    assert.deepEqual([activity.team, activity.assignee], ['detection', null]);
+
+    const network = await alertManager.createAlert(finding('Network', 0));
+    assert.deepEqual([network.team, network.assignee], [null, null]);
+});
+
+test('a manual assignment infers the team and rejects unknown teams', async () => {
+    const { alertManager } = await setup();
+    const alert = await alertManager.createAlert(finding('Network', 0));
+
+    const assigned = await alertManager.assignAlert(alert.id, { assignee: 'dave' });
+    assert.deepEqual([assigned.assignee, assigned.team], ['dave', 'storage']);
+
+    const outsider = await alertManager.assignAlert(alert.id, { assignee: 'erin' });
+    assert.deepEqual([outsider.assignee, outsider.team], ['erin', 'storage']);
+
+    await assert.rejects(alertManager.assignAlert(alert.id, { team: 'finance' }), /Invalid team: finance/);
+    await assert.rejects(alertManager.assignAlert(alert.id, { assignee: '  ' }), /non-empty string or null/);
+
+    const unassigned = await alertManager.assignAlert(alert.id, { assignee: null, team: null });
+    assert.deepEqual([unassigned.assignee, unassigned.team], [null, null]);
+
+    const queue = await alertManager.getAlerts({ assignee: 'dave' });
+    assert.equal(queue.total, 0);
+});
+
+test('a category may only name a configured team', () => {
+    assert.throws(() => validateAssignmentConfig({ teams: {}, categories: { IAM: 'identity' } }), /unknown team: identity/);
+    assert.throws(() => validateAssignmentConfig({ teams: { identity: {} } }), /"members" list/);
+});
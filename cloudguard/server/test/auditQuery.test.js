@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+
+const ANALYST = { 'X-API-Key': 'alice-key' };
+const ADMIN = { 'X-API-Key': 'root-key' };
+
+let api;
+let alertIds;
+let startedAt;
+
+test.before(async () => {
+    api = await startApi({ API_KEYS: 'alice:analyst:alice-key,root:admin:root-key' });
+    startedAt = new Date().toISOString();
+
+    alertIds = [];
+    for (const [category, headers] of [['IAM', ANALYST], ['S3', ADMIN]]) {
+        const { body } = await api.request('POST', '/api/alerts', {
+            headers,
+            body: { category, severity: 'High', description: `${category} finding` }
+        });
+        alertIds.push(body.id);
+    }
+    await api.request('PUT', `/api/alerts/${alertIds[0]}/status`, { headers: ANALYST, body: { status: 'Acknowledged' } });
+});
+
+test.after(() => api.close());
+
+const query = (path, headers = ANALYST) => api.request('GET', `/api/audit${path}`, { headers });
+
+test('entries are filtered by alert, action and actor', async () => {
+    const byAlert = await query(`?alertId=${alertIds[0]}&order=asc`);
+    assert.equal(byAlert.status, 200);
+    assert.deepEqual(byAlert.body.entries.map(entry => entry.action), ['ALERT_CREATED', 'ALERT_ASSIGNED', 'STATUS_UPDATED']);
+    assert.ok(byAlert.body.entries.every(entry => entry.actor === 'alice' && entry.actorRole === 'analyst'));
+
+    const byActions = await query('?action=ALERT_CREATED,STATUS_UPDATED');
+    assert.equal(byActions.body.total, 3);
+
+    const byActor = await query('?actor=root&action=ALERT_CREATED');
+    assert.deepEqual(byActor.body.entries.map(entry => entry.alertId), [alertIds[1]]);
+});
+
+test('entries are paged newest first, or oldest first with order=asc', async () => {
+    const all = await query('?action=ALERT_CREATED,STATUS_UPDATED&order=asc');
+    const sequences = all.body.entries.map(entry => entry.sequence);
+    assert.deepEqual(sequences, [...sequences].sort((a, b) => a - b));
+
+    const page = await query('?action=ALERT_CREATED,STATUS_UPDATED&limit=1&offset=1');
+    assert.equal(page.body.total, 3);
+    assert.equal(page.body.limit, 1);
+    assert.equal(page.body.offset, 1);
+    assert.equal(page.body.entries[0].sequence, sequences[1]);
+
+    const since = await query(`?since=${encodeURIComponent(startedAt)}&until=${encodeURIComponent(new Date().toISOString())}`);
+    assert.ok(since.body.total >= 3);
+    const future = await query(`?since=${encodeURIComponent(new Date(Date.now() + 60000).toISOString())}`);
+    assert.equal(future.body.total, 0);
+});
+
+test('invalid paging, dates and operator filters are rejected', async () => {
+    for (const path of ['?limit=0', '?limit=abc', '?offset=-1', '?since=yesterday', '?alertId[$ne]=x', '?actor=a&actor=b']) {
+        const { status, body } = await query(path);
+        assert.equal(status, 400, path);
+        assert.ok(body.error, path);
+    }
+});
+
+test('only an admin can verify the chain', async () => {
+    assert.equal((await query('/verify')).status, 403);
+    const { status, body } = await query('/verify', ADMIN);
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+const UserRepository = require('../repositories/UserRepository');
+
+const VIEWER = { 'X-API-Key': 'viewer-key' };
+const ANALYST = { 'X-API-Key': 'analyst-key' };
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+let api;
+// Loaded after startApi: the auth config reads API_KEYS when it is first required
+let AuthManager;
+let authConfig;
+
+test.before(async () => {
+    api = await startApi({ API_KEYS: 'dash:viewer:viewer-key,engine:analyst:analyst-key,ops:admin:admin-key' });
+    AuthManager = require('../services/AuthManager');
+    authConfig = require('../config/auth');
+});
+
+test.after(() => api.close());
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+test('requests without valid credentials are rejected', async () => {
+    assert.equal((await api.request('GET', '/api/alerts')).status, 401);
+    assert.equal((await api.request('GET', '/api/alerts', { headers: { 'X-API-Key': 'wrong' } })).status, 401);
+    assert.equal((await api.request('GET', '/api/alerts', { headers: { Authorization: 'Basic abc' } })).status, 401);
+    assert.equal((await api.request('GET', '/api/alerts', { headers: bearer('a.b.c') })).status, 401);
+});
+
+test('API keys act with their configured role', async () => {
+    const finding = { category: 'IAM', severity: 'High', description: 'Root account used' };
+
+    assert.equal((await api.request('GET', '/api/alerts', { headers: VIEWER })).status, 200);
+    assert.equal((await api.request('POST', '/api/alerts', { headers: VIEWER, body: finding })).status, 403);
+
+    const created = await api.request('POST', '/api/alerts', { headers: ANALYST, body: finding });
+    assert.equal(created.status, 201);
+    assert.equal((await api.request('DELETE', `/api/alerts/${created.body.id}`, { headers: ANALYST })).status, 403);
+    assert.equal((await api.request('GET', '/api/auth/users', { headers: ANALYST })).status, 403);
+
+    assert.equal((await api.request('DELETE', `/api/alerts/${created.body.id}`, { headers: ADMIN })).status, 200);
+
+    const me = await api.request('GET', '/api/auth/me', { headers: ANALYST });
+    assert.deepEqual({ username: me.body.username, role: me.body.role, type: me.body.type },
+        { username: 'engine', role: 'analyst', type: 'apiKey' });
+});
+
+test('a logged-in user gets a JWT carrying their role', async () => {
+    const created = await api.request('POST', '/api/auth/users', {
+        headers: ADMIN,
+        body: { username: 'dana', password: 'correct-horse', role: 'viewer' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.passwordHash, undefined);
+
+    assert.equal((await api.request('POST', '/api/auth/login', { body: { username: 'dana', password: 'wrong-password' } })).status, 401);
+    assert.equal((await api.request('POST', '/api/auth/login', { body: { username: { $ne: null }, password: 'correct-horse' } })).status, 401);
+
+    const login = await api.request('POST', '/api/auth/login', { body: { username: 'dana', password: 'correct-horse' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.role, 'viewer');
+
+    const me = await api.request('GET', '/api/auth/me', { headers: bearer(login.body.token) });
+    assert.equal(me.body.username, 'dana');
+    assert.equal(me.body.type, 'user');
+    const post = await api.request('POST', '/api/alerts', {
+        headers: bearer(login.body.token),
+        body: { category: 'IAM', description: 'Root account used' }
+    });
+    assert.equal(post.status, 403);
+});
+
+test('tampered, unsigned and expired tokens are rejected', async () => {
+    const authManager = new AuthManager(new UserRepository(api.db));
+    const { token } = authManager.signToken({ username: 'dana', role: 'viewer', type: 'user' });
+    const [header, payload, signature] = token.split('.');
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const promoted = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+    const unsigned = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    const expired = new AuthManager(new UserRepository(api.db), { ...authConfig, jwtTtlSeconds: -1 })
+        .signToken({ username: 'dana', role: 'viewer', type: 'user' }).token;
+
+    const cases = [
+        [`${header}.${promoted}.${signature}`, /Invalid token signature/],
+        [`${unsigned}.${payload}.`, /Invalid token signature/],
+        [expired, /Token expired/]
+    ];
+    for (const [candidate, message] of cases) {
+        const { status, body } = await api.request('GET', '/api/auth/me', { headers: bearer(candidate) });
+        assert.equal(status, 401);
+        assert.match(body.error, message);
+    }
+});
+
+test('a token in the query string is only accepted for event streams', async () => {
+    const { token } = new AuthManager(new UserRepository(api.db))
+        .signToken({ username: 'dana', role: 'viewer', type: 'user' });
+    assert.equal((await api.request('GET', `/api/alerts?access_token=${token}`)).status, 401);
+});
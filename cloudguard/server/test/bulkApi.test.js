@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+
+const VIEWER = { 'X-API-Key': 'viewer-key' };
+const ANALYST = { 'X-API-Key': 'analyst-key' };
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+let api;
+let alertIds;
+
+test.before(async () => {
+    api = await startApi({ API_KEYS: 'dash:viewer:viewer-key,engine:analyst:analyst-key,ops:admin:admin-key' });
+    alertIds = [];
+    for (const [category, severity] of [['IAM', 'High'], ['S3', 'Low'], ['S3', 'Medium']]) {
+        const { body } = await api.request('POST', '/api/alerts', {
+            headers: ANALYST,
+            body: { category, severity, description: `${category} ${severity} finding`, region: 'us-east-1' }
+        });
+        alertIds.push(body.id);
+    }
+});
+
+test.after(() => api.close());
+
+const bulk = (body, headers = ANALYST) => api.request('POST', '/api/alerts/bulk', { headers, body });
+
+test('bulk actions need the analyst role, and bulk delete the admin role', async () => {
+    assert.equal((await bulk({ action: 'tag', alertIds, add: { team: 'x' } }, VIEWER)).status, 403);
+    assert.equal((await bulk({ action: 'delete', alertIds }, ANALYST)).status, 403);
+    assert.equal((await api.request('GET', '/api/alerts', { headers: ADMIN })).body.total, 3);
+});
+
+test('a filter selects the alerts, and the response reports each one', async () => {
+    const { status, body } = await bulk({
+        action: 'status',
+        status: 'Acknowledged',
+        filter: { category: 'S3', severity: 'Low' }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual([body.action, body.total, body.succeeded, body.failed], ['status', 1, 1, 0]);
+    assert.deepEqual(body.results, [{ alertId: alertIds[1], ok: true, status: 'Acknowledged' }]);
+
+    const audit = await api.request('GET', `/api/audit?batchId=${body.batchId}`, { headers: ANALYST });
+    assert.deepEqual(audit.body.entries.map(entry => entry.action).sort(), ['BULK_OPERATION', 'STATUS_UPDATED']);
+});
+
+test('alertIds select alerts by ID and report the ones that fail', async () => {
+    const { body } = await bulk({ action: 'assign', alertIds: [alertIds[0], 'ALT-missing'], assignee: 'dana' });
+    assert.deepEqual([body.total, body.succeeded, body.failed], [2, 1, 1]);
+    assert.equal(body.results[0].assignee, 'dana');
+    assert.equal(body.results[1].ok, false);
+    assert.match(body.results[1].error, /not found/);
+});
+
+test('unknown filter fields, empty filters and invalid actions are rejected', async () => {
+    const cases = [
+        [{ action: 'tag', filter: { owner: 'me' }, add: { a: 'b' } }, /Invalid filter fields: owner/],
+        [{ action: 'tag', filter: [], add: { a: 'b' } }, /filter must be an object/],
+        [{ action: 'status', status: 'Resolved', filter: {} }, /at least one criterion/],
+        [{ action: 'archive', alertIds }, /Invalid action: archive/],
+        [{ action: 'suppress', alertIds }, /reason is required/]
+    ];
+    for (const [request, message] of cases) {
+        const { status, body } = await bulk(request);
+        assert.equal(status, 400, JSON.stringify(request));
+        assert.match(body.error, message);
+    }
+});
+
+test('an admin can delete in bulk', async () => {
+    const { status, body } = await bulk({ action: 'delete', filter: { region: 'us-east-1', category: 'IAM' } }, ADMIN);
+    assert.equal(status, 200);
+    assert.equal(body.succeeded, 1);
+    assert.equal((await api.request('GET', '/api/alerts', { headers: ADMIN })).body.total, 2);
+});
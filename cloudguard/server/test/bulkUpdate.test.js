@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+
+async function setup() {
+    const db = await new MemoryStore().connect();
+    const auditLogManager = new AuditLogManager(db);
+    const alertManager = new AlertManager(new AlertRepository(db), auditLogManager);
+    const alerts = [];
+    for (const [category, severity] of [['IAM', 'High'], ['S3', 'Low'], ['S3', 'Medium']]) {
+        alerts.push(await alertManager.createAlert({ category, severity, description: `${category} ${severity} finding` }));
+    }
+    return { alertManager, auditLogManager, alerts };
+}
+
+test('a filter whose values are all empty is rejected and changes nothing', async () => {
+    const { alertManager } = await setup();
+    for (const filter of [{}, { search: '' }, { tags: {} }, { tags: {}, search: '', severity: undefined }]) {
+        await assert.rejects(
+            alertManager.bulkUpdate('delete', { filter }),
+            /filter needs at least one criterion/,
+            JSON.stringify(filter)
+        );
+    }
+    assert.equal((await alertManager.getAlerts({})).total, 3);
+});
+
+test('a filter selects the alerts it matches', async () => {
+    const { alertManager } = await setup();
+    const result = await alertManager.bulkUpdate('delete', { filter: { category: 'S3' } });
+    assert.equal(result.total, 2);
+    assert.equal(result.succeeded, 2);
+    const remaining = await alertManager.getAlerts({});
+    assert.deepEqual(remaining.alerts.map(alert => alert.category), ['IAM']);
+});
+
+test('invalid transitions fail per alert and the rest of the batch is applied', async () => {
+    const { alertManager, auditLogManager, alerts } = await setup();
+    await alertManager.updateAlertStatus(alerts[0].id, 'Acknowledged');
+
+    const result = await alertManager.bulkUpdate('status', { alertIds: alerts.map(alert => alert.id) }, { status: 'Acknowledged' });
+    assert.equal(result.succeeded, 2);
+    assert.equal(result.failed, 1);
+    const failure = result.results.find(item => !item.ok);
+    assert.equal(failure.alertId, alerts[0].id);
+    assert.ok(failure.validTransitions.includes('In-Progress'));
+
+    // Every entry written by the batch carries its batchId
+    const { entries } = await auditLogManager.queryLogs({ batchId: result.batchId });
+    assert.deepEqual(
+        entries.map(entry => entry.action).sort(),
+        ['BULK_OPERATION', 'STATUS_UPDATED', 'STATUS_UPDATED']
+    );
+});
+
+test('tags are added and removed on every selected alert', async () => {
+    const { alertManager, alerts } = await setup();
+    const ids = alerts.map(alert => alert.id);
+    await alertManager.bulkUpdate('tag', { alertIds: ids }, { add: { env: 'prod', owner: 'infra' } });
+    const result = await alertManager.bulkUpdate('tag', { alertIds: ids }, { remove: ['owner'] });
+    result.results.forEach(item => assert.deepEqual(item.tags, { env: 'prod' }));
+});
+
+test('the target must be alertIds or a filter, within the size limit', async () => {
+    const { alertManager, alerts } = await setup();
+    await assert.rejects(alertManager.bulkUpdate('delete', {}), /alertIds or filter is required/);
+    await assert.rejects(
+        alertManager.bulkUpdate('delete', { alertIds: [alerts[0].id], filter: { category: 'S3' } }),
+        /either alertIds or filter/
+    );
+    await assert.rejects(alertManager.bulkUpdate('delete', { alertIds: [{ $ne: null }] }), /non-empty list/);
+    await assert.rejects(alertManager.bulkUpdate('archive', { alertIds: [alerts[0].id] }), /Invalid action/);
+
+    alertManager.maxBulkSize = 2;
+    await assert.rejects(
+        alertManager.bulkUpdate('delete', { alertIds: alerts.map(alert => alert.id) }),
+        /at most 2 alerts \(3 selected\)/
+    );
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    formatSlackMessage,
+    formatTeamsMessage,
+    formatMessage,
+    validateTemplates
+} = require('../services/chatFormatters');
+const { snapshotFile } = require('./snapshot');
+
+const DASHBOARD_URL = 'https://cloudguard.example.com/';
+
+const ALERT = {
+    id: 'ALT-1714560000000-42',
+    severity: 'High',
+    category: 'S3',
+    status: 'New',
+    description: 'Bucket <logs> is public & unencrypted',
+    assignee: 'alice',
+    team: 'cloud',
+    source: 'aws-securityhub',
+    ruleId: 'S3.2',
+    resource: { arn: 'arn:aws:s3:::logs', type: 'AwsS3Bucket' },
+    accountId: '123456789012',
+    region: 'eu-west-1'
+};
+
+const PAYLOADS = {
+    'alert.created': {
+        id: 'DLV-1', event: 'alert.created', createdAt: '2024-05-01T12:00:00.000Z', alert: ALERT, data: {}
+    },
+    'alert.status_changed': {
+        id: 'DLV-2',
+        event: 'alert.status_changed',
+        createdAt: '2024-05-01T13:00:00.000Z',
+        alert: { ...ALERT, status: 'Resolved', severity: 'Low', assignee: null },
+        data: { oldStatus: 'In-Progress', newStatus: 'Resolved', reason: 'Bucket policy fixed' }
+    },
+    'alert.sla_breached': {
+        id: 'DLV-3',
+        event: 'alert.sla_breached',
+        createdAt: '2024-05-02T12:00:00.000Z',
+        alert: { ...ALERT, severity: 'Medium', region: undefined },
+        data: { breaches: [{ type: 'acknowledge', dueAt: '2024-05-01T16:00:00.000Z' }] }
+    },
+    'webhook.test': {
+        id: 'DLV-4', event: 'webhook.test', createdAt: '2024-05-01T12:00:00.000Z', data: { message: 'Test event from CloudGuard' }
+    }
+};
+
+const TEMPLATES = {
+    'alert.created': { title: '{{severity}} finding on {{resource}}', text: 'Owner: {{team}} — {{url}}' }
+};
+
+const formatters = { slack: formatSlackMessage, teams: formatTeamsMessage };
+
+Object.entries(formatters).forEach(([format, formatter]) => {
+    const matchSnapshot = snapshotFile(`chatFormatters.${format}`);
+
+    Object.entries(PAYLOADS).forEach(([event, payload]) => {
+        test(`${format}: ${event}`, () => {
+            matchSnapshot(event, formatter(payload, { dashboardUrl: DASHBOARD_URL }));
+        });
+    });
+
+    test(`${format}: channel template override`, () => {
+        matchSnapshot('template override', formatter(PAYLOADS['alert.created'], {
+            templates: TEMPLATES,
+            dashboardUrl: DASHBOARD_URL
+        }));
+    });
+
+    test(`${format}: output does not depend on anything but its input`, () => {
+        const payload = PAYLOADS['alert.created'];
+        assert.deepEqual(formatter(payload, { dashboardUrl: DASHBOARD_URL }), formatter(payload, { dashboardUrl: DASHBOARD_URL }));
+        assert.deepEqual(formatMessage(format, payload, { dashboardUrl: DASHBOARD_URL }), formatter(payload, { dashboardUrl: DASHBOARD_URL }));
+    });
+});
+
+test('json format sends the payload unchanged', () => {
+    assert.equal(formatMessage('json', PAYLOADS['alert.created']), PAYLOADS['alert.created']);
+});
+
+test('validateTemplates rejects unknown events and placeholders', () => {
+    assert.doesNotThrow(() => validateTemplates(TEMPLATES));
+    assert.throws(() => validateTemplates({ 'alert.deleted': { title: 'x' } }), /Invalid template event/);
+    assert.throws(() => validateTemplates({ 'alert.created': { title: '{{secret}}' } }), /Unknown placeholder \{\{secret\}\}/);
+    assert.throws(() => validateTemplates({ 'alert.created': { body: 'x' } }), /may only set title and text/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeverityClassifier = require('../services/SeverityClassifier');
+const { loadClassificationRules, validateClassificationRules } = require('../config/classification');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+
+const classifier = new SeverityClassifier();
+
+test('a valid severity on the finding is kept; an invalid one is classified', () => {
+    const kept = classifier.classify({ category: 'CVE', severity: 'Low', cvssScore: 9.8, description: 'x', source: 'Trivy' });
+    assert.deepEqual([kept.severity, kept.source, kept.ruleId], ['Low', 'finding', null]);
+    assert.equal(kept.ruleDescription, 'Severity Low reported by Trivy');
+
+    const classified = classifier.classify({ category: 'CVE', severity: 'Critical', cvssScore: 9.8, description: 'x' });
+    assert.deepEqual([classified.severity, classified.source, classified.ruleId], ['High', 'rule', 'cve-critical']);
+    assert.deepEqual(classified.matched, ['category = CVE', 'cvssScore 9.8 ≥ 9']);
+});
+
+test('the default rules classify by CVSS score, tags and description', () => {
+    const cases = [
+        [{ category: 'CVE', cvssScore: 7.5, description: 'openssl' }, 'High', 'cve-high'],
+        [{ category: 'CVE', cvssScore: 5, description: 'openssl' }, 'Medium', 'cve-medium'],
+        [{ category: 'CVE', cvssScore: 2.1, description: 'openssl' }, 'Low', 'cve-low'],
+        [{ category: 'S3', description: 'Bucket is public', tags: { 'data-classification': 'restricted' } }, 'High', 's3-public-sensitive-data'],
+        [{ category: 'S3', description: 'Bucket allows public read' }, 'High', 's3-public-access'],
+        [{ category: 'IAM', description: 'Policy grants "*": "*"' }, 'High', 'iam-privileged-access'],
+        [{ category: 'Network', description: 'Port 22 open to 0.0.0.0/0' }, 'High', 'network-admin-port-open-to-internet'],
+        [{ category: 'Network', description: 'Flow logs off', tags: { environment: 'prod' } }, 'High', 'production-resource'],
+        [{ category: 'S3', description: 'Best practice: enable versioning' }, 'Low', 'informational']
+    ];
+    for (const [finding, severity, ruleId] of cases) {
+        const result = classifier.classify(finding);
+        assert.deepEqual([result.severity, result.ruleId], [severity, ruleId], finding.description);
+    }
+
+    const fallback = classifier.classify({ category: 'CVE', description: 'No score yet' });
+    assert.deepEqual([fallback.severity, fallback.source, fallback.ruleId], ['Medium', 'default', null]);
+});
+
+test('rules load sorted by priority, keeping file order on ties', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cloudguard-classification-'));
+    const file = path.join(dir, 'rules.json');
+    try {
+        await fs.promises.writeFile(file, JSON.stringify({
+            defaultSeverity: 'Low',
+            rules: [
+                { id: 'first', when: { category: 'IAM' }, severity: 'Medium', priority: 5 },
+                { id: 'second', when: { category: 'IAM' }, severity: 'High', priority: 5 },
+                { id: 'urgent', when: { source: 'GuardDuty' }, severity: 'High', priority: 50 }
+            ]
+        }));
+        const ruleSet = loadClassificationRules(file);
+        assert.deepEqual(ruleSet.rules.map(rule => rule.id), ['urgent', 'first', 'second']);
+
+        const custom = new SeverityClassifier(ruleSet);
+        assert.equal(custom.classify({ category: 'IAM', description: 'x' }).ruleId, 'first');
+        assert.equal(custom.classify({ category: 'IAM', source: 'GuardDuty', description: 'x' }).ruleId, 'urgent');
+        assert.equal(custom.classify({ category: 'S3', description: 'x' }).severity, 'Low');
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('invalid rule sets are rejected with the offending rule named', () => {
+    const rule = { id: 'r1', when: { category: 'IAM' }, severity: 'High' };
+    const cases = [
+        [{ rules: [rule, rule] }, /r1: duplicate id/],
+        [{ rules: [{ ...rule, severity: 'Critical' }] }, /r1: severity must be one of/],
+        [{ rules: [{ ...rule, when: {} }] }, /r1: "when" must set at least one condition/],
+        [{ rules: [{ ...rule, when: { account: '1' } }] }, /r1: unknown condition account/],
+        [{ rules: [{ ...rule, when: { cvssScore: { above: 7 } } }] }, /r1: cvssScore must use numeric/],
+        [{ rules: [{ ...rule, when: { descriptionRegex: '(' } }] }, /r1: invalid descriptionRegex/],
+        [{ defaultSeverity: 'Urgent', rules: [] }, /Invalid defaultSeverity/]
+    ];
+    for (const [ruleSet, message] of cases) {
+        assert.throws(() => validateClassificationRules(ruleSet), message);
+    }
+});
+
+test('alerts store the classification that set their severity', async () => {
+    const db = await new MemoryStore().connect();
+    const alertManager = new AlertManager(new AlertRepository(db), new AuditLogManager(db));
+
+    const alert = await alertManager.createAlert({ category: 'Activity', description: 'Crypto mining detected on i-123' });
+    assert.equal(alert.severity, 'High');
+    assert.equal(alert.classification.ruleId, 'activity-compromise');
+    assert.deepEqual(alert.classification.matched, ['category = Activity', 'description contains "Crypto mining"']);
+});
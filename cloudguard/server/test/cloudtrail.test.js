@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const cloudtrail = require('../importers/cloudtrail');
+
+const LOG = { Records: [{ eventID: 'e-1', eventName: 'ConsoleLogin', userIdentity: { type: 'Root' } }] };
+
+test('a gzip\'d log is decompressed', async () => {
+    const records = await cloudtrail.readRecords(zlib.gzipSync(JSON.stringify(LOG)));
+    assert.deepEqual(records, LOG.Records);
+});
+
+test('a gzip\'d log larger than the limit once decompressed is rejected', async () => {
+    // 1 MB of padding compresses to about 1 KB
+    const body = zlib.gzipSync(JSON.stringify({ ...LOG, padding: ' '.repeat(1024 * 1024) }));
+    assert.ok(body.length < 16 * 1024);
+    await assert.rejects(
+        cloudtrail.readRecords(body, { maxBytes: 64 * 1024 }),
+        error => error instanceof cloudtrail.LogTooLargeError && error.maxBytes === 64 * 1024
+    );
+});
+
+test('a corrupt gzip body is an ordinary read error', async () => {
+    const body = zlib.gzipSync(JSON.stringify(LOG)).subarray(0, 20);
+    await assert.rejects(cloudtrail.readRecords(body), error => {
+        assert.ok(!(error instanceof cloudtrail.LogTooLargeError));
+        assert.match(error.message, /could not be decompressed/);
+        return true;
+    });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./api');
+const UserRepository = require('../repositories/UserRepository');
+
+const ANALYST = { 'X-API-Key': 'alice-key' };
+const OTHER_ANALYST = { 'X-API-Key': 'bob-key' };
+const ADMIN = { 'X-API-Key': 'root-key' };
+
+let api;
+let alertId;
+
+test.before(async () => {
+    api = await startApi({ API_KEYS: 'alice:analyst:alice-key,bob:analyst:bob-key,root:admin:root-key' });
+    await new UserRepository(api.db).save({ username: 'carol', role: 'analyst' });
+
+    const { status, body } = await api.request('POST', '/api/alerts', {
+        headers: ANALYST,
+        body: { category: 'IAM', severity: 'High', description: 'Root account used' }
+    });
+    assert.equal(status, 201);
+    alertId = body.id;
+});
+
+test.after(() => api.close());
+
+const comment = (body, headers = ANALYST) =>
+    api.request('POST', `/api/alerts/${alertId}/comments`, { headers, body });
+
+test('a parentId that is not a comment ID is rejected', async () => {
+    await comment({ body: 'First note' });
+
+    for (const parentId of [{ $ne: null }, ['x'], 42, '']) {
+        const { status, body } = await comment({ body: 'Reply', parentId });
+        assert.equal(status, 400, JSON.stringify(parentId));
+        assert.match(body.error, /parentId must be a comment ID/);
+    }
+
+    const missing = await comment({ body: 'Reply', parentId: 'CMT-missing' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /not found/);
+});
+
+test('a reply references its parent on the same alert', async () => {
+    const parent = await comment({ body: 'Looking into it' });
+    const reply = await comment({ body: 'Same here', parentId: parent.body.id }, OTHER_ANALYST);
+    assert.equal(reply.status, 201);
+    assert.equal(reply.body.parentId, parent.body.id);
+    assert.equal(reply.body.author, 'bob');
+});
+
+test('only known users are mentioned, and code spans are ignored', async () => {
+    const { body } = await comment({ body: '@carol please check, cc @nobody and `@root`, mail me@example.com' });
+    assert.deepEqual(body.mentions, ['carol']);
+});
+
+test('edits keep every previous version in the history', async () => {
+    const created = await comment({ body: 'Version one' });
+    const path = `/api/alerts/${alertId}/comments/${created.body.id}`;
+
+    await api.request('PUT', path, { headers: ANALYST, body: { body: 'Version two' } });
+    const { status, body } = await api.request('PUT', path, { headers: ANALYST, body: { body: 'Version three, @carol' } });
+    assert.equal(status, 200);
+    assert.equal(body.body, 'Version three, @carol');
+    assert.equal(body.edited, true);
+    assert.deepEqual(body.mentions, ['carol']);
+    assert.deepEqual(body.history.map(version => version.body), ['Version one', 'Version two']);
+    assert.ok(body.history.every(version => version.editedBy === 'alice' && version.editedAt));
+
+    const audit = await api.db.collection('audit_logs').find({ action: 'COMMENT_EDITED', commentId: created.body.id }).toArray();
+    assert.deepEqual(audit.map(entry => entry.version).sort(), [2, 3]);
+});
+
+test('only the author or an admin can edit a comment', async () => {
+    const created = await comment({ body: 'Mine' });
+    const path = `/api/alerts/${alertId}/comments/${created.body.id}`;
+
+    const other = await api.request('PUT', path, { headers: OTHER_ANALYST, body: { body: 'Not yours' } });
+    assert.equal(other.status, 403);
+
+    const admin = await api.request('PUT', path, { headers: ADMIN, body: { body: 'Moderated' } });
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.history[0].editedBy, 'root');
+
+    const missing = await api.request('PUT', `/api/alerts/${alertId}/comments/CMT-missing`, { headers: ADMIN, body: { body: 'x' } });
+    assert.equal(missing.status, 404);
+});
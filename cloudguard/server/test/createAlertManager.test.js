@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const createAlertManager = require('../managers/createAlertManager');
+
+test('the factory wires SLAs, mute rules and the acting user into every manager', async () => {
+    const db = await new MemoryStore().connect();
+    const alertManager = createAlertManager(db, { username: 'alice', role: 'analyst' });
+    await alertManager.suppressionManager.createRule({
+        match: { category: 'S3' },
+        justification: 'S3 findings are handled by the storage team',
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    const alert = await alertManager.createAlert({ category: 'IAM', severity: 'High', description: 'Root account used' });
+    assert.equal(alert.slaStatus, 'on-track');
+    assert.ok(alert.dueAt);
+
+    const muted = await alertManager.createAlert({ category: 'S3', severity: 'Low', description: 'Bucket versioning disabled' });
+    assert.equal(muted.status, 'Suppressed');
+
+    const { entries } = await alertManager.auditLogManager.queryLogs({ alertId: alert.id });
+    assert.ok(entries.length > 0);
+    entries.forEach(entry => assert.equal(entry.actor, 'alice'));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+
+const FINDING = {
+    category: 'S3',
+    severity: 'High',
+    description: 'Bucket allows public read',
+    ruleId: 'S3.2',
+    resource: { arn: 'arn:aws:s3:::public-site', type: 'AwsS3Bucket' }
+};
+
+async function setup() {
+    const db = await new MemoryStore().connect();
+    const auditLogManager = new AuditLogManager(db);
+    const alertManager = new AlertManager(new AlertRepository(db), auditLogManager);
+    return { alertManager, auditLogManager };
+}
+
+test('a repeat finding bumps the occurrence count of the existing alert', async () => {
+    const { alertManager, auditLogManager } = await setup();
+    const alert = await alertManager.createAlert({ ...FINDING });
+    assert.equal(alert.occurrences, 1);
+    assert.equal(alert.firstSeen, alert.lastSeen);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const repeated = await alertManager.createAlert({ ...FINDING, description: '  bucket ALLOWS   public read ' });
+    assert.equal(repeated.id, alert.id);
+    assert.equal(repeated.occurrences, 2);
+    assert.equal(repeated.firstSeen, alert.firstSeen);
+    assert.ok(repeated.lastSeen > alert.lastSeen);
+    assert.equal(repeated.description, FINDING.description);
+    assert.equal(repeated.fingerprint, alert.fingerprint);
+
+    assert.equal((await alertManager.getAlerts({})).total, 1);
+    const { entries } = await auditLogManager.queryLogs({ alertId: alert.id, action: 'ALERT_OCCURRENCE_RECORDED' });
+    assert.equal(entries.length, 1);
+});
+
+test('a resource given as an ARN string has the same fingerprint as the object form', async () => {
+    const { alertManager } = await setup();
+    const alert = await alertManager.createAlert({ ...FINDING });
+    const repeated = await alertManager.createAlert({ ...FINDING, resource: FINDING.resource.arn });
+    assert.equal(repeated.id, alert.id);
+    assert.equal(repeated.occurrences, 2);
+});
+
+test('category, resource, rule and description each tell findings apart', async () => {
+    const { alertManager } = await setup();
+    const alert = await alertManager.createAlert({ ...FINDING });
+
+    const variants = [
+        { category: 'IAM' },
+        { resource: { arn: 'arn:aws:s3:::other-site' } },
+        { ruleId: 'S3.8' },
+        { description: 'Bucket allows public write' }
+    ];
+    for (const variant of variants) {
+        const other = await alertManager.createAlert({ ...FINDING, ...variant });
+        assert.notEqual(other.id, alert.id, JSON.stringify(variant));
+        assert.equal(other.occurrences, 1);
+    }
+    assert.equal((await alertManager.getAlerts({})).total, 5);
+});
+
+test('severity and other context do not change the fingerprint', async () => {
+    const { alertManager } = await setup();
+    const alert = await alertManager.createAlert({ ...FINDING });
+    const repeated = await alertManager.createAlert({ ...FINDING, severity: 'Low', region: 'eu-west-1', tags: { env: 'prod' } });
+    assert.equal(repeated.id, alert.id);
+    assert.equal(repeated.occurrences, 2);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const CveEnricher = require('../services/CveEnricher');
+
+const FINDING = {
+    category: 'CVE',
+    severity: 'Low',
+    description: 'openssl in image api:1.4',
+    ruleId: 'CVE-2026-1234',
+    resource: { arn: 'arn:aws:ecr:us-east-1:123456789012:repository/api', type: 'AwsEcrContainerImage' }
+};
+
+async function withEnrichment(run) {
+    const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cloudguard-enrichment-'));
+    const kevFile = path.join(dataDir, 'known_exploited_vulnerabilities.json');
+    const cveEnricher = new CveEnricher({ dataDir, nvdPath: path.join(dataDir, 'nvd'), kevFile });
+    const listInKev = async (cveIds, dateAdded = '2026-10-01') => {
+        const vulnerabilities = cveIds.map(cveID => ({ cveID, dateAdded }));
+        await fs.promises.writeFile(kevFile, JSON.stringify({ catalogVersion: '2026.10.01', vulnerabilities }));
+        await cveEnricher.refresh();
+    };
+
+    const db = await new MemoryStore().connect();
+    const auditLogManager = new AuditLogManager(db);
+    const alertManager = new AlertManager(new AlertRepository(db), auditLogManager, { cveEnricher });
+    try {
+        await run({ alertManager, auditLogManager, listInKev });
+    } finally {
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('a repeat finding is looked up again and a newly known exploited CVE becomes High', () => withEnrichment(async ({ alertManager, auditLogManager, listInKev }) => {
+    await listInKev([]);
+    const alert = await alertManager.createAlert({ ...FINDING });
+    assert.equal(alert.severity, 'Low');
+    assert.equal(alert.enrichment, undefined);
+
+    await listInKev(['CVE-2026-1234']);
+    const repeated = await alertManager.createAlert({ ...FINDING });
+    assert.equal(repeated.id, alert.id);
+    assert.equal(repeated.occurrences, 2);
+    assert.equal(repeated.severity, 'High');
+    assert.equal(repeated.severityRank, 3);
+    assert.equal(repeated.classification.source, 'enrichment');
+    assert.equal(repeated.enrichment.knownExploited, true);
+
+    const { entries } = await auditLogManager.queryLogs({ alertId: alert.id, action: 'SEVERITY_ESCALATED' });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].oldSeverity, 'Low');
+    assert.equal(entries[0].newSeverity, 'High');
+}));
+
+test('refreshing enrichment raises open CVE alerts and never lowers them', () => withEnrichment(async ({ alertManager, listInKev }) => {
+    await listInKev([]);
+    const open = await alertManager.createAlert({ ...FINDING });
+    const closed = await alertManager.createAlert({ ...FINDING, resource: { arn: 'arn:aws:ecr:us-east-1:123456789012:repository/web' } });
+    await alertManager.updateAlertStatus(closed.id, 'False-Positive', 'Base image is not deployed');
+
+    await listInKev(['CVE-2026-1234']);
+    assert.equal(await alertManager.refreshEnrichment(), 1);
+    assert.equal((await alertManager.getAlertById(open.id)).severity, 'High');
+    assert.equal((await alertManager.getAlertById(closed.id)).severity, 'Low');
+
+    // Nothing new to apply
+    assert.equal(await alertManager.refreshEnrichment(), 0);
+
+    // A changed lookup is stored; a higher classification already applied is kept
+    await listInKev(['CVE-2026-1234'], '2026-09-15');
+    assert.equal(await alertManager.refreshEnrichment(), 1);
+    const updated = await alertManager.getAlertById(open.id);
+    assert.equal(updated.severity, 'High');
+    assert.equal(updated.enrichment.kev.dateAdded, '2026-09-15');
+}));
+
+test('a stored lookup never lowers the severity reported by the finding', () => withEnrichment(async ({ alertManager, listInKev }) => {
+    await listInKev([]);
+    const alert = await alertManager.createAlert({ ...FINDING, severity: 'High' });
+
+    await listInKev(['CVE-2026-1234']);
+    const repeated = await alertManager.createAlert({ ...FINDING, severity: 'Medium' });
+    assert.equal(repeated.severity, 'High');
+    assert.equal(repeated.classification.source, 'finding');
+    assert.equal(repeated.enrichment.knownExploited, true);
+    assert.equal(repeated.id, alert.id);
+}));
+
+test('an oversized data file fails its dataset and keeps the previous data', async () => {
+    const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cloudguard-enrichment-'));
+    const kevFile = path.join(dataDir, 'known_exploited_vulnerabilities.json');
+    const cveEnricher = new CveEnricher({ dataDir, nvdPath: path.join(dataDir, 'nvd'), kevFile, maxFileBytes: 4096 });
+    try {
+        const catalog = vulnerabilities => JSON.stringify({ catalogVersion: '2026.10.01', vulnerabilities });
+        await fs.promises.writeFile(kevFile, catalog([{ cveID: 'CVE-2026-1234', dateAdded: '2026-10-01' }]));
+        assert.equal((await cveEnricher.refresh()).kev.records, 1);
+
+        // Compresses far below the limit but inflates past it
+        const padding = Array.from({ length: 200 }, () => ({ cveID: 'CVE-2026-9999', dateAdded: '2026-10-01' }));
+        await fs.promises.writeFile(kevFile, zlib.gzipSync(catalog(padding)));
+        const gzipped = await cveEnricher.refresh();
+        assert.match(gzipped.kev.error, /larger than 4096 bytes/);
+        assert.equal(gzipped.kev.records, 1);
+
+        await fs.promises.writeFile(kevFile, catalog(padding));
+        const plain = await cveEnricher.refresh();
+        assert.match(plain.kev.error, /larger than 4096 bytes/);
+        assert.ok(cveEnricher.lookup('CVE-2026-1234').kev);
+    } finally {
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlertEventBus = require('../services/AlertEventBus');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const { startApi } = require('./api');
+
+const publishMany = (bus, count) =>
+    Array.from({ length: count }, (_, i) => bus.publish('alert.updated', { id: `ALT-${i}` }));
+
+test('eventsSince replays the events after the given id', () => {
+    const bus = new AlertEventBus();
+    const events = publishMany(bus, 3);
+
+    assert.deepEqual(bus.eventsSince(events[0].id).map(event => event.id), [events[1].id, events[2].id]);
+    assert.deepEqual(bus.eventsSince(events[2].id), []);
+});
+
+test('eventsSince returns null for ids it cannot resume from', () => {
+    const bus = new AlertEventBus({ bufferSize: 2 });
+    const events = publishMany(bus, 4);
+
+    // The first two events were dropped from the buffer; the third is the oldest resumable point
+    assert.equal(bus.eventsSince(events[0].id), null);
+    assert.deepEqual(bus.eventsSince(events[1].id).map(event => event.id), [events[2].id, events[3].id]);
+
+    const other = new AlertEventBus();
+    assert.equal(bus.eventsSince(`${other.bootId}-1`), null);
+    assert.equal(bus.eventsSince(`${bus.bootId}-99`), null);
+    assert.equal(bus.eventsSince(`${bus.bootId}-x`), null);
+    assert.equal(bus.eventsSince('garbage'), null);
+});
+
+test('a failing subscriber does not stop delivery or reach the publisher', () => {
+    const bus = new AlertEventBus();
+    const received = [];
+    bus.subscribe(() => {
+        throw new Error('broken client');
+    });
+    const unsubscribe = bus.subscribe(event => received.push(event.id));
+
+    const event = bus.publish('alert.created', { id: 'ALT-1' });
+    unsubscribe();
+    bus.publish('alert.created', { id: 'ALT-2' });
+    assert.deepEqual(received, [event.id]);
+    assert.throws(() => bus.publish('alert.viewed', { id: 'ALT-1' }), /Invalid event type/);
+});
+
+test('a filtered subscription resumes, and reports alerts that leave the filter', async () => {
+    const db = await new MemoryStore().connect();
+    const eventBus = new AlertEventBus();
+    const alertManager = new AlertManager(new AlertRepository(db), new AuditLogManager(db), { eventBus });
+
+    const first = await alertManager.createAlert({ category: 'S3', severity: 'High', description: 'Public bucket' });
+    const [created] = eventBus.eventsSince(`${eventBus.bootId}-0`);
+    await alertManager.createAlert({ category: 'IAM', severity: 'High', description: 'Root account used' });
+    await alertManager.createAlert({ category: 'S3', severity: 'Low', description: 'Versioning off' });
+
+    const received = [];
+    const { resumed, unsubscribe } = alertManager.subscribe({ category: 'S3', status: 'New' }, event => received.push(event), {
+        lastEventId: created.id
+    });
+    assert.equal(resumed, true);
+    assert.deepEqual(received.map(event => [event.type, event.alert.description]), [['alert.created', 'Versioning off']]);
+
+    await alertManager.updateAlertStatus(first.id, 'Acknowledged');
+    await alertManager.deleteAlert(first.id);
+    unsubscribe();
+    assert.deepEqual(received.slice(1).map(event => [event.type, event.alert]), [
+        ['alert.excluded', { id: first.id }],
+        ['alert.deleted', { id: first.id }]
+    ]);
+
+    const stale = alertManager.subscribe({}, () => {}, { lastEventId: 'deadbeef-1' });
+    stale.unsubscribe();
+    assert.equal(stale.resumed, false);
+});
+
+test('GET /api/alerts/stream sends missed events, then a reset for an unknown id', async () => {
+    const api = await startApi({ AUTH_ENABLED: 'false' });
+    const openStream = async (lastEventId, until) => {
+        const controller = new AbortController();
+        const response = await fetch(`${api.baseUrl}/api/alerts/stream?category=IAM`, {
+            headers: { Accept: 'text/event-stream', 'Last-Event-ID': lastEventId },
+            signal: controller.signal
+        });
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+        const decoder = new TextDecoder();
+        let text = '';
+        for await (const chunk of response.body) {
+            text += decoder.decode(chunk);
+            if (until.test(text)) break;
+        }
+        controller.abort();
+        return text;
+    };
+
+    try {
+        const { alertEvents } = AlertEventBus;
+        const before = `${alertEvents.bootId}-${alertEvents.sequence}`;
+        await api.request('POST', '/api/alerts', { body: { category: 'S3', severity: 'High', description: 'Public bucket' } });
+        const created = await api.request('POST', '/api/alerts', { body: { category: 'IAM', severity: 'High', description: 'Root account used' } });
+
+        const replay = await openStream(before, /event: alert\.created\ndata: .*\n\n/);
+        assert.match(replay, /^retry: 3000\n\n/);
+        assert.match(replay, new RegExp(`id: ${alertEvents.bootId}-\\d+\nevent: alert\\.created\ndata: .*"id":"${created.body.id}"`));
+        assert.doesNotMatch(replay, /Public bucket/);
+
+        const reset = await openStream('deadbeef-1', /event: reset\n/);
+        assert.match(reset, /event: reset\ndata: \{\}\n\n/);
+    } finally {
+        await api.close();
+    }
+});
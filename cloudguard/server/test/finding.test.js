@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFinding, normalizeFinding } = require('../models/Finding');
+const { startApi } = require('./api');
+
+const CATEGORIES = ['CVE', 'S3', 'IAM', 'Network', 'Activity'];
+
+const FINDING = {
+    category: 'S3',
+    description: 'Bucket allows public read',
+    source: 'RuleEngine',
+    ruleId: 'S3.2',
+    resource: { arn: 'arn:aws:s3:::public-site', type: 'AwsS3Bucket' },
+    accountId: '123456789012',
+    region: 'us-east-1',
+    tags: { env: 'prod' },
+    cvssScore: 7.5,
+    evidence: { acl: 'public-read' }
+};
+
+const fields = finding => validateFinding(finding, { categories: CATEGORIES }).map(error => error.field);
+
+test('a complete finding is valid and keeps its context when normalized', () => {
+    assert.deepEqual(fields(FINDING), []);
+    assert.deepEqual(fields({ category: 'IAM', description: 'Root account used' }), []);
+
+    const normalized = normalizeFinding(FINDING);
+    assert.equal(normalized.schemaVersion, 1);
+    assert.deepEqual(normalized.resource, { arn: 'arn:aws:s3:::public-site', type: 'AwsS3Bucket', id: null });
+    assert.equal(normalized.accountId, '123456789012');
+    assert.deepEqual(normalized.tags, { env: 'prod' });
+
+    assert.deepEqual(normalizeFinding({ ...FINDING, resource: 'arn:aws:s3:::logs' }).resource,
+        { arn: 'arn:aws:s3:::logs', type: null, id: null });
+});
+
+test('every invalid field is reported at once', () => {
+    const invalid = {
+        schemaVersion: 2,
+        category: 'Billing',
+        description: '  ',
+        ruleId: '',
+        resource: { arn: 'not-an-arn', type: 5 },
+        accountId: '1234',
+        region: 'moon-base',
+        tags: { env: 1 },
+        cvssScore: 11,
+        evidence: 'raw'
+    };
+    assert.deepEqual(fields(invalid).sort(), [
+        'accountId', 'category', 'cvssScore', 'description', 'evidence', 'region',
+        'resource.arn', 'resource.type', 'ruleId', 'schemaVersion', 'tags.env'
+    ]);
+
+    assert.deepEqual(fields({ ...FINDING, resource: {} }), ['resource']);
+    assert.deepEqual(fields({ ...FINDING, resource: ['arn:aws:s3:::logs'] }), ['resource']);
+    assert.deepEqual(fields({ ...FINDING, category: undefined }), ['category']);
+    assert.deepEqual(fields(null), ['finding']);
+});
+
+test('POST /api/alerts answers an invalid finding with 400 and per-field details', async () => {
+    const api = await startApi({ AUTH_ENABLED: 'false' });
+    try {
+        const { status, body } = await api.request('POST', '/api/alerts', {
+            body: { ...FINDING, accountId: 'abc', region: 'nowhere' }
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details.map(error => error.field), ['accountId', 'region']);
+        assert.match(body.error, /Invalid accountId: abc/);
+
+        const created = await api.request('POST', '/api/alerts', { body: FINDING });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.region, 'us-east-1');
+        assert.equal(created.body.resource.type, 'AwsS3Bucket');
+    } finally {
+        await api.close();
+    }
+});
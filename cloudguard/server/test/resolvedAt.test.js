@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+
+// A workflow whose closed state is not called Resolved
+const WORKFLOW = {
+    initialState: 'Open',
+    states: [
+        { name: 'Open', open: true },
+        { name: 'Reopened', open: true },
+        { name: 'Done', open: false },
+        { name: 'Suppressed', open: false }
+    ],
+    transitions: {
+        Open: [{ to: 'Done' }],
+        Done: [{ to: 'Reopened', requiresReason: true }],
+        Reopened: [{ to: 'Done' }]
+    },
+    regression: { from: ['Done'], to: 'Reopened' }
+};
+
+const FINDING = { category: 'IAM', severity: 'High', description: 'Root account used', ruleId: 'IAM.root' };
+
+async function setup(options = {}) {
+    const db = await new MemoryStore().connect();
+    return new AlertManager(new AlertRepository(db), new AuditLogManager(db), options);
+}
+
+test('closing into any closed state stamps resolvedAt and the statistics count it', async () => {
+    const alertManager = await setup({ workflow: WORKFLOW });
+    const alert = await alertManager.createAlert({ ...FINDING });
+    assert.equal(alert.resolvedAt, undefined);
+
+    const done = await alertManager.updateAlertStatus(alert.id, 'Done');
+    assert.ok(done.resolvedAt);
+    assert.equal((await alertManager.getStatistics()).resolved, 1);
+
+    const resolved = await alertManager.getAlerts({ resolvedSince: alert.createdAt });
+    assert.deepEqual(resolved.alerts.map(item => item.id), [alert.id]);
+});
+
+test('reopening clears resolvedAt, by hand or through a repeat finding', async () => {
+    const alertManager = await setup({ workflow: WORKFLOW });
+    const alert = await alertManager.createAlert({ ...FINDING });
+
+    await alertManager.updateAlertStatus(alert.id, 'Done');
+    const reopened = await alertManager.updateAlertStatus(alert.id, 'Reopened', 'Still happening');
+    assert.equal(reopened.resolvedAt, undefined);
+
+    await alertManager.updateAlertStatus(alert.id, 'Done');
+    const regressed = await alertManager.createAlert({ ...FINDING });
+    assert.equal(regressed.status, 'Reopened');
+    assert.equal(regressed.resolvedAt, undefined);
+    assert.equal((await alertManager.getStatistics()).resolved, 0);
+});
+
+test('the default workflow counts False-Positive and Suppressed as resolved', async () => {
+    const alertManager = await setup();
+    const falsePositive = await alertManager.createAlert({ ...FINDING });
+    await alertManager.updateAlertStatus(falsePositive.id, 'False-Positive', 'Break-glass drill');
+    const suppressed = await alertManager.createAlert({ ...FINDING, ruleId: 'IAM.other' });
+    await alertManager.updateAlertStatus(suppressed.id, 'Suppressed', 'Known');
+    await alertManager.createAlert({ ...FINDING, ruleId: 'IAM.open' });
+
+    const stats = await alertManager.getStatistics();
+    assert.equal(stats.resolved, 2);
+    assert.equal(stats.new, 1);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RiskScorer = require('../services/RiskScorer');
+const { validateRiskConfig } = require('../config/risk');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CREATED = '2026-10-01T00:00:00.000Z';
+const daysLater = days => new Date(new Date(CREATED).getTime() + days * DAY);
+
+const scorer = new RiskScorer();
+
+test('factors are combined into a weighted 0-100 score', () => {
+    const { riskScore, riskFactors } = scorer.score({
+        severity: 'High',
+        cvssScore: 9.8,
+        tags: { criticality: 'Critical' },
+        description: 'Bucket allows public read',
+        occurrences: 1,
+        status: 'New',
+        createdAt: CREATED
+    }, new Date(CREATED));
+
+    assert.deepEqual(riskFactors, { severity: 1, cvss: 0.98, assetCriticality: 1, exposure: 1, age: 0, occurrences: 0 });
+    // (30 + 20 * 0.98 + 20 + 15) / 100
+    assert.equal(riskScore, 85);
+});
+
+test('a missing CVSS score is left out of the average instead of counting as 0', () => {
+    const { riskScore, riskFactors } = scorer.score({
+        severity: 'Low',
+        description: 'Versioning off',
+        status: 'New',
+        createdAt: CREATED
+    }, daysLater(15));
+
+    assert.equal(riskFactors.cvss, null);
+    assert.equal(riskFactors.assetCriticality, 0.3);
+    assert.equal(riskFactors.age, 0.5);
+    // (30 * 0.2 + 20 * 0.3 + 10 * 0.5) / 80
+    assert.equal(riskScore, 21);
+});
+
+test('repeats count on a log scale, and age stops when the alert closes', () => {
+    const alert = { severity: 'Medium', description: 'x', createdAt: CREATED, status: 'New' };
+    assert.equal(scorer.score({ ...alert, occurrences: 10 }).riskFactors.occurrences, 1);
+    assert.equal(scorer.score({ ...alert, occurrences: 100 }).riskFactors.occurrences, 1);
+    assert.ok(scorer.score({ ...alert, occurrences: 3 }).riskFactors.occurrences < 0.5);
+
+    assert.equal(scorer.score(alert, daysLater(60)).riskFactors.age, 1);
+    const closed = { ...alert, status: 'Resolved', resolvedAt: daysLater(3).toISOString() };
+    assert.equal(scorer.score(closed, daysLater(60)).riskFactors.age, 0.1);
+});
+
+test('exposure comes from tags or the description', () => {
+    const alert = { severity: 'Medium', description: 'Security group change', createdAt: CREATED, status: 'New' };
+    assert.equal(scorer.score(alert).riskFactors.exposure, 0);
+    assert.equal(scorer.score({ ...alert, tags: { 'internet-facing': 'YES' } }).riskFactors.exposure, 1);
+    assert.equal(scorer.score({ ...alert, description: 'Ingress from 0.0.0.0/0' }).riskFactors.exposure, 1);
+});
+
+test('custom weights are validated', () => {
+    const config = {
+        recomputeIntervalSeconds: 60,
+        weights: { severity: 1 },
+        severity: { High: 1, Medium: 0.5, Low: 0 },
+        assetCriticality: { tags: [], values: {}, default: 0 },
+        exposure: { tags: {} },
+        age: { fullAfter: '1d' },
+        occurrences: { fullAt: 2 }
+    };
+    validateRiskConfig(config);
+    assert.equal(new RiskScorer(config).score({ severity: 'Medium', description: 'x', createdAt: CREATED }).riskScore, 50);
+
+    assert.throws(() => validateRiskConfig({ ...config, weights: { luck: 1 } }));
+});
+
+test('alerts are scored when stored, rank by riskScore and are rescored as they age', async () => {
+    const db = await new MemoryStore().connect();
+    const alertManager = new AlertManager(new AlertRepository(db), new AuditLogManager(db));
+
+    const low = await alertManager.createAlert({ category: 'S3', severity: 'Low', description: 'Versioning off' });
+    const high = await alertManager.createAlert({ category: 'CVE', severity: 'High', cvssScore: 9.1, description: 'openssl', ruleId: 'CVE-2026-1' });
+    assert.ok(high.riskScore > low.riskScore);
+    assert.equal(low.riskFactors.age, 0);
+
+    const ranked = await alertManager.getAlerts({}, { sort: '-riskScore' });
+    assert.deepEqual(ranked.alerts.map(alert => alert.id), [high.id, low.id]);
+
+    assert.equal(await alertManager.recomputeRiskScores(new Date(Date.now() + 30 * DAY)), 2);
+    const aged = await alertManager.getAlertById(low.id);
+    assert.equal(aged.riskFactors.age, 1);
+    assert.ok(aged.riskScore > low.riskScore);
+});
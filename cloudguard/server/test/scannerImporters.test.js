@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const trivyImporter = require('../importers/trivy');
+const grypeImporter = require('../importers/grype');
+const sarifImporter = require('../importers/sarif');
+const { reportKey } = require('../importers/vulnerabilityFinding');
+
+const FIXTURES = path.join(__dirname, '../fixtures/scanners');
+const IMAGE = 'registry.example.com/shop/api:1.8.2';
+
+function loadReport(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+async function setup() {
+    const db = await new MemoryStore().connect();
+    const alertManager = new AlertManager(new AlertRepository(db), new AuditLogManager(db));
+    // Same steps as POST /api/ingest/{trivy,grype,sarif}
+    const importReport = (importer, report) => alertManager.importFindings(
+        importer,
+        importer.extractFindings(report),
+        { importKey: reportKey(importer.source, report) }
+    );
+    return { alertManager, importReport };
+}
+
+/**
+ * Map every record of a fixture, keyed by its vulnerability id
+ */
+function mapReport(importer, report) {
+    const findings = {};
+    importer.extractFindings(report).forEach(record => {
+        const finding = importer.mapFinding(record);
+        findings[finding.ruleId] = finding;
+    });
+    return findings;
+}
+
+async function assertReimportUnchanged(importer, fixture, expectedAlerts) {
+    const { alertManager, importReport } = await setup();
+    const report = loadReport(fixture);
+
+    const first = await importReport(importer, report);
+    assert.equal(first.accepted, expectedAlerts);
+    first.results.filter(result => result.ok).forEach(result => assert.equal(result.outcome, 'created'));
+
+    const second = await importReport(importer, report);
+    assert.equal(second.accepted, expectedAlerts);
+    second.results.filter(result => result.ok).forEach(result => assert.equal(result.outcome, 'unchanged'));
+    assert.deepEqual(
+        second.results.filter(result => result.ok).map(result => result.alertId),
+        first.results.filter(result => result.ok).map(result => result.alertId)
+    );
+
+    const { alerts, total } = await alertManager.getAlerts({});
+    assert.equal(total, expectedAlerts);
+    alerts.forEach(alert => assert.equal(alert.occurrences, 1));
+    return { first, second };
+}
+
+test('trivy: severities, CVSS and package versions are mapped', () => {
+    const findings = mapReport(trivyImporter, loadReport('trivy-image.json'));
+    assert.deepEqual(Object.keys(findings).sort(), ['CVE-2023-50387', 'CVE-2024-29041', 'CVE-2024-3094']);
+
+    const xz = findings['CVE-2024-3094'];
+    assert.equal(xz.category, 'CVE');
+    assert.equal(xz.source, 'trivy');
+    assert.equal(xz.severity, 'High'); // CRITICAL
+    assert.equal(xz.cvssScore, 10);
+    assert.equal(xz.resource.id, IMAGE);
+    assert.equal(xz.evidence.package.name, 'xz-utils');
+    assert.equal(xz.evidence.package.installedVersion, '5.6.0-0.2');
+    assert.equal(xz.evidence.package.fixedVersion, '5.6.1+really5.4.5-1');
+    assert.equal(xz.tags.fixAvailable, 'true');
+
+    assert.equal(findings['CVE-2023-50387'].severity, 'High'); // HIGH
+    assert.equal(findings['CVE-2023-50387'].evidence.package.fixedVersion, null);
+    assert.equal(findings['CVE-2023-50387'].tags.fixAvailable, 'false');
+    assert.equal(findings['CVE-2024-29041'].severity, 'Medium');
+    assert.equal(findings['CVE-2024-29041'].cvssScore, 6.1);
+});
+
+test('grype: severities map, GHSA ids prefer their CVE alias', () => {
+    const findings = mapReport(grypeImporter, loadReport('grype-image.json'));
+    assert.deepEqual(Object.keys(findings).sort(), ['CVE-2011-3374', 'CVE-2024-29041', 'CVE-2024-3094']);
+
+    assert.equal(findings['CVE-2024-3094'].severity, 'High'); // Critical
+    assert.equal(findings['CVE-2024-3094'].cvssScore, 10);
+    assert.equal(findings['CVE-2024-29041'].severity, 'Medium');
+    assert.equal(findings['CVE-2024-29041'].evidence.package.fixedVersion, '4.19.2');
+    assert.equal(findings['CVE-2011-3374'].severity, 'Low'); // Negligible
+    assert.equal(findings['CVE-2011-3374'].cvssScore, undefined);
+    assert.equal(findings['CVE-2011-3374'].evidence.package.installedVersion, '2.6.1');
+});
+
+test('sarif: vulnerability results are mapped and other rules are rejected', () => {
+    const records = sarifImporter.extractFindings(loadReport('trivy-image.sarif'));
+    assert.equal(records.length, 3);
+    assert.throws(() => sarifImporter.mapFinding(records[2]), /Rule DS002 is not a CVE or GHSA vulnerability/);
+
+    const [xz, zlib] = records.slice(0, 2).map(record => sarifImporter.mapFinding(record));
+    assert.equal(xz.ruleId, 'CVE-2024-3094');
+    assert.equal(xz.severity, 'High');
+    assert.equal(xz.cvssScore, 10);
+    assert.equal(xz.evidence.package.fixedVersion, '5.6.1+really5.4.5-1');
+    assert.equal(zlib.ruleId, 'CVE-2023-45853');
+    assert.equal(zlib.cvssScore, 9.8);
+    assert.equal(zlib.evidence.package.name, 'zlib1g');
+    assert.equal(zlib.resource.id, IMAGE);
+});
+
+test('trivy: importing the same report again creates no alerts', () =>
+    assertReimportUnchanged(trivyImporter, 'trivy-image.json', 3));
+
+test('grype: importing the same report again creates no alerts', () =>
+    assertReimportUnchanged(grypeImporter, 'grype-image.json', 3));
+
+test('sarif: importing the same log again creates no alerts', async () => {
+    const { first, second } = await assertReimportUnchanged(sarifImporter, 'trivy-image.sarif', 2);
+    assert.equal(first.rejected, 1);
+    assert.equal(second.rejected, 1);
+});
+
+test('the same vulnerability from another scanner updates the existing alert', async () => {
+    const { alertManager, importReport } = await setup();
+    await importReport(trivyImporter, loadReport('trivy-image.json'));
+    const result = await importReport(grypeImporter, loadReport('grype-image.json'));
+
+    const outcomes = Object.fromEntries(result.results.map(item => [item.ref, item.outcome]));
+    assert.equal(outcomes['CVE-2024-3094:xz-utils@5.6.0-0.2'], 'updated');
+    assert.equal(outcomes['GHSA-rv95-896h-c2vc:express@4.18.2'], 'updated');
+    assert.equal(outcomes['CVE-2011-3374:apt@2.6.1'], 'created');
+    assert.equal((await alertManager.getAlerts({})).total, 4);
+});
@@ -0,0 +1,11 @@
+/**
+ * Loaded into every test process by the test script (node --require)
+ *
+ * node --test reads each test file's report from the file's stdout, and Node 20
+ * misreads a log line that lands in the same chunk as a report message, failing
+ * the whole file. The app logs with console.log, so tests send it to stderr.
+ */
+
+if (process.env.NODE_TEST_CONTEXT === 'child-v8') {
+    console.log = (...args) => console.error(...args);
+}
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const SlaManager = require('../services/SlaManager');
+const { validateSlaConfig } = require('../config/sla');
+
+const HOUR = 60 * 60 * 1000;
+
+const CONFIG = {
+    checkIntervalSeconds: 60,
+    unacknowledgedStates: ['New', 'Reopened'],
+    policies: {
+        High: { acknowledgeWithin: '1h', resolveWithin: '24h', onBreach: { reassignTo: 'lead' } },
+        Medium: { acknowledgeWithin: '4h', resolveWithin: '3d', onBreach: { escalateSeverity: true } },
+        Low: { acknowledgeWithin: '1d', resolveWithin: '7d', onBreach: { escalateSeverity: true } }
+    }
+};
+validateSlaConfig(CONFIG);
+
+async function setup() {
+    const db = await new MemoryStore().connect();
+    const auditLogManager = new AuditLogManager(db);
+    const events = [];
+    const alertManager = new AlertManager(new AlertRepository(db), auditLogManager, {
+        slaManager: new SlaManager(CONFIG),
+        notifiers: [{ notify: async (event, alert, data) => events.push({ event, alert, data }) }]
+    });
+    return { alertManager, auditLogManager, events };
+}
+
+const later = (alert, hours) => new Date(new Date(alert.createdAt).getTime() + hours * HOUR);
+
+test('new alerts get deadlines from their severity policy', async () => {
+    const { alertManager } = await setup();
+    const alert = await alertManager.createAlert({ category: 'IAM', severity: 'Medium', description: 'Stale access key' });
+
+    assert.equal(alert.slaStatus, 'on-track');
+    assert.equal(alert.acknowledgeBy, later(alert, 4).toISOString());
+    assert.equal(alert.resolveBy, later(alert, 72).toISOString());
+    assert.equal(alert.dueAt, alert.acknowledgeBy);
+
+    const acknowledged = await alertManager.updateAlertStatus(alert.id, 'Acknowledged');
+    assert.equal(acknowledged.dueAt, alert.resolveBy);
+    assert.deepEqual(await alertManager.processSlaBreaches(later(alert, 5)), []);
+});
+
+test('a missed deadline is recorded once and escalates the severity', async () => {
+    const { alertManager, auditLogManager, events } = await setup();
+    const alert = await alertManager.createAlert({ category: 'IAM', severity: 'Medium', description: 'Stale access key' });
+
+    const [breached] = await alertManager.processSlaBreaches(later(alert, 5));
+    assert.equal(breached.id, alert.id);
+    assert.equal(breached.severity, 'High');
+    assert.equal(breached.slaStatus, 'breached');
+    assert.deepEqual(breached.slaBreaches.map(breach => [breach.type, breach.severity]), [['acknowledge', 'Medium']]);
+    // Deadlines now follow the High policy, from the same start
+    assert.equal(breached.resolveBy, later(alert, 24).toISOString());
+
+    const audit = await auditLogManager.queryLogs({ alertId: alert.id, action: ['SLA_BREACHED', 'SEVERITY_ESCALATED'] });
+    const entries = audit.entries.sort((a, b) => a.sequence - b.sequence);
+    assert.deepEqual(entries.map(entry => entry.action), ['SLA_BREACHED', 'SEVERITY_ESCALATED']);
+    assert.equal(entries[0].escalatedTo, 'High');
+    assert.equal(entries[0].slaType, 'acknowledge');
+
+    const notified = events.filter(({ event }) => event === 'alert.sla_breached');
+    assert.equal(notified.length, 1);
+    assert.equal(notified[0].data.escalatedFrom, 'Medium');
+
+    // Already recorded: a second check in the same window does nothing
+    assert.deepEqual(await alertManager.processSlaBreaches(later(alert, 5)), []);
+});
+
+test('a policy may reassign the breached alert instead of escalating it', async () => {
+    const { alertManager, auditLogManager } = await setup();
+    const alert = await alertManager.createAlert({ category: 'S3', severity: 'High', description: 'Public bucket' });
+    await alertManager.updateAlertStatus(alert.id, 'Acknowledged');
+
+    const [breached] = await alertManager.processSlaBreaches(later(alert, 25));
+    assert.equal(breached.severity, 'High');
+    assert.equal(breached.assignee, 'lead');
+    assert.deepEqual(breached.slaBreaches.map(breach => breach.type), ['resolve']);
+    assert.equal(breached.dueAt, null);
+
+    const { entries } = await auditLogManager.queryLogs({ alertId: alert.id, action: 'ALERT_ASSIGNED' });
+    assert.equal(entries[0].newAssignee, 'lead');
+});
+
+test('closing an alert stops the clock: met on time, missed after a breach', async () => {
+    const { alertManager } = await setup();
+    const onTime = await alertManager.createAlert({ category: 'S3', severity: 'Low', description: 'Versioning off' });
+    const late = await alertManager.createAlert({ category: 'S3', severity: 'Low', description: 'Logging off' });
+
+    const closedOnTime = await alertManager.updateAlertStatus(onTime.id, 'False-Positive', 'Expected');
+    assert.deepEqual([closedOnTime.slaStatus, closedOnTime.dueAt], ['met', null]);
+
+    const breached = await alertManager.processSlaBreaches(later(late, 25));
+    assert.deepEqual(breached.map(alert => alert.id), [late.id]);
+
+    const missed = await alertManager.updateAlertStatus(late.id, 'False-Positive', 'Expected');
+    assert.equal(missed.slaStatus, 'missed');
+    assert.deepEqual(await alertManager.processSlaBreaches(later(late, 24 * 30)), []);
+});
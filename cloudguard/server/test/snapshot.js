@@ -0,0 +1,39 @@
+/**
+ * Minimal JSON snapshots for node:test
+ *
+ * A snapshot file holds one named value per case. Missing cases are written
+ * on first run; UPDATE_SNAPSHOTS=1 rewrites changed ones after a deliberate change.
+ * Under CI=1 a missing snapshot fails instead of being written.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+/**
+ * @param {string} name - Snapshot file name (without .json)
+ * @returns {Function} matchSnapshot(caseName, value)
+ */
+function snapshotFile(name) {
+    const filePath = path.join(SNAPSHOT_DIR, `${name}.json`);
+    const stored = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    const update = process.env.UPDATE_SNAPSHOTS === '1';
+
+    return function matchSnapshot(caseName, value) {
+        const actual = JSON.parse(JSON.stringify(value));
+        if (stored[caseName] !== undefined && !update) {
+            assert.deepEqual(actual, stored[caseName], `Snapshot ${name} › ${caseName} changed (UPDATE_SNAPSHOTS=1 to accept)`);
+            return;
+        }
+        if (stored[caseName] === undefined && process.env.CI && !update) {
+            assert.fail(`Snapshot ${name} › ${caseName} is missing (run with UPDATE_SNAPSHOTS=1 to write it)`);
+        }
+        stored[caseName] = actual;
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(stored, null, 2) + '\n');
+    };
+}
+
+module.exports = { snapshotFile };
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage/MemoryStore');
+const AlertManager = require('../managers/AlertManager');
+const AlertRepository = require('../repositories/AlertRepository');
+const AuditLogManager = require('../services/AuditLogManager');
+const SuppressionManager = require('../services/SuppressionManager');
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+
+const FINDING = {
+    category: 'S3',
+    severity: 'Medium',
+    description: 'Bucket logs-archive allows public read',
+    ruleId: 'S3.2',
+    resource: { arn: 'arn:aws:s3:::logs-archive', type: 'AwsS3Bucket' }
+};
+
+async function setup() {
+    const db = await new MemoryStore().connect();
+    const auditLogManager = new AuditLogManager(db);
+    const suppressionRepository = new SuppressionRepository(db);
+    const suppressionManager = new SuppressionManager(suppressionRepository, auditLogManager);
+    const alertManager = new AlertManager(new AlertRepository(db), auditLogManager, { suppressionManager });
+    const mute = () => suppressionManager.createRule({
+        match: { resourcePattern: 'arn:aws:s3:::logs-*' },
+        justification: 'Public log archive is intended',
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    });
+    return { alertManager, auditLogManager, suppressionManager, suppressionRepository, mute };
+}
+
+test('a mute rule suppresses an already stored open alert when its finding repeats', async () => {
+    const { alertManager, auditLogManager, mute } = await setup();
+    const alert = await alertManager.createAlert({ ...FINDING });
+    const rule = await mute();
+
+    const repeated = await alertManager.createAlert({ ...FINDING });
+    assert.equal(repeated.id, alert.id);
+    assert.equal(repeated.occurrences, 2);
+    assert.equal(repeated.status, 'Suppressed');
+    assert.equal(repeated.suppressionId, rule.id);
+    assert.equal(repeated.statusReason, 'Public log archive is intended');
+
+    const { entries } = await auditLogManager.queryLogs({ alertId: alert.id, action: 'ALERT_SUPPRESSED' });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].oldStatus, 'New');
+});
+
+test('a mute rule keeps a resolved alert from reopening as a regression', async () => {
+    const { alertManager, mute } = await setup();
+    const alert = await alertManager.createAlert({ ...FINDING });
+    await alertManager.updateAlertStatus(alert.id, 'Acknowledged');
+    await alertManager.updateAlertStatus(alert.id, 'In-Progress');
+    await alertManager.updateAlertStatus(alert.id, 'Resolved');
+    await mute();
+
+    const repeated = await alertManager.createAlert({ ...FINDING });
+    assert.equal(repeated.status, 'Suppressed');
+    assert.notEqual(repeated.regression, true);
+});
+
+test('without a rule a resolved alert still reopens, and other closed states are left alone', async () => {
+    const { alertManager, mute } = await setup();
+    const resolved = await alertManager.createAlert({ ...FINDING });
+    await alertManager.updateAlertStatus(resolved.id, 'Acknowledged');
+    await alertManager.updateAlertStatus(resolved.id, 'In-Progress');
+    await alertManager.updateAlertStatus(resolved.id, 'Resolved');
+    assert.equal((await alertManager.createAlert({ ...FINDING })).status, 'Reopened');
+
+    const other = { ...FINDING, resource: { arn: 'arn:aws:s3:::logs-other' } };
+    const falsePositive = await alertManager.createAlert({ ...other });
+    await alertManager.updateAlertStatus(falsePositive.id, 'False-Positive', 'Test bucket');
+    await mute();
+    assert.equal((await alertManager.createAlert({ ...other })).status, 'False-Positive');
+});
+
+test('description regexes that could backtrack catastrophically are rejected', async () => {
+    const { suppressionManager } = await setup();
+    const create = descriptionRegex => suppressionManager.createRule({
+        match: { descriptionRegex },
+        justification: 'Test',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+
+    for (const pattern of ['(a+)+$', '(\\w*\\s)*x', '((ab)*c)+', '(x+){2,}', '(a|aa)+$', '(\\w|\\d)+$', '((a|b)c)*', '(?:x|xy){3,}', 'a'.repeat(201)]) {
+        await assert.rejects(create(pattern), /Invalid match\.descriptionRegex/, pattern);
+    }
+    for (const pattern of ['public (read|write)', '^bucket [a-z0-9-]+ allows', '(ab)+', '[(a+)]+', '\\(a+\\)+', '(a|b){2}', '[a|b]+']) {
+        await assert.doesNotReject(create(pattern), pattern);
+    }
+});
+
+test('a description regex only sees the first 4096 characters', async () => {
+    const { alertManager, suppressionManager } = await setup();
+    await suppressionManager.createRule({
+        match: { descriptionRegex: 'marker$' },
+        action: 'drop',
+        justification: 'Test',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+
+    const short = await alertManager.createAlert({ ...FINDING, description: 'ends with marker' });
+    assert.equal(short.dropped, true);
+    const long = await alertManager.createAlert({ ...FINDING, description: `${'x'.repeat(5000)} marker` });
+    assert.equal(long.dropped, undefined);
+});
+
+test('an unsafe pattern stored before patterns were checked never matches', async () => {
+    const { alertManager, suppressionRepository } = await setup();
+    await suppressionRepository.save({
+        id: 'SUP-legacy',
+        match: { descriptionRegex: '(a+)+$' },
+        action: 'drop',
+        justification: 'Legacy',
+        enabled: true,
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+        hits: 0,
+        createdAt: new Date().toISOString()
+    });
+
+    const alert = await alertManager.createAlert({ ...FINDING, description: `${'a'.repeat(40)}!` });
+    assert.equal(alert.dropped, undefined);
+    assert.equal(alert.status, 'New');
+});